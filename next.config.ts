@@ -1,7 +1,15 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // Data files the API routes read at runtime (src/lib/dataset.ts)
+  outputFileTracingIncludes: {
+    "/api/**/*": [
+      "./public/data/airports.json",
+      "./public/data/airlines.json",
+      "./public/data/aircraft-types.json",
+      "./data/routes.json",
+    ],
+  },
 };
 
 export default nextConfig;
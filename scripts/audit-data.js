@@ -0,0 +1,107 @@
+/**
+ * Data Quality Audit
+ *
+ * Checks the data files in public/data (and data/routes.json and
+ * data/airline-validation.json) for problems the build doesn't catch on its own, e.g. after
+ * update-routes rewrites routes.json and airlines.json: dangling airport
+ * and airline codes, duplicate IATA codes, one-way routes, bad airport
+ * coordinates, routes without operators, routes too long for the aircraft
+ * listed, and airline flags that disagree with the validation file.
+ *
+ * Prints a JSON report on stdout and a one-line summary per check on
+ * stderr. Exits with 1 when any check is over its threshold and 2 when the
+ * files can't be read, so it can gate commits and CI.
+ *
+ * Usage: npm run audit:data [-- --max <check>=<share>]... [--verbose]
+ *
+ * --max overrides a check's threshold, the highest share (0-1) of checked
+ * records allowed to fail it, e.g. --max one-way-routes=0.1. --verbose keeps
+ * every offending record in the report instead of the first 20 per check.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSON } from './lib/json.js';
+import { auditData, CHECK_IDS } from './lib/audit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths
+const RAW_DIR = path.join(__dirname, '..', 'data');
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const VALIDATION_PATH = path.join(RAW_DIR, 'airline-validation.json');
+const ROUTES_PATH = path.join(RAW_DIR, 'routes.json');
+
+const MAX_EXAMPLES = 20;
+
+const USAGE = 'Usage: node scripts/audit-data.js [--max <check>=<share>]... [--verbose]';
+
+/**
+ * Threshold overrides from --max check=share arguments
+ */
+function parseThresholds(args) {
+  const thresholds = {};
+  args.forEach((arg, i) => {
+    if (arg !== '--max') return;
+    const [id, value] = (args[i + 1] || '').split('=');
+    const share = Number(value);
+    if (!CHECK_IDS.includes(id)) {
+      throw new Error(`Unknown check "${id}", expected one of: ${CHECK_IDS.join(', ')}`);
+    }
+    if (value === undefined || value === '' || !(share >= 0 && share <= 1)) {
+      throw new Error(`Invalid threshold for ${id}: ${JSON.stringify(value)}, expected a share from 0 to 1`);
+    }
+    thresholds[id] = share;
+  });
+  return thresholds;
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(2)}%`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.error(USAGE);
+    return 0;
+  }
+  const verbose = args.includes('--verbose');
+  const thresholds = parseThresholds(args);
+
+  const [airports, airlines, routes, aircraftCatalog, validation] = await Promise.all([
+    readJSON(path.join(DATA_DIR, 'airports.json')),
+    readJSON(path.join(DATA_DIR, 'airlines.json')),
+    readJSON(ROUTES_PATH),
+    readJSON(path.join(DATA_DIR, 'aircraft-catalog.json')),
+    readJSON(VALIDATION_PATH),
+  ]);
+
+  const report = auditData(
+    { airports, airlines, routes, aircraftCatalog, validation },
+    { thresholds, maxExamples: verbose ? undefined : MAX_EXAMPLES }
+  );
+
+  console.log(JSON.stringify(report, null, 2));
+
+  for (const check of report.checks) {
+    const status = check.passed ? 'ok  ' : 'FAIL';
+    console.error(
+      `${status} ${check.id}: ${check.count} of ${check.checked} (${formatShare(check.share)}, max ${formatShare(check.threshold)})`
+    );
+  }
+  console.error(report.passed ? '\nAudit passed' : '\nAudit failed: checks over their threshold');
+
+  return report.passed ? 0 : 1;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`\nAudit could not run: ${error.message}`);
+    console.error(USAGE);
+    process.exitCode = 2;
+  });
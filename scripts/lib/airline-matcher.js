@@ -0,0 +1,295 @@
+/**
+ * Offline airline name matching.
+ *
+ * Resolves free-form airline names (e.g. Wikipedia link titles) to IATA
+ * codes using only local data: the name and ICAO code from airlines.json,
+ * aliases and callsigns from OpenFlights airlines.dat, and the Wikipedia
+ * titles recorded in airline-validation.json. Names are normalized, scored
+ * against every known alias and only accepted above a confidence threshold
+ * with a clear margin over the next airline, so a vague name like "Air"
+ * resolves to nothing instead of whichever airline happens to come first.
+ */
+
+// Minimum score to accept a match
+export const DEFAULT_THRESHOLD = 0.8;
+
+// A match must beat the best other airline by this much
+const AMBIGUITY_MARGIN = 0.05;
+
+// Maximum score per alias kind. Only names and aliases are fuzzy matched;
+// callsigns and Wikipedia titles have to match exactly after normalization.
+// Wikipedia titles in the validation file are search results and sometimes
+// point at a parent or successor airline, so they rank below real names.
+const ALIAS_WEIGHTS = {
+  name: 1,
+  alias: 1,
+  wikiTitle: 0.85,
+  callsign: 0.9,
+};
+const FUZZY_KINDS = new Set(['name', 'alias']);
+
+// Words that say "this is an airline" but not which one
+const GENERIC_WORDS = new Set([
+  'air', 'airline', 'airlines', 'airways', 'aviation', 'aviacion', 'aviacao',
+  'aerolineas', 'aerolinhas', 'lineas', 'linhas', 'aereas', 'lines',
+  'international', 'intl', 'company', 'co', 'corp', 'corporation', 'inc',
+  'ltd', 'limited', 'plc', 'sa', 'ag', 'as', 'asa', 'the', 'de', 'del', 'of',
+]);
+
+/**
+ * Lowercase, strip accents, parentheticals and punctuation.
+ * "Aeroméxico (Aerovías de México)" -> "aeromexico"
+ */
+export function normalizeAirlineName(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/\bair lines\b/g, 'airlines')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function getCoreTokens(normalized) {
+  return normalized.split(' ').filter(token => token && !GENERIC_WORDS.has(token));
+}
+
+function getBigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i++) bigrams.push(compact.slice(i, i + 2));
+  return bigrams;
+}
+
+// Sørensen–Dice coefficient over two lists (multiset intersection)
+function dice(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const counts = new Map();
+  a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  let shared = 0;
+  for (const item of b) {
+    const count = counts.get(item);
+    if (count) {
+      shared++;
+      counts.set(item, count - 1);
+    }
+  }
+  return (2 * shared) / (a.length + b.length);
+}
+
+function createAlias(iata, kind, text) {
+  const normalized = normalizeAirlineName(text);
+  const core = getCoreTokens(normalized);
+  return { iata, kind, text, normalized, core, coreText: core.join(' '), bigrams: getBigrams(core.join(' ')) };
+}
+
+/**
+ * Score one alias against a normalized input. Returns 0..1.
+ */
+function scoreAlias(alias, input) {
+  const weight = ALIAS_WEIGHTS[alias.kind];
+  if (!alias.normalized) return 0;
+  if (alias.normalized === input.normalized) return weight;
+  if (!FUZZY_KINDS.has(alias.kind) || alias.core.length === 0 || input.core.length === 0) return 0;
+
+  // Same distinctive words, different filler ("Delta Air Lines" vs "Delta Airlines Inc")
+  if (alias.coreText === input.coreText) return 0.95 * weight;
+
+  // Fuzzy: best of word overlap and spelling similarity, capped below exact matches
+  const similarity = Math.max(dice(alias.core, input.core), dice(alias.bigrams, input.bigrams));
+  return 0.9 * similarity * weight;
+}
+
+function resemblesAirline(title, aliases, iata) {
+  return aliases.some(alias =>
+    alias.iata === iata &&
+    alias.kind !== 'callsign' &&
+    (alias.core.some(token => title.core.includes(token)) || dice(alias.bigrams, title.bigrams) >= 0.5)
+  );
+}
+
+/**
+ * Build a matcher over the airlines the app knows about.
+ *
+ * @param airlines     airlines.json records ({ iata, icao, name })
+ * @param datRecords   parsed airlines.dat records, for aliases and callsigns
+ * @param validation   airline-validation.json, for Wikipedia titles
+ * @param threshold    minimum score to accept a match
+ */
+export function createAirlineMatcher(airlines, { datRecords = [], validation = {}, threshold = DEFAULT_THRESHOLD } = {}) {
+  const byIATA = new Map(airlines.map(a => [a.iata, a]));
+  const byICAO = new Map(airlines.filter(a => a.icao).map(a => [a.icao, a]));
+  const aliases = [];
+  const seen = new Set();
+
+  const addAlias = (iata, kind, text) => {
+    if (!text || !text.trim()) return;
+    const key = `${iata}|${kind}|${text}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    aliases.push(createAlias(iata, kind, text));
+
+    if (kind === 'callsign') return;
+
+    // "Aerolineas Galapagos (Aerogal)" is also known as "Aerogal"
+    for (const [, inner] of text.matchAll(/\(([^)]+)\)/g)) {
+      if (!/^[A-Z0-9]{2,3}$/.test(inner)) addAlias(iata, 'alias', inner);
+    }
+    // "Avianca - Aerovias Nacionales de Colombia" is also known as "Avianca"
+    if (text.includes(' - ')) {
+      text.split(' - ').forEach(part => addAlias(iata, 'alias', part));
+    }
+  };
+
+  for (const airline of airlines) {
+    addAlias(airline.iata, 'name', airline.name);
+  }
+
+  // OpenFlights reuses IATA codes across defunct airlines, so only take
+  // aliases from the row with the same ICAO code (or the active row when
+  // the airline has no ICAO code)
+  for (const record of datRecords) {
+    const airline = byIATA.get(record.iata);
+    if (!airline) continue;
+    const sameAirline = airline.icao ? record.icao === airline.icao : record.active === 'Y';
+    if (!sameAirline) continue;
+    addAlias(airline.iata, 'name', record.name);
+    addAlias(airline.iata, 'alias', record.alias);
+    addAlias(airline.iata, 'callsign', record.callsign);
+  }
+
+  // Wikipedia titles. Skip list pages and titles that are another airline's
+  // name ("Cyprus Turkish Airlines" -> "Turkish Airlines"). Outside the
+  // confirmed "active" entries, titles are search results, so they must
+  // also resemble the airline's own name ("Air Pacific" -> "Fiji Airways"
+  // is lost, "Eagle Atlantic Airlines" -> "SkyWest Airlines" is avoided).
+  const nameOwners = new Map();
+  for (const alias of aliases) {
+    if (alias.kind === 'name') nameOwners.set(alias.normalized, alias.iata);
+  }
+  for (const [status, entries] of Object.entries(validation)) {
+    if (!Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      if (!entry.wikiTitle || entry.wikiTitle.startsWith('List of')) continue;
+      const airline = byIATA.get(entry.iata);
+      if (!airline || (entry.icao && airline.icao && entry.icao !== airline.icao)) continue;
+      const title = createAlias(airline.iata, 'wikiTitle', entry.wikiTitle);
+      const owner = nameOwners.get(title.normalized);
+      if (owner && owner !== airline.iata) continue;
+      if (status !== 'active' && !resemblesAirline(title, aliases, airline.iata)) continue;
+      addAlias(airline.iata, 'wikiTitle', entry.wikiTitle);
+    }
+  }
+
+  return {
+    threshold,
+
+    /**
+     * Resolve a name to { iata, score, via } or null when nothing scores
+     * above the threshold or two airlines score about the same.
+     */
+    match(name) {
+      const trimmed = name.trim();
+
+      // Bare codes: "BA", "BAW"
+      if (/^[A-Z0-9]{2}$/.test(trimmed) && byIATA.has(trimmed)) {
+        return { iata: trimmed, score: 1, via: 'iata' };
+      }
+      if (/^[A-Z]{3}$/.test(trimmed) && byICAO.has(trimmed)) {
+        return { iata: byICAO.get(trimmed).iata, score: 1, via: 'icao' };
+      }
+
+      const normalized = normalizeAirlineName(trimmed);
+      if (!normalized) return null;
+      const core = getCoreTokens(normalized);
+      const input = { normalized, core, coreText: core.join(' '), bigrams: getBigrams(core.join(' ')) };
+
+      // Best score per airline
+      const best = new Map();
+      for (const alias of aliases) {
+        const score = scoreAlias(alias, input);
+        if (score === 0) continue;
+        const current = best.get(alias.iata);
+        if (!current || score > current.score) {
+          best.set(alias.iata, { iata: alias.iata, score, via: alias.kind });
+        }
+      }
+
+      const ranked = [...best.values()].sort((a, b) => b.score - a.score || a.iata.localeCompare(b.iata));
+      const [top, runnerUp] = ranked;
+      if (!top || top.score < threshold) return null;
+      if (runnerUp && top.score - runnerUp.score < AMBIGUITY_MARGIN) return null;
+
+      return { ...top, score: Math.round(top.score * 1000) / 1000 };
+    },
+  };
+}
+
+/**
+ * Resolve a list of names to IATA codes.
+ *
+ * Order of precedence:
+ *   1. cache entries with source "manual" (hand corrections)
+ *   2. the local matcher
+ *   3. any other cache entry (earlier fallback answers, including nulls)
+ *   4. the optional fallback, whose answers are added to the cache
+ *
+ * The fallback is any async function (names) => { [name]: iata | null },
+ * answering the names it could. Codes it returns that aren't known airlines
+ * are treated as no match. Names it leaves out, e.g. after a failed request,
+ * stay unmatched and uncached so the next run asks again.
+ *
+ * Returns { matches: Map<name, iata>, unmatched: string[], stats }.
+ */
+export async function resolveAirlineNames(names, matcher, { cache = {}, fallback = null, knownCodes } = {}) {
+  const sorted = [...new Set(names)].sort();
+  const matches = new Map();
+  const pending = [];
+  const stats = { manual: 0, local: 0, cached: 0, fallback: 0, unanswered: 0 };
+
+  for (const name of sorted) {
+    const cached = cache[name];
+    if (cached && cached.source === 'manual') {
+      if (cached.iata) matches.set(name, cached.iata);
+      stats.manual++;
+      continue;
+    }
+
+    const local = matcher.match(name);
+    if (local) {
+      matches.set(name, local.iata);
+      stats.local++;
+      continue;
+    }
+
+    if (cached) {
+      if (cached.iata) matches.set(name, cached.iata);
+      stats.cached++;
+      continue;
+    }
+
+    pending.push(name);
+  }
+
+  if (fallback && pending.length > 0) {
+    const answers = await fallback(pending);
+    for (const name of pending) {
+      if (!Object.hasOwn(answers, name)) {
+        stats.unanswered++;
+        continue;
+      }
+      const iata = answers[name];
+      const valid = iata && (!knownCodes || knownCodes.has(iata)) ? iata : null;
+      cache[name] = { iata: valid, source: 'fallback' };
+      if (valid) {
+        matches.set(name, valid);
+        stats.fallback++;
+      }
+    }
+  }
+
+  const unmatched = sorted.filter(name => !matches.has(name));
+  return { matches, unmatched, stats };
+}
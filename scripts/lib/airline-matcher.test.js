@@ -0,0 +1,89 @@
+/**
+ * Tests for the offline airline matcher and the name resolution around it.
+ *
+ * Usage: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAirlineMatcher, normalizeAirlineName, resolveAirlineNames } from './airline-matcher.js';
+
+const AIRLINES = [
+  { iata: 'DL', icao: 'DAL', name: 'Delta Air Lines' },
+  { iata: 'LH', icao: 'DLH', name: 'Lufthansa' },
+  { iata: 'GQ', icao: 'SEH', name: 'Sky Express' },
+  { iata: 'XY', icao: null, name: 'Sky Express Airlines' },
+  { iata: 'AM', icao: 'AMX', name: 'Aeroméxico' },
+];
+
+const matcher = createAirlineMatcher(AIRLINES);
+const matchCode = (name, m = matcher) => m.match(name)?.iata ?? null;
+
+test('names are compared without accents, parentheticals or punctuation', () => {
+  assert.equal(normalizeAirlineName('Aeroméxico (Aerovías de México)'), 'aeromexico');
+  assert.equal(normalizeAirlineName('Delta Air Lines, Inc.'), 'delta airlines inc');
+});
+
+test('exact names and bare codes match', () => {
+  assert.deepEqual(matcher.match('Lufthansa'), { iata: 'LH', score: 1, via: 'name' });
+  assert.equal(matchCode('Aeromexico'), 'AM');
+  assert.deepEqual(matcher.match('DL'), { iata: 'DL', score: 1, via: 'iata' });
+  assert.deepEqual(matcher.match('DLH'), { iata: 'LH', score: 1, via: 'icao' });
+});
+
+test('fuzzy matches are only accepted above the threshold', () => {
+  // Same distinctive words, different filler
+  assert.equal(matchCode('Delta Airlines Inc'), 'DL');
+
+  // A misspelling scores about 0.85: in at the default threshold, out at 0.9
+  const misspelt = matcher.match('Lufthansaa');
+  assert.equal(misspelt.iata, 'LH');
+  assert.ok(misspelt.score >= 0.8 && misspelt.score < 0.9, `score ${misspelt.score}`);
+  assert.equal(matchCode('Lufthansaa', createAirlineMatcher(AIRLINES, { threshold: 0.9 })), null);
+
+  assert.equal(matchCode('Qantas'), null);
+});
+
+test('names that fit two airlines about equally match neither', () => {
+  // Both reduce to "sky express" once the filler words are dropped
+  assert.equal(matchCode('Sky Express Ltd'), null);
+  // An exact name still wins by a clear margin
+  assert.equal(matchCode('Sky Express'), 'GQ');
+  assert.equal(matchCode('Sky Express Airlines'), 'XY');
+});
+
+test('generic words alone match nothing', () => {
+  assert.equal(matchCode('Air'), null);
+  assert.equal(matchCode('International Airlines'), null);
+});
+
+test('resolveAirlineNames only caches names the fallback answered', async () => {
+  const cache = {
+    'Delta Connection': { iata: 'DL', source: 'manual' },
+    'Old Guess': { iata: null, source: 'fallback' },
+  };
+  const asked = [];
+  const fallback = async names => {
+    asked.push(...names);
+    // "Unknown Air" is left out, as when its batch failed
+    return { 'Hansa Flug': 'LH', 'Made Up Air': 'ZZ' };
+  };
+
+  const { matches, unmatched, stats } = await resolveAirlineNames(
+    ['Lufthansa', 'Delta Connection', 'Old Guess', 'Hansa Flug', 'Made Up Air', 'Unknown Air'],
+    matcher,
+    { cache, fallback, knownCodes: new Set(AIRLINES.map(a => a.iata)) }
+  );
+
+  assert.deepEqual(asked, ['Hansa Flug', 'Made Up Air', 'Unknown Air']);
+  assert.equal(matches.get('Lufthansa'), 'LH');
+  assert.equal(matches.get('Delta Connection'), 'DL');
+  assert.equal(matches.get('Hansa Flug'), 'LH');
+  assert.deepEqual(unmatched, ['Made Up Air', 'Old Guess', 'Unknown Air']);
+  assert.deepEqual(stats, { manual: 1, local: 1, cached: 1, fallback: 1, unanswered: 1 });
+
+  // Unknown codes are cached as no match; unanswered names aren't cached at all
+  assert.deepEqual(cache['Hansa Flug'], { iata: 'LH', source: 'fallback' });
+  assert.deepEqual(cache['Made Up Air'], { iata: null, source: 'fallback' });
+  assert.ok(!Object.hasOwn(cache, 'Unknown Air'));
+});
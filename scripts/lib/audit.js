@@ -0,0 +1,252 @@
+/**
+ * Data quality checks for the files in public/data.
+ *
+ * Each check counts the records with one kind of problem and keeps the
+ * offending records as examples. A check fails when its count, as a share
+ * of the records it looked at, is over its threshold. Most thresholds are
+ * 0; one-way routes and long routes for the aircraft listed are common in
+ * the source data and only fail when they grow well past today's levels.
+ */
+
+import {
+  AIRPORT_SCHEMA,
+  AIRLINE_SCHEMA,
+  ROUTE_SCHEMA,
+  AIRCRAFT_TYPE_SCHEMA,
+  validateRecords,
+} from './schema.js';
+
+// Highest share of checked records allowed to have each problem
+export const DEFAULT_THRESHOLDS = {
+  'invalid-records': 0,
+  'duplicate-codes': 0,
+  'dangling-airports': 0,
+  'dangling-airlines': 0,
+  'empty-operators': 0,
+  'bad-coordinates': 0,
+  'active-without-routes': 0,
+  'validation-disagreements': 0,
+  'one-way-routes': 0.05,
+  'implausible-distances': 0.001,
+};
+
+// Catalog ranges are typical figures; allow some slack before calling a route too long
+const RANGE_TOLERANCE = 1.1;
+
+// Coordinates closer than this to 0,0 are almost always a missing value
+const NULL_ISLAND_DEGREES = 0.01;
+
+const routeKey = route => `${route.origin}-${route.destination}`;
+
+/**
+ * [{ code, count }] for codes used by more than one record
+ */
+function findDuplicates(records, key) {
+  const counts = new Map();
+  records.forEach(record => counts.set(record[key], (counts.get(record[key]) || 0) + 1));
+  return [...counts].filter(([, count]) => count > 1).map(([code, count]) => ({ code, count }));
+}
+
+function checkInvalidRecords({ airports, airlines, routes, aircraftCatalog }) {
+  const files = [
+    { file: 'airports.json', records: airports, schema: AIRPORT_SCHEMA },
+    { file: 'airlines.json', records: airlines, schema: AIRLINE_SCHEMA },
+    { file: 'routes.json', records: routes, schema: ROUTE_SCHEMA },
+    { file: 'aircraft-catalog.json', records: aircraftCatalog, schema: AIRCRAFT_TYPE_SCHEMA },
+  ];
+  return {
+    checked: files.reduce((sum, { records }) => sum + records.length, 0),
+    issues: files.flatMap(({ file, records, schema }) =>
+      validateRecords(records, schema).map(({ index, errors }) => ({ file, index, errors }))
+    ),
+  };
+}
+
+function checkDuplicateCodes({ airports, airlines }) {
+  return {
+    checked: airports.length + airlines.length,
+    issues: [
+      ...findDuplicates(airports, 'iata').map(d => ({ file: 'airports.json', ...d })),
+      ...findDuplicates(airlines, 'iata').map(d => ({ file: 'airlines.json', ...d })),
+    ],
+  };
+}
+
+function checkDanglingAirports({ routes, airportMap }) {
+  return {
+    checked: routes.length,
+    issues: routes
+      .map(route => ({
+        route: routeKey(route),
+        missing: [route.origin, route.destination].filter(code => !airportMap.has(code)),
+      }))
+      .filter(({ missing }) => missing.length > 0),
+  };
+}
+
+// Operators, codeshares and service notes naming airlines not in airlines.json
+function checkDanglingAirlines({ routes, airlineMap }) {
+  return {
+    checked: routes.length,
+    issues: routes
+      .map(route => {
+        const codes = [...route.operators, ...route.codeshares, ...(route.services || []).map(s => s.airline)];
+        return { route: routeKey(route), missing: [...new Set(codes.filter(code => !airlineMap.has(code)))] };
+      })
+      .filter(({ missing }) => missing.length > 0),
+  };
+}
+
+function checkEmptyOperators({ routes }) {
+  return {
+    checked: routes.length,
+    issues: routes
+      .filter(route => route.operators.length === 0)
+      .map(route => ({ route: routeKey(route), codeshares: route.codeshares })),
+  };
+}
+
+function checkBadCoordinates({ airports }) {
+  const problem = ({ lat, lon }) => {
+    if (typeof lat !== 'number' || typeof lon !== 'number' || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return 'not a number';
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return 'out of range';
+    if (Math.abs(lat) < NULL_ISLAND_DEGREES && Math.abs(lon) < NULL_ISLAND_DEGREES) return 'at 0,0';
+    return null;
+  };
+  return {
+    checked: airports.length,
+    issues: airports
+      .map(airport => ({ airport: airport.iata, lat: airport.lat, lon: airport.lon, problem: problem(airport) }))
+      .filter(({ problem }) => problem),
+  };
+}
+
+// update-routes sets "active" from the routes it keeps; a stale flag leaves
+// airlines in the app's filters with nothing to show
+function checkActiveWithoutRoutes({ airlines, routes }) {
+  const onRoutes = new Set(routes.flatMap(route => [...route.operators, ...route.codeshares]));
+  return {
+    checked: airlines.length,
+    issues: airlines
+      .filter(airline => airline.active && !onRoutes.has(airline.iata))
+      .map(airline => ({ airline: airline.iata, name: airline.name })),
+  };
+}
+
+function checkOneWayRoutes({ routes }) {
+  const keys = new Set(routes.map(routeKey));
+  return {
+    checked: routes.length,
+    issues: routes
+      .filter(route => !keys.has(`${route.destination}-${route.origin}`))
+      .map(route => ({ route: routeKey(route), operators: route.operators })),
+  };
+}
+
+// Routes longer than the range of every catalogued aircraft listed on them.
+// Routes without catalogued aircraft aren't checked.
+function checkImplausibleDistances({ routes, catalogMap }) {
+  let checked = 0;
+  const issues = [];
+  for (const route of routes) {
+    const ranges = route.aircraft.filter(code => catalogMap.has(code)).map(code => catalogMap.get(code).range);
+    if (ranges.length === 0) continue;
+    checked++;
+    const range = Math.max(...ranges);
+    if (route.distance > range * RANGE_TOLERANCE) {
+      issues.push({ route: routeKey(route), distance: route.distance, aircraft: route.aircraft, range });
+    }
+  }
+  return { checked, issues };
+}
+
+// Airlines whose status in airlines.json contradicts data/airline-validation.json.
+// Entries are matched on IATA and ICAO code together, as OpenFlights reuses IATA codes.
+function checkValidationDisagreements({ airlines, validation }) {
+  const key = airline => `${airline.iata}/${airline.icao || ''}`;
+  const defunct = new Set((validation.defunct || []).map(key));
+  const active = new Set((validation.active || []).map(key));
+  return {
+    checked: airlines.length,
+    issues: airlines.flatMap(airline => {
+      if (airline.active && defunct.has(key(airline))) {
+        return [{ airline: airline.iata, name: airline.name, problem: 'active but defunct per airline-validation.json' }];
+      }
+      if (!airline.active && active.has(key(airline))) {
+        return [{ airline: airline.iata, name: airline.name, problem: 'inactive but active per airline-validation.json' }];
+      }
+      return [];
+    }),
+  };
+}
+
+const CHECKS = [
+  { id: 'invalid-records', description: 'Records not matching the shapes in src/types', run: checkInvalidRecords },
+  { id: 'duplicate-codes', description: 'IATA codes used by more than one airport or airline', run: checkDuplicateCodes },
+  { id: 'dangling-airports', description: 'Routes to or from airports not in airports.json', run: checkDanglingAirports },
+  { id: 'dangling-airlines', description: 'Routes naming airlines not in airlines.json', run: checkDanglingAirlines },
+  { id: 'empty-operators', description: 'Routes without an operating airline', run: checkEmptyOperators },
+  { id: 'bad-coordinates', description: 'Airports with missing, out-of-range or 0,0 coordinates', run: checkBadCoordinates },
+  { id: 'active-without-routes', description: 'Airlines marked active that are on no route', run: checkActiveWithoutRoutes },
+  {
+    id: 'validation-disagreements',
+    description: 'Airlines whose active flag contradicts data/airline-validation.json',
+    run: checkValidationDisagreements,
+  },
+  { id: 'one-way-routes', description: 'Routes without a return route', run: checkOneWayRoutes },
+  {
+    id: 'implausible-distances',
+    description: 'Routes longer than the range of every aircraft listed on them',
+    run: checkImplausibleDistances,
+  },
+];
+
+export const CHECK_IDS = CHECKS.map(check => check.id);
+
+/**
+ * Run every check over the data files.
+ *
+ * data: { airports, airlines, routes, aircraftCatalog, validation }
+ * thresholds: overrides for DEFAULT_THRESHOLDS, by check id
+ * maxExamples: offending records kept per check (all when undefined)
+ *
+ * Returns { passed, totals, checks: [{ id, description, passed, count,
+ * checked, share, threshold, examples }] }.
+ */
+export function auditData(data, { thresholds = {}, maxExamples } = {}) {
+  const context = {
+    ...data,
+    airportMap: new Map(data.airports.map(a => [a.iata, a])),
+    airlineMap: new Map(data.airlines.map(a => [a.iata, a])),
+    catalogMap: new Map(data.aircraftCatalog.map(a => [a.code, a])),
+  };
+
+  const checks = CHECKS.map(({ id, description, run }) => {
+    const { checked, issues } = run(context);
+    const threshold = thresholds[id] ?? DEFAULT_THRESHOLDS[id];
+    const share = checked > 0 ? issues.length / checked : 0;
+    return {
+      id,
+      description,
+      passed: share <= threshold,
+      count: issues.length,
+      checked,
+      share: Number(share.toFixed(4)),
+      threshold,
+      examples: issues.slice(0, maxExamples),
+    };
+  });
+
+  return {
+    passed: checks.every(check => check.passed),
+    totals: {
+      airports: data.airports.length,
+      airlines: data.airlines.length,
+      routes: data.routes.length,
+      aircraftTypes: data.aircraftCatalog.length,
+    },
+    checks,
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * CSV parsing for the raw data sources.
+ *
+ * Handles RFC 4180 quoting (commas, newlines and doubled quotes inside
+ * quoted fields) plus the OpenFlights .dat conventions: backslash escapes
+ * inside quoted fields and an unquoted \N for null.
+ */
+
+/**
+ * Split CSV text into rows of fields.
+ * Returns [{ line, fields }] where `line` is the 1-based line the row starts on.
+ */
+export function parseCSVRows(text, { backslashEscapes = false } = {}) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;     // inside a quoted field
+  let wasQuoted = false;  // current field was quoted (so "\N" stays literal)
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    fields.push(!wasQuoted && field === '\\N' ? null : field);
+    field = '';
+    wasQuoted = false;
+  };
+
+  const endRow = () => {
+    endField();
+    // Skip blank lines
+    if (!(fields.length === 1 && fields[0] === '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (backslashEscapes && char === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+        field += text[++i];
+      } else if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name.
+ */
+export function parseCSV(text, options) {
+  const [header, ...rows] = parseCSVRows(text, options);
+  if (!header) return [];
+  return rows.map(({ line, fields }) => ({ line, record: toRecord(header.fields, fields) }));
+}
+
+/**
+ * Parse headerless DAT files (OpenFlights) into objects using the given column names.
+ */
+export function parseDAT(text, headers) {
+  return parseCSVRows(text, { backslashEscapes: true }).map(({ line, fields }) => ({
+    line,
+    record: toRecord(headers, fields),
+  }));
+}
+
+function toRecord(headers, fields) {
+  const record = {};
+  headers.forEach((header, index) => {
+    const value = fields[index];
+    record[header] = value === undefined ? null : value;
+  });
+  return record;
+}
@@ -0,0 +1,17 @@
+/**
+ * Geographic helpers shared by the data scripts.
+ * Mirrors getDistance in src/lib/utils.ts.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great circle distance between two { lat, lon } points in km (haversine)
+ */
+export function getDistance(a, b) {
+  const toRad = d => (d * Math.PI) / 180;
+  const h =
+    Math.sin(toRad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(toRad(b.lon - a.lon) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
@@ -0,0 +1,166 @@
+/**
+ * Minimal HTML parsing for scraped Wikipedia pages.
+ *
+ * Builds a plain element tree ({ tag, attrs, children } and { text } nodes)
+ * that is good enough for well-formed MediaWiki output: comments, scripts
+ * and styles are dropped, void elements don't take children and table
+ * cells and rows close implicitly like they do in browsers.
+ */
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Opening one of these closes an open element of the listed tags first
+const IMPLIED_END = {
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  tr: ['tr', 'td', 'th'],
+  li: ['li'],
+  p: ['p'],
+};
+
+// Implied closing stops at these, so a cell in a nested table doesn't close the outer cell
+const SCOPE_TAGS = new Set(['table', 'ul', 'ol']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const [, name, , doubleQuoted, singleQuoted, bare] of source.matchAll(/([^\s=/]+)(\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attrs[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Parse an HTML document or fragment into a root node.
+ */
+export function parseHTML(html) {
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '');
+
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const close = (tag) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+    // Stray closing tag: ignore
+  };
+
+  for (const [, slash, name, attrSource, selfClosing, text] of source.matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*?)(\/?)>|([^<]+|<)/g)) {
+    if (text !== undefined) {
+      current().children.push({ text: decodeEntities(text) });
+      continue;
+    }
+
+    const tag = name.toLowerCase();
+    if (slash) {
+      close(tag);
+      continue;
+    }
+
+    const implied = IMPLIED_END[tag];
+    if (implied) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (SCOPE_TAGS.has(stack[i].tag)) break;
+        if (implied.includes(stack[i].tag)) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+
+    const element = { tag, attrs: parseAttributes(attrSource), children: [] };
+    current().children.push(element);
+    if (!VOID_TAGS.has(tag) && !selfClosing) stack.push(element);
+  }
+
+  return root;
+}
+
+/**
+ * All elements under `node` in document order (including `node` itself).
+ */
+export function getElements(node) {
+  const elements = [];
+  const walk = (n) => {
+    if (!n.tag) return;
+    elements.push(n);
+    n.children.forEach(walk);
+  };
+  walk(node);
+  return elements;
+}
+
+export function hasClass(node, className) {
+  return (node.attrs?.class || '').split(/\s+/).includes(className);
+}
+
+/**
+ * Text content with whitespace collapsed. Pass `skip` to leave out
+ * subtrees, e.g. footnote markers.
+ */
+export function getText(node, skip = () => false) {
+  if (!node.tag) return node.text;
+  if (skip(node)) return '';
+  if (node.tag === 'br') return ' ';
+  return node.children.map(child => getText(child, skip)).join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Expand a table into a grid of cells, resolving rowspan and colspan.
+ * Each grid entry is { cell, row, header } where `cell` is the original
+ * element, repeated in every slot it spans. Rows of nested tables are not
+ * included.
+ */
+export function getTableGrid(table) {
+  const rows = [];
+  const collect = (node) => {
+    for (const child of node.children) {
+      if (!child.tag || child.tag === 'table') continue;
+      if (child.tag === 'tr') rows.push(child);
+      else collect(child);
+    }
+  };
+  collect(table);
+
+  const grid = [];
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    for (const cell of row.children.filter(c => c.tag === 'td' || c.tag === 'th')) {
+      // Skip slots already filled by a rowspan from above
+      while (grid[rowIndex][column]) column++;
+
+      const rowspan = Math.max(1, parseInt(cell.attrs.rowspan, 10) || 1);
+      const colspan = Math.max(1, parseInt(cell.attrs.colspan, 10) || 1);
+      for (let r = 0; r < rowspan && rowIndex + r < rows.length; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][column + c] = { cell, row: rowIndex, header: cell.tag === 'th' };
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  return grid;
+}
@@ -0,0 +1,44 @@
+/**
+ * JSON reading and deterministic writing for the data files.
+ *
+ * Record lists are written one record per line so a changed route shows up
+ * as a one-line diff, while keeping the files far smaller than 2-space
+ * pretty printing.
+ */
+
+import fs from 'fs/promises';
+
+export async function readJSON(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+}
+
+/**
+ * Serialize data files:
+ * - arrays: one element per line
+ * - objects of arrays (e.g. routes by airport): one key per block, one element per line
+ * - anything else: 2-space pretty printing
+ */
+export function formatJSON(data) {
+  const list = (items, indent) =>
+    items.length === 0
+      ? '[]'
+      : `[\n${items.map(item => indent + JSON.stringify(item)).join(',\n')}\n${indent.slice(2)}]`;
+
+  if (Array.isArray(data)) {
+    return list(data, '  ') + '\n';
+  }
+
+  const values = data && typeof data === 'object' ? Object.values(data) : [];
+  if (values.length > 0 && values.every(Array.isArray)) {
+    const blocks = Object.entries(data).map(
+      ([key, items]) => `  ${JSON.stringify(key)}: ${list(items, '    ')}`
+    );
+    return `{\n${blocks.join(',\n')}\n}\n`;
+  }
+
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+export async function writeJSON(filePath, data) {
+  await fs.writeFile(filePath, formatJSON(data));
+}
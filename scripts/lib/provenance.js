@@ -0,0 +1,82 @@
+/**
+ * Where each route came from, and what each route update changed.
+ *
+ * Every route records its source (the first one to list it), when it first
+ * appeared and when a source last listed it. Dates are ISO dates, possibly
+ * partial like the service dates: OpenFlights routes are dated to the
+ * snapshot they come from.
+ *
+ * update-routes diffs the data before and after each run and adds the
+ * result to public/data/changelog.json, newest first. Mirrors the
+ * DataUpdate type in src/types/index.ts.
+ */
+
+// The OpenFlights route database was last updated in June 2014
+export const OPENFLIGHTS_SNAPSHOT = '2014-06';
+
+export const OPENFLIGHTS_PROVENANCE = {
+  source: 'openflights',
+  firstSeen: OPENFLIGHTS_SNAPSHOT,
+  lastConfirmed: OPENFLIGHTS_SNAPSHOT,
+};
+
+/**
+ * A route's provenance fields, defaulting to the OpenFlights snapshot for
+ * routes written before provenance was recorded
+ */
+export function getProvenance(route) {
+  return {
+    source: route.source ?? OPENFLIGHTS_PROVENANCE.source,
+    firstSeen: route.firstSeen ?? OPENFLIGHTS_PROVENANCE.firstSeen,
+    lastConfirmed: route.lastConfirmed ?? OPENFLIGHTS_PROVENANCE.lastConfirmed,
+  };
+}
+
+const routeKey = route => `${route.origin}-${route.destination}`;
+
+const byRoute = (a, b) => routeKey(a).localeCompare(routeKey(b)) || (a.airline || '').localeCompare(b.airline || '');
+
+/**
+ * What changed between two versions of routes.json and airlines.json:
+ * routes added and removed, operators added to and removed from routes in
+ * both, and airlines whose active flag flipped. Codeshares and aircraft
+ * aren't compared.
+ */
+export function diffData(before, after, date) {
+  const beforeRoutes = new Map(before.routes.map(route => [routeKey(route), route]));
+  const afterRoutes = new Map(after.routes.map(route => [routeKey(route), route]));
+  const summary = ({ origin, destination, operators }) => ({ origin, destination, operators });
+
+  const routesAdded = after.routes.filter(route => !beforeRoutes.has(routeKey(route))).map(summary);
+  const routesRemoved = before.routes.filter(route => !afterRoutes.has(routeKey(route))).map(summary);
+
+  const operatorsAdded = [];
+  const operatorsRemoved = [];
+  for (const route of after.routes) {
+    const previous = beforeRoutes.get(routeKey(route));
+    if (!previous) continue;
+    const { origin, destination } = route;
+    route.operators
+      .filter(airline => !previous.operators.includes(airline))
+      .forEach(airline => operatorsAdded.push({ origin, destination, airline }));
+    previous.operators
+      .filter(airline => !route.operators.includes(airline))
+      .forEach(airline => operatorsRemoved.push({ origin, destination, airline }));
+  }
+
+  const wasActive = new Map(before.airlines.map(a => [a.iata, a.active]));
+  const flipped = active => after.airlines
+    .filter(a => a.active === active && wasActive.has(a.iata) && wasActive.get(a.iata) !== active)
+    .map(a => a.iata)
+    .sort();
+
+  return {
+    date,
+    routesAdded: routesAdded.sort(byRoute),
+    routesRemoved: routesRemoved.sort(byRoute),
+    operatorsAdded: operatorsAdded.sort(byRoute),
+    operatorsRemoved: operatorsRemoved.sort(byRoute),
+    airlinesActivated: flipped(true),
+    airlinesDeactivated: flipped(false),
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Runtime shape checks for the generated data files.
+ *
+ * Keep these in sync with the interfaces in src/types/index.ts - the app
+ * trusts the JSON in public/data to match them.
+ */
+
+const isString = v => typeof v === 'string';
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isStringArray = v => Array.isArray(v) && v.every(isString);
+
+// OurAirports continent codes
+const CONTINENTS = ['AF', 'AN', 'AS', 'EU', 'NA', 'OC', 'SA'];
+
+const field = {
+  string: { check: isString, expected: 'string' },
+  nonEmptyString: { check: v => isString(v) && v.length > 0, expected: 'non-empty string' },
+  airportCode: { check: v => /^[A-Z]{3}$/.test(v), expected: '3-letter IATA airport code' },
+  airlineCode: { check: v => /^[A-Z0-9]{2}$/.test(v), expected: '2-character IATA airline code' },
+  aircraftCode: { check: v => /^[A-Z0-9]{3}$/.test(v), expected: '3-character equipment code' },
+  latitude: { check: v => isNumber(v) && v >= -90 && v <= 90, expected: 'latitude' },
+  longitude: { check: v => isNumber(v) && v >= -180 && v <= 180, expected: 'longitude' },
+  distance: { check: v => isNumber(v) && v > 0, expected: 'positive distance in km' },
+  boolean: { check: v => typeof v === 'boolean', expected: 'boolean' },
+  airlineCodes: { check: v => isStringArray(v) && v.every(c => /^[A-Z0-9]{2}$/.test(c)), expected: 'airline code list' },
+  airportCodes: { check: v => isStringArray(v) && v.every(c => /^[A-Z]{3}$/.test(c)), expected: 'airport code list' },
+  aircraftCodes: { check: v => isStringArray(v) && v.every(c => /^[A-Z0-9]{3}$/.test(c)), expected: 'equipment code list' },
+  aircraftClass: {
+    check: v => ['widebody', 'narrowbody', 'regional', 'utility'].includes(v),
+    expected: 'aircraft class',
+  },
+  routeServices: { check: v => Array.isArray(v) && v.every(isRouteService), expected: 'route service list' },
+  routeSource: { check: v => ['openflights', 'wikipedia'].includes(v), expected: 'route source' },
+  date: { check: v => isString(v) && isServiceDate(v), expected: 'ISO date' },
+  number: { check: isNumber, expected: 'number' },
+  runwayLength: { check: v => isNumber(v) && v > 0, expected: 'positive length in feet' },
+  continent: { check: v => CONTINENTS.includes(v), expected: 'continent code' },
+  url: { check: v => isString(v) && /^https?:\/\/\S+$/.test(v), expected: 'http(s) URL' },
+};
+
+// Partial ISO date: "2025", "2025-05" or "2025-05-14"
+const isServiceDate = v => v === null || (isString(v) && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v));
+
+function isRouteService(v) {
+  return (
+    v !== null && typeof v === 'object' &&
+    Object.keys(v).sort().join() === 'airline,begins,ends,type' &&
+    /^[A-Z0-9]{2}$/.test(v.airline) &&
+    ['year-round', 'seasonal', 'charter'].includes(v.type) &&
+    isServiceDate(v.begins) &&
+    isServiceDate(v.ends)
+  );
+}
+
+// Field that may be left out of a record
+const optional = spec => ({ ...spec, optional: true });
+
+// Field that is always present but may be null
+const nullable = spec => ({ check: v => v === null || spec.check(v), expected: `${spec.expected} or null` });
+
+// Airport and AirportInfo: airports.json has both, the index only the first
+export const AIRPORT_SCHEMA = {
+  iata: field.airportCode,
+  icao: field.string,
+  name: field.nonEmptyString,
+  city: field.string,
+  country: field.nonEmptyString,
+  lat: field.latitude,
+  lon: field.longitude,
+  type: field.nonEmptyString,
+  timezone: nullable(field.nonEmptyString),
+  continent: nullable(field.continent),
+  // Optional: the committed airports.json was built before these were required
+  elevation: optional(nullable(field.number)),
+  region: optional(nullable(field.nonEmptyString)),
+  regionName: optional(nullable(field.nonEmptyString)),
+  longestRunway: optional(nullable(field.runwayLength)),
+  website: optional(nullable(field.url)),
+  wikipedia: optional(nullable(field.url)),
+};
+
+export const AIRLINE_SCHEMA = {
+  iata: field.airlineCode,
+  icao: field.string,
+  name: field.nonEmptyString,
+  country: field.string,
+  active: field.boolean,
+};
+
+export const ROUTE_SCHEMA = {
+  origin: field.airportCode,
+  destination: field.airportCode,
+  operators: field.airlineCodes,
+  codeshares: field.airlineCodes,
+  aircraft: field.aircraftCodes,
+  distance: field.distance,
+  source: field.routeSource,
+  firstSeen: field.date,
+  lastConfirmed: field.date,
+  services: optional(field.routeServices),
+};
+
+export const AIRCRAFT_TYPE_SCHEMA = {
+  code: field.aircraftCode,
+  manufacturer: field.nonEmptyString,
+  name: field.nonEmptyString,
+  family: field.nonEmptyString,
+  class: field.aircraftClass,
+  range: field.distance,
+};
+
+export const METRO_AREA_SCHEMA = {
+  code: field.airportCode,
+  name: field.nonEmptyString,
+  country: field.nonEmptyString,
+  airports: field.airportCodes,
+};
+
+/**
+ * Check a record against a schema.
+ * Returns a list of problems; empty when the record matches exactly.
+ */
+export function validateRecord(record, schema) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return ['not an object'];
+  }
+
+  const errors = [];
+  for (const [key, { check, expected, optional }] of Object.entries(schema)) {
+    if (!(key in record)) {
+      if (!optional) errors.push(`missing "${key}"`);
+    } else if (!check(record[key])) {
+      errors.push(`"${key}" should be ${expected}, got ${JSON.stringify(record[key])}`);
+    }
+  }
+  for (const key of Object.keys(record)) {
+    if (!(key in schema)) errors.push(`unexpected field "${key}"`);
+  }
+  return errors;
+}
+
+/**
+ * Validate every record in a list. Returns [{ index, record, errors }] for failures.
+ */
+export function validateRecords(records, schema) {
+  const failures = [];
+  records.forEach((record, index) => {
+    const errors = validateRecord(record, schema);
+    if (errors.length > 0) failures.push({ index, record, errors });
+  });
+  return failures;
+}
@@ -0,0 +1,128 @@
+/**
+ * Compact, sharded copies of the data files for the app.
+ *
+ * The app loads a small index up front and fetches routes when a view
+ * needs them:
+ *   index.json                  airports (without the fields below),
+ *                               airlines, aircraft types and catalog, metro
+ *                               areas, the number of routes per airport and
+ *                               the date of the last route update
+ *   airport-info.json           airport time zones and the airport card's
+ *                               elevation, region, runway and links,
+ *                               fetched once the map is up
+ *   routes/airport-<IATA>.json  routes departing one airport
+ *   routes/airline-<IATA>.json  routes one airline operates or codeshares
+ *   routes/all.json             every route, for whole-network views
+ *
+ * Shard names are prefixed because some airport codes (AUX, NUL, PRN) are
+ * reserved file names on Windows.
+ *
+ * Record lists are stored as tables, { columns, rows }, with one array of
+ * values per record, and written without whitespace. Trailing values a
+ * record doesn't have (optional fields) are left off its row. The app's
+ * reader is src/lib/data.ts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SHARD_VERSION = 1;
+
+// Airport fields the first render doesn't need: time zones for route
+// tooltips and the selected airport's card
+const AIRPORT_INFO_FIELDS = ['timezone', 'elevation', 'region', 'regionName', 'longestRunway', 'website', 'wikipedia'];
+
+/**
+ * Records -> { columns, rows }. Columns are every key in first-seen order.
+ */
+export function toTable(records) {
+  const columns = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+
+  const rows = records.map(record => {
+    const row = columns.map(column => record[column]);
+    while (row.length > 0 && row[row.length - 1] === undefined) row.pop();
+    return row.map(value => value ?? null);
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Airport -> [index record, airport-info.json record]
+ */
+function splitAirport(airport) {
+  const summary = {};
+  const info = { iata: airport.iata };
+  for (const [key, value] of Object.entries(airport)) {
+    if (AIRPORT_INFO_FIELDS.includes(key)) info[key] = value;
+    else summary[key] = value;
+  }
+  return [summary, info];
+}
+
+async function writeCompact(filePath, data) {
+  await fs.writeFile(filePath, JSON.stringify(data));
+}
+
+/**
+ * Write the index and route shards to `outputDir`, replacing any shards
+ * from an earlier build so removed airports and airlines don't linger.
+ * `lastUpdate` is the date of the update-routes run that produced the
+ * routes, or null for routes straight from the sources.
+ */
+export async function writeShards(
+  outputDir,
+  { airports, airlines, routes, aircraftTypes, aircraftCatalog, metroAreas, lastUpdate = null }
+) {
+  const routesDir = path.join(outputDir, 'routes');
+  await fs.rm(routesDir, { recursive: true, force: true });
+  await fs.mkdir(routesDir, { recursive: true });
+
+  const byAirport = new Map();
+  const byAirline = new Map();
+  for (const route of routes) {
+    if (!byAirport.has(route.origin)) byAirport.set(route.origin, []);
+    byAirport.get(route.origin).push(route);
+
+    for (const code of new Set([...route.operators, ...route.codeshares])) {
+      if (!byAirline.has(code)) byAirline.set(code, []);
+      byAirline.get(code).push(route);
+    }
+  }
+
+  const routeCounts = {};
+  for (const [code, airportRoutes] of [...byAirport].sort(([a], [b]) => (a < b ? -1 : 1))) {
+    routeCounts[code] = airportRoutes.length;
+    await writeCompact(path.join(routesDir, `airport-${code}.json`), toTable(airportRoutes));
+  }
+  for (const [code, airlineRoutes] of byAirline) {
+    await writeCompact(path.join(routesDir, `airline-${code}.json`), toTable(airlineRoutes));
+  }
+  await writeCompact(path.join(routesDir, 'all.json'), toTable(routes));
+
+  const split = airports.map(splitAirport);
+  await writeCompact(path.join(outputDir, 'airport-info.json'), toTable(split.map(([, info]) => info)));
+
+  await writeCompact(path.join(outputDir, 'index.json'), {
+    version: SHARD_VERSION,
+    totalRoutes: routes.length,
+    lastUpdate,
+    routeCounts,
+    airports: toTable(split.map(([summary]) => summary)),
+    airlines: toTable(airlines),
+    aircraftTypes,
+    aircraftCatalog: toTable(aircraftCatalog),
+    metroAreas: toTable(metroAreas),
+  });
+
+  return { airports: byAirport.size, airlines: byAirline.size };
+}
@@ -0,0 +1,260 @@
+/**
+ * Offline time zone and continent lookup for airports.
+ *
+ * OurAirports has no time zones, so each airport gets the IANA zone whose
+ * reference point is nearest to it within the same country. Reference
+ * points are the principal locations in data/zone.tab (from the tz
+ * database) plus EXTRA_POINTS below, for zones whose principal city is far
+ * from parts of the area they cover. Countries with one zone always get
+ * that zone; airports in countries zone.tab doesn't list fall back to the
+ * nearest reference point anywhere.
+ */
+
+import fs from 'fs/promises';
+import { getDistance } from './geo.js';
+
+// Zones covering a small area around their principal location, in km.
+// Further out, airports get the country's other zones instead. Xinjiang
+// airports keep Beijing time, so Asia/Urumqi is never used.
+const ZONE_RADIUS = {
+  'America/Adak': 600,
+  'America/Atikokan': 50,
+  'America/Blanc-Sablon': 50,
+  'America/Boise': 200,
+  'America/Creston': 50,
+  'America/Dawson_Creek': 100,
+  'America/Detroit': 450,
+  'America/Fort_Nelson': 100,
+  'America/Glace_Bay': 150,
+  'America/Indiana/Indianapolis': 250,
+  'America/Indiana/Knox': 50,
+  'America/Indiana/Marengo': 50,
+  'America/Indiana/Petersburg': 50,
+  'America/Indiana/Tell_City': 50,
+  'America/Indiana/Vevay': 50,
+  'America/Indiana/Vincennes': 50,
+  'America/Indiana/Winamac': 50,
+  'America/Kentucky/Louisville': 100,
+  'America/Kentucky/Monticello': 50,
+  'America/Menominee': 80,
+  'America/North_Dakota/Beulah': 50,
+  'America/North_Dakota/Center': 50,
+  'America/North_Dakota/New_Salem': 50,
+  'America/Phoenix': 300,
+  'America/Swift_Current': 100,
+  'America/Coyhaique': 300,
+  'Africa/Ceuta': 250,
+  'Asia/Famagusta': 30,
+  'Asia/Omsk': 300,
+  'Asia/Urumqi': 0,
+  'Australia/Broken_Hill': 100,
+  'Australia/Eucla': 50,
+  'Europe/Astrakhan': 100,
+  'Europe/Busingen': 20,
+  'Europe/Kaliningrad': 300,
+  'Europe/Kirov': 200,
+  'Europe/Saratov': 100,
+  'Europe/Ulyanovsk': 100,
+  'Europe/Volgograd': 150,
+};
+
+// Extra reference points, as [country, lat, lon, zone], for zones whose
+// principal location is far from parts of the area they cover. Without
+// them the nearest principal location puts e.g. Dallas on Denver time.
+// Add one when a check of the airports turns up a wrong zone.
+const EXTRA_POINTS = [
+  ['US', 33.64, -84.43, 'America/New_York'],      // Atlanta
+  ['US', 25.79, -80.29, 'America/New_York'],      // Miami
+  ['US', 27.98, -82.53, 'America/New_York'],      // Tampa
+  ['US', 30.4, -84.35, 'America/New_York'],       // Tallahassee
+  ['US', 35.81, -83.99, 'America/New_York'],      // Knoxville
+  ['US', 39.05, -84.66, 'America/New_York'],      // Cincinnati
+  ['US', 41.71, -86.32, 'America/Indiana/Indianapolis'], // South Bend
+  ['US', 32.9, -97.04, 'America/Chicago'],        // Dallas
+  ['US', 29.98, -95.34, 'America/Chicago'],       // Houston
+  ['US', 29.53, -98.47, 'America/Chicago'],       // San Antonio
+  ['US', 33.66, -101.82, 'America/Chicago'],      // Lubbock
+  ['US', 31.94, -102.2, 'America/Chicago'],       // Midland
+  ['US', 35.39, -97.6, 'America/Chicago'],        // Oklahoma City
+  ['US', 37.65, -97.43, 'America/Chicago'],       // Wichita
+  ['US', 39.3, -94.71, 'America/Chicago'],        // Kansas City
+  ['US', 41.3, -95.89, 'America/Chicago'],        // Omaha
+  ['US', 44.88, -93.22, 'America/Chicago'],       // Minneapolis
+  ['US', 46.77, -100.75, 'America/Chicago'],      // Bismarck
+  ['US', 29.99, -90.26, 'America/Chicago'],       // New Orleans
+  ['US', 35.04, -89.98, 'America/Chicago'],       // Memphis
+  ['US', 36.12, -86.68, 'America/Chicago'],       // Nashville
+  ['US', 33.56, -86.75, 'America/Chicago'],       // Birmingham
+  ['US', 38.04, -87.53, 'America/Chicago'],       // Evansville
+  ['US', 40.04, -88.28, 'America/Chicago'],       // Champaign
+  ['US', 35.22, -101.7, 'America/Chicago'],       // Amarillo
+  ['US', 44.38, -100.29, 'America/Chicago'],      // Pierre
+  ['US', 30.47, -87.19, 'America/Chicago'],       // Pensacola
+  ['US', 30.36, -85.8, 'America/Chicago'],        // Panama City
+  ['US', 35.04, -106.61, 'America/Denver'],       // Albuquerque
+  ['US', 31.81, -106.38, 'America/Denver'],       // El Paso
+  ['US', 32.69, -103.22, 'America/Denver'],       // Hobbs
+  ['US', 34.43, -103.08, 'America/Denver'],       // Clovis
+  ['US', 40.79, -111.98, 'America/Denver'],       // Salt Lake City
+  ['US', 37.04, -113.51, 'America/Denver'],       // St. George
+  ['US', 46.61, -111.98, 'America/Denver'],       // Helena
+  ['US', 45.81, -108.54, 'America/Denver'],       // Billings
+  ['US', 44.05, -103.06, 'America/Denver'],       // Rapid City
+  ['US', 35.14, -111.67, 'America/Phoenix'],      // Flagstaff
+  ['US', 32.12, -110.94, 'America/Phoenix'],      // Tucson
+  ['US', 47.45, -122.31, 'America/Los_Angeles'],  // Seattle
+  ['US', 45.59, -122.6, 'America/Los_Angeles'],   // Portland
+  ['US', 47.62, -117.53, 'America/Los_Angeles'],  // Spokane
+  ['US', 39.5, -119.77, 'America/Los_Angeles'],   // Reno
+  ['US', 36.08, -115.15, 'America/Los_Angeles'],  // Las Vegas
+  ['CA', 45.47, -73.74, 'America/Toronto'],       // Montreal
+  ['CA', 46.79, -71.39, 'America/Toronto'],       // Quebec City
+  ['CA', 48.37, -89.32, 'America/Toronto'],       // Thunder Bay
+  ['CA', 51.13, -114.01, 'America/Edmonton'],     // Calgary
+  ['CA', 49.96, -119.38, 'America/Vancouver'],    // Kelowna
+  ['CA', 54.29, -130.44, 'America/Vancouver'],    // Prince Rupert
+  ['CA', 49.21, -57.39, 'America/St_Johns'],      // Deer Lake
+  ['CA', 48.54, -58.55, 'America/St_Johns'],      // Stephenville
+  ['MX', 24.12, -104.53, 'America/Mexico_City'],  // Durango
+  ['BR', -15.87, -47.92, 'America/Sao_Paulo'],    // Brasilia
+  ['BR', -22.18, -51.42, 'America/Sao_Paulo'],    // Presidente Prudente
+  ['BR', -23.48, -51.92, 'America/Sao_Paulo'],    // Maringa
+  ['BR', -25.6, -54.49, 'America/Sao_Paulo'],     // Foz do Iguacu
+  ['BR', -28.28, -54.17, 'America/Sao_Paulo'],    // Santo Angelo
+  ['BR', -29.78, -57.04, 'America/Sao_Paulo'],    // Uruguaiana
+  ['AU', -17.95, 122.23, 'Australia/Perth'],      // Broome
+  ['AU', -15.78, 128.71, 'Australia/Perth'],      // Kununurra
+  ['AU', -23.8, 133.9, 'Australia/Darwin'],       // Alice Springs
+  ['AU', -20.66, 139.49, 'Australia/Brisbane'],   // Mount Isa
+  ['AU', -34.23, 142.09, 'Australia/Melbourne'],  // Mildura
+  ['RU', 56.23, 43.78, 'Europe/Moscow'],          // Nizhny Novgorod
+  ['RU', 55.61, 49.28, 'Europe/Moscow'],          // Kazan
+  ['RU', 45.03, 39.17, 'Europe/Moscow'],          // Krasnodar
+  ['RU', 44.23, 43.08, 'Europe/Moscow'],          // Mineralnye Vody
+  ['RU', 42.82, 47.65, 'Europe/Moscow'],          // Makhachkala
+  ['RU', 56.83, 53.46, 'Europe/Samara'],          // Izhevsk
+  ['RU', 61.65, 50.85, 'Europe/Moscow'],          // Syktyvkar
+  ['RU', 63.57, 53.8, 'Europe/Moscow'],           // Ukhta
+  ['RU', 67.49, 63.99, 'Europe/Moscow'],          // Vorkuta
+  ['RU', 67.64, 53.12, 'Europe/Moscow'],          // Naryan-Mar
+  ['RU', 57.91, 56.02, 'Asia/Yekaterinburg'],     // Perm
+  ['RU', 54.56, 55.87, 'Asia/Yekaterinburg'],     // Ufa
+  ['RU', 51.8, 55.46, 'Asia/Yekaterinburg'],      // Orenburg
+  ['RU', 66.59, 66.61, 'Asia/Yekaterinburg'],     // Salekhard
+  ['RU', 71.22, 72.05, 'Asia/Yekaterinburg'],     // Sabetta
+  ['RU', 69.31, 87.33, 'Asia/Krasnoyarsk'],       // Norilsk
+  ['RU', 61.34, 73.4, 'Asia/Yekaterinburg'],      // Surgut
+  ['RU', 60.95, 76.48, 'Asia/Yekaterinburg'],     // Nizhnevartovsk
+  ['RU', 61.03, 69.09, 'Asia/Yekaterinburg'],     // Khanty-Mansiysk
+  ['ES', 36.67, -4.5, 'Europe/Madrid'],           // Malaga
+  ['ES', 37.42, -5.9, 'Europe/Madrid'],           // Seville
+  ['ES', 36.84, -2.37, 'Europe/Madrid'],          // Almeria
+  ['ES', 35.28, -2.96, 'Africa/Ceuta'],           // Melilla
+];
+
+/**
+ * ISO 6709 ±DDMM±DDDMM or ±DDMMSS±DDDMMSS -> { lat, lon }
+ */
+function parseISO6709(text) {
+  const match = /^([+-]\d{4,6})([+-]\d{5,7})$/.exec(text);
+  if (!match) throw new Error(`Invalid zone.tab coordinates: ${JSON.stringify(text)}`);
+  const toDegrees = (value, degreeDigits) => {
+    const sign = value[0] === '-' ? -1 : 1;
+    const digits = value.slice(1);
+    const degrees = Number(digits.slice(0, degreeDigits));
+    const minutes = Number(digits.slice(degreeDigits, degreeDigits + 2));
+    const seconds = Number(digits.slice(degreeDigits + 2) || 0);
+    return sign * (degrees + minutes / 60 + seconds / 3600);
+  };
+  return { lat: toDegrees(match[1], 2), lon: toDegrees(match[2], 3) };
+}
+
+/**
+ * Reference points [{ country, lat, lon, zone }] from a zone.tab file
+ */
+export async function loadZonePoints(zoneTabPath) {
+  const text = await fs.readFile(zoneTabPath, 'utf-8');
+  const points = text
+    .split('\n')
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => {
+      const [country, coordinates, zone] = line.split('\t');
+      return { country, ...parseISO6709(coordinates), zone };
+    });
+  return [...points, ...EXTRA_POINTS.map(([country, lat, lon, zone]) => ({ country, lat, lon, zone }))];
+}
+
+/**
+ * ({ country, lat, lon }) -> IANA zone name, from loadZonePoints' points
+ */
+export function createTimezoneLookup(points) {
+  const byCountry = new Map();
+  for (const point of points) {
+    if (!byCountry.has(point.country)) byCountry.set(point.country, []);
+    byCountry.get(point.country).push(point);
+  }
+
+  const inRange = (airport, point) =>
+    !(point.zone in ZONE_RADIUS) || getDistance(airport, point) <= ZONE_RADIUS[point.zone];
+
+  return airport => {
+    const countryPoints = byCountry.get(airport.country) || points;
+    const inRangePoints = countryPoints.filter(point => inRange(airport, point));
+    const candidates = inRangePoints.length > 0 ? inRangePoints : countryPoints;
+    if (new Set(candidates.map(p => p.zone)).size === 1) return candidates[0].zone;
+
+    let nearest = candidates[0];
+    let nearestDistance = Infinity;
+    for (const point of candidates) {
+      const distance = getDistance(airport, point);
+      if (distance < nearestDistance) {
+        nearest = point;
+        nearestDistance = distance;
+      }
+    }
+    return nearest.zone;
+  };
+}
+
+// Countries in South America, the rest of the America/ zones being North America
+const SOUTH_AMERICA = new Set(['AR', 'BO', 'BR', 'CL', 'CO', 'EC', 'FK', 'GF', 'GY', 'PE', 'PY', 'SR', 'UY', 'VE']);
+
+// Zones in the Atlantic and Indian areas that aren't in Africa
+const ZONE_CONTINENTS = {
+  'Atlantic/Azores': 'EU',
+  'Atlantic/Canary': 'EU',
+  'Atlantic/Faroe': 'EU',
+  'Atlantic/Madeira': 'EU',
+  'Atlantic/Reykjavik': 'EU',
+  'Atlantic/Bermuda': 'NA',
+  'Atlantic/Stanley': 'SA',
+  'Atlantic/South_Georgia': 'AN',
+  'Indian/Maldives': 'AS',
+  'Indian/Chagos': 'AS',
+  'Indian/Christmas': 'AS',
+  'Indian/Cocos': 'AS',
+  'Indian/Kerguelen': 'AN',
+};
+
+const AREA_CONTINENTS = {
+  Africa: 'AF',
+  Antarctica: 'AN',
+  Arctic: 'EU',
+  Asia: 'AS',
+  Atlantic: 'AF',
+  Australia: 'OC',
+  Europe: 'EU',
+  Indian: 'AF',
+  Pacific: 'OC',
+};
+
+/**
+ * OurAirports continent code (AF, AN, AS, EU, NA, OC, SA) for an airport's
+ * zone and country, for airports built without the OurAirports column
+ */
+export function getZoneContinent(zone, country) {
+  if (ZONE_CONTINENTS[zone]) return ZONE_CONTINENTS[zone];
+  const area = zone.split('/')[0];
+  if (area === 'America') return SOUTH_AMERICA.has(country) ? 'SA' : 'NA';
+  return AREA_CONTINENTS[area] ?? null;
+}
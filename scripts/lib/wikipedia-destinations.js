@@ -0,0 +1,314 @@
+/**
+ * Parser for the "Airlines and destinations" tables on Wikipedia airport pages.
+ *
+ * Reads the wikitables in that section (falling back to any wikitable with
+ * an Airlines and a Destinations column), expands rowspan/colspan, and
+ * turns each row into an airline plus its destinations. Destinations come
+ * only from links, resolved to IATA codes by matching the linked article
+ * title against airport names and cities in airports.json, so stray
+ * capitals in the text ("THE", "USA") are never taken for airport codes.
+ *
+ * Cell annotations are kept per destination:
+ *   "Seasonal:" / "Charter:" / "Seasonal charter:" labels
+ *   "(begins 1 June 2025)" / "(ends 30 March 2025)" / "(resumes ...)" notes,
+ *   with dates turned into ISO dates as precise as the text ("2025-06-01",
+ *   "2025-06" or "2025")
+ */
+
+import { parseHTML, getElements, getTableGrid, getText, hasClass } from './html.js';
+
+const SECTION_IDS = ['Airlines_and_destinations', 'Airlines_and_Destinations'];
+
+// Words that don't help tell airports apart
+const GENERIC_WORDS = new Set([
+  'airport', 'airports', 'international', 'intl', 'regional', 'municipal', 'national',
+  'county', 'field', 'airfield', 'aerodrome', 'airstrip', 'air', 'base', 'the', 'of', 'de',
+  'del', 'da', 'do', 'di', 'la', 'le', 'el', 'and',
+]);
+
+// Among several name matches, the biggest airport wins if it is the only one of its size
+const AIRPORT_TYPE_RANK = ['large_airport', 'medium_airport', 'small_airport', 'seaplane_base', 'heliport'];
+
+const LABEL_PATTERN = /^(seasonal charter|seasonal|charter|year-round)\s*:?$/i;
+const NOTE_PATTERN = /\((begins|ends|resumes|terminates)\s+([^)]*)\)/gi;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * "1 June 2025", "June 1, 2025", "June 2025", "Summer 2025" -> ISO date as
+ * precise as the text allows, or null when there is no year.
+ */
+export function parseServiceDate(text) {
+  const year = text.match(/\b(19|20)\d{2}\b/)?.[0];
+  if (!year) return null;
+
+  const words = text.toLowerCase().match(/[a-z]+|\d+/g) || [];
+  const monthIndex = words.findIndex(word => word.length >= 3 && MONTHS.some(month => month.startsWith(word)));
+  if (monthIndex === -1) return year;
+  const month = String(MONTHS.findIndex(m => m.startsWith(words[monthIndex])) + 1).padStart(2, '0');
+
+  // Day right before ("1 June") or after ("June 1") the month name
+  const day = [words[monthIndex - 1], words[monthIndex + 1]].find(word => /^\d{1,2}$/.test(word || '') && Number(word) >= 1 && Number(word) <= 31);
+  return day ? `${year}-${month}-${day.padStart(2, '0')}` : `${year}-${month}`;
+}
+
+function normalize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function getTokens(text) {
+  return normalize(text).split(' ').filter(token => token && !GENERIC_WORDS.has(token));
+}
+
+function isFootnote(node) {
+  return node.tag === 'sup' || hasClass(node, 'reference') || hasClass(node, 'noprint');
+}
+
+function getLinkTitle(link) {
+  return (link.attrs.title || '').replace(/ \(page does not exist\)$/, '');
+}
+
+/**
+ * Build a resolver from a linked airport article to an IATA code.
+ *
+ * Wikipedia titles and OurAirports names rarely agree word for word
+ * ("Heathrow Airport" vs "London Heathrow Airport"), so a title matches
+ * every airport whose name and city contain all of the title's
+ * distinctive words. Ties are broken by the link text, which is usually
+ * the city ("London–Heathrow"), and then by airport size. Anything still
+ * ambiguous resolves to null.
+ */
+export function createAirportResolver(airports) {
+  const byName = new Map();
+  const index = new Map(); // token -> Set of airports
+
+  for (const airport of airports) {
+    const name = normalize(airport.name);
+    byName.set(name, byName.has(name) ? null : airport);
+
+    const tokens = new Set([...getTokens(airport.name), ...getTokens(airport.city || '')]);
+    for (const token of tokens) {
+      if (!index.has(token)) index.set(token, new Set());
+      index.get(token).add(airport);
+    }
+  }
+
+  const cache = new Map();
+
+  const resolve = (title, text = '') => {
+    const exact = byName.get(normalize(title));
+    if (exact) return exact.iata;
+
+    const tokens = getTokens(title);
+    if (tokens.length === 0) return null;
+
+    let candidates = null;
+    for (const token of tokens) {
+      const postings = index.get(token);
+      if (!postings) return null;
+      candidates = candidates ? candidates.filter(a => postings.has(a)) : [...postings];
+      if (candidates.length === 0) return null;
+    }
+    if (candidates.length === 1) return candidates[0].iata;
+
+    // "London–Heathrow", "Tokyo–Narita": the part before the dash is the city
+    const city = normalize(text.split(/[–—/-]/)[0] || '');
+    if (city) {
+      const inCity = candidates.filter(a => normalize(a.city || '').startsWith(city));
+      if (inCity.length === 1) return inCity[0].iata;
+      if (inCity.length > 1) candidates = inCity;
+    }
+
+    const rank = a => {
+      const position = AIRPORT_TYPE_RANK.indexOf(a.type);
+      return position === -1 ? AIRPORT_TYPE_RANK.length : position;
+    };
+    const best = Math.min(...candidates.map(rank));
+    const biggest = candidates.filter(a => rank(a) === best);
+    return biggest.length === 1 ? biggest[0].iata : null;
+  };
+
+  return (title, text) => {
+    const key = `${title}|${text}`;
+    if (!cache.has(key)) cache.set(key, resolve(title, text));
+    return cache.get(key);
+  };
+}
+
+/**
+ * Find the tables to read and the subsection heading (Passenger, Cargo)
+ * each one sits under.
+ */
+function findDestinationTables(root) {
+  const elements = getElements(root);
+  const start = elements.findIndex(el => SECTION_IDS.includes(el.attrs.id));
+
+  if (start !== -1) {
+    const tables = [];
+    let category = null;
+    for (let i = start + 1; i < elements.length; i++) {
+      const el = elements[i];
+      if (el.tag === 'h2') break;
+      if (el.tag === 'h3' || el.tag === 'h4') category = getText(el, isFootnote).replace(/\[edit\]$/, '').trim();
+      if (el.tag === 'table' && hasClass(el, 'wikitable')) tables.push({ table: el, category });
+    }
+    if (tables.length > 0) return tables;
+  }
+
+  return elements
+    .filter(el => el.tag === 'table' && hasClass(el, 'wikitable'))
+    .map(table => ({ table, category: null }));
+}
+
+/**
+ * Walk a destinations cell in document order and collect the linked
+ * destinations with the label and notes that apply to each.
+ */
+function parseDestinationCell(cell, resolveAirport, unresolved) {
+  const destinations = [];
+  let seasonal = false;
+  let charter = false;
+  let last = null;
+
+  const applyNotes = (text) => {
+    if (!last) return;
+    for (const [, kind, date] of text.matchAll(NOTE_PATTERN)) {
+      const value = parseServiceDate(date);
+      if (kind.toLowerCase() === 'ends' || kind.toLowerCase() === 'terminates') last.ends = value;
+      else last.begins = value;
+    }
+  };
+
+  const walk = (node) => {
+    if (!node.tag) {
+      applyNotes(node.text);
+      return;
+    }
+    if (isFootnote(node)) return;
+
+    if (node.tag === 'b' || node.tag === 'strong') {
+      const label = getText(node).match(LABEL_PATTERN);
+      if (label) {
+        const kind = label[1].toLowerCase();
+        seasonal = kind.includes('seasonal');
+        charter = kind.includes('charter');
+        last = null;
+        return;
+      }
+    }
+
+    if (node.tag === 'a') {
+      const title = getLinkTitle(node);
+      const text = getText(node);
+      const iata = title ? resolveAirport(title, text) : null;
+      if (iata) {
+        last = { iata, seasonal, charter, begins: null, ends: null };
+        destinations.push(last);
+      } else {
+        if (title) unresolved.add(title);
+        last = null;
+      }
+      return;
+    }
+
+    node.children.forEach(walk);
+  };
+
+  walk(cell);
+
+  // A destination can be listed twice, e.g. under Seasonal and again under
+  // Charter. Scheduled service wins over charter, and year-round over seasonal.
+  const byCode = new Map();
+  for (const destination of destinations) {
+    const existing = byCode.get(destination.iata);
+    if (!existing || (existing.charter && !destination.charter)) {
+      byCode.set(destination.iata, destination);
+    } else if (existing.charter === destination.charter) {
+      existing.seasonal = existing.seasonal && destination.seasonal;
+      existing.begins = existing.begins && destination.begins;
+      existing.ends = existing.ends && destination.ends;
+    }
+  }
+  return [...byCode.values()];
+}
+
+/**
+ * The airline is the first linked article in its cell (footnotes aside),
+ * or the cell text when it isn't linked.
+ */
+function getAirlineName(cell) {
+  const findLink = (node) => {
+    if (!node.tag || isFootnote(node)) return null;
+    if (node.tag === 'a' && getLinkTitle(node)) return getLinkTitle(node);
+    for (const child of node.children) {
+      const title = findLink(child);
+      if (title) return title;
+    }
+    return null;
+  };
+  return findLink(cell) || getText(cell, isFootnote) || null;
+}
+
+/**
+ * Parse an airport page.
+ *
+ * @param html            page HTML
+ * @param resolveAirport  resolver from createAirportResolver
+ * @param origin          IATA code of the page's airport, excluded from destinations
+ *
+ * Returns { rows, unresolved } where rows are
+ *   { airline, category, destinations: [{ iata, seasonal, charter, begins, ends }] }
+ * and unresolved lists linked titles that didn't resolve to an airport.
+ */
+export function parseDestinationTables(html, resolveAirport, origin = null) {
+  const root = parseHTML(html);
+  const rows = [];
+  const unresolved = new Set();
+
+  for (const { table, category } of findDestinationTables(root)) {
+    const grid = getTableGrid(table);
+
+    // Header row: the first row of header cells naming both columns
+    const headerIndex = grid.findIndex(row =>
+      row.every(slot => slot?.header) &&
+      row.some(slot => /airline/i.test(getText(slot.cell))) &&
+      row.some(slot => /destination/i.test(getText(slot.cell)))
+    );
+    if (headerIndex === -1) continue;
+
+    const header = grid[headerIndex].map(slot => getText(slot.cell, isFootnote));
+    const airlineColumn = header.findIndex(text => /airline/i.test(text));
+    const destinationColumn = header.findIndex(text => /destination/i.test(text));
+
+    // Rowspans repeat a cell on several rows; read each airline/destinations pair once
+    const seen = new Map();
+    for (const row of grid.slice(headerIndex + 1)) {
+      const airlineSlot = row[airlineColumn];
+      const destinationSlot = row[destinationColumn];
+      if (!airlineSlot || !destinationSlot) continue;
+
+      // Full-width rows (colspan over both columns) are notes, not airlines
+      if (airlineSlot.cell === destinationSlot.cell) continue;
+      if (!seen.has(airlineSlot.cell)) seen.set(airlineSlot.cell, new Set());
+      if (seen.get(airlineSlot.cell).has(destinationSlot.cell)) continue;
+      seen.get(airlineSlot.cell).add(destinationSlot.cell);
+
+      const airline = getAirlineName(airlineSlot.cell);
+      if (!airline) continue;
+
+      const destinations = parseDestinationCell(destinationSlot.cell, resolveAirport, unresolved)
+        .filter(d => d.iata !== origin);
+      if (destinations.length > 0) {
+        rows.push({ airline, category, destinations });
+      }
+    }
+  }
+
+  return { rows, unresolved: [...unresolved].sort() };
+}
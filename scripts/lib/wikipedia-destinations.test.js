@@ -0,0 +1,156 @@
+/**
+ * Tests for the Wikipedia destinations parser, run against the saved airport
+ * pages in scripts/fixtures/wikipedia.
+ *
+ * Usage: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSON } from './json.js';
+import { createAirportResolver, parseDestinationTables, parseServiceDate } from './wikipedia-destinations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'wikipedia');
+const AIRPORTS_PATH = path.join(__dirname, '..', '..', 'public', 'data', 'airports.json');
+
+const resolveAirport = createAirportResolver(await readJSON(AIRPORTS_PATH));
+
+async function parseFixture(code) {
+  const html = await fs.readFile(path.join(FIXTURES_DIR, `${code}.html`), 'utf-8');
+  return parseDestinationTables(html, resolveAirport, code);
+}
+
+// Destination with the defaults filled in, so expectations only list what's set
+const dest = (iata, { seasonal = false, charter = false, begins = null, ends = null } = {}) => ({
+  iata,
+  seasonal,
+  charter,
+  begins,
+  ends,
+});
+
+const codes = rows => rows.flatMap(row => row.destinations.map(d => d.iata));
+
+test('DUB: airlines, destinations and annotations', async () => {
+  const { rows, unresolved } = await parseFixture('DUB');
+
+  assert.deepEqual(rows, [
+    {
+      airline: 'Aer Lingus',
+      category: 'Passenger',
+      destinations: [
+        dest('AMS'),
+        dest('LHR'),
+        dest('LGW'),
+        dest('JFK'),
+        dest('CDG'),
+        dest('SEA', { begins: '2025-05-14' }),
+        dest('FAO', { seasonal: true }),
+        dest('SZG', { seasonal: true }),
+        dest('YYZ', { seasonal: true, ends: '2025-10-26' }),
+      ],
+    },
+    { airline: 'Emirates (airline)', category: 'Passenger', destinations: [dest('DXB')] },
+    {
+      airline: 'Ryanair',
+      category: 'Passenger',
+      destinations: [
+        dest('BCN'),
+        dest('BER'),
+        dest('STN'),
+        dest('MAN'),
+        dest('TLL', { begins: '2025-04-03' }),
+        dest('ZAD'),
+        dest('CHQ', { seasonal: true }),
+        dest('IBZ', { seasonal: true }),
+        dest('RVN', { seasonal: true }),
+      ],
+    },
+    // Listed both seasonal and charter: the first mention wins
+    { airline: 'Sky Express (Greece)', category: 'Passenger', destinations: [dest('ATH', { seasonal: true })] },
+    // Not linked, so the cell text is the airline
+    {
+      airline: 'Sunway Ireland',
+      category: 'Passenger',
+      destinations: [
+        dest('AYT', { seasonal: true, charter: true }),
+        dest('LPA', { seasonal: true, charter: true, ends: '2025-03-30' }),
+      ],
+    },
+    { airline: 'ASL Airlines Ireland', category: 'Cargo', destinations: [dest('EMA'), dest('LGG')] },
+  ]);
+
+  // A red link and a link to a town rather than an airport
+  assert.deepEqual(unresolved, ['Kefalonia International Airport', 'Lourdes']);
+});
+
+test('LHR: rowspan airline cells carry over to the next row', async () => {
+  const { rows, unresolved } = await parseFixture('LHR');
+
+  assert.deepEqual(rows, [
+    {
+      airline: 'British Airways',
+      category: 'Passenger',
+      destinations: [dest('ATL'), dest('ORD'), dest('DFW'), dest('HND'), dest('NRT')],
+    },
+    {
+      airline: 'British Airways',
+      category: 'Passenger',
+      destinations: [dest('INN', { seasonal: true }), dest('KTT', { seasonal: true, begins: '2025-12-14' })],
+    },
+    {
+      airline: 'Delta Air Lines',
+      category: 'Passenger',
+      destinations: [dest('DTW'), dest('MSP'), dest('SLC', { ends: '2025-10-24' })],
+    },
+    { airline: 'Qantas', category: 'Passenger', destinations: [dest('PER'), dest('SIN'), dest('SYD')] },
+    // A city link (Riyadh) resolves; Las Vegas is linked twice but listed once;
+    // the charter line only links back to Heathrow itself
+    {
+      airline: 'Virgin Atlantic',
+      category: 'Passenger',
+      destinations: [
+        dest('LAX'),
+        dest('EWR'),
+        dest('JFK'),
+        dest('RUH', { begins: '2025' }),
+        dest('LAS', { seasonal: true }),
+      ],
+    },
+  ]);
+
+  assert.deepEqual(unresolved, ['Aberdeen Airport', 'Chambéry Savoie Mont Blanc Airport']);
+});
+
+test('capitalised words in the page text are never taken for airport codes', async () => {
+  // THE (Teresina) and USA (Concord, NC) are real airport codes, and both
+  // pages say "THE USA" outside any link
+  assert.equal(resolveAirport('Senador Petrônio Portela Airport'), 'THE');
+  assert.equal(resolveAirport('Concord-Padgett Regional Airport'), 'USA');
+
+  for (const code of ['DUB', 'LHR']) {
+    const found = codes((await parseFixture(code)).rows);
+    assert.ok(!found.includes('THE'), `${code} lists THE`);
+    assert.ok(!found.includes('USA'), `${code} lists USA`);
+    assert.ok(!found.includes(code), `${code} lists itself`);
+  }
+});
+
+test('the cargo centre table outside the section is not read', async () => {
+  const { rows } = await parseFixture('LHR');
+  assert.ok(rows.every(row => row.airline !== 'IAG Cargo'));
+});
+
+test('service dates are as precise as the text', () => {
+  assert.equal(parseServiceDate('1 June 2025'), '2025-06-01');
+  assert.equal(parseServiceDate('June 1, 2025'), '2025-06-01');
+  assert.equal(parseServiceDate('June 2025'), '2025-06');
+  assert.equal(parseServiceDate('Summer 2025'), '2025');
+  assert.equal(parseServiceDate('next year'), null);
+});
@@ -0,0 +1,73 @@
+/**
+ * Parse saved Wikipedia airport pages offline
+ *
+ * Runs the "Airlines and destinations" parser used by update-routes on
+ * HTML files on disk and prints what it found, so the parser can be worked
+ * on without fetching pages. Saved pages live in scripts/fixtures/wikipedia,
+ * named by the airport's IATA code.
+ *
+ * Usage: node scripts/parse-destinations.js <page.html>... [--json]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJSON } from './lib/json.js';
+import { createAirportResolver, parseDestinationTables } from './lib/wikipedia-destinations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const AIRPORTS_PATH = path.join(__dirname, '..', 'public', 'data', 'airports.json');
+
+function formatDestination({ iata, seasonal, charter, begins, ends }) {
+  const notes = [
+    seasonal && 'seasonal',
+    charter && 'charter',
+    begins && `begins ${begins}`,
+    ends && `ends ${ends}`,
+  ].filter(Boolean);
+  return notes.length > 0 ? `${iata} (${notes.join(', ')})` : iata;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJSON = args.includes('--json');
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  if (files.length === 0) {
+    console.error('Usage: node scripts/parse-destinations.js <page.html>... [--json]');
+    process.exit(1);
+  }
+
+  const resolveAirport = createAirportResolver(await readJSON(AIRPORTS_PATH));
+  const results = {};
+
+  for (const file of files) {
+    // DUB.html -> DUB, so the airport's own page doesn't list itself
+    const name = path.basename(file, path.extname(file));
+    const origin = /^[A-Z]{3}$/.test(name) ? name : null;
+    const result = parseDestinationTables(await fs.readFile(file, 'utf-8'), resolveAirport, origin);
+    results[name] = result;
+
+    if (asJSON) continue;
+
+    console.log(`\n=== ${name} ===`);
+    for (const row of result.rows) {
+      const category = row.category ? ` [${row.category}]` : '';
+      console.log(`${row.airline}${category}: ${row.destinations.map(formatDestination).join(', ')}`);
+    }
+    if (result.unresolved.length > 0) {
+      console.log(`Unresolved links: ${result.unresolved.join(', ')}`);
+    }
+  }
+
+  if (asJSON) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
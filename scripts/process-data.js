@@ -1,230 +1,529 @@
-const fs = require('fs');
-const path = require('path');
-
-// Parse CSV with proper handling of quoted fields
-function parseCSV(content) {
-  const lines = content.split('\n');
-  const headers = parseCSVLine(lines[0]);
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-    const values = parseCSVLine(lines[i]);
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index] || '';
-    });
-    data.push(row);
-  }
-  return data;
+/**
+ * Data Build Pipeline
+ *
+ * Builds the JSON files the app loads from public/data out of the raw
+ * sources in data/, downloading the OurAirports CSVs first if they're missing:
+ *   - airports.csv             OurAirports airports (https://ourairports.com/data/)
+ *   - runways.csv              OurAirports runways, for each airport's longest runway
+ *   - regions.csv              OurAirports regions, for region names
+ *   - zone.tab                 Time zone locations from the tz database (see lib/timezones.js)
+ *   - airlines.dat             OpenFlights airlines
+ *   - routes.dat               OpenFlights routes
+ *   - aircraft-catalog.json    Curated aircraft names, families and classes
+ *   - metro-areas.json         Curated multi-airport cities under IATA city codes
+ *   - airline-validation.json  Wikipedia status per airline (defunct ones are dropped)
+ *
+ * Every output record is checked against the shapes in src/types before
+ * anything is written, and every dropped input row is reported with the
+ * reason. Output is sorted and written one record per line, so reruns on
+ * the same input are byte-identical and updates produce minimal diffs.
+ *
+ * The app itself loads compact copies: an index plus route shards per
+ * airport and per airline (see lib/shards.js).
+ *
+ * Usage: npm run build:data [-- --verbose] [--refresh]
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV, parseDAT } from './lib/csv.js';
+import { getDistance } from './lib/geo.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { writeShards } from './lib/shards.js';
+import { OPENFLIGHTS_PROVENANCE } from './lib/provenance.js';
+import { loadZonePoints, createTimezoneLookup, getZoneContinent } from './lib/timezones.js';
+import {
+  AIRPORT_SCHEMA,
+  AIRLINE_SCHEMA,
+  ROUTE_SCHEMA,
+  AIRCRAFT_TYPE_SCHEMA,
+  METRO_AREA_SCHEMA,
+  validateRecords,
+} from './lib/schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Paths
+const RAW_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'data');
+const AIRPORTS_CSV_PATH = path.join(RAW_DIR, 'airports.csv');
+const RUNWAYS_CSV_PATH = path.join(RAW_DIR, 'runways.csv');
+const REGIONS_CSV_PATH = path.join(RAW_DIR, 'regions.csv');
+const ZONE_TAB_PATH = path.join(RAW_DIR, 'zone.tab');
+const AIRLINES_DAT_PATH = path.join(RAW_DIR, 'airlines.dat');
+const ROUTES_DAT_PATH = path.join(RAW_DIR, 'routes.dat');
+const CATALOG_PATH = path.join(RAW_DIR, 'aircraft-catalog.json');
+const METRO_AREAS_PATH = path.join(RAW_DIR, 'metro-areas.json');
+const VALIDATION_PATH = path.join(RAW_DIR, 'airline-validation.json');
+// Only the API reads the full route list (the app loads shards), so it isn't served from public/
+const ROUTES_PATH = path.join(RAW_DIR, 'routes.json');
+
+const AIRPORTS_CSV_URL = 'https://davidmegginson.github.io/ourairports-data/airports.csv';
+const RUNWAYS_CSV_URL = 'https://davidmegginson.github.io/ourairports-data/runways.csv';
+const REGIONS_CSV_URL = 'https://davidmegginson.github.io/ourairports-data/regions.csv';
+
+// When two airports claim the same IATA code, keep the bigger one
+const AIRPORT_TYPE_RANK = ['large_airport', 'medium_airport', 'small_airport', 'seaplane_base', 'heliport'];
+
+const verbose = process.argv.includes('--verbose');
+const refresh = process.argv.includes('--refresh');
+
+/**
+ * Collects dropped input rows grouped by source and reason
+ */
+function createDropReport() {
+  const groups = new Map();
+
+  return {
+    drop(source, reason, example) {
+      const key = `${source}: ${reason}`;
+      if (!groups.has(key)) groups.set(key, { count: 0, examples: [] });
+      const group = groups.get(key);
+      group.count++;
+      if (example !== undefined) group.examples.push(example);
+    },
+
+    print() {
+      if (groups.size === 0) {
+        console.log('\nNo rows dropped');
+        return;
+      }
+      console.log('\n--- Dropped rows ---');
+      const sorted = [...groups.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+      for (const [key, { count, examples }] of sorted) {
+        console.log(`${key}: ${count}`);
+        const shown = verbose ? examples : examples.slice(0, 3);
+        shown.forEach(example => console.log(`    ${example}`));
+        if (shown.length < examples.length) {
+          console.log(`    ... ${examples.length - shown.length} more (use --verbose)`);
+        }
+      }
+    },
+  };
+}
+
+const report = createDropReport();
+
+const byCode = key => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+
+function parseOptionalNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// OurAirports home links sometimes leave out the scheme
+function parseLink(value) {
+  const link = (value || '').trim();
+  if (!link) return null;
+  return /^https?:\/\//i.test(link) ? link : `http://${link}`;
 }
 
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+/**
+ * Download OurAirports' CSVs into data/ when they aren't there yet, or all
+ * of them again with --refresh. They aren't committed: OurAirports updates
+ * them daily. A failed download stops the build before anything is written.
+ */
+async function fetchOurAirportsFiles() {
+  const files = [
+    [AIRPORTS_CSV_PATH, AIRPORTS_CSV_URL],
+    [RUNWAYS_CSV_PATH, RUNWAYS_CSV_URL],
+    [REGIONS_CSV_PATH, REGIONS_CSV_URL],
+  ].filter(([file]) => refresh || !existsSync(file));
+
+  for (const [file, url] of files) {
+    console.log(`  Downloading ${url}`);
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (error) {
+      throw new Error(`Failed to download ${url}: ${error.cause?.message || error.message}`);
     }
+    if (!res.ok) throw new Error(`Failed to download ${url}: HTTP ${res.status}`);
+
+    // Written under a temporary name so an interrupted download isn't mistaken for the file
+    const partial = `${file}.download`;
+    await fs.writeFile(partial, await res.text());
+    await fs.rename(partial, file);
+  }
+}
+
+/**
+ * Longest open runway per airport ident, in feet
+ */
+async function buildLongestRunways() {
+  const longest = new Map();
+  for (const { record: r } of parseCSV(await fs.readFile(RUNWAYS_CSV_PATH, 'utf-8'))) {
+    const length = parseOptionalNumber(r.length_ft);
+    if (r.closed === '1' || !(length > 0)) continue;
+    longest.set(r.airport_ident, Math.max(longest.get(r.airport_ident) || 0, length));
   }
-  result.push(current.trim());
-  return result;
+  return longest;
 }
 
-// Parse DAT files (comma-separated, no headers)
-function parseDAT(content, headers) {
-  const lines = content.split('\n');
-  const data = [];
-  
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const values = parseCSVLine(line);
-    const row = {};
-    headers.forEach((header, index) => {
-      let val = values[index] || '';
-      // Handle \N as null
-      if (val === '\\N') val = '';
-      row[header] = val;
+/**
+ * Region names by ISO 3166-2 code
+ */
+async function buildRegionNames() {
+  const rows = parseCSV(await fs.readFile(REGIONS_CSV_PATH, 'utf-8'));
+  return new Map(rows.map(({ record: r }) => [r.code, r.name]));
+}
+
+/**
+ * Airports with an IATA code and scheduled service, from OurAirports, with
+ * time zones looked up from their coordinates
+ */
+async function buildAirports() {
+  const lookupTimezone = createTimezoneLookup(await loadZonePoints(ZONE_TAB_PATH));
+  const withTimezone = airport => {
+    const timezone = airport.timezone ?? lookupTimezone(airport);
+    return { ...airport, timezone, continent: airport.continent ?? getZoneContinent(timezone, airport.country) };
+  };
+
+  const [longestRunways, regionNames] = await Promise.all([buildLongestRunways(), buildRegionNames()]);
+  const rows = parseCSV(await fs.readFile(AIRPORTS_CSV_PATH, 'utf-8'));
+  const airportMap = new Map();
+
+  for (const { line, record: a } of rows) {
+    const where = `line ${line}`;
+    if (!a.iata_code) {
+      report.drop('airports.csv', 'no IATA code');
+      continue;
+    }
+    if (!/^[A-Z]{3}$/.test(a.iata_code)) {
+      report.drop('airports.csv', 'invalid IATA code', `${where}: ${JSON.stringify(a.iata_code)}`);
+      continue;
+    }
+    if (a.scheduled_service !== 'yes') {
+      report.drop('airports.csv', 'no scheduled service');
+      continue;
+    }
+
+    const lat = parseFloat(a.latitude_deg);
+    const lon = parseFloat(a.longitude_deg);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      report.drop('airports.csv', 'invalid coordinates', `${where}: ${a.iata_code} (${a.latitude_deg}, ${a.longitude_deg})`);
+      continue;
+    }
+
+    const airport = withTimezone({
+      iata: a.iata_code,
+      icao: a.icao_code || '',
+      name: a.name || '',
+      city: a.municipality || '',
+      country: a.iso_country || '',
+      lat,
+      lon,
+      type: a.type || '',
+      timezone: null,
+      elevation: parseOptionalNumber(a.elevation_ft),
+      continent: a.continent || null,
+      region: a.iso_region || null,
+      regionName: regionNames.get(a.iso_region) ?? null,
+      longestRunway: longestRunways.get(a.ident) ?? null,
+      website: parseLink(a.home_link),
+      wikipedia: parseLink(a.wikipedia_link),
     });
-    data.push(row);
+
+    const existing = airportMap.get(airport.iata);
+    if (existing) {
+      const rank = t => (AIRPORT_TYPE_RANK.includes(t) ? AIRPORT_TYPE_RANK.indexOf(t) : AIRPORT_TYPE_RANK.length);
+      const [kept, dropped] = rank(airport.type) < rank(existing.type) ? [airport, existing] : [existing, airport];
+      report.drop('airports.csv', 'duplicate IATA code', `${airport.iata}: kept "${kept.name}", dropped "${dropped.name}"`);
+      airportMap.set(airport.iata, kept);
+      continue;
+    }
+    airportMap.set(airport.iata, airport);
   }
-  return data;
+
+  return [...airportMap.values()].sort(byCode('iata'));
 }
 
-console.log('Processing airport data...');
-
-// Read airports
-const airportsCSV = fs.readFileSync(path.join(__dirname, '../data/airports.csv'), 'utf-8');
-const rawAirports = parseCSV(airportsCSV);
-
-// Filter to airports with IATA codes and scheduled service
-const airports = rawAirports
-  .filter(a => a.iata_code && a.iata_code.length === 3 && a.scheduled_service === 'yes')
-  .map(a => ({
-    iata: a.iata_code,
-    icao: a.icao_code || '',
-    name: a.name,
-    city: a.municipality || '',
-    country: a.iso_country,
-    lat: parseFloat(a.latitude_deg),
-    lon: parseFloat(a.longitude_deg),
-    type: a.type
-  }))
-  .filter(a => !isNaN(a.lat) && !isNaN(a.lon));
-
-console.log(`Processed ${airports.length} airports with scheduled service`);
-
-// Create airport lookup map
-const airportMap = {};
-airports.forEach(a => {
-  airportMap[a.iata] = a;
-});
+/**
+ * Active airlines with a 2-character IATA code, excluding those known to be defunct
+ */
+async function buildAirlines() {
+  const validation = await readJSON(VALIDATION_PATH);
+  const defunct = new Set((validation.defunct || []).map(a => `${a.iata}/${a.icao}`));
 
-console.log('Processing airline data...');
-
-// Read airlines
-const airlinesDAT = fs.readFileSync(path.join(__dirname, '../data/airlines.dat'), 'utf-8');
-const rawAirlines = parseDAT(airlinesDAT, [
-  'id', 'name', 'alias', 'iata', 'icao', 'callsign', 'country', 'active'
-]);
-
-// Filter to active airlines with IATA codes
-const airlines = rawAirlines
-  .filter(a => a.iata && a.iata.length === 2 && a.active === 'Y')
-  .map(a => ({
-    iata: a.iata,
-    icao: a.icao || '',
-    name: a.name,
-    country: a.country
-  }));
-
-console.log(`Processed ${airlines.length} active airlines`);
-
-// Create airline lookup map
-const airlineMap = {};
-airlines.forEach(a => {
-  airlineMap[a.iata] = a;
-});
+  const rows = parseDAT(await fs.readFile(AIRLINES_DAT_PATH, 'utf-8'), [
+    'id', 'name', 'alias', 'iata', 'icao', 'callsign', 'country', 'active'
+  ]);
+  const airlineMap = new Map();
+
+  for (const { line, record: a } of rows) {
+    const where = `line ${line}`;
+    if (a.active !== 'Y') {
+      report.drop('airlines.dat', 'inactive in OpenFlights');
+      continue;
+    }
+    if (!a.iata || !/^[A-Z0-9]{2}$/.test(a.iata)) {
+      report.drop('airlines.dat', 'no valid IATA code', `${where}: "${a.name}" (${JSON.stringify(a.iata)})`);
+      continue;
+    }
 
-console.log('Processing route data...');
-
-// Read routes
-const routesDAT = fs.readFileSync(path.join(__dirname, '../data/routes.dat'), 'utf-8');
-const rawRoutes = parseDAT(routesDAT, [
-  'airline', 'airlineId', 'source', 'sourceId', 'dest', 'destId', 'codeshare', 'stops', 'equipment'
-]);
-
-// Process routes - group by origin-destination pair
-// Separate operators (actual flights) from codeshares
-const routeMap = {};
-
-rawRoutes.forEach(r => {
-  // Only include direct routes between airports we know
-  if (!r.source || !r.dest || r.source.length !== 3 || r.dest.length !== 3) return;
-  if (!airportMap[r.source] || !airportMap[r.dest]) return;
-  
-  const key = `${r.source}-${r.dest}`;
-  const isCodeshare = r.codeshare === 'Y';
-  
-  if (!routeMap[key]) {
-    routeMap[key] = {
-      origin: r.source,
-      destination: r.dest,
-      operators: [],    // Airlines that actually operate this route
-      codeshares: [],   // Airlines that codeshare on this route
-      aircraft: []
+    const icao = a.icao && /^[A-Z]{3}$/.test(a.icao) ? a.icao : '';
+    if (defunct.has(`${a.iata}/${icao}`)) {
+      report.drop('airlines.dat', 'defunct per airline-validation.json', `${where}: ${a.iata} "${a.name}"`);
+      continue;
+    }
+
+    const airline = {
+      iata: a.iata,
+      icao,
+      name: a.name || '',
+      country: a.country || '',
+      active: true,
     };
+
+    // OpenFlights reuses IATA codes; prefer the entry with an ICAO code
+    const existing = airlineMap.get(airline.iata);
+    if (existing) {
+      const [kept, dropped] = !existing.icao && airline.icao ? [airline, existing] : [existing, airline];
+      report.drop('airlines.dat', 'duplicate IATA code', `${airline.iata}: kept "${kept.name}", dropped "${dropped.name}"`);
+      airlineMap.set(airline.iata, kept);
+      continue;
+    }
+    airlineMap.set(airline.iata, airline);
   }
-  
-  // Add airline to appropriate list
-  if (r.airline && r.airline.length === 2) {
-    if (isCodeshare) {
-      if (!routeMap[key].codeshares.includes(r.airline)) {
-        routeMap[key].codeshares.push(r.airline);
-      }
-    } else {
-      if (!routeMap[key].operators.includes(r.airline)) {
-        routeMap[key].operators.push(r.airline);
+
+  return [...airlineMap.values()].sort(byCode('iata'));
+}
+
+/**
+ * Direct routes between known airports, grouped by origin-destination pair.
+ * Operators (actual flights) are kept apart from codeshares. Every route is
+ * dated to the OpenFlights snapshot (see lib/provenance.js).
+ */
+async function buildRoutes(airportMap, airlineMap) {
+  const rows = parseDAT(await fs.readFile(ROUTES_DAT_PATH, 'utf-8'), [
+    'airline', 'airlineId', 'source', 'sourceId', 'dest', 'destId', 'codeshare', 'stops', 'equipment'
+  ]);
+  const routeMap = new Map();
+
+  for (const { line, record: r } of rows) {
+    const where = `line ${line}`;
+    if (r.stops !== '0') {
+      report.drop('routes.dat', 'not a direct flight', `${where}: ${r.source}-${r.dest} (${r.stops} stops)`);
+      continue;
+    }
+    if (!airportMap.has(r.source)) {
+      report.drop('routes.dat', 'unknown origin airport', `${where}: ${JSON.stringify(r.source)}`);
+      continue;
+    }
+    if (!airportMap.has(r.dest)) {
+      report.drop('routes.dat', 'unknown destination airport', `${where}: ${JSON.stringify(r.dest)}`);
+      continue;
+    }
+    if (r.source === r.dest) {
+      report.drop('routes.dat', 'same origin and destination', `${where}: ${r.source}`);
+      continue;
+    }
+    if (!r.airline || !/^[A-Z0-9]{2}$/.test(r.airline)) {
+      report.drop('routes.dat', 'airline has no IATA code', `${where}: ${JSON.stringify(r.airline)}`);
+      continue;
+    }
+    if (!airlineMap.has(r.airline)) {
+      report.drop('routes.dat', 'airline not in airline list', `${where}: ${r.airline} ${r.source}-${r.dest}`);
+      continue;
+    }
+
+    const key = `${r.source}-${r.dest}`;
+    if (!routeMap.has(key)) {
+      routeMap.set(key, {
+        origin: r.source,
+        destination: r.dest,
+        operators: new Set(),
+        codeshares: new Set(),
+        aircraft: new Set(),
+      });
+    }
+    const route = routeMap.get(key);
+
+    if (r.codeshare === 'Y') {
+      route.codeshares.add(r.airline);
+      continue;
+    }
+    route.operators.add(r.airline);
+
+    // Equipment types (only from operators, not codeshares)
+    for (const eq of (r.equipment || '').split(/\s+/).filter(Boolean)) {
+      if (/^[A-Z0-9]{3}$/.test(eq)) {
+        route.aircraft.add(eq);
+      } else {
+        report.drop('routes.dat', 'invalid equipment code (code ignored)', `${where}: ${JSON.stringify(eq)}`);
       }
     }
   }
-  
-  // Add equipment types (only from operators, not codeshares)
-  if (r.equipment && !isCodeshare) {
-    const equipment = r.equipment.split(' ');
-    equipment.forEach(eq => {
-      if (eq && !routeMap[key].aircraft.includes(eq)) {
-        routeMap[key].aircraft.push(eq);
-      }
+
+  const routes = [];
+  for (const route of routeMap.values()) {
+    if (route.operators.size === 0) {
+      report.drop('routes.dat', 'codeshare-only route (no operating airline)', `${route.origin}-${route.destination}`);
+      continue;
+    }
+    // An airline listed as operator isn't also a codeshare partner on the same route
+    const codeshares = [...route.codeshares].filter(code => !route.operators.has(code));
+    routes.push({
+      origin: route.origin,
+      destination: route.destination,
+      operators: [...route.operators].sort(),
+      codeshares: codeshares.sort(),
+      aircraft: [...route.aircraft].sort(),
+      distance: Math.round(getDistance(airportMap.get(route.origin), airportMap.get(route.destination))),
+      ...OPENFLIGHTS_PROVENANCE,
     });
   }
-});
 
-const routes = Object.values(routeMap);
-console.log(`Processed ${routes.length} unique routes`);
+  return routes.sort((a, b) => byCode('origin')(a, b) || byCode('destination')(a, b));
+}
 
-// Build routes by airport for quick lookup
-const routesByAirport = {};
+/**
+ * Catalog entries for the equipment codes in use
+ */
+async function buildAircraftCatalog(aircraftTypes) {
+  const source = await readJSON(CATALOG_PATH);
+  const catalogByCode = new Map(source.map(a => [a.code, a]));
 
-routes.forEach(route => {
-  if (!routesByAirport[route.origin]) {
-    routesByAirport[route.origin] = [];
+  const uncatalogued = aircraftTypes.filter(code => !catalogByCode.has(code));
+  if (uncatalogued.length > 0) {
+    console.warn(`  No catalog entry for: ${uncatalogued.join(', ')} (add them to data/aircraft-catalog.json)`);
   }
-  routesByAirport[route.origin].push(route);
-});
 
-console.log(`Routes available from ${Object.keys(routesByAirport).length} airports`);
+  return aircraftTypes.filter(code => catalogByCode.has(code)).map(code => catalogByCode.get(code));
+}
 
-// Get unique aircraft types
-const allAircraft = new Set();
-routes.forEach(r => r.aircraft.forEach(a => allAircraft.add(a)));
-const aircraftTypes = Array.from(allAircraft).sort();
-console.log(`Found ${aircraftTypes.length} aircraft types`);
+/**
+ * Metro areas whose member airports were built, in the curated order. A
+ * metro needs at least two members to be worth selecting as a group.
+ */
+async function buildMetroAreas(airportMap) {
+  const source = await readJSON(METRO_AREAS_PATH);
+  const metroAreas = [];
 
-// Create output directory
-const outputDir = path.join(__dirname, '../public/data');
-if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir, { recursive: true });
+  for (const metro of source) {
+    const airports = metro.airports.filter(code => {
+      if (airportMap.has(code)) return true;
+      report.drop('metro-areas.json', 'unknown airport', `${metro.code}: ${code}`);
+      return false;
+    });
+    if (airports.length < 2) {
+      report.drop('metro-areas.json', 'fewer than two airports', `${metro.code} "${metro.name}"`);
+      continue;
+    }
+    metroAreas.push({ ...metro, airports });
+  }
+
+  return metroAreas.sort(byCode('code'));
+}
+
+/**
+ * Check outputs against the src/types shapes. Any failure is a pipeline bug,
+ * so nothing is written.
+ */
+function checkOutputs(outputs) {
+  let failed = false;
+  for (const { file, records, schema } of outputs) {
+    const failures = validateRecords(records, schema);
+    if (failures.length === 0) continue;
+    failed = true;
+    console.error(`\n${file}: ${failures.length} invalid records`);
+    for (const { index, errors } of failures.slice(0, verbose ? undefined : 5)) {
+      console.error(`    [${index}] ${errors.join('; ')}`);
+    }
+  }
+  return !failed;
 }
 
-// Write processed data
-fs.writeFileSync(
-  path.join(outputDir, 'airports.json'),
-  JSON.stringify(airports, null, 2)
-);
-
-fs.writeFileSync(
-  path.join(outputDir, 'airlines.json'),
-  JSON.stringify(airlines, null, 2)
-);
-
-fs.writeFileSync(
-  path.join(outputDir, 'routes.json'),
-  JSON.stringify(routes, null, 2)
-);
-
-fs.writeFileSync(
-  path.join(outputDir, 'routes-by-airport.json'),
-  JSON.stringify(routesByAirport, null, 2)
-);
-
-fs.writeFileSync(
-  path.join(outputDir, 'aircraft-types.json'),
-  JSON.stringify(aircraftTypes, null, 2)
-);
-
-// Stats
-console.log('\n--- Summary ---');
-console.log(`Airports: ${airports.length}`);
-console.log(`Airlines: ${airlines.length}`);
-console.log(`Routes: ${routes.length}`);
-console.log(`Aircraft types: ${aircraftTypes.length}`);
-console.log(`\nData written to ${outputDir}`);
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('=== Data Build ===\n');
+
+  console.log('Fetching OurAirports data...');
+  await fetchOurAirportsFiles();
+
+  console.log('Processing airport data...');
+  const airports = await buildAirports();
+  const airportMap = new Map(airports.map(a => [a.iata, a]));
+  console.log(`  ${airports.length} airports with scheduled service`);
+
+  console.log('Processing airline data...');
+  const activeAirlines = await buildAirlines();
+  const airlineMap = new Map(activeAirlines.map(a => [a.iata, a]));
+  console.log(`  ${activeAirlines.length} active airlines`);
+
+  console.log('Processing route data...');
+  const routes = await buildRoutes(airportMap, airlineMap);
+  console.log(`  ${routes.length} unique routes`);
+
+  // Only airlines that appear on a route are useful in the app
+  const airlinesOnRoutes = new Set(routes.flatMap(r => [...r.operators, ...r.codeshares]));
+  const airlines = activeAirlines.filter(a => {
+    if (airlinesOnRoutes.has(a.iata)) return true;
+    report.drop('airlines.dat', 'no routes', `${a.iata} "${a.name}"`);
+    return false;
+  });
+  console.log(`  ${airlines.length} airlines with routes`);
+
+  const aircraftTypes = [...new Set(routes.flatMap(r => r.aircraft))].sort();
+  console.log(`  ${aircraftTypes.length} aircraft types`);
+
+  console.log('Processing aircraft catalog...');
+  const aircraftCatalog = await buildAircraftCatalog(aircraftTypes);
+  console.log(`  Catalogued ${aircraftCatalog.length} of ${aircraftTypes.length} aircraft types`);
+
+  console.log('Processing metro areas...');
+  const metroAreas = await buildMetroAreas(airportMap);
+  console.log(`  ${metroAreas.length} metro areas`);
+
+  report.print();
+
+  console.log('\nValidating output...');
+  const valid = checkOutputs([
+    { file: 'airports.json', records: airports, schema: AIRPORT_SCHEMA },
+    { file: 'airlines.json', records: airlines, schema: AIRLINE_SCHEMA },
+    { file: 'routes.json', records: routes, schema: ROUTE_SCHEMA },
+    { file: 'aircraft-catalog.json', records: aircraftCatalog, schema: AIRCRAFT_TYPE_SCHEMA },
+    { file: 'metro-areas.json', records: metroAreas, schema: METRO_AREA_SCHEMA },
+  ]);
+  if (!valid) {
+    throw new Error('Output validation failed, nothing written');
+  }
+  console.log('  All records match src/types');
+
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  await writeJSON(path.join(OUTPUT_DIR, 'airports.json'), airports);
+  await writeJSON(path.join(OUTPUT_DIR, 'airlines.json'), airlines);
+  await writeJSON(ROUTES_PATH, routes);
+  await writeJSON(path.join(OUTPUT_DIR, 'aircraft-types.json'), aircraftTypes);
+  await writeJSON(path.join(OUTPUT_DIR, 'aircraft-catalog.json'), aircraftCatalog);
+  await writeJSON(path.join(OUTPUT_DIR, 'metro-areas.json'), metroAreas);
+
+  console.log('\nWriting app shards...');
+  const shards = await writeShards(OUTPUT_DIR, {
+    airports,
+    airlines,
+    routes,
+    aircraftTypes,
+    aircraftCatalog,
+    metroAreas,
+  });
+  console.log(`  Route shards for ${shards.airports} airports and ${shards.airlines} airlines`);
+
+  console.log('\n--- Summary ---');
+  console.log(`Airports: ${airports.length}`);
+  console.log(`Airlines: ${airlines.length}`);
+  console.log(`Routes: ${routes.length}`);
+  console.log(`Aircraft types: ${aircraftTypes.length}`);
+  console.log(`Metro areas: ${metroAreas.length}`);
+  console.log(`\nData written to ${OUTPUT_DIR}`);
+}
+
+main().catch(error => {
+  console.error(`\nData build failed: ${error.message}`);
+  process.exit(1);
+});
@@ -5,27 +5,59 @@
  * 1. Scrapes Wikipedia airport pages for "Airlines and destinations" tables
  * 2. Extracts airline and destination data from each airport
  * 3. Builds a complete route network from this data
- * 4. Uses GPT to validate/match airline names to IATA codes
+ * 4. Matches airline names to IATA codes offline (see lib/airline-matcher.js),
+ *    with an optional GPT fallback for names it can't resolve
+ * 5. Dates every route it lists (first seen, last confirmed), drops
+ *    Wikipedia-only routes a scraped page no longer lists, and adds what
+ *    changed to public/data/changelog.json (see lib/provenance.js)
+ *
+ * Usage: npm run update-routes [-- --llm]
+ *
+ * Without --llm the script needs no API key and the same Wikipedia pages
+ * always produce the same routes. Fallback answers are stored in
+ * data/airline-match-cache.json, so later runs reuse them offline. Entries
+ * there with "source": "manual" override the matcher.
  */
 
-import OpenAI from 'openai';
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseDAT } from './lib/csv.js';
+import { getDistance } from './lib/geo.js';
+import { readJSON, writeJSON } from './lib/json.js';
+import { writeShards } from './lib/shards.js';
+import { createAirlineMatcher, resolveAirlineNames } from './lib/airline-matcher.js';
+import { getProvenance, diffData } from './lib/provenance.js';
+import { createAirportResolver, parseDestinationTables } from './lib/wikipedia-destinations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Paths
+const RAW_DIR = path.join(__dirname, '..', 'data');
 const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
 const AIRLINES_PATH = path.join(DATA_DIR, 'airlines.json');
 const AIRPORTS_PATH = path.join(DATA_DIR, 'airports.json');
-const ROUTES_PATH = path.join(DATA_DIR, 'routes.json');
+const ROUTES_PATH = path.join(RAW_DIR, 'routes.json');
+const AIRCRAFT_TYPES_PATH = path.join(DATA_DIR, 'aircraft-types.json');
+const AIRCRAFT_CATALOG_PATH = path.join(DATA_DIR, 'aircraft-catalog.json');
+const METRO_AREAS_PATH = path.join(DATA_DIR, 'metro-areas.json');
+const CHANGELOG_PATH = path.join(DATA_DIR, 'changelog.json');
+const AIRLINES_DAT_PATH = path.join(RAW_DIR, 'airlines.dat');
+const VALIDATION_PATH = path.join(RAW_DIR, 'airline-validation.json');
+const MATCH_CACHE_PATH = path.join(RAW_DIR, 'airline-match-cache.json');
+
+// Names sent to GPT per request
+const LLM_BATCH_SIZE = 100;
+
+// Tries per batch before its names are left for the next run
+const LLM_ATTEMPTS = 3;
+
+// Lower is more regular service
+const SERVICE_RANK = { 'year-round': 0, seasonal: 1, charter: 2 };
+
+const useLLM = process.argv.includes('--llm');
 
 // Major airports to scrape (by traffic/importance)
 // These have well-maintained Wikipedia pages
@@ -141,19 +173,11 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function loadJSON(filePath) {
-  const data = await fs.readFile(filePath, 'utf-8');
-  return JSON.parse(data);
-}
-
-async function saveJSON(filePath, data) {
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-}
 
 /**
  * Scrape Wikipedia airport page for airlines and destinations
  */
-async function scrapeAirportWikipedia(airport) {
+async function scrapeAirportWikipedia(airport, resolveAirport) {
   const url = `https://en.wikipedia.org/wiki/${airport.wiki}`;
   
   try {
@@ -164,65 +188,17 @@ async function scrapeAirportWikipedia(airport) {
     }
     
     const html = await response.text();
+    const { rows, unresolved } = parseDestinationTables(html, resolveAirport, airport.iata);
     
-    // Find the Airlines and destinations section
-    // Look for tables after the "Airlines and destinations" heading
-    const airlinesSection = html.match(/id="Airlines_and_destinations"[\s\S]*?(<table[\s\S]*?<\/table>)/i);
-    
-    if (!airlinesSection) {
-      // Try alternate section names
-      const altSection = html.match(/id="Passenger"[\s\S]*?(<table[\s\S]*?<\/table>)/i) ||
-                        html.match(/id="Airlines"[\s\S]*?(<table[\s\S]*?<\/table>)/i);
-      if (!altSection) {
-        console.log(`    No airlines table found for ${airport.iata}`);
-        return null;
-      }
+    if (rows.length === 0) {
+      console.log(`    No airlines table found for ${airport.iata}`);
+      return null;
     }
-    
-    // Extract all tables from the page
-    const tables = html.match(/<table[^>]*class="[^"]*wikitable[^"]*"[^>]*>[\s\S]*?<\/table>/gi) || [];
-    
-    const routes = [];
-    
-    for (const table of tables) {
-      // Check if this looks like an airlines/destinations table
-      if (!table.includes('Destinations') && !table.includes('destinations')) continue;
-      
-      // Parse table rows
-      const rows = table.match(/<tr[\s\S]*?<\/tr>/gi) || [];
-      
-      for (const row of rows) {
-        // Extract cells
-        const cells = row.match(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi) || [];
-        
-        if (cells.length >= 2) {
-          // First cell usually contains airline info
-          const airlineCell = cells[0];
-          // Second or last cell usually contains destinations
-          const destCell = cells[cells.length - 1];
-          
-          // Extract airline IATA codes or names from links
-          const airlineMatches = airlineCell.match(/title="([^"]+)"/g) || [];
-          const airlineNames = airlineMatches.map(m => m.replace(/title="|"/g, ''));
-          
-          // Extract destination airport codes
-          // Look for 3-letter codes in parentheses or links
-          const destCodes = destCell.match(/\b([A-Z]{3})\b/g) || [];
-          
-          // Also try to extract from links like [[Airport Name|CODE]]
-          const destLinks = destCell.match(/title="[^"]*Airport[^"]*"/gi) || [];
-          
-          if (destCodes.length > 0 && airlineNames.length > 0) {
-            routes.push({
-              airlines: airlineNames,
-              destinations: [...new Set(destCodes)]
-            });
-          }
-        }
-      }
+    if (unresolved.length > 0) {
+      console.log(`    ${unresolved.length} linked destinations not matched to an airport`);
     }
     
-    return routes;
+    return rows;
   } catch (error) {
     console.log(`    Error scraping ${airport.iata}: ${error.message}`);
     return null;
@@ -230,40 +206,28 @@ async function scrapeAirportWikipedia(airport) {
 }
 
 /**
- * Use GPT to match airline names to IATA codes
+ * GPT fallback for names the offline matcher can't resolve.
+ * Sends every name, in batches, and only accepts codes from the known list.
+ * A batch that still fails after a few tries is reported and left out of the
+ * answers, so its names aren't cached as "no match".
  */
-async function matchAirlineToIATA(airlineName, knownAirlines) {
-  // First try exact match
-  const exactMatch = knownAirlines.find(a => 
-    a.name.toLowerCase() === airlineName.toLowerCase() ||
-    a.iata === airlineName
-  );
-  if (exactMatch) return exactMatch.iata;
-  
-  // Try partial match
-  const partialMatch = knownAirlines.find(a => 
-    a.name.toLowerCase().includes(airlineName.toLowerCase()) ||
-    airlineName.toLowerCase().includes(a.name.toLowerCase())
-  );
-  if (partialMatch) return partialMatch.iata;
-  
-  return null;
-}
-
-/**
- * Use GPT to batch match unknown airline names to IATA codes
- */
-async function batchMatchAirlines(unknownNames, knownAirlines) {
-  if (unknownNames.length === 0) return {};
-  
+async function createOpenAIFallback(knownAirlines) {
+  const { default: OpenAI } = await import('openai');
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  });
   const airlineList = knownAirlines.map(a => `${a.iata}: ${a.name}`).join('\n');
-  
-  const response = await openai.chat.completions.create({
-    model: 'gpt-5-nano',
-    messages: [
-      {
-        role: 'system',
-        content: `You are an aviation expert. Given airline names, match them to their IATA codes from this list:
+
+  // The batch's { name: iata | null } answers, or null when every try failed
+  async function askBatch(batch) {
+    for (let attempt = 1; attempt <= LLM_ATTEMPTS; attempt++) {
+      try {
+        const response = await openai.chat.completions.create({
+          model: 'gpt-5-nano',
+          messages: [
+            {
+              role: 'system',
+              content: `You are an aviation expert. Given airline names, match them to their IATA codes from this list:
 
 ${airlineList}
 
@@ -276,22 +240,81 @@ Respond in JSON format:
 }
 
 If you can't find a match, use null. Only use codes from the provided list.`
-      },
-      {
-        role: 'user',
-        content: `Match these airline names to IATA codes:\n${unknownNames.join('\n')}`
+            },
+            {
+              role: 'user',
+              content: `Match these airline names to IATA codes:\n${batch.join('\n')}`
+            }
+          ],
+          response_format: { type: 'json_object' },
+        });
+
+        const result = JSON.parse(response.choices[0].message.content);
+        if (!result || typeof result.matches !== 'object' || result.matches === null) {
+          throw new Error('response has no "matches" object');
+        }
+        return result.matches;
+      } catch (error) {
+        console.warn(`    Try ${attempt} of ${LLM_ATTEMPTS} failed: ${error.message}`);
+        if (attempt < LLM_ATTEMPTS) await sleep(2000 * attempt);
       }
-    ],
-    response_format: { type: 'json_object' },
-  });
-  
-  try {
-    const result = JSON.parse(response.choices[0].message.content);
-    return result.matches || {};
-  } catch (e) {
-    console.error('Failed to parse GPT response for airline matching');
-    return {};
+    }
+    return null;
   }
+
+  return async function matchWithOpenAI(names) {
+    const matches = {};
+    let failed = 0;
+
+    for (let i = 0; i < names.length; i += LLM_BATCH_SIZE) {
+      const batch = names.slice(i, i + LLM_BATCH_SIZE);
+      console.log(`  Asking GPT about names ${i + 1}-${i + batch.length} of ${names.length}...`);
+
+      const answers = await askBatch(batch);
+      if (!answers) {
+        console.warn(`  Giving up on names ${i + 1}-${i + batch.length}; they'll be asked again next run`);
+        failed += batch.length;
+        continue;
+      }
+      // Only names that were asked and answered
+      for (const name of batch) {
+        if (Object.hasOwn(answers, name)) matches[name] = answers[name];
+      }
+    }
+
+    if (failed > 0) console.warn(`  GPT failed on ${failed} of ${names.length} names`);
+    return matches;
+  };
+}
+
+/**
+ * Route service for one operator from a parsed destination
+ */
+function toRouteService(airline, { seasonal, charter, begins, ends }) {
+  return {
+    airline,
+    type: charter ? 'charter' : seasonal ? 'seasonal' : 'year-round',
+    begins,
+    ends,
+  };
+}
+
+/**
+ * Attach services to a route, leaving out plain year-round service
+ * (the default) and the field itself when nothing is left
+ */
+function withServices(route, services) {
+  const notable = [...services]
+    .filter(s => s.type !== 'year-round' || s.begins || s.ends)
+    .sort((a, b) => a.airline.localeCompare(b.airline));
+  return notable.length > 0 ? { ...route, services: notable } : route;
+}
+
+/**
+ * Sort cache keys so the file diffs cleanly between runs
+ */
+function sortCache(cache) {
+  return Object.fromEntries(Object.entries(cache).sort((a, b) => a[0].localeCompare(b[0])));
 }
 
 /**
@@ -302,76 +325,41 @@ async function main() {
   
   // Load existing data
   console.log('Loading existing data...');
-  const airlines = await loadJSON(AIRLINES_PATH);
-  const airports = await loadJSON(AIRPORTS_PATH);
-  const existingRoutes = await loadJSON(ROUTES_PATH);
+  const airlines = await readJSON(AIRLINES_PATH);
+  const airports = await readJSON(AIRPORTS_PATH);
+  const existingRoutes = await readJSON(ROUTES_PATH);
   
-  const validAirportCodes = new Set(airports.map(a => a.iata));
-  const airlineByName = new Map();
-  const airlineByIATA = new Map();
-  
-  for (const airline of airlines) {
-    airlineByName.set(airline.name.toLowerCase(), airline.iata);
-    airlineByIATA.set(airline.iata, airline);
-  }
+  const airportByIATA = new Map(airports.map(a => [a.iata, a]));
+  const datRecords = parseDAT(await fs.readFile(AIRLINES_DAT_PATH, 'utf-8'), [
+    'id', 'name', 'alias', 'iata', 'icao', 'callsign', 'country', 'active'
+  ]).map(({ record }) => record);
+  const validation = await readJSON(VALIDATION_PATH);
+  const matchCache = existsSync(MATCH_CACHE_PATH) ? await readJSON(MATCH_CACHE_PATH) : {};
+  const matcher = createAirlineMatcher(airlines, { datRecords, validation });
+  const resolveAirport = createAirportResolver(airports);
   
   console.log(`  Loaded ${airlines.length} airlines`);
   console.log(`  Loaded ${airports.length} airports`);
-  console.log(`  Loaded ${existingRoutes.length} existing routes\n`);
+  console.log(`  Loaded ${existingRoutes.length} existing routes`);
+  console.log(`  Loaded ${Object.keys(matchCache).length} cached airline names\n`);
   
   // Step 1: Scrape Wikipedia for each major airport
   console.log('Step 1: Scraping Wikipedia airport pages...\n');
   
-  const allRoutes = new Map(); // "ORIGIN-DEST" -> { operators: Set, ... }
-  const unknownAirlines = new Set();
+  const scraped = []; // { airport, entries }
+  const airlineNames = new Set();
   let successCount = 0;
-  let failCount = 0;
   
   for (const airport of MAJOR_AIRPORTS) {
     console.log(`  Scraping ${airport.iata}...`);
     
-    const data = await scrapeAirportWikipedia(airport);
+    const data = await scrapeAirportWikipedia(airport, resolveAirport);
     
     if (data && data.length > 0) {
       successCount++;
-      let routeCount = 0;
-      
-      for (const entry of data) {
-        for (const dest of entry.destinations) {
-          // Validate destination is a real airport
-          if (!validAirportCodes.has(dest)) continue;
-          if (dest === airport.iata) continue; // Skip self-routes
-          
-          const routeKey = `${airport.iata}-${dest}`;
-          const reverseKey = `${dest}-${airport.iata}`;
-          
-          // Initialize route if needed
-          if (!allRoutes.has(routeKey)) {
-            allRoutes.set(routeKey, {
-              origin: airport.iata,
-              destination: dest,
-              operators: new Set(),
-              codeshares: [],
-              aircraft: []
-            });
-          }
-          
-          // Try to match airlines
-          for (const airlineName of entry.airlines) {
-            const iata = await matchAirlineToIATA(airlineName, airlines);
-            if (iata) {
-              allRoutes.get(routeKey).operators.add(iata);
-              routeCount++;
-            } else if (airlineName.length > 2) {
-              unknownAirlines.add(airlineName);
-            }
-          }
-        }
-      }
-      
-      console.log(`    Found ${routeCount} route-airline pairs`);
-    } else {
-      failCount++;
+      scraped.push({ airport, entries: data });
+      data.forEach(entry => airlineNames.add(entry.airline));
+      console.log(`    Found ${data.length} airline rows`);
     }
     
     // Rate limiting - be polite to Wikipedia
@@ -380,21 +368,66 @@ async function main() {
   
   console.log(`\n  Scraped ${successCount}/${MAJOR_AIRPORTS.length} airports successfully`);
   
-  // Step 2: Use GPT to match unknown airlines
-  if (unknownAirlines.size > 0) {
-    console.log(`\nStep 2: Matching ${unknownAirlines.size} unknown airline names with GPT...`);
-    
-    const unknownList = Array.from(unknownAirlines).slice(0, 100); // Limit to avoid huge API calls
-    const matches = await batchMatchAirlines(unknownList, airlines);
-    
-    let matchCount = 0;
-    for (const [name, iata] of Object.entries(matches)) {
-      if (iata) {
-        airlineByName.set(name.toLowerCase(), iata);
-        matchCount++;
+  // Step 2: Match airline names to IATA codes
+  console.log(`\nStep 2: Matching ${airlineNames.size} airline names...`);
+  
+  const fallback = useLLM ? await createOpenAIFallback(airlines) : null;
+  const { matches, unmatched, stats } = await resolveAirlineNames(airlineNames, matcher, {
+    cache: matchCache,
+    fallback,
+    knownCodes: new Set(airlines.map(a => a.iata)),
+  });
+  
+  console.log(`  Matched ${matches.size} names (${stats.local} offline, ${stats.manual} manual, ${stats.cached} cached, ${stats.fallback} GPT)`);
+  if (unmatched.length > 0) {
+    console.log(`  ${unmatched.length} names unmatched${useLLM ? '' : ' (rerun with --llm to ask GPT)'}`);
+  }
+  if (stats.unanswered > 0) {
+    console.warn(`  ${stats.unanswered} names got no GPT answer and were not cached`);
+  }
+  if (fallback) {
+    await writeJSON(MATCH_CACHE_PATH, sortCache(matchCache));
+  }
+  
+  const allRoutes = new Map(); // "ORIGIN-DEST" -> { operators: Set, services: Map, ... }
+  const today = new Date().toISOString().slice(0, 10);
+  
+  for (const { airport, entries } of scraped) {
+    for (const entry of entries) {
+      const operator = matches.get(entry.airline);
+      
+      for (const destination of entry.destinations) {
+        // Skip service whose end date has passed
+        if (destination.ends && destination.ends < today.slice(0, destination.ends.length)) continue;
+        
+        const dest = destination.iata;
+        const routeKey = `${airport.iata}-${dest}`;
+        
+        // Initialize route if needed
+        if (!allRoutes.has(routeKey)) {
+          allRoutes.set(routeKey, {
+            origin: airport.iata,
+            destination: dest,
+            operators: new Set(),
+            services: new Map(),
+            codeshares: [],
+            aircraft: []
+          });
+        }
+        
+        if (operator) {
+          const route = allRoutes.get(routeKey);
+          route.operators.add(operator);
+          
+          // Listed more than once (e.g. passenger and cargo tables): keep the most regular service
+          const service = toRouteService(operator, destination);
+          const current = route.services.get(operator);
+          if (!current || SERVICE_RANK[service.type] < SERVICE_RANK[current.type]) {
+            route.services.set(operator, service);
+          }
+        }
       }
     }
-    console.log(`  Matched ${matchCount} additional airlines`);
   }
   
   // Step 3: Merge with existing routes
@@ -407,57 +440,79 @@ async function main() {
     existingRouteMap.set(key, route);
   }
   
-  // Merge: keep existing routes, add/update from scraped data
+  // Merge: keep existing routes, add/update from scraped data. Routes that
+  // only Wikipedia ever listed follow the airport's page: their operators are
+  // the ones listed now, and they're dropped when the page stops listing
+  // them. OpenFlights routes are only ever added to; lastConfirmed shows how
+  // stale they are.
   const finalRoutes = [];
   const processedKeys = new Set();
+  const scrapedAirports = new Set(scraped.map(({ airport }) => airport.iata));
   
   // First, add all scraped routes
   for (const [key, route] of allRoutes) {
     const existing = existingRouteMap.get(key);
     
     if (existing) {
-      // Merge operators
-      const mergedOperators = new Set([...existing.operators, ...route.operators]);
-      finalRoutes.push({
+      // Only confirmed when an operator was matched; scraped service replaces
+      // what we had for the same operator
+      const { source, firstSeen, lastConfirmed } = getProvenance(existing);
+      const confirmed = route.operators.size > 0;
+      const mergedOperators = confirmed && source === 'wikipedia'
+        ? route.operators
+        : new Set([...existing.operators, ...route.operators]);
+      const keptServices = (existing.services || [])
+        .filter(s => mergedOperators.has(s.airline) && !route.operators.has(s.airline));
+      finalRoutes.push(withServices({
         origin: route.origin,
         destination: route.destination,
-        operators: Array.from(mergedOperators),
+        operators: Array.from(mergedOperators).sort(),
         codeshares: existing.codeshares || [],
-        aircraft: existing.aircraft || []
-      });
+        aircraft: existing.aircraft || [],
+        distance: existing.distance ?? Math.round(getDistance(airportByIATA.get(route.origin), airportByIATA.get(route.destination))),
+        source,
+        firstSeen,
+        lastConfirmed: confirmed ? today : lastConfirmed
+      }, [...keptServices, ...route.services.values()]));
     } else {
       // New route from Wikipedia
-      finalRoutes.push({
+      finalRoutes.push(withServices({
         origin: route.origin,
         destination: route.destination,
-        operators: Array.from(route.operators),
+        operators: Array.from(route.operators).sort(),
         codeshares: [],
-        aircraft: []
-      });
+        aircraft: [],
+        distance: Math.round(getDistance(airportByIATA.get(route.origin), airportByIATA.get(route.destination))),
+        source: 'wikipedia',
+        firstSeen: today,
+        lastConfirmed: today
+      }, route.services.values()));
     }
     
     processedKeys.add(key);
   }
   
-  // Then, keep existing routes that weren't in scraped data
-  // (routes between non-major airports)
+  // Then, keep existing routes that weren't in scraped data (routes between
+  // non-major airports), with the dates they already had, except Wikipedia
+  // routes from an airport whose page no longer lists them
   for (const route of existingRoutes) {
     const key = `${route.origin}-${route.destination}`;
-    if (!processedKeys.has(key)) {
-      finalRoutes.push(route);
-      processedKeys.add(key);
-    }
+    if (processedKeys.has(key)) continue;
+    const provenance = getProvenance(route);
+    if (provenance.source === 'wikipedia' && scrapedAirports.has(route.origin)) continue;
+    const { services, ...rest } = route;
+    finalRoutes.push(withServices({ ...rest, ...provenance }, services || []));
+    processedKeys.add(key);
   }
   
   // Remove routes with no operators
   const validRoutes = finalRoutes.filter(r => r.operators && r.operators.length > 0);
   
-  console.log(`  Total routes: ${validRoutes.length}`);
-  console.log(`  New routes added: ${validRoutes.length - existingRoutes.length}`);
+  console.log(`  Total routes: ${validRoutes.length} (was ${existingRoutes.length})`);
   
   // Step 4: Save
   console.log('\nStep 4: Saving updated routes...');
-  await saveJSON(ROUTES_PATH, validRoutes);
+  await writeJSON(ROUTES_PATH, validRoutes);
   
   // Update airlines with active flag based on routes
   const activeAirlines = new Set();
@@ -471,12 +526,39 @@ async function main() {
     ...a,
     active: activeAirlines.has(a.iata)
   }));
-  await saveJSON(AIRLINES_PATH, updatedAirlines);
+  await writeJSON(AIRLINES_PATH, updatedAirlines);
+
+  // Record what this run changed, newest first
+  const update = diffData(
+    { routes: existingRoutes, airlines },
+    { routes: validRoutes, airlines: updatedAirlines },
+    today
+  );
+  const changelog = existsSync(CHANGELOG_PATH) ? await readJSON(CHANGELOG_PATH) : [];
+  await writeJSON(CHANGELOG_PATH, [update, ...changelog]);
+
+  // The app loads shards, not the files above
+  await writeShards(DATA_DIR, {
+    airports,
+    airlines: updatedAirlines,
+    routes: validRoutes,
+    aircraftTypes: await readJSON(AIRCRAFT_TYPES_PATH),
+    aircraftCatalog: await readJSON(AIRCRAFT_CATALOG_PATH),
+    metroAreas: await readJSON(METRO_AREAS_PATH),
+    lastUpdate: today,
+  });
   
   console.log('\n=== Update Complete ===');
   console.log(`Routes: ${existingRoutes.length} -> ${validRoutes.length}`);
   console.log(`Active airlines: ${activeAirlines.size}`);
   console.log(`Airports scraped: ${successCount}`);
+  console.log(`Routes added: ${update.routesAdded.length}, removed: ${update.routesRemoved.length}`);
+  console.log(`Operators added: ${update.operatorsAdded.length}, removed: ${update.operatorsRemoved.length}`);
+  console.log(`Airlines activated: ${update.airlinesActivated.length}, deactivated: ${update.airlinesDeactivated.length}`);
+  console.log(`Changes recorded in ${path.relative(process.cwd(), CHANGELOG_PATH)}`);
 }
 
-main().catch(console.error);
+main().catch(error => {
+  console.error('\nRoute update failed:', error);
+  process.exit(1);
+});
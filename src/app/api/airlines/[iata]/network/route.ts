@@ -0,0 +1,29 @@
+import { NextRequest } from "next/server";
+import { AirlineNetworkResponse } from "@/types";
+import { getDataset } from "@/lib/dataset";
+import { apiResponse, handleApiRequest, getAirlineParam, getFlagParam, checkParamNames } from "@/lib/api";
+import { routeMatchesAirline } from "@/lib/routes";
+
+// GET /api/airlines/EI/network?codeshares=1
+// Every route an airline operates, plus those it codeshares on if asked
+export async function GET(request: NextRequest, { params }: { params: Promise<{ iata: string }> }) {
+  return handleApiRequest(async () => {
+    const { iata } = await params;
+    const data = await getDataset();
+    const airline = getAirlineParam(iata, data);
+    const searchParams = request.nextUrl.searchParams;
+    checkParamNames(searchParams, ["codeshares"]);
+    const includeCodeshares = getFlagParam(searchParams, "codeshares");
+
+    const routes = data.routes.filter((route) => routeMatchesAirline(route, [airline.iata], includeCodeshares));
+    const airports = new Set<string>();
+    routes.forEach((route) => airports.add(route.origin).add(route.destination));
+
+    return apiResponse<AirlineNetworkResponse>({
+      airline,
+      includeCodeshares,
+      airports: Array.from(airports).sort(),
+      routes,
+    });
+  });
+}
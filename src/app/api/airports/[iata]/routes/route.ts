@@ -0,0 +1,32 @@
+import { NextRequest } from "next/server";
+import { AirportRoutesResponse } from "@/types";
+import { getDataset } from "@/lib/dataset";
+import {
+  apiResponse,
+  handleApiRequest,
+  getAirportParam,
+  getFilterParams,
+  checkParamNames,
+  FILTER_PARAMS,
+  GEOGRAPHY_PARAMS,
+} from "@/lib/api";
+import { routeMatchesFilters } from "@/lib/routes";
+import { routeMatchesGeography } from "@/lib/geography";
+
+// GET /api/airports/DUB/routes?airline=EI,BA&aircraft=320&codeshares=1&dcontinent=NA
+// Routes departing an airport, filtered like the explorer
+export async function GET(request: NextRequest, { params }: { params: Promise<{ iata: string }> }) {
+  return handleApiRequest(async () => {
+    const { iata } = await params;
+    const data = await getDataset();
+    const airport = getAirportParam(iata, data);
+    const searchParams = request.nextUrl.searchParams;
+    checkParamNames(searchParams, [...FILTER_PARAMS, ...GEOGRAPHY_PARAMS]);
+    const filters = getFilterParams(searchParams, data);
+
+    const routes = (data.routesByAirport[airport.iata] || []).filter(
+      (route) => routeMatchesFilters(route, filters) && routeMatchesGeography(route, filters, data.airportMap)
+    );
+    return apiResponse<AirportRoutesResponse>({ airport, filters, routes });
+  });
+}
@@ -0,0 +1,23 @@
+import { NextRequest } from "next/server";
+import { AirportSearchResponse } from "@/types";
+import { getDataset } from "@/lib/dataset";
+import { apiResponse, handleApiRequest, getIntParam, checkParamNames, ApiRequestError } from "@/lib/api";
+import { searchAirports } from "@/lib/search";
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// GET /api/airports?q=dublin&limit=10
+// Airports matching q by IATA/ICAO code, city, name or country, best match first
+export async function GET(request: NextRequest) {
+  return handleApiRequest(async () => {
+    const params = request.nextUrl.searchParams;
+    checkParamNames(params, ["q", "limit"]);
+    const query = params.get("q")?.trim() || "";
+    if (!query) throw new ApiRequestError(400, "Missing search query q");
+    const limit = getIntParam(params, "limit", 1, MAX_LIMIT, DEFAULT_LIMIT);
+
+    const data = await getDataset();
+    return apiResponse<AirportSearchResponse>({ query, airports: searchAirports(data.airports, query, limit, data.routeCounts) });
+  });
+}
@@ -0,0 +1,56 @@
+import { NextRequest } from "next/server";
+import { AirportPairResponse } from "@/types";
+import { getDataset } from "@/lib/dataset";
+import {
+  apiResponse,
+  handleApiRequest,
+  getAirportParam,
+  getFilterParams,
+  getFlagParam,
+  getIntParam,
+  checkParamNames,
+  ApiRequestError,
+  FILTER_PARAMS,
+} from "@/lib/api";
+import { routeMatchesFilters } from "@/lib/routes";
+import { findConnections, DEFAULT_CONNECTION_QUERY } from "@/lib/connections";
+
+const MAX_STOPS = 2;
+
+// GET /api/routes/DUB/SYD?stops=2&airline=EK&codeshares=1&sameAirline=1&sameAlliance=0
+// The nonstop route between two airports, if any, and itineraries with up
+// to `stops` connections, ranked like the Connections tab. The airports are
+// given, so the geography filters don't apply.
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ origin: string; destination: string }> }
+) {
+  return handleApiRequest(async () => {
+    const { origin: originCode, destination: destinationCode } = await params;
+    const data = await getDataset();
+    const origin = getAirportParam(originCode, data);
+    const destination = getAirportParam(destinationCode, data);
+    if (origin.iata === destination.iata) {
+      throw new ApiRequestError(400, "Origin and destination are the same airport");
+    }
+
+    const searchParams = request.nextUrl.searchParams;
+    checkParamNames(searchParams, [...FILTER_PARAMS, "stops", "sameAirline", "sameAlliance"]);
+    const filters = getFilterParams(searchParams, data);
+    const query = {
+      origin: origin.iata,
+      destination: destination.iata,
+      maxStops: getIntParam(searchParams, "stops", 0, MAX_STOPS, DEFAULT_CONNECTION_QUERY.maxStops),
+      sameAirline: getFlagParam(searchParams, "sameAirline"),
+      sameAlliance: getFlagParam(searchParams, "sameAlliance"),
+    };
+
+    const direct =
+      (data.routesByAirport[origin.iata] || []).find(
+        (route) => route.destination === destination.iata && routeMatchesFilters(route, filters)
+      ) || null;
+    const itineraries = findConnections(query, data.routesByAirport, data.airportMap, filters);
+
+    return apiResponse<AirportPairResponse>({ origin, destination, direct, itineraries });
+  });
+}
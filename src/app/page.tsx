@@ -1,9 +1,51 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import dynamic from "next/dynamic";
-import { Airport, Airline, Route, RoutesByAirport, Filters } from "@/types";
+import { X } from "lucide-react";
+import {
+  Airport,
+  AirportInfo,
+  Airline,
+  Filters,
+  ViewMode,
+  ConnectionQuery,
+  MapView,
+  AircraftCatalog,
+  DistanceUnit,
+  ArcColoring,
+  FlightLogLeg,
+  AirportPair,
+  DataUpdate,
+  MetroArea,
+} from "@/types";
 import Sidebar from "@/components/Sidebar";
+import ExportMenu from "@/components/ExportMenu";
+import PairPanel from "@/components/PairPanel";
+import { findConnections, DEFAULT_CONNECTION_QUERY } from "@/lib/connections";
+import { DEFAULT_FILTERS, getFilterAirlines, getMapRoutes, getShownOperators, isNetworkFilterActive } from "@/lib/routes";
+import { getRouteColor, getItineraryColor } from "@/lib/colors";
+import { getRouteServiceType } from "@/lib/services";
+import { ExportRoute } from "@/lib/export";
+import { getReachability } from "@/lib/reachability";
+import { loadFlightLog, saveFlightLog, getLoggedRoutes, getFlightLogOrigins } from "@/lib/flight-log";
+import { getChangedRoutes } from "@/lib/provenance";
+import { getMetroAirportColor, getMetroRoutes } from "@/lib/metro";
+import { getComparedAirlines, getComparedCarriers, getComparedRoutes, getComparisonColor } from "@/lib/compare";
+import { parseUrlState, serializeUrlState, getSelectionKey, UrlStateContext } from "@/lib/url-state";
+import {
+  loadIndex,
+  loadAirportInfo,
+  loadChangelog,
+  loadShards,
+  getMissingShards,
+  isShardRequestEmpty,
+  getRoutesByAirport,
+  getNetworkRoutes,
+  LoadedRoutes,
+  ShardRequest,
+  NO_ROUTES_LOADED,
+} from "@/lib/data";
 
 // Dynamic import for Leaflet (no SSR)
 const FlightMap = dynamic(() => import("@/components/FlightMap"), {
@@ -18,45 +60,307 @@ const FlightMap = dynamic(() => import("@/components/FlightMap"), {
 export default function Home() {
   const [airports, setAirports] = useState<Airport[]>([]);
   const [airlines, setAirlines] = useState<Airline[]>([]);
-  const [routes, setRoutes] = useState<Route[]>([]);
-  const [routesByAirport, setRoutesByAirport] = useState<RoutesByAirport>({});
+  const [routeCounts, setRouteCounts] = useState<{ [key: string]: number }>({});
+  const [totalRoutes, setTotalRoutes] = useState(0);
+  const [lastUpdate, setLastUpdate] = useState<string | null>(null);
+  const [loadedRoutes, setLoadedRoutes] = useState<LoadedRoutes>(NO_ROUTES_LOADED);
   const [aircraftTypes, setAircraftTypes] = useState<string[]>([]);
+  const [aircraftCatalog, setAircraftCatalog] = useState<AircraftCatalog>({});
+  const [metroAreas, setMetroAreas] = useState<MetroArea[]>([]);
   const [selectedAirport, setSelectedAirport] = useState<Airport | null>(null);
-  const [filters, setFilters] = useState<Filters>({ airlines: [], aircraft: [], includeCodeshares: false });
+  const [selectedMetro, setSelectedMetro] = useState<MetroArea | null>(null);
+  const [filters, setFilters] = useState<Filters>(DEFAULT_FILTERS);
+  const [mode, setMode] = useState<ViewMode>("explore");
+  const [connectionQuery, setConnectionQuery] = useState<ConnectionQuery>(DEFAULT_CONNECTION_QUERY);
+  const [selectedItinerary, setSelectedItinerary] = useState<number | null>(null);
+  const [mapView, setMapView] = useState<MapView | null>(null);
+  const [distanceUnit, setDistanceUnit] = useState<DistanceUnit>("km");
+  const [arcColoring, setArcColoring] = useState<ArcColoring>("airline");
+  const [showReachability, setShowReachability] = useState(false);
+  const [showChanges, setShowChanges] = useState(false);
+  const [changelog, setChangelog] = useState<DataUpdate[] | null>(null);
+  const [airportInfo, setAirportInfo] = useState<{ [key: string]: AirportInfo } | null>(null);
+  const [flightLog, setFlightLog] = useState<FlightLogLeg[]>([]);
+  const [selectedPair, setSelectedPair] = useState<AirportPair | null>(null);
+  const [urlNotice, setUrlNotice] = useState<string | null>(null);
+  const [failedShards, setFailedShards] = useState<ShardRequest | null>(null);
   const [loading, setLoading] = useState(true);
 
+  const airportMap = useMemo(() => {
+    const map: { [key: string]: Airport } = {};
+    airports.forEach((a) => (map[a.iata] = a));
+    return map;
+  }, [airports]);
+
+  const airlineMap = useMemo(() => {
+    const map: { [key: string]: Airline } = {};
+    airlines.forEach((a) => (map[a.iata] = a));
+    return map;
+  }, [airlines]);
+
+  const metroAreaMap = useMemo(() => {
+    const map: { [key: string]: MetroArea } = {};
+    metroAreas.forEach((m) => (map[m.code] = m));
+    return map;
+  }, [metroAreas]);
+
+  const routesByAirport = useMemo(() => getRoutesByAirport(loadedRoutes), [loadedRoutes]);
+  const routes = useMemo(() => getNetworkRoutes(loadedRoutes), [loadedRoutes]);
+
+  // Route shards the current view needs and doesn't have yet. Whole-network
+  // features need every route; otherwise the selected airport's routes (or
+  // those of every airport in the selected metro area), or the networks of
+  // the filtered airlines when nothing is selected. Compare mode needs the
+  // selected airport's routes or the compared airlines' networks.
+  // The flight log needs the routes from each airport flown out of, and
+  // the pair panel the routes from both of its airports.
+  const filterAirlines = useMemo(() => getFilterAirlines(filters), [filters]);
+  const comparedAirlines = useMemo(() => getComparedAirlines(filters), [filters]);
+  const shownPair = mode === "explore" || mode === "analytics" || mode === "compare" ? selectedPair : null;
+  const missingShards = useMemo(() => {
+    const selected = selectedAirport?.iata;
+    const metroAirports = mode === "explore" || mode === "analytics" ? selectedMetro?.airports || [] : [];
+    const pairAirports = shownPair ? [shownPair.origin, shownPair.destination] : [];
+    return getMissingShards(loadedRoutes, {
+      all:
+        mode === "analytics" ||
+        (mode === "connections" && !!connectionQuery.origin && !!connectionQuery.destination) ||
+        (mode === "explore" && showReachability && !!selected) ||
+        (mode === "explore" && !selected && !selectedMetro && isNetworkFilterActive(filters) && filterAirlines.length === 0),
+      airports:
+        mode === "log"
+          ? getFlightLogOrigins(flightLog, routeCounts)
+          : [
+              ...((mode === "explore" || mode === "compare") && selected ? [selected] : []),
+              ...metroAirports,
+              ...pairAirports,
+            ].filter((code) => routeCounts[code]),
+      airlines:
+        mode === "explore" && !selected && !selectedMetro
+          ? filterAirlines
+          : mode === "compare" && !selected
+            ? comparedAirlines
+            : [],
+    });
+  }, [loadedRoutes, mode, connectionQuery, showReachability, selectedAirport, selectedMetro, shownPair, filters, filterAirlines, comparedAirlines, routeCounts, flightLog]);
+  // A failed request isn't retried on its own; a new one is made when the
+  // selection changes or the user asks to retry
+  const shardsFailed = failedShards === missingShards;
+  const routesLoading = !isShardRequestEmpty(missingShards) && !shardsFailed;
+  const pairLoading =
+    !!shownPair && [shownPair.origin, shownPair.destination].some((code) => routeCounts[code] && !routesByAirport[code]);
+
+  useEffect(() => {
+    if (isShardRequestEmpty(missingShards) || failedShards === missingShards) return;
+    loadShards(missingShards)
+      .then((addShards) => setLoadedRoutes(addShards))
+      .catch((error) => {
+        console.error("Failed to load routes:", error);
+        setFailedShards(missingShards);
+      });
+  }, [missingShards, failedShards]);
+
+  // Airport time zones and card details aren't in the index, so they don't
+  // hold up the map; they're fetched once it is up
+  useEffect(() => {
+    if (loading || airportInfo) return;
+    loadAirportInfo()
+      .then(setAirportInfo)
+      .catch((error) => console.error("Failed to load airport details:", error));
+  }, [loading, airportInfo]);
+
+  const itineraries = useMemo(() => {
+    if (mode !== "connections" || !loadedRoutes.all) return [];
+    return findConnections(connectionQuery, routesByAirport, airportMap, filters);
+  }, [mode, connectionQuery, loadedRoutes, routesByAirport, airportMap, filters]);
+
+  const reachability = useMemo(() => {
+    if (!showReachability || mode !== "explore" || !selectedAirport || !loadedRoutes.all) return null;
+    return getReachability(selectedAirport.iata, routesByAirport, filters);
+  }, [showReachability, mode, selectedAirport, loadedRoutes, routesByAirport, filters]);
+
+  // The last update's changes, if the changelog has them for the current data
+  const latestUpdate = changelog?.[0]?.date === lastUpdate ? changelog?.[0] ?? null : null;
+  const changesShown = mode === "explore" && showChanges;
+  const changedRoutes = useMemo(
+    () => (changesShown && latestUpdate ? getChangedRoutes(latestUpdate, selectedAirport?.iata ?? null) : []),
+    [changesShown, latestUpdate, selectedAirport]
+  );
+
+  const loggedRoutes = useMemo(() => {
+    if (mode !== "log") return [];
+    return getLoggedRoutes(flightLog, routesByAirport, routeCounts);
+  }, [mode, flightLog, routesByAirport, routeCounts]);
+
+  // Routes exactly as the map draws them, for export
+  const exportedRoutes = useMemo((): ExportRoute[] => {
+    if (mode === "log") return [];
+
+    if (mode === "connections") {
+      // Legs of the itineraries shown, colored like their itinerary
+      const legs = new Map<string, ExportRoute>();
+      itineraries.forEach((itinerary, index) => {
+        const color = getItineraryColor(itinerary, index === selectedItinerary);
+        itinerary.legs.forEach((route) => {
+          const key = `${route.origin}-${route.destination}`;
+          if (legs.has(key) && index !== selectedItinerary) return;
+          legs.set(key, { route, color, service: getRouteServiceType(route, route.operators) });
+        });
+      });
+      return Array.from(legs.values());
+    }
+
+    // Compared airlines' routes, colored by which of them fly each
+    if (mode === "compare") {
+      const comparedRoutes = getComparedRoutes(
+        selectedAirport?.iata || null,
+        routesByAirport,
+        routesLoading ? [] : routes,
+        filters,
+        airportMap
+      );
+      return comparedRoutes.map((route) => {
+        const carriers = getComparedCarriers(route, comparedAirlines, filters.includeCodeshares);
+        return {
+          route,
+          color: getComparisonColor(carriers, comparedAirlines),
+          service: getRouteServiceType(route, carriers),
+        };
+      });
+    }
+
+    // A metro area's routes are colored by departure airport
+    const mapRoutes = selectedMetro
+      ? getMetroRoutes(selectedMetro, routesByAirport, filters, airportMap)
+      : getMapRoutes(selectedAirport?.iata || null, routesByAirport, routesLoading ? [] : routes, filters, airportMap);
+    return mapRoutes.map((route) => {
+      const shownOperators = getShownOperators(route, filterAirlines);
+      return {
+        route,
+        color: selectedMetro
+          ? getMetroAirportColor(selectedMetro, route.origin)
+          : getRouteColor(shownOperators, arcColoring),
+        service: getRouteServiceType(route, shownOperators),
+      };
+    });
+  }, [mode, itineraries, selectedItinerary, selectedAirport, selectedMetro, routesByAirport, routesLoading, routes, filters, filterAirlines, comparedAirlines, arcColoring, airportMap]);
+
+  const exportName =
+    mode === "connections"
+      ? `${connectionQuery.origin}-${connectionQuery.destination}-connections`
+      : mode === "compare"
+        ? [...comparedAirlines, ...(selectedAirport ? [selectedAirport.iata] : []), "comparison"].join("-")
+        : selectedMetro
+          ? `${selectedMetro.code}-routes`
+          : selectedAirport
+            ? `${selectedAirport.iata}-routes`
+            : "network";
+
+  // An airport and a metro area are never selected together
+  const handleAirportSelect = useCallback((airport: Airport | null) => {
+    setSelectedAirport(airport);
+    setSelectedMetro(null);
+  }, []);
+
+  const handleMetroSelect = useCallback((metro: MetroArea | null) => {
+    setSelectedMetro(metro);
+    setSelectedAirport(null);
+  }, []);
+
+  const handleConnectionQueryChange = (query: ConnectionQuery) => {
+    setConnectionQuery(query);
+    setSelectedItinerary(null);
+  };
+
+  // The changelog is only fetched the first time the changes layer is shown
+  const handleShowChangesChange = (show: boolean) => {
+    setShowChanges(show);
+    if (!show || changelog) return;
+    loadChangelog()
+      .then(setChangelog)
+      .catch((error) => {
+        console.error("Failed to load changelog:", error);
+        setShowChanges(false);
+      });
+  };
+
+  // Keep the flight log in browser storage
+  const handleFlightLogChange = (legs: FlightLogLeg[]) => {
+    setFlightLog(legs);
+    saveFlightLog(legs);
+  };
+
+  // Open the connection search for a pair from the pair panel
+  const handleFindConnections = (pair: AirportPair) => {
+    setConnectionQuery({ ...connectionQuery, origin: pair.origin, destination: pair.destination });
+    setSelectedItinerary(null);
+    setSelectedPair(null);
+    setMode("connections");
+  };
+
+  const handleFiltersChange = (newFilters: Filters) => {
+    setFilters(newFilters);
+    setSelectedItinerary(null);
+  };
+
   const handleReset = () => {
     setSelectedAirport(null);
-    setFilters({ airlines: [], aircraft: [], includeCodeshares: false });
+    setSelectedMetro(null);
+    setFilters(DEFAULT_FILTERS);
+    setConnectionQuery({ ...connectionQuery, origin: null, destination: null });
+    setSelectedItinerary(null);
+    setSelectedPair(null);
   };
 
-  // Load data on mount
+  // Apply state from a query string (initial load and back/forward navigation)
+  const applyUrlState = useCallback((search: string, context: UrlStateContext) => {
+    const { state, invalid } = parseUrlState(search, context);
+
+    setSelectedAirport(state.airport ? context.airports[state.airport] : null);
+    setSelectedMetro(state.metro ? context.metroAreas[state.metro] : null);
+    setFilters(state.filters);
+    setMode(state.mode);
+    setConnectionQuery(state.connectionQuery);
+    setSelectedItinerary(null);
+    setMapView(state.view);
+    setUrlNotice(invalid.length > 0 ? `Ignored invalid link values: ${invalid.join(", ")}` : null);
+
+    // Normalize the URL so the sync below doesn't treat it as a new selection
+    window.history.replaceState(window.history.state, "", window.location.pathname + serializeUrlState(state));
+  }, []);
+
+  // Load the index on mount; routes are fetched per view once the map is up
   useEffect(() => {
     async function loadData() {
       try {
-        const [airportsRes, airlinesRes, routesRes, routesByAirportRes, aircraftRes] =
-          await Promise.all([
-            fetch("/data/airports.json"),
-            fetch("/data/airlines.json"),
-            fetch("/data/routes.json"),
-            fetch("/data/routes-by-airport.json"),
-            fetch("/data/aircraft-types.json"),
-          ]);
-
-        const [airportsData, airlinesData, routesData, routesByAirportData, aircraftData] =
-          await Promise.all([
-            airportsRes.json(),
-            airlinesRes.json(),
-            routesRes.json(),
-            routesByAirportRes.json(),
-            aircraftRes.json(),
-          ]);
-
-        setAirports(airportsData);
-        setAirlines(airlinesData);
-        setRoutes(routesData);
-        setRoutesByAirport(routesByAirportData);
-        setAircraftTypes(aircraftData);
+        const index = await loadIndex();
+
+        setAirports(index.airports);
+        setAirlines(index.airlines);
+        setRouteCounts(index.routeCounts);
+        setTotalRoutes(index.totalRoutes);
+        setLastUpdate(index.lastUpdate);
+        setAircraftTypes(index.aircraftTypes);
+        setMetroAreas(index.metroAreas);
+        setFlightLog(loadFlightLog());
+
+        const catalog: AircraftCatalog = {};
+        index.aircraftCatalog.forEach((a) => (catalog[a.code] = a));
+        setAircraftCatalog(catalog);
+
+        const airportLookup: { [key: string]: Airport } = {};
+        index.airports.forEach((a) => (airportLookup[a.iata] = a));
+        const airlineLookup: { [key: string]: Airline } = {};
+        index.airlines.forEach((a) => (airlineLookup[a.iata] = a));
+        const metroLookup: { [key: string]: MetroArea } = {};
+        index.metroAreas.forEach((m) => (metroLookup[m.code] = m));
+        applyUrlState(window.location.search, {
+          airports: airportLookup,
+          airlines: airlineLookup,
+          metroAreas: metroLookup,
+          aircraftTypes: index.aircraftTypes,
+        });
+
         setLoading(false);
       } catch (error) {
         console.error("Failed to load data:", error);
@@ -65,7 +369,47 @@ export default function Home() {
     }
 
     loadData();
-  }, []);
+  }, [applyUrlState]);
+
+  // Step through selections with browser back/forward
+  useEffect(() => {
+    if (loading) return;
+
+    const handlePopState = () => {
+      applyUrlState(window.location.search, {
+        airports: airportMap,
+        airlines: airlineMap,
+        metroAreas: metroAreaMap,
+        aircraftTypes,
+      });
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [loading, airportMap, airlineMap, metroAreaMap, aircraftTypes, applyUrlState]);
+
+  // Mirror state into the URL: new selections add a history entry,
+  // map pans and zooms only replace the current one
+  useEffect(() => {
+    if (loading) return;
+
+    const search = serializeUrlState({
+      airport: selectedAirport?.iata || null,
+      metro: selectedMetro?.code || null,
+      filters,
+      mode,
+      connectionQuery,
+      view: mapView,
+    });
+    if (search === window.location.search) return;
+
+    const url = window.location.pathname + search;
+    if (getSelectionKey(search) !== getSelectionKey(window.location.search)) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [loading, selectedAirport, selectedMetro, filters, mode, connectionQuery, mapView]);
 
   if (loading) {
     return (
@@ -85,29 +429,156 @@ export default function Home() {
         airports={airports}
         airlines={airlines}
         aircraftTypes={aircraftTypes}
+        aircraftCatalog={aircraftCatalog}
         selectedAirport={selectedAirport}
-        onAirportSelect={setSelectedAirport}
+        selectedAirportInfo={(selectedAirport && airportInfo?.[selectedAirport.iata]) || null}
+        onAirportSelect={handleAirportSelect}
+        metroAreas={metroAreas}
+        selectedMetro={selectedMetro}
+        onMetroSelect={handleMetroSelect}
         routes={routes}
+        routeCounts={routeCounts}
+        totalRoutes={totalRoutes}
+        routesLoading={routesLoading}
         filters={filters}
-        onFiltersChange={setFilters}
+        onFiltersChange={handleFiltersChange}
         routesByAirport={routesByAirport}
         onReset={handleReset}
+        mode={mode}
+        onModeChange={setMode}
+        connectionQuery={connectionQuery}
+        onConnectionQueryChange={handleConnectionQueryChange}
+        itineraries={itineraries}
+        selectedItinerary={selectedItinerary}
+        onItinerarySelect={setSelectedItinerary}
+        distanceUnit={distanceUnit}
+        onDistanceUnitChange={setDistanceUnit}
+        arcColoring={arcColoring}
+        onArcColoringChange={setArcColoring}
+        showReachability={showReachability}
+        onShowReachabilityChange={setShowReachability}
+        reachability={reachability}
+        lastUpdate={lastUpdate}
+        showChanges={showChanges}
+        onShowChangesChange={handleShowChangesChange}
+        latestUpdate={latestUpdate}
+        changesLoading={showChanges && !changelog}
+        changedRoutes={changedRoutes}
+        flightLog={flightLog}
+        onFlightLogChange={handleFlightLogChange}
+        loggedRoutes={loggedRoutes}
+        onViewChange={setMapView}
+        onPairSelect={setSelectedPair}
       />
       </div>
       <div className="flex-1 relative">
         <FlightMap
           airports={airports}
-          allRoutes={routes}
+          allRoutes={routesLoading ? [] : routes}
           routesByAirport={routesByAirport}
+          routeCounts={routeCounts}
           airlines={airlines}
+          airportInfo={airportInfo}
+          aircraftCatalog={aircraftCatalog}
           selectedAirport={selectedAirport}
-          onAirportSelect={setSelectedAirport}
+          onAirportSelect={handleAirportSelect}
+          metroAreas={metroAreas}
+          selectedMetro={mode === "explore" || mode === "analytics" ? selectedMetro : null}
+          onMetroSelect={handleMetroSelect}
           filters={filters}
+          arcColoring={arcColoring}
+          reachability={reachability}
+          loggedRoutes={loggedRoutes}
+          changedRoutes={changedRoutes}
+          selectedPair={shownPair}
+          onPairSelect={setSelectedPair}
+          mode={mode}
+          itineraries={itineraries}
+          selectedItinerary={selectedItinerary}
+          onItinerarySelect={setSelectedItinerary}
+          view={mapView}
+          onViewChange={setMapView}
         />
+
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 z-[1000] flex flex-col items-center gap-2">
+          {/* Notice for values dropped from a shared link */}
+          {urlNotice && (
+            <div className="flex items-center gap-2 bg-amber-500/90 text-zinc-900 px-3 py-2 rounded-lg text-xs shadow-lg">
+              {urlNotice}
+              <button onClick={() => setUrlNotice(null)} className="hover:text-black">
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          )}
+
+          {/* Routes that couldn't be fetched */}
+          {shardsFailed && (
+            <div className="flex items-center gap-2 bg-red-500/90 text-white px-3 py-2 rounded-lg text-xs shadow-lg">
+              {"Couldn't load routes"}
+              <button onClick={() => setFailedShards(null)} className="font-medium underline hover:text-zinc-200">
+                Retry
+              </button>
+            </div>
+          )}
+        </div>
         
+        {/* Export what the map shows */}
+        <div className="absolute top-4 right-4 z-[1000]">
+          <ExportMenu
+            routes={exportedRoutes}
+            airportMap={airportMap}
+            title={`FlightSeeker: ${exportName.replace(/-/g, " ")}`}
+            fileName={`flightseeker-${exportName}`}
+          />
+        </div>
+
+        {/* Both directions of a clicked or searched airport pair */}
+        {shownPair && (
+          <div className="absolute top-16 right-4 z-[1000]">
+            <PairPanel
+              pair={shownPair}
+              routesByAirport={routesByAirport}
+              airportMap={airportMap}
+              airlineMap={airlineMap}
+              aircraftCatalog={aircraftCatalog}
+              distanceUnit={distanceUnit}
+              loading={pairLoading}
+              onClose={() => setSelectedPair(null)}
+              onAirportSelect={handleAirportSelect}
+              onFindConnections={handleFindConnections}
+            />
+          </div>
+        )}
+
         {/* Stats overlay */}
         <div className="absolute bottom-4 right-4 bg-zinc-900/90 backdrop-blur-sm px-3 py-2 rounded-lg text-xs text-zinc-400">
-          {selectedAirport ? (
+          {mode === "log" ? (
+            <>
+              Showing <span className="text-amber-400 font-medium">{flightLog.length.toLocaleString()}</span> logged{" "}
+              {flightLog.length === 1 ? "flight" : "flights"}
+            </>
+          ) : mode === "connections" ? (
+            connectionQuery.origin && connectionQuery.destination ? (
+              <>
+                Showing connections <span className="text-amber-400 font-medium">{connectionQuery.origin} → {connectionQuery.destination}</span>
+              </>
+            ) : (
+              <>Choose an origin and destination</>
+            )
+          ) : mode === "compare" ? (
+            comparedAirlines.length > 1 ? (
+              <>
+                Comparing <span className="text-amber-400 font-medium">{comparedAirlines.join(" · ")}</span>
+                {selectedAirport && <> at <span className="text-amber-400 font-medium">{selectedAirport.iata}</span></>}
+              </>
+            ) : (
+              <>Pick two or more airlines to compare</>
+            )
+          ) : selectedMetro ? (
+            <>
+              Showing routes from <span className="text-amber-400 font-medium">{selectedMetro.airports.join(", ")}</span>
+            </>
+          ) : selectedAirport ? (
             <>
               Showing routes from <span className="text-amber-400 font-medium">{selectedAirport.iata}</span>
             </>
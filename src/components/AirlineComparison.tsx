@@ -0,0 +1,264 @@
+"use client";
+
+import { useState, useMemo } from "react";
+import { X } from "lucide-react";
+import { Airline, Airport, AirportPair, DistanceUnit, Filters } from "@/types";
+import {
+  AirlineComparison as Comparison,
+  MAX_COMPARED_AIRLINES,
+  OVERLAP_COLOR,
+  getCompareColor,
+} from "@/lib/compare";
+import { describeGeography } from "@/lib/geography";
+import { formatDistance } from "@/lib/utils";
+
+interface AirlineComparisonProps {
+  comparison: Comparison;
+  airlines: Airline[];   // Airlines that can be added
+  airlineMap: { [key: string]: Airline };
+  airportMap: { [key: string]: Airport };
+  filters: Filters;
+  onFiltersChange: (filters: Filters) => void;
+  selectedAirport: Airport | null;
+  distanceUnit: DistanceUnit;
+  loading: boolean;
+  onAirportSelect: (airport: Airport) => void;
+  onPairSelect: (pair: AirportPair) => void;
+}
+
+const SUGGESTION_LIMIT = 6;
+const PAIR_LIMIT = 10;
+const HUB_LIMIT = 8;
+const EXCLUSIVE_LIMIT = 12;
+
+// Compared airlines with a picker, their overlap, the city pairs and hubs
+// they share and the destinations each serves alone
+export default function AirlineComparison({
+  comparison,
+  airlines,
+  airlineMap,
+  airportMap,
+  filters,
+  onFiltersChange,
+  selectedAirport,
+  distanceUnit,
+  loading,
+  onAirportSelect,
+  onPairSelect,
+}: AirlineComparisonProps) {
+  const [query, setQuery] = useState("");
+  const [showAllPairs, setShowAllPairs] = useState(false);
+  const [expandedExclusive, setExpandedExclusive] = useState<string | null>(null);
+
+  const compared = useMemo(() => comparison.airlines.map((a) => a.airline), [comparison]);
+  const canAdd = compared.length < MAX_COMPARED_AIRLINES;
+
+  const suggestions = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!q) return [];
+    return airlines
+      .filter((a) => !compared.includes(a.iata) && (a.iata.toLowerCase() === q || a.name.toLowerCase().includes(q)))
+      .sort((a, b) => Number(b.iata.toLowerCase() === q) - Number(a.iata.toLowerCase() === q) || a.name.localeCompare(b.name))
+      .slice(0, SUGGESTION_LIMIT);
+  }, [query, airlines, compared]);
+
+  const setCompared = (codes: string[]) => onFiltersChange({ ...filters, airlines: codes, groups: [] });
+
+  const addAirline = (code: string) => {
+    setQuery("");
+    setCompared([...compared, code]);
+  };
+
+  const airlineName = (code: string) => airlineMap[code]?.name || code;
+  const airportLabel = (code: string) => airportMap[code]?.city || airportMap[code]?.name || code;
+  const selectAirport = (code: string) => airportMap[code] && onAirportSelect(airportMap[code]);
+
+  const geography = describeGeography(filters);
+  const scope = [selectedAirport ? `At ${selectedAirport.iata}` : "Whole network", ...(geography ? [geography] : [])];
+  const sharedCount = comparison.shared.length;
+  const shownPairs = showAllPairs ? comparison.shared : comparison.shared.slice(0, PAIR_LIMIT);
+
+  return (
+    <div className="p-2">
+      <div className="px-2 py-1 text-xs text-zinc-400">Compare airlines · {scope.join(" · ")}</div>
+
+      {/* Compared airlines in pick order, colored as on the map */}
+      <div className="px-2 mb-2">
+        <div className="flex flex-wrap gap-1 mb-1">
+          {compared.map((code) => (
+            <span key={code} className="flex items-center gap-1 px-2 py-0.5 rounded text-xs bg-zinc-800 text-white" title={airlineName(code)}>
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getCompareColor(compared, code) }} />
+              {code}
+              <button onClick={() => setCompared(compared.filter((c) => c !== code))} className="text-zinc-400 hover:text-white">
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+        {canAdd && (
+          <input
+            type="text"
+            placeholder="Add an airline..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && suggestions[0]) addAirline(suggestions[0].iata);
+              if (e.key === "Escape") setQuery("");
+            }}
+            className="w-full bg-zinc-800 text-white px-3 py-1.5 rounded text-xs placeholder:text-zinc-500 focus:outline-none"
+          />
+        )}
+        {suggestions.length > 0 && (
+          <div className="mt-1 bg-zinc-800 rounded">
+            {suggestions.map((airline) => (
+              <button
+                key={airline.iata}
+                onClick={() => addAirline(airline.iata)}
+                className="w-full flex items-center justify-between px-2 py-1 text-left text-xs text-white hover:bg-zinc-700 rounded"
+              >
+                <span className="truncate">{airline.name}</span>
+                <span className="text-zinc-500 ml-2">{airline.iata}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {compared.length < 2 ? (
+        <div className="text-zinc-500 text-sm text-center py-8 px-4">
+          Pick two or more airlines to compare their routes
+        </div>
+      ) : loading ? null : comparison.pairs === 0 ? (
+        <div className="text-zinc-500 text-sm text-center py-8">No routes match your filters</div>
+      ) : (
+        <>
+          {/* Overlap: each airline's routes, and how many only it flies */}
+          <div className="px-2 pb-3 mb-2 border-b border-zinc-800">
+            <div className="flex h-1.5 rounded overflow-hidden mb-2">
+              {comparison.airlines.map(({ airline, unique }) => (
+                <div
+                  key={airline}
+                  style={{ width: `${(unique / comparison.pairs) * 100}%`, backgroundColor: getCompareColor(compared, airline) }}
+                />
+              ))}
+              <div style={{ width: `${(sharedCount / comparison.pairs) * 100}%`, backgroundColor: OVERLAP_COLOR }} />
+            </div>
+            {comparison.airlines.map(({ airline, routes, unique }) => (
+              <div key={airline} className="flex items-center justify-between text-xs py-0.5">
+                <span className="flex items-center gap-2 text-zinc-300 truncate">
+                  <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: getCompareColor(compared, airline) }} />
+                  <span className="font-medium">{airline}</span>
+                  <span className="text-zinc-400 truncate">{airlineName(airline)}</span>
+                </span>
+                <span className="shrink-0 ml-2 text-zinc-500">
+                  {routes} {routes === 1 ? "route" : "routes"} · {unique} only
+                </span>
+              </div>
+            ))}
+            <div className="flex items-center justify-between text-xs py-0.5">
+              <span className="flex items-center gap-2 text-zinc-300">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: OVERLAP_COLOR }} />
+                Overlapping
+              </span>
+              <span className="text-zinc-500">
+                {sharedCount} of {comparison.pairs} ({Math.round((sharedCount / comparison.pairs) * 100)}%)
+              </span>
+            </div>
+          </div>
+
+          {/* City pairs flown by two or more of them */}
+          <div className="px-2 pb-3 mb-2 border-b border-zinc-800">
+            <div className="text-xs text-zinc-400 py-1">
+              {sharedCount} shared city {sharedCount === 1 ? "pair" : "pairs"}
+            </div>
+            {shownPairs.map(({ airports: [a, b], airlines: carriers, distance }) => (
+              <button
+                key={`${a}-${b}`}
+                onClick={() => onPairSelect({ origin: a, destination: b })}
+                className="w-full flex items-center justify-between px-2 py-1 text-left text-xs hover:bg-zinc-800 rounded transition-colors"
+                title={`${airportLabel(a)} – ${airportLabel(b)}`}
+              >
+                <span className="text-white font-medium">
+                  {a} – {b}
+                </span>
+                <span className="flex items-center gap-1.5 shrink-0 ml-2">
+                  {compared.length > 2 &&
+                    carriers.map((code) => (
+                      <span key={code} className="font-medium" style={{ color: getCompareColor(compared, code) }}>
+                        {code}
+                      </span>
+                    ))}
+                  <span className="text-zinc-500">{formatDistance(distance, distanceUnit)}</span>
+                </span>
+              </button>
+            ))}
+            {sharedCount > PAIR_LIMIT && (
+              <button onClick={() => setShowAllPairs(!showAllPairs)} className="px-2 mt-1 text-xs text-blue-400 hover:text-blue-300">
+                {showAllPairs ? "Show fewer" : `Show all ${sharedCount.toLocaleString()}`}
+              </button>
+            )}
+          </div>
+
+          {/* Airports several of them fly from; only meaningful across whole networks */}
+          {!selectedAirport && comparison.hubs.length > 0 && (
+            <div className="px-2 pb-3 mb-2 border-b border-zinc-800">
+              <div className="text-xs text-zinc-400 py-1">Overlapping hubs</div>
+              {comparison.hubs.slice(0, HUB_LIMIT).map(({ airport, routes }) => (
+                <button
+                  key={airport}
+                  onClick={() => selectAirport(airport)}
+                  className="w-full flex items-center justify-between px-2 py-1 text-left text-xs hover:bg-zinc-800 rounded transition-colors"
+                >
+                  <span className="truncate">
+                    <span className="text-white font-medium">{airport}</span>
+                    <span className="text-zinc-400 ml-2">{airportLabel(airport)}</span>
+                  </span>
+                  <span className="flex items-center gap-1.5 shrink-0 ml-2">
+                    {routes.map((count, i) => (
+                      <span key={compared[i]} style={{ color: getCompareColor(compared, compared[i]) }} title={`${airlineName(compared[i])}: ${count} routes`}>
+                        {count}
+                      </span>
+                    ))}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Destinations only one of them serves */}
+          <div className="px-2">
+            <div className="text-xs text-zinc-400 py-1">Exclusive destinations</div>
+            {comparison.airlines.map(({ airline, exclusive }) => {
+              const expanded = expandedExclusive === airline;
+              const shown = expanded ? exclusive : exclusive.slice(0, EXCLUSIVE_LIMIT);
+              return (
+                <div key={airline} className="px-2 py-1">
+                  <div className="flex items-center gap-2 text-xs mb-0.5">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getCompareColor(compared, airline) }} />
+                    <span className="text-zinc-300">Only {airlineName(airline)}</span>
+                    <span className="text-zinc-500">{exclusive.length}</span>
+                  </div>
+                  <div className="flex flex-wrap gap-x-2 text-xs">
+                    {shown.map((code) => (
+                      <button key={code} onClick={() => selectAirport(code)} className="text-zinc-400 hover:text-white" title={airportLabel(code)}>
+                        {code}
+                      </button>
+                    ))}
+                    {exclusive.length > EXCLUSIVE_LIMIT && (
+                      <button
+                        onClick={() => setExpandedExclusive(expanded ? null : airline)}
+                        className="text-blue-400 hover:text-blue-300"
+                      >
+                        {expanded ? "Show fewer" : `+${exclusive.length - EXCLUSIVE_LIMIT} more`}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Clock } from "lucide-react";
+import { Airport, AirportInfo } from "@/types";
+import { CONTINENT_NAMES, formatLocalTime, formatUtcOffset, getUtcOffset } from "@/lib/timezones";
+
+interface AirportDetailsProps {
+  airport: Airport;
+  info: AirportInfo | null; // Null while loading
+}
+
+// Local time and OurAirports metadata for the selected airport's card. Fields
+// the data doesn't have for an airport are left out.
+export default function AirportDetails({ airport, info }: AirportDetailsProps) {
+  const [now, setNow] = useState(() => new Date());
+
+  // The clock shows minutes; ticking every 30 seconds keeps it at most half a minute behind
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const timezone = info?.timezone ?? null;
+  const offset = getUtcOffset(timezone, now);
+  const place = [info?.regionName, airport.continent && CONTINENT_NAMES[airport.continent]].filter(Boolean).join(", ");
+  const facts = [
+    typeof info?.elevation === "number" && `Elevation ${info.elevation.toLocaleString()} ft`,
+    typeof info?.longestRunway === "number" && `Longest runway ${info.longestRunway.toLocaleString()} ft`,
+  ].filter(Boolean);
+
+  return (
+    <div className="mt-2 space-y-0.5 text-xs">
+      {timezone && offset !== null && (
+        <div className="flex items-center gap-1.5 text-zinc-300" title={timezone}>
+          <Clock className="w-3 h-3 text-zinc-500" />
+          {formatLocalTime(timezone, now)} local time
+          <span className="text-zinc-500">({formatUtcOffset(offset)})</span>
+        </div>
+      )}
+      {place && <div className="text-zinc-400">{place}</div>}
+      {facts.length > 0 && <div className="text-zinc-500">{facts.join(" · ")}</div>}
+      {(info?.website || info?.wikipedia) && (
+        <div className="flex gap-3">
+          {info.website && (
+            <a href={info.website} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:text-blue-300">
+              Website
+            </a>
+          )}
+          {info.wikipedia && (
+            <a href={info.wikipedia} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:text-blue-300">
+              Wikipedia
+            </a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+"use client";
+
+import { useState } from "react";
+import { Airport, Airline, DataUpdate } from "@/types";
+import { ChangedRoute, ChangeKind, CHANGE_COLORS, CHANGE_LABELS } from "@/lib/provenance";
+import { formatServiceDate } from "@/lib/services";
+
+interface ChangesSummaryProps {
+  update: DataUpdate | null;       // Null if the changelog has nothing for the current data
+  loading: boolean;
+  changedRoutes: ChangedRoute[];   // At the selected airport, or all of them
+  selectedAirport: Airport | null;
+  airportMap: { [key: string]: Airport };
+  airlineMap: { [key: string]: Airline };
+  onAirportSelect: (airport: Airport) => void;
+}
+
+const ROUTE_LIMIT = 50;
+
+// What the last route update changed, drawn on the map by the changes layer
+export default function ChangesSummary({
+  update,
+  loading,
+  changedRoutes,
+  selectedAirport,
+  airportMap,
+  airlineMap,
+  onAirportSelect,
+}: ChangesSummaryProps) {
+  const [showAll, setShowAll] = useState(false);
+
+  if (loading) {
+    return <div className="text-zinc-500 text-xs text-center py-3">Loading changes...</div>;
+  }
+  if (!update) {
+    return <div className="text-zinc-500 text-xs text-center py-3">No changes recorded for the current data</div>;
+  }
+
+  const counts: { kind: ChangeKind; count: number }[] = (["added", "removed", "operators"] as const).map((kind) => ({
+    kind,
+    count: changedRoutes.filter((route) => route.kind === kind).length,
+  }));
+  const shownRoutes = showAll ? changedRoutes : changedRoutes.slice(0, ROUTE_LIMIT);
+  const airlineName = (code: string) => airlineMap[code]?.name || code;
+
+  const describeOperators = (route: ChangedRoute) =>
+    [
+      ...route.operatorsAdded.map((code) => `+${code}`),
+      ...route.operatorsRemoved.map((code) => `−${code}`),
+    ].join(" ");
+
+  return (
+    <div className="px-2 pb-3 mb-2 border-b border-zinc-800">
+      <div className="text-xs text-zinc-400 px-2 py-1">
+        Update of {formatServiceDate(update.date)}
+        {selectedAirport && ` at ${selectedAirport.iata}`}
+      </div>
+      <div className="px-2 space-y-0.5">
+        {counts.map(({ kind, count }) => (
+          <div key={kind} className="flex items-center justify-between text-xs">
+            <span className="flex items-center gap-2 text-zinc-300">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: CHANGE_COLORS[kind] }} />
+              {CHANGE_LABELS[kind]}
+            </span>
+            <span className="text-zinc-500">{count.toLocaleString()} routes</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Airlines aren't tied to an airport, so they're listed for the whole update */}
+      {(update.airlinesActivated.length > 0 || update.airlinesDeactivated.length > 0) && (
+        <div className="px-2 mt-3 space-y-1 text-xs">
+          {update.airlinesActivated.length > 0 && (
+            <div>
+              <span className="text-zinc-400">Now active: </span>
+              <span className="text-zinc-300">{update.airlinesActivated.map(airlineName).join(", ")}</span>
+            </div>
+          )}
+          {update.airlinesDeactivated.length > 0 && (
+            <div>
+              <span className="text-zinc-400">No longer active: </span>
+              <span className="text-zinc-300">{update.airlinesDeactivated.map(airlineName).join(", ")}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {changedRoutes.length === 0 ? (
+        <div className="text-zinc-500 text-xs px-2 mt-3">
+          No route changes{selectedAirport ? ` at ${selectedAirport.iata}` : ""}
+        </div>
+      ) : (
+        <div className="mt-3">
+          {shownRoutes.map((route) => {
+            const origin = airportMap[route.origin];
+            return (
+              <button
+                key={`${route.origin}-${route.destination}`}
+                onClick={() => origin && onAirportSelect(origin)}
+                className="w-full flex items-center justify-between gap-2 px-2 py-1 text-left text-xs hover:bg-zinc-800 rounded"
+              >
+                <span className="flex items-center gap-2 text-zinc-300">
+                  <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: CHANGE_COLORS[route.kind] }} />
+                  {route.origin} → {route.destination}
+                </span>
+                <span className="text-zinc-500 truncate">{describeOperators(route)}</span>
+              </button>
+            );
+          })}
+          {changedRoutes.length > ROUTE_LIMIT && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="px-2 mt-1 text-xs text-blue-400 hover:text-blue-300"
+            >
+              {showAll ? "Show less" : `Show all ${changedRoutes.length.toLocaleString()}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
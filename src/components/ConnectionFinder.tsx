@@ -0,0 +1,212 @@
+"use client";
+
+import { useState, useMemo } from "react";
+import { ArrowRight, ArrowUpDown, X } from "lucide-react";
+import { Airport, Airline, ConnectionQuery, Itinerary, DistanceUnit } from "@/types";
+import { ALLIANCES } from "@/lib/alliances";
+import { getItineraryAirports } from "@/lib/connections";
+import { cn, formatDistance } from "@/lib/utils";
+import { searchAirports } from "@/lib/search";
+
+interface ConnectionFinderProps {
+  airports: Airport[];
+  airportMap: { [key: string]: Airport };
+  airlineMap: { [key: string]: Airline };
+  query: ConnectionQuery;
+  onQueryChange: (query: ConnectionQuery) => void;
+  itineraries: Itinerary[];
+  selectedItinerary: number | null;
+  onItinerarySelect: (index: number | null) => void;
+  distanceUnit: DistanceUnit;
+  loading: boolean; // Routes for the search are still being fetched
+}
+
+interface AirportInputProps {
+  label: string;
+  airports: Airport[];
+  value: Airport | null;
+  onChange: (airport: Airport | null) => void;
+}
+
+function AirportInput({ label, airports, value, onChange }: AirportInputProps) {
+  const [search, setSearch] = useState("");
+
+  const results = useMemo(() => searchAirports(airports, search, 6), [airports, search]);
+
+  if (value) {
+    return (
+      <div className="flex items-center justify-between px-3 py-2 bg-zinc-800 rounded-lg">
+        <div className="text-sm">
+          <span className="text-amber-400 font-medium">{value.iata}</span>
+          <span className="text-zinc-400 ml-2">{value.city || value.name}</span>
+        </div>
+        <button onClick={() => onChange(null)} className="text-zinc-400 hover:text-white">
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <input
+        type="text"
+        placeholder={label}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        className="w-full bg-zinc-800 text-white px-3 py-2 rounded-lg text-sm placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {results.length > 0 && (
+        <div className="mt-1 bg-zinc-800 rounded-lg overflow-hidden">
+          {results.map((airport) => (
+            <button
+              key={airport.iata}
+              onClick={() => {
+                onChange(airport);
+                setSearch("");
+              }}
+              className="w-full px-3 py-1.5 text-left text-xs hover:bg-zinc-700 transition-colors"
+            >
+              <span className="text-white font-medium">{airport.iata}</span>
+              <span className="text-zinc-400 ml-2">{airport.city || airport.name}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function ConnectionFinder({
+  airports,
+  airportMap,
+  airlineMap,
+  query,
+  onQueryChange,
+  itineraries,
+  selectedItinerary,
+  onItinerarySelect,
+  distanceUnit,
+  loading,
+}: ConnectionFinderProps) {
+  const originAirport = query.origin ? airportMap[query.origin] || null : null;
+  const destAirport = query.destination ? airportMap[query.destination] || null : null;
+
+  const swap = () => {
+    onQueryChange({ ...query, origin: query.destination, destination: query.origin });
+  };
+
+  return (
+    <div className="p-4">
+      <div className="space-y-2">
+        <AirportInput
+          label="From..."
+          airports={airports}
+          value={originAirport}
+          onChange={(a) => onQueryChange({ ...query, origin: a?.iata || null })}
+        />
+        <div className="flex justify-center">
+          <button onClick={swap} className="text-zinc-400 hover:text-white p-1" title="Swap">
+            <ArrowUpDown className="w-4 h-4" />
+          </button>
+        </div>
+        <AirportInput
+          label="To..."
+          airports={airports}
+          value={destAirport}
+          onChange={(a) => onQueryChange({ ...query, destination: a?.iata || null })}
+        />
+      </div>
+
+      {/* Search options */}
+      <div className="mt-3 flex items-center gap-1">
+        <span className="text-zinc-400 text-xs mr-1">Max stops</span>
+        {[0, 1, 2].map((n) => (
+          <button
+            key={n}
+            onClick={() => onQueryChange({ ...query, maxStops: n })}
+            className={cn(
+              "px-2 py-0.5 rounded text-xs transition-colors",
+              query.maxStops === n ? "bg-blue-500 text-white" : "bg-zinc-800 text-zinc-400 hover:text-white"
+            )}
+          >
+            {n}
+          </button>
+        ))}
+      </div>
+      <div className="mt-2 space-y-1">
+        <label className="flex items-center gap-2 text-xs text-zinc-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={query.sameAirline}
+            onChange={() => onQueryChange({ ...query, sameAirline: !query.sameAirline })}
+            className="rounded bg-zinc-600 border-zinc-500 text-blue-500 focus:ring-blue-500"
+          />
+          Stay within one airline
+        </label>
+        <label className="flex items-center gap-2 text-xs text-zinc-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={query.sameAlliance}
+            onChange={() => onQueryChange({ ...query, sameAlliance: !query.sameAlliance })}
+            className="rounded bg-zinc-600 border-zinc-500 text-blue-500 focus:ring-blue-500"
+          />
+          Stay within one alliance
+        </label>
+      </div>
+
+      {/* Results */}
+      {originAirport && destAirport && (
+        <div className="mt-4">
+          <div className="text-xs text-zinc-400 mb-1">
+            {loading
+              ? "Loading routes..."
+              : itineraries.length === 0
+              ? "No itineraries match your filters"
+              : `${itineraries.length} itineraries, best first`}
+          </div>
+          {itineraries.map((itinerary, index) => {
+            const path = getItineraryAirports(itinerary);
+            const carriers = itinerary.airlines.length > 0
+              ? itinerary.airlines.slice(0, 2).map((code) => airlineMap[code]?.name || code).join(", ")
+              : itinerary.legs.map((leg) => leg.operators[0] || "?").join(" / ");
+            const alliance = ALLIANCES.find((a) => itinerary.alliances.includes(a.id));
+
+            return (
+              <button
+                key={path.join("-")}
+                onClick={() => onItinerarySelect(selectedItinerary === index ? null : index)}
+                className={cn(
+                  "w-full px-3 py-2 text-left rounded-lg transition-colors",
+                  selectedItinerary === index ? "bg-zinc-800" : "hover:bg-zinc-800"
+                )}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-1 text-sm">
+                    {path.map((code, i) => (
+                      <span key={code} className="flex items-center gap-1">
+                        {i > 0 && <ArrowRight className="w-3 h-3 text-zinc-500" />}
+                        <span className={cn("font-medium", i === 0 || i === path.length - 1 ? "text-white" : "text-amber-400")}>
+                          {code}
+                        </span>
+                      </span>
+                    ))}
+                  </div>
+                  <div className="text-zinc-500 text-xs">
+                    {itinerary.stops.length === 0 ? "Nonstop" : `${itinerary.stops.length} stop${itinerary.stops.length > 1 ? "s" : ""}`}
+                  </div>
+                </div>
+                <div className="text-zinc-500 text-xs mt-0.5">
+                  {formatDistance(itinerary.distance, distanceUnit)}
+                  {itinerary.stops.length > 0 && ` · ${Math.round((itinerary.detour - 1) * 100)}% detour`}
+                  {" · "}{carriers}
+                  {alliance && ` · ${alliance.name}`}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
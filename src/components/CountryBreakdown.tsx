@@ -0,0 +1,65 @@
+"use client";
+
+import { useState, useMemo } from "react";
+import { Airport, Filters, Route } from "@/types";
+import { getDestinationCountries } from "@/lib/geography";
+
+interface CountryBreakdownProps {
+  routes: Route[]; // Routes matching the active filters
+  airportMap: { [key: string]: Airport };
+  filters: Filters;
+  onFiltersChange: (filters: Filters) => void;
+}
+
+const COUNTRY_LIMIT = 8;
+
+// Routes per destination country for the current selection; clicking a
+// country limits the destinations to it, or lifts that limit again
+export default function CountryBreakdown({ routes, airportMap, filters, onFiltersChange }: CountryBreakdownProps) {
+  const [showAll, setShowAll] = useState(false);
+  const countries = useMemo(() => getDestinationCountries(routes, airportMap), [routes, airportMap]);
+
+  if (countries.length === 0) return null;
+
+  const shown = showAll ? countries : countries.slice(0, COUNTRY_LIMIT);
+  const maxRoutes = countries[0].routes;
+
+  const toggleCountry = (code: string) => {
+    const destinationCountries = filters.destinationCountries.includes(code)
+      ? filters.destinationCountries.filter((c) => c !== code)
+      : [code];
+    onFiltersChange({ ...filters, destinationCountries, destinationContinents: [] });
+  };
+
+  return (
+    <div className="px-2 pb-3 mb-2 border-b border-zinc-800">
+      <div className="text-xs text-zinc-400 px-2 py-1">
+        {countries.length} destination {countries.length === 1 ? "country" : "countries"}
+      </div>
+      {shown.map(({ code, name, routes: count, airports }) => (
+        <button
+          key={code}
+          onClick={() => toggleCountry(code)}
+          className="w-full px-2 py-1 text-left hover:bg-zinc-800 rounded transition-colors"
+          title={filters.destinationCountries.includes(code) ? "Show every destination country" : "Show only this country"}
+        >
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-white truncate">{name}</span>
+            <span className="text-zinc-500 ml-2 shrink-0">
+              {count} {count === 1 ? "route" : "routes"}
+              {airports !== count && ` · ${airports} airports`}
+            </span>
+          </div>
+          <div className="h-0.5 mt-1 bg-zinc-800 rounded">
+            <div className="h-full bg-blue-500 rounded" style={{ width: `${(count / maxRoutes) * 100}%` }} />
+          </div>
+        </button>
+      ))}
+      {countries.length > COUNTRY_LIMIT && (
+        <button onClick={() => setShowAll(!showAll)} className="px-2 mt-1 text-xs text-blue-400 hover:text-blue-300">
+          {showAll ? "Show fewer" : `Show all ${countries.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+"use client";
+
+import { useState } from "react";
+import { Download } from "lucide-react";
+import { Airport } from "@/types";
+import { ExportFormat, ExportRoute, EXPORT_FORMATS, exportRoutes } from "@/lib/export";
+import { cn } from "@/lib/utils";
+
+interface ExportMenuProps {
+  routes: ExportRoute[]; // Routes as the map draws them
+  airportMap: { [key: string]: Airport };
+  title: string;         // e.g. "Routes from DUB"
+  fileName: string;      // Without extension
+}
+
+export default function ExportMenu({ routes, airportMap, title, fileName }: ExportMenuProps) {
+  const [isOpen, setIsOpen] = useState(false);
+  const disabled = routes.length === 0;
+
+  const download = (format: ExportFormat) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const blob = new Blob([exportRoutes(format, routes, airportMap, title)], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${fileName}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className={cn(
+          "flex items-center gap-1.5 bg-zinc-900/90 backdrop-blur-sm px-3 py-2 rounded-lg text-xs transition-colors",
+          disabled ? "text-zinc-600 cursor-not-allowed" : "text-zinc-300 hover:text-white"
+        )}
+        title={disabled ? "Select an airport or filter to export routes" : `Export ${routes.length} routes`}
+      >
+        <Download className="w-3.5 h-3.5" />
+        Export
+      </button>
+
+      {isOpen && !disabled && (
+        <div className="absolute right-0 mt-1 w-44 bg-zinc-900/95 backdrop-blur-sm rounded-lg overflow-hidden shadow-lg">
+          <div className="px-3 py-1.5 text-zinc-500 text-xs border-b border-zinc-800">
+            {routes.length.toLocaleString()} {routes.length === 1 ? "route" : "routes"}
+          </div>
+          {(Object.keys(EXPORT_FORMATS) as ExportFormat[]).map((format) => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              className="w-full px-3 py-1.5 text-left text-xs text-zinc-300 hover:bg-zinc-800 hover:text-white transition-colors"
+            >
+              {EXPORT_FORMATS[format].label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+"use client";
+
+import { useState, useMemo, useRef } from "react";
+import { Upload, X, AlertTriangle } from "lucide-react";
+import { Airport, Airline, DistanceUnit, FlightLogLeg } from "@/types";
+import {
+  LoggedRoute,
+  FlightLogError,
+  parseFlightLog,
+  mergeFlightLog,
+  getFlightLogStats,
+  getLegKey,
+  getLegDistance,
+  UNKNOWN_ROUTE_COLOR,
+} from "@/lib/flight-log";
+import { formatDistance, getCountryName } from "@/lib/utils";
+
+interface FlightLogProps {
+  flightLog: FlightLogLeg[];
+  onFlightLogChange: (legs: FlightLogLeg[]) => void;
+  loggedRoutes: LoggedRoute[];
+  airportMap: { [key: string]: Airport };
+  airlineMap: { [key: string]: Airline };
+  distanceUnit: DistanceUnit;
+  loading: boolean;      // Routes for checking the log are still loading
+}
+
+const PLACEHOLDER = "2024-05-14, DUB, JFK, EI, A330\n2024-05-21, JFK, DUB, EI, A330";
+
+export default function FlightLog({
+  flightLog,
+  onFlightLogChange,
+  loggedRoutes,
+  airportMap,
+  airlineMap,
+  distanceUnit,
+  loading,
+}: FlightLogProps) {
+  const [input, setInput] = useState("");
+  const [errors, setErrors] = useState<FlightLogError[]>([]);
+  const [message, setMessage] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const stats = useMemo(() => getFlightLogStats(flightLog, airportMap), [flightLog, airportMap]);
+
+  const knownRoutes = useMemo(() => {
+    const known: { [key: string]: boolean | null } = {};
+    loggedRoutes.forEach((route) => (known[getLegKey(route)] = route.known));
+    return known;
+  }, [loggedRoutes]);
+  const unknownCount = flightLog.filter((leg) => knownRoutes[getLegKey(leg)] === false).length;
+
+  // Newest first; undated flights last, in the order they were added
+  const sortedLegs = useMemo(
+    () =>
+      flightLog
+        .map((leg, index) => ({ leg, index }))
+        .sort((a, b) => (b.leg.date || "").localeCompare(a.leg.date || "") || b.index - a.index),
+    [flightLog]
+  );
+
+  const addFlights = (text: string) => {
+    const parsed = parseFlightLog(text, airportMap, airlineMap);
+    const { legs, duplicates } = mergeFlightLog(flightLog, parsed.legs);
+    onFlightLogChange(legs);
+    setErrors(parsed.errors);
+
+    const added = parsed.legs.length - duplicates;
+    setMessage(
+      `Added ${added} ${added === 1 ? "flight" : "flights"}` +
+        (duplicates > 0 ? `, ${duplicates} already in your log` : "") +
+        (parsed.errors.length > 0 ? `, ${parsed.errors.length} skipped` : "")
+    );
+    if (parsed.errors.length === 0) setInput("");
+  };
+
+  const handleFile = async (file: File) => {
+    addFlights(await file.text());
+    if (fileInput.current) fileInput.current.value = "";
+  };
+
+  const removeLeg = (index: number) => {
+    onFlightLogChange(flightLog.filter((_, i) => i !== index));
+  };
+
+  const clearLog = () => {
+    if (!window.confirm(`Remove all ${flightLog.length} flights from your log?`)) return;
+    onFlightLogChange([]);
+    setMessage(null);
+    setErrors([]);
+  };
+
+  const longest = stats.longest;
+
+  return (
+    <div className="p-4 space-y-4">
+      {/* Import */}
+      <div>
+        <div className="text-xs text-zinc-400 mb-1">Add flights</div>
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={PLACEHOLDER}
+          rows={4}
+          className="w-full bg-zinc-800 text-white px-3 py-2 rounded-lg text-xs font-mono placeholder:text-zinc-600 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+        />
+        <p className="text-zinc-500 text-xs mt-1">
+          One flight per line: date, origin, destination, airline, aircraft. Date, airline and aircraft are optional.
+        </p>
+        <div className="flex gap-2 mt-2">
+          <button
+            onClick={() => addFlights(input)}
+            disabled={!input.trim()}
+            className="flex-1 py-1.5 rounded-lg text-xs bg-blue-500 text-white hover:bg-blue-400 disabled:bg-zinc-800 disabled:text-zinc-600 transition-colors"
+          >
+            Add
+          </button>
+          <button
+            onClick={() => fileInput.current?.click()}
+            className="flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded-lg text-xs bg-zinc-800 text-zinc-300 hover:text-white transition-colors"
+          >
+            <Upload className="w-3.5 h-3.5" />
+            Import CSV
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.txt,text/csv,text/plain"
+            className="hidden"
+            onChange={(e) => e.target.files?.[0] && handleFile(e.target.files[0])}
+          />
+        </div>
+
+        {message && <div className="text-zinc-400 text-xs mt-2">{message}</div>}
+        {errors.length > 0 && (
+          <div className="mt-2 bg-red-500/10 rounded-lg px-3 py-2 space-y-1 max-h-32 overflow-y-auto">
+            {errors.map((error) => (
+              <div key={error.line} className="text-xs">
+                <span className="text-red-400">Line {error.line}:</span>{" "}
+                <span className="text-zinc-300">{error.message}</span>
+                <div className="text-zinc-500 font-mono truncate">{error.text}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {flightLog.length === 0 ? (
+        <div className="text-zinc-500 text-sm text-center py-4">
+          Your flights are saved in this browser only
+        </div>
+      ) : (
+        <>
+          {/* Stats */}
+          <div className="grid grid-cols-3 gap-2">
+            {([
+              ["Flights", stats.flights.toLocaleString()],
+              ["Distance", formatDistance(stats.distance, distanceUnit)],
+              ["Airports", stats.airports.length.toLocaleString()],
+              ["Countries", stats.countries.length.toLocaleString()],
+              ["Airlines", stats.airlines.length.toLocaleString()],
+              ["Aircraft", stats.aircraft.length.toLocaleString()],
+            ] as [string, string][]).map(([label, value]) => (
+              <div key={label} className="bg-zinc-800/50 rounded-lg px-2 py-1.5">
+                <div className="text-white text-sm font-medium truncate">{value}</div>
+                <div className="text-zinc-500 text-xs">{label}</div>
+              </div>
+            ))}
+          </div>
+          {longest && (
+            <div className="text-xs">
+              <span className="text-zinc-400">Longest flight: </span>
+              <span className="text-white">
+                {longest.leg.origin} → {longest.leg.destination}
+              </span>
+              <span className="text-zinc-500"> · {formatDistance(longest.distance, distanceUnit)}</span>
+            </div>
+          )}
+          {stats.countries.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {stats.countries
+                .map((code) => getCountryName(code))
+                .sort()
+                .map((name) => (
+                  <span key={name} className="px-1.5 py-0.5 rounded bg-zinc-800 text-zinc-300 text-xs">
+                    {name}
+                  </span>
+                ))}
+            </div>
+          )}
+          {unknownCount > 0 && (
+            <div className="flex items-start gap-2 text-xs text-zinc-400">
+              <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px" style={{ color: UNKNOWN_ROUTE_COLOR }} />
+              {unknownCount} {unknownCount === 1 ? "flight isn't" : "flights aren't"} on a route in the current data
+            </div>
+          )}
+
+          {/* Flights */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <div className="text-xs text-zinc-400">
+                Your flights{loading && <span className="text-zinc-500"> · checking routes...</span>}
+              </div>
+              <button onClick={clearLog} className="text-xs text-zinc-400 hover:text-white">
+                Clear all
+              </button>
+            </div>
+            {sortedLegs.map(({ leg, index }) => {
+              const isUnknown = knownRoutes[getLegKey(leg)] === false;
+              const distance = getLegDistance(leg, airportMap);
+
+              return (
+                <div key={index} className="group flex items-start gap-2 px-2 py-1.5 rounded-lg hover:bg-zinc-800">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center justify-between">
+                      <span className="text-white text-sm font-medium">
+                        {leg.origin} → {leg.destination}
+                      </span>
+                      <span className="text-zinc-500 text-xs">{leg.date || "No date"}</span>
+                    </div>
+                    <div className="flex items-center justify-between text-zinc-500 text-xs mt-0.5">
+                      <span className="truncate">
+                        {[leg.airline && (airlineMap[leg.airline]?.name || leg.airline), leg.aircraft]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </span>
+                      {distance !== null && (
+                        <span className="shrink-0 ml-2">{formatDistance(distance, distanceUnit)}</span>
+                      )}
+                    </div>
+                    {isUnknown && (
+                      <div className="text-xs mt-0.5" style={{ color: UNKNOWN_ROUTE_COLOR }}>
+                        Not a route in the current data
+                      </div>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => removeLeg(index)}
+                    className="text-zinc-600 hover:text-white opacity-0 group-hover:opacity-100 p-0.5"
+                    title="Remove flight"
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -3,34 +3,161 @@
 import { useEffect, useRef, useState } from "react";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
-import { Airport, Route, Airline, Filters } from "@/types";
-import { getArcPoints } from "@/lib/utils";
+import { Airport, AirportInfo, Route, Airline, Filters, ViewMode, Itinerary, MapView, AircraftCatalog, ArcColoring, AirportPair, MetroArea } from "@/types";
+import { getArcPoints, getDistance, unwrapLongitudes, formatDistance, estimateBlockTime, formatDuration } from "@/lib/utils";
+import { getMapRoutes, getFilterAirlines, getShownOperators } from "@/lib/routes";
+import { getRouteColor, getItineraryColor } from "@/lib/colors";
+import { getItineraryAirports } from "@/lib/connections";
+import { formatAircraftList } from "@/lib/aircraft";
+import { Reachability, REACH_COLORS, REACH_LABELS, UNREACHABLE_COLOR, MAX_REACH_STOPS } from "@/lib/reachability";
+import { getRouteServiceType, describeService, SERVICE_DASH_ARRAYS } from "@/lib/services";
+import { LoggedRoute, FLIGHT_LOG_COLOR, UNKNOWN_ROUTE_COLOR } from "@/lib/flight-log";
+import { ChangedRoute, CHANGE_COLORS, CHANGE_LABELS, describeProvenance } from "@/lib/provenance";
+import { describeTimeDifference } from "@/lib/timezones";
+import { getMetroAirportColor, getMetroCenter, getMetroRoutes } from "@/lib/metro";
+import { getComparedAirlines, getComparedCarriers, getComparedRoutes, getComparisonColor } from "@/lib/compare";
 
 interface FlightMapProps {
   airports: Airport[];
   allRoutes: Route[];
-  routesByAirport: { [key: string]: Route[] };
+  routesByAirport: { [key: string]: Route[] }; // Airports whose routes are loaded
+  routeCounts: { [key: string]: number };       // Routes departing each airport
   airlines: Airline[];
+  airportInfo: { [key: string]: AirportInfo } | null; // Time zones for route tooltips; null until loaded
+  aircraftCatalog: AircraftCatalog;
   selectedAirport: Airport | null;
   onAirportSelect: (airport: Airport | null) => void;
+  metroAreas: MetroArea[];
+  selectedMetro: MetroArea | null;  // Every member airport's routes, colored by departure airport
+  onMetroSelect: (metro: MetroArea) => void;
   filters: Filters;
+  arcColoring: ArcColoring;
+  reachability: Reachability | null;
+  loggedRoutes: LoggedRoute[];     // The user's flights, drawn in "log" mode
+  changedRoutes: ChangedRoute[];   // The last update's changes, drawn over the routes in "explore" mode
+  selectedPair: AirportPair | null; // Highlighted while the pair panel is open
+  onPairSelect: (pair: AirportPair) => void;
+  mode: ViewMode;
+  itineraries: Itinerary[];
+  selectedItinerary: number | null;
+  onItinerarySelect: (index: number | null) => void;
+  view: MapView | null;
+  onViewChange: (view: MapView) => void;
+}
+
+// Extra area around the viewport, as a fraction of its size, that is drawn
+// ahead of time so short pans don't reveal missing arcs
+const VIEWPORT_PADDING = 0.5;
+
+interface Arc {
+  points: [number, number][];
+  bounds: L.LatLngBounds;
+}
+
+// Great circle geometry per origin-destination pair. Airports don't move,
+// so each arc is computed once and reused by every redraw. Short routes
+// get fewer points; Leaflet simplifies further per zoom level.
+const arcCache = new Map<string, Arc>();
+
+function getArc(origin: Airport, destination: Airport): Arc {
+  const key = `${origin.iata}-${destination.iata}`;
+  let arc = arcCache.get(key);
+  if (!arc) {
+    const distance = getDistance([origin.lat, origin.lon], [destination.lat, destination.lon]);
+    const numPoints = Math.min(30, Math.max(4, Math.ceil(distance / 250)));
+    const points = getArcPoints([origin.lat, origin.lon], [destination.lat, destination.lon], numPoints);
+    arc = { points, bounds: L.latLngBounds(points) };
+    arcCache.set(key, arc);
+  }
+  return arc;
+}
+
+// Ring around the airports of a metro area; clicking it selects all of them
+const METRO_RING_STYLE: L.CircleMarkerOptions = {
+  radius: 14,
+  color: "#fbbf24",
+  weight: 1,
+  opacity: 0.6,
+  dashArray: "3 3",
+  fill: false,
+};
+
+// Destination markers served from several airports of a metro area
+const SHARED_DESTINATION_COLOR = "#e4e4e7";
+
+// Airport marker style; with reachability on, other airports are colored
+// by the stops needed to get there
+function getMarkerStyle(isSelected: boolean, reachColor: string | null): L.CircleMarkerOptions {
+  return {
+    radius: isSelected ? 8 : 4,
+    fillColor: isSelected ? "#f59e0b" : reachColor || "#3b82f6",
+    color: isSelected ? "#fbbf24" : reachColor || "#60a5fa",
+    weight: isSelected ? 3 : 1,
+    opacity: 1,
+    fillOpacity: isSelected ? 1 : 0.8,
+  };
+}
+
+function getReachColor(code: string, reachability: Reachability | null) {
+  if (!reachability) return null;
+  const stops = reachability[code];
+  return stops !== undefined ? REACH_COLORS[stops] : UNREACHABLE_COLOR;
 }
 
 export default function FlightMap({
   airports,
   allRoutes,
   routesByAirport,
+  routeCounts,
   airlines,
+  airportInfo,
+  aircraftCatalog,
   selectedAirport,
   onAirportSelect,
+  metroAreas,
+  selectedMetro,
+  onMetroSelect,
   filters,
+  arcColoring,
+  reachability,
+  loggedRoutes,
+  changedRoutes,
+  selectedPair,
+  onPairSelect,
+  mode,
+  itineraries,
+  selectedItinerary,
+  onItinerarySelect,
+  view,
+  onViewChange,
 }: FlightMapProps) {
   const mapContainer = useRef<HTMLDivElement>(null);
   const mapRef = useRef<L.Map | null>(null);
   const markersLayerRef = useRef<L.LayerGroup | null>(null);
   const routesLayerRef = useRef<L.LayerGroup | null>(null);
+  const flightLogLayerRef = useRef<L.LayerGroup | null>(null);
+  const changesLayerRef = useRef<L.LayerGroup | null>(null);
+  const pairLayerRef = useRef<L.LayerGroup | null>(null);
+  // Airport pairs the map was last fitted to, so rechecking the log doesn't move the map
+  const fittedLogRef = useRef("");
+  const markersRef = useRef<Map<string, L.CircleMarker>>(new Map());
+  // What the markers were last styled for, so selection changes only touch the markers involved
+  const styledRef = useRef<{
+    markers: Map<string, L.CircleMarker> | null;
+    selected: string[];
+    reachability: Reachability | null;
+  }>({ markers: null, selected: [], reachability: null });
+  // The selection the map last moved to. Route redraws (shard loads, filter
+  // changes) only pan the map when the selection has changed since.
+  const selectionKey = selectedMetro?.code ?? selectedAirport?.iata ?? "";
+  const selectionKeyRef = useRef(selectionKey);
+  const pannedSelectionRef = useRef<string | null>(null);
   const [mapReady, setMapReady] = useState(false);
 
+  useEffect(() => {
+    selectionKeyRef.current = selectionKey;
+  }, [selectionKey]);
+
   // Create airport lookup
   const airportMap = useRef<{ [key: string]: Airport }>({});
   useEffect(() => {
@@ -47,6 +174,12 @@ export default function FlightMap({
     });
   }, [airlines]);
 
+  // Read when a route tooltip opens, so loading it doesn't redraw the routes
+  const airportInfoRef = useRef(airportInfo);
+  useEffect(() => {
+    airportInfoRef.current = airportInfo;
+  }, [airportInfo]);
+
   // Initialize map
   useEffect(() => {
     if (!mapContainer.current || mapRef.current) return;
@@ -60,6 +193,8 @@ export default function FlightMap({
       maxBounds: [[-90, -540], [90, 540]], // Allow extended panning for continuous routes
       maxBoundsViscosity: 1.0,
       zoomControl: false, // Disable default position
+      // One canvas for markers and arcs: thousands of SVG elements make large networks stutter
+      renderer: L.canvas({ padding: VIEWPORT_PADDING, tolerance: 3 }),
     });
 
     // Add zoom control to bottom left
@@ -78,6 +213,11 @@ export default function FlightMap({
 
     markersLayerRef.current = L.layerGroup().addTo(map);
     routesLayerRef.current = L.layerGroup().addTo(map);
+    flightLogLayerRef.current = L.layerGroup().addTo(map);
+    changesLayerRef.current = L.layerGroup().addTo(map);
+    // Own pane above the arcs: culling re-adds arcs to the shared canvas on top of anything drawn earlier
+    map.createPane("pair").style.zIndex = "450";
+    pairLayerRef.current = L.layerGroup().addTo(map);
 
     mapRef.current = map;
     setMapReady(true);
@@ -95,30 +235,42 @@ export default function FlightMap({
     };
   }, []);
 
-  // Add airport markers
+  // Add airport markers once per data set; selection and reachability only restyle them
   useEffect(() => {
     if (!mapReady || !markersLayerRef.current) return;
 
     markersLayerRef.current.clearLayers();
+    const markers = new Map<string, L.CircleMarker>();
 
-    // Only show major airports initially (those with routes)
-    const airportsWithRoutes = airports.filter((a) => routesByAirport[a.iata]);
+    // Metro rings go in first so member airports inside them keep their own clicks
+    metroAreas.forEach((metro) => {
+      const center = getMetroCenter(metro, airportMap.current);
+      if (!center || !metro.airports.some((code) => routeCounts[code])) return;
 
-    airportsWithRoutes.forEach((airport) => {
-      const isSelected = selectedAirport?.iata === airport.iata;
-      const hasRoutes = routesByAirport[airport.iata]?.length > 0;
+      const ring = L.circleMarker(center, METRO_RING_STYLE);
+      ring.bindTooltip(
+        `<strong>${metro.code}</strong><br/>${metro.name}, all airports<br/>${metro.airports.join(", ")}`,
+        { direction: "top", offset: [0, -12] }
+      );
+      ring.on("click", () => onMetroSelect(metro));
+      ring.addTo(markersLayerRef.current!);
+    });
 
-      const marker = L.circleMarker([airport.lat, airport.lon], {
-        radius: isSelected ? 8 : hasRoutes ? 4 : 2,
-        fillColor: isSelected ? "#f59e0b" : "#3b82f6",
-        color: isSelected ? "#fbbf24" : "#60a5fa",
-        weight: isSelected ? 3 : 1,
-        opacity: 1,
-        fillOpacity: isSelected ? 1 : 0.8,
-      });
+    // Only show airports with routes
+    airports.forEach((airport) => {
+      if (!routeCounts[airport.iata]) return;
+
+      const marker = L.circleMarker([airport.lat, airport.lon], getMarkerStyle(false, null));
 
       marker.bindTooltip(
-        `<strong>${airport.iata}</strong><br/>${airport.city || airport.name}<br/>${airport.country}`,
+        () => {
+          const { selected, reachability } = styledRef.current;
+          const stops = reachability?.[airport.iata];
+          const reachLine = reachability && !selected.includes(airport.iata)
+            ? `<br/>${stops !== undefined ? REACH_LABELS[stops] : `Not within ${MAX_REACH_STOPS} stops`}`
+            : "";
+          return `<strong>${airport.iata}</strong><br/>${airport.city || airport.name}<br/>${airport.country}${reachLine}`;
+        },
         { direction: "top", offset: [0, -5] }
       );
 
@@ -127,108 +279,163 @@ export default function FlightMap({
       });
 
       marker.addTo(markersLayerRef.current!);
+      markers.set(airport.iata, marker);
     });
-  }, [mapReady, airports, routesByAirport, selectedAirport, onAirportSelect]);
 
-  // Draw routes for selected airport OR all routes for selected airline
+    markersRef.current = markers;
+  }, [mapReady, airports, routeCounts, metroAreas, onAirportSelect, onMetroSelect]);
+
+  // Highlight the selected airport, or every airport of the selected metro
+  // area, and color by reachability. Also runs after the markers are
+  // rebuilt, which then need a full restyle.
   useEffect(() => {
-    if (!mapReady || !routesLayerRef.current) return;
+    if (!mapReady) return;
 
-    routesLayerRef.current.clearLayers();
+    const markers = markersRef.current;
+    const selected = selectedMetro ? selectedMetro.airports : selectedAirport ? [selectedAirport.iata] : [];
+    const styled = styledRef.current;
 
-    // Helper to check if route matches airline filter
-    const routeMatchesAirline = (route: Route, airlineCodes: string[], includeCodeshares: boolean) => {
-      const operators = route.operators || [];
-      const codeshares = route.codeshares || [];
-      const matchesOperator = operators.some((a) => airlineCodes.includes(a));
-      if (matchesOperator) return true;
-      if (includeCodeshares) {
-        return codeshares.some((a) => airlineCodes.includes(a));
-      }
-      return false;
+    const restyle = (code: string) => {
+      const marker = markers.get(code);
+      if (!marker) return;
+      const isSelected = selected.includes(code);
+      marker.setStyle(getMarkerStyle(isSelected, isSelected ? null : getReachColor(code, reachability)));
     };
 
-    // Determine which routes to show
-    let routesToShow: Route[] = [];
-    
-    if (selectedAirport) {
-      // Show routes from selected airport
-      const routes = routesByAirport[selectedAirport.iata] || [];
-      routesToShow = routes.filter((route) => {
-        if (filters.airlines.length > 0) {
-          if (!routeMatchesAirline(route, filters.airlines, filters.includeCodeshares)) return false;
-        }
-        if (filters.aircraft.length > 0) {
-          if (!route.aircraft.some((a) => filters.aircraft.includes(a))) return false;
-        }
-        return true;
-      });
-    } else if (filters.airlines.length > 0) {
-      // No airport selected but airline filter is active - show all routes for that airline
-      routesToShow = allRoutes.filter((route) =>
-        routeMatchesAirline(route, filters.airlines, filters.includeCodeshares)
-      );
+    if (styled.markers !== markers || styled.reachability !== reachability) {
+      markers.forEach((_, code) => restyle(code));
+    } else {
+      styled.selected.forEach(restyle);
+      selected.forEach(restyle);
     }
+    selected.forEach((code) => markers.get(code)?.bringToFront());
 
-    if (routesToShow.length === 0) return;
+    styledRef.current = { markers, selected, reachability };
+  }, [mapReady, airports, routeCounts, selectedAirport, selectedMetro, reachability]);
 
-    // Generate consistent color for each airline
-    const getAirlineColor = (airlineCode: string) => {
-      const hue = (airlineCode.charCodeAt(0) * 137 + (airlineCode.charCodeAt(1) || 0) * 59) % 360;
-      return `hsl(${hue}, 70%, 60%)`;
-    };
+  // Draw routes for the selected airport or metro area, OR all routes for selected airline,
+  // OR the compared airlines' routes in "compare" mode
+  useEffect(() => {
+    const map = mapRef.current;
+    const routesLayer = routesLayerRef.current;
+    if (!mapReady || !map || !routesLayer) return;
+
+    routesLayer.clearLayers();
+
+    if (mode === "connections" || mode === "log") return;
+
+    // The selected metro area's or airport's routes, or the whole network for an airline or aircraft filter
+    const selected = selectedAirport?.iata || null;
+    const routesToShow =
+      mode === "compare"
+        ? getComparedRoutes(selected, routesByAirport, allRoutes, filters, airportMap.current)
+        : selectedMetro
+          ? getMetroRoutes(selectedMetro, routesByAirport, filters, airportMap.current)
+          : getMapRoutes(selected, routesByAirport, allRoutes, filters, airportMap.current);
+
+    const filterAirlines = getFilterAirlines(filters);
+    const comparedAirlines = getComparedAirlines(filters);
+
+    // Metro airports flying to each destination, to tell shared destinations apart
+    const metroOrigins = new Map<string, Set<string>>();
+    if (selectedMetro) {
+      routesToShow.forEach((route) => {
+        if (!metroOrigins.has(route.destination)) metroOrigins.set(route.destination, new Set());
+        metroOrigins.get(route.destination)!.add(route.origin);
+      });
+    }
+
+    // Arcs and endpoint markers with their bounds, for viewport culling
+    const layers: { layer: L.Layer; bounds: L.LatLngBounds }[] = [];
+    const endpoints = new Set<string>();
 
     routesToShow.forEach((route) => {
       const originAirport = airportMap.current[route.origin];
       const destAirport = airportMap.current[route.destination];
       if (!originAirport || !destAirport) return;
 
-      // Get arc points for great circle route (continuous coordinates)
-      const arcPoints = getArcPoints(
-        [originAirport.lat, originAirport.lon],
-        [destAirport.lat, destAirport.lon],
-        30
-      );
+      // Great circle arc (continuous coordinates)
+      const arc = getArc(originAirport, destAirport);
 
-      // Use first matching operator for color
+      // Color by departure airport for a metro area, by which compared
+      // airlines fly it when comparing, otherwise by the airlines matching
+      // the filter, falling back to all operators
       const operators = route.operators || [];
-      const colorAirline = filters.airlines.length > 0 
-        ? operators.find(a => filters.airlines.includes(a)) || operators[0]
-        : operators[0] || "XX";
-      const color = getAirlineColor(colorAirline);
-
-      const operatorNames = operators
-        .slice(0, 3)
-        .map((code) => airlineMap.current[code]?.name || code)
-        .join(", ");
-      const moreOperators = operators.length > 3 ? ` +${operators.length - 3} more` : "";
-
-      const tooltipContent =
-        `<strong>${route.origin} → ${route.destination}</strong><br/>` +
-        `${destAirport.city || destAirport.name}<br/>` +
-        `Operated by: ${operatorNames}${moreOperators}<br/>` +
-        `Aircraft: ${route.aircraft.slice(0, 5).join(", ")}${route.aircraft.length > 5 ? "..." : ""}`;
-
-      // Draw the continuous polyline
-      const polyline = L.polyline(arcPoints as L.LatLngExpression[], {
+      const shownOperators =
+        mode === "compare"
+          ? getComparedCarriers(route, comparedAirlines, filters.includeCodeshares)
+          : getShownOperators(route, filterAirlines);
+      const color =
+        mode === "compare"
+          ? getComparisonColor(shownOperators, comparedAirlines)
+          : selectedMetro
+            ? getMetroAirportColor(selectedMetro, route.origin)
+            : getRouteColor(shownOperators, arcColoring);
+
+      // Line style follows the most regular service among the airlines shown
+      const serviceType = getRouteServiceType(route, shownOperators);
+
+      // Tooltips are only built when hovered
+      const getTooltipContent = () => {
+        const operatorNames = operators
+          .slice(0, 3)
+          .map((code) => airlineMap.current[code]?.name || code)
+          .join(", ");
+        const moreOperators = operators.length > 3 ? ` +${operators.length - 3} more` : "";
+        const serviceLines = (route.services || [])
+          .map((service) => {
+            const note = describeService(service);
+            return note ? `${airlineMap.current[service.airline]?.name || service.airline}: ${note}<br/>` : "";
+          })
+          .join("");
+
+        const timeDifference = describeTimeDifference(
+          airportInfoRef.current?.[route.origin]?.timezone ?? null,
+          airportInfoRef.current?.[route.destination]?.timezone ?? null
+        );
+        const comparedNames = shownOperators.map((code) => airlineMap.current[code]?.name || code).join(", ");
+        const comparisonLine =
+          mode === "compare" ? `${shownOperators.length === 1 ? "Only" : "Shared by"} ${comparedNames}<br/>` : "";
+
+        return (
+          `<strong>${route.origin} → ${route.destination}</strong><br/>` +
+          `${destAirport.city || destAirport.name}<br/>` +
+          comparisonLine +
+          `Operated by: ${operatorNames}${moreOperators}<br/>` +
+          serviceLines +
+          `Aircraft: ${formatAircraftList(route.aircraft, aircraftCatalog, 3)}<br/>` +
+          `Source: ${describeProvenance(route)}<br/>` +
+          `Distance: ${formatDistance(route.distance)} · ${formatDistance(route.distance, "mi")} · ${formatDistance(route.distance, "nm")}<br/>` +
+          `Est. block time: ${formatDuration(estimateBlockTime(route.distance))}` +
+          (timeDifference ? `<br/>Time difference: ${timeDifference}` : "")
+        );
+      };
+
+      const polyline = L.polyline(arc.points as L.LatLngExpression[], {
         color: color,
         weight: 2,
         opacity: 0.6,
+        dashArray: SERVICE_DASH_ARRAYS[serviceType],
       });
 
-      polyline.bindTooltip(tooltipContent, { sticky: true });
+      polyline.bindTooltip(getTooltipContent, { sticky: true });
 
       polyline.on("click", () => {
-        onAirportSelect(originAirport);
+        onPairSelect({ origin: route.origin, destination: route.destination });
       });
 
-      polyline.addTo(routesLayerRef.current!);
+      layers.push({ layer: polyline, bounds: arc.bounds });
+
+      // One destination marker per arc endpoint (may be at extended coordinates),
+      // shared by every route ending there
+      const endPoint = arc.points[arc.points.length - 1];
+      const endpointKey = `${destAirport.iata}@${Math.round(endPoint[1])}`;
+      if (endpoints.has(endpointKey)) return;
+      endpoints.add(endpointKey);
 
-      // Add destination marker at the arc endpoint (may be at extended coordinates)
-      const endPoint = arcPoints[arcPoints.length - 1];
       const destMarker = L.circleMarker(endPoint as L.LatLngExpression, {
         radius: 5,
-        fillColor: color,
+        fillColor: (metroOrigins.get(destAirport.iata)?.size || 0) > 1 ? SHARED_DESTINATION_COLOR : color,
         color: "#fff",
         weight: 1,
         opacity: 1,
@@ -244,19 +451,289 @@ export default function FlightMap({
         onAirportSelect(destAirport);
       });
 
-      destMarker.addTo(routesLayerRef.current!);
+      layers.push({ layer: destMarker, bounds: L.latLngBounds([endPoint, endPoint]) });
     });
 
-    // Pan to selected airport if there is one
-    if (selectedAirport && mapRef.current) {
-      mapRef.current.setView([selectedAirport.lat, selectedAirport.lon], 4, {
-        animate: true,
+    // Keep only what is in or near the viewport on the map
+    const cull = () => {
+      const visible = map.getBounds().pad(VIEWPORT_PADDING);
+      layers.forEach(({ layer, bounds }) => {
+        const inView = visible.intersects(bounds);
+        if (inView && !routesLayer.hasLayer(layer)) routesLayer.addLayer(layer);
+        else if (!inView && routesLayer.hasLayer(layer)) routesLayer.removeLayer(layer);
       });
-    } else if (!selectedAirport && filters.airlines.length > 0 && mapRef.current) {
-      // Zoom out to show all airline routes
-      mapRef.current.setView([30, 0], 2, { animate: true });
+    };
+
+    if (layers.length === 0) return;
+
+    cull();
+    map.on("moveend", cull);
+
+    // Pan to a newly selected metro area or airport, or zoom out to show the
+    // whole network when the selection was cleared
+    if (selectionKey !== pannedSelectionRef.current) {
+      pannedSelectionRef.current = selectionKey;
+      const metroCenter = selectedMetro && getMetroCenter(selectedMetro, airportMap.current);
+      if (metroCenter) {
+        map.setView(metroCenter, 4, { animate: true });
+      } else if (selectedAirport) {
+        map.setView([selectedAirport.lat, selectedAirport.lon], 4, {
+          animate: true,
+        });
+      } else {
+        map.setView([30, 0], 2, { animate: true });
+      }
     }
-  }, [mapReady, selectedAirport, routesByAirport, allRoutes, filters, onAirportSelect]);
+
+    return () => {
+      map.off("moveend", cull);
+    };
+  }, [mapReady, mode, selectionKey, selectedAirport, selectedMetro, routesByAirport, allRoutes, aircraftCatalog, filters, arcColoring, onAirportSelect, onPairSelect]);
+
+  // Draw the last update's changes over the routes: new routes in green,
+  // removed ones dashed in red, routes whose operators changed in amber
+  useEffect(() => {
+    const layer = changesLayerRef.current;
+    if (!mapReady || !layer) return;
+
+    layer.clearLayers();
+
+    changedRoutes.forEach((route) => {
+      const origin = airportMap.current[route.origin];
+      const destination = airportMap.current[route.destination];
+      if (!origin || !destination) return;
+
+      const airlineNames = (codes: string[]) => codes.map((code) => airlineMap.current[code]?.name || code).join(", ");
+      const polyline = L.polyline(getArc(origin, destination).points as L.LatLngExpression[], {
+        color: CHANGE_COLORS[route.kind],
+        weight: 2,
+        opacity: 0.8,
+        dashArray: route.kind === "removed" ? "4 6" : undefined,
+      });
+
+      polyline.bindTooltip(
+        () =>
+          `<strong>${route.origin} → ${route.destination}</strong><br/>` +
+          `${CHANGE_LABELS[route.kind]}` +
+          (route.operatorsAdded.length > 0 ? `<br/>Added: ${airlineNames(route.operatorsAdded)}` : "") +
+          (route.operatorsRemoved.length > 0 ? `<br/>Removed: ${airlineNames(route.operatorsRemoved)}` : ""),
+        { sticky: true }
+      );
+
+      polyline.on("click", () => {
+        onPairSelect({ origin: route.origin, destination: route.destination });
+      });
+
+      polyline.addTo(layer);
+    });
+  }, [mapReady, changedRoutes, airports, onPairSelect]);
+
+  // Highlight the airport pair open in the pair panel
+  useEffect(() => {
+    const pairLayer = pairLayerRef.current;
+    if (!mapReady || !pairLayer) return;
+
+    pairLayer.clearLayers();
+    if (!selectedPair) return;
+
+    const origin = airportMap.current[selectedPair.origin];
+    const destination = airportMap.current[selectedPair.destination];
+    if (!origin || !destination) return;
+
+    L.polyline(getArc(origin, destination).points as L.LatLngExpression[], {
+      pane: "pair",
+      color: "#f59e0b",
+      weight: 4,
+      opacity: 0.9,
+      interactive: false,
+    }).addTo(pairLayer);
+  }, [mapReady, selectedPair, airports]);
+
+  // Draw connection itineraries as chained great circle arcs
+  useEffect(() => {
+    if (!mapReady || !routesLayerRef.current || mode !== "connections") return;
+
+    const bounds: L.LatLngTuple[] = [];
+
+    // Draw the selected itinerary last so it sits on top
+    const order = itineraries.map((_, index) => index);
+    if (selectedItinerary !== null) {
+      order.sort((a, b) => (a === selectedItinerary ? 1 : b === selectedItinerary ? -1 : 0));
+    }
+
+    order.forEach((index) => {
+      const itinerary = itineraries[index];
+      const path = getItineraryAirports(itinerary).map((code) => airportMap.current[code]);
+      if (path.some((a) => !a)) return;
+
+      // Chain the legs, dropping the duplicated point at each connection
+      const points: [number, number][] = [];
+      const connectionIndexes: number[] = [];
+      for (let i = 0; i < path.length - 1; i++) {
+        // Copy the cached points: unwrapLongitudes below shifts them in place
+        const legPoints = getArc(path[i], path[i + 1]).points.map(([lat, lon]): [number, number] => [lat, lon]);
+        points.push(...(i === 0 ? legPoints : legPoints.slice(1)));
+        connectionIndexes.push(points.length - 1);
+      }
+      unwrapLongitudes(points);
+
+      const isSelected = selectedItinerary === index;
+      const color = getItineraryColor(itinerary, isSelected);
+
+      const polyline = L.polyline(points as L.LatLngExpression[], {
+        color,
+        weight: isSelected ? 4 : 2,
+        opacity: selectedItinerary === null || isSelected ? 0.8 : 0.25,
+      });
+
+      polyline.bindTooltip(
+        `<strong>${path.map((a) => a.iata).join(" → ")}</strong><br/>` +
+          `${formatDistance(itinerary.distance)}`,
+        { sticky: true }
+      );
+
+      polyline.on("click", () => {
+        onItinerarySelect(isSelected ? null : index);
+      });
+
+      polyline.addTo(routesLayerRef.current!);
+
+      // Mark connecting airports and the destination
+      connectionIndexes.forEach((pointIndex, i) => {
+        const airport = path[i + 1];
+        const isDestination = i === connectionIndexes.length - 1;
+        const marker = L.circleMarker(points[pointIndex] as L.LatLngExpression, {
+          radius: isDestination ? 6 : 4,
+          fillColor: isDestination ? "#f59e0b" : color,
+          color: "#fff",
+          weight: 1,
+          opacity: 1,
+          fillOpacity: 0.9,
+        });
+        marker.bindTooltip(
+          `<strong>${airport.iata}</strong><br/>${airport.city || airport.name}`,
+          { direction: "top" }
+        );
+        marker.addTo(routesLayerRef.current!);
+      });
+
+      bounds.push(...points);
+    });
+
+    if (bounds.length > 0 && mapRef.current) {
+      mapRef.current.fitBounds(bounds, { padding: [40, 40], animate: true });
+    }
+
+    return () => {
+      routesLayerRef.current?.clearLayers();
+    };
+  }, [mapReady, mode, itineraries, selectedItinerary, onItinerarySelect]);
+
+  // Draw the user's flights on their own layer, one arc per airport pair.
+  // Flights on no route in the data are dashed in red.
+  useEffect(() => {
+    const map = mapRef.current;
+    const layer = flightLogLayerRef.current;
+    if (!mapReady || !map || !layer) return;
+
+    layer.clearLayers();
+    if (mode !== "log") {
+      fittedLogRef.current = "";
+      return;
+    }
+
+    const bounds: L.LatLngTuple[] = [];
+    const endpoints = new Set<string>();
+
+    loggedRoutes.forEach((route) => {
+      const origin = airportMap.current[route.origin];
+      const destination = airportMap.current[route.destination];
+      if (!origin || !destination) return;
+
+      const arc = getArc(origin, destination);
+      const isUnknown = route.known === false;
+
+      const polyline = L.polyline(arc.points as L.LatLngExpression[], {
+        color: isUnknown ? UNKNOWN_ROUTE_COLOR : FLIGHT_LOG_COLOR,
+        weight: Math.min(5, 1 + route.flights),
+        opacity: 0.8,
+        dashArray: isUnknown ? "4 6" : undefined,
+      });
+
+      polyline.bindTooltip(
+        `<strong>${route.origin} → ${route.destination}</strong><br/>` +
+          `Flown ${route.flights === 1 ? "once" : `${route.flights} times`}<br/>` +
+          `${formatDistance(getDistance([origin.lat, origin.lon], [destination.lat, destination.lon]))}` +
+          (isUnknown ? "<br/>Not a route in the current data" : ""),
+        { sticky: true }
+      );
+
+      polyline.addTo(layer);
+      bounds.push(...arc.points);
+
+      // Both ends, at the arc's (possibly extended) coordinates
+      const ends: [Airport, [number, number]][] = [
+        [origin, arc.points[0]],
+        [destination, arc.points[arc.points.length - 1]],
+      ];
+      ends.forEach(([{ iata, city, name }, [lat, lon]]) => {
+        const key = `${iata}@${Math.round(lon)}`;
+        if (endpoints.has(key)) return;
+        endpoints.add(key);
+
+        L.circleMarker([lat, lon], {
+          radius: 4,
+          fillColor: FLIGHT_LOG_COLOR,
+          color: "#fff",
+          weight: 1,
+          opacity: 1,
+          fillOpacity: 0.9,
+        })
+          .bindTooltip(`<strong>${iata}</strong><br/>${city || name}`, { direction: "top" })
+          .addTo(layer);
+      });
+    });
+
+    const fitKey = loggedRoutes.map((route) => `${route.origin}-${route.destination}`).join(",");
+    if (bounds.length > 0 && fitKey !== fittedLogRef.current) {
+      map.fitBounds(bounds, { padding: [40, 40], animate: true });
+    }
+    fittedLogRef.current = fitKey;
+  }, [mapReady, mode, loggedRoutes]);
+
+  // Report pans and zooms so the view can be shared
+  useEffect(() => {
+    if (!mapReady || !mapRef.current) return;
+    const map = mapRef.current;
+
+    const handleMoveEnd = () => {
+      const center = map.getCenter();
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
+    };
+
+    map.on("moveend", handleMoveEnd);
+    return () => {
+      map.off("moveend", handleMoveEnd);
+    };
+  }, [mapReady, onViewChange]);
+
+  // Apply a view set from outside (shared link, back/forward).
+  // Runs after the route effects so it wins over their automatic panning.
+  useEffect(() => {
+    if (!mapReady || !mapRef.current || !view) return;
+    const map = mapRef.current;
+
+    const center = map.getCenter();
+    const isCurrent =
+      map.getZoom() === view.zoom &&
+      Math.abs(center.lat - view.center[0]) < 0.01 &&
+      Math.abs(center.lng - view.center[1]) < 0.01;
+    if (isCurrent) return;
+
+    map.setView(view.center, view.zoom, { animate: false });
+    // The link chose the view for its selection, so don't pan away from it
+    pannedSelectionRef.current = selectionKeyRef.current;
+  }, [mapReady, view]);
 
   return (
     <div
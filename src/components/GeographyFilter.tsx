@@ -0,0 +1,173 @@
+"use client";
+
+import { useState, useMemo } from "react";
+import { ChevronDown, ChevronUp, X } from "lucide-react";
+import { Airport, Continent, Filters, RouteScope } from "@/types";
+import {
+  PlaceFilter,
+  ROUTE_SCOPE_LABELS,
+  getCountryOptions,
+  getOriginPlaces,
+  getDestinationPlaces,
+  hasGeographyFilters,
+} from "@/lib/geography";
+import { CONTINENT_NAMES } from "@/lib/timezones";
+import { cn, getCountryName } from "@/lib/utils";
+
+interface GeographyFilterProps {
+  airports: Airport[];
+  filters: Filters;
+  onFiltersChange: (filters: Filters) => void;
+}
+
+const SUGGESTION_LIMIT = 8;
+
+const CONTINENTS = Object.keys(CONTINENT_NAMES) as Continent[];
+
+interface PlacePickerProps {
+  label: string;
+  places: PlaceFilter;
+  countries: { code: string; name: string }[];
+  onChange: (places: PlaceFilter) => void;
+}
+
+// Chosen countries and continents for one end of a route, with a search box to add more
+function PlacePicker({ label, places, countries, onChange }: PlacePickerProps) {
+  const [query, setQuery] = useState("");
+
+  const suggestions = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (!q) return [];
+    const matches = (name: string) => name.toLowerCase().split(/[\s-]+/).some((word) => word.startsWith(q));
+    return [
+      ...CONTINENTS.filter((code) => !places.continents.includes(code) && matches(CONTINENT_NAMES[code])).map(
+        (code) => ({ kind: "continent" as const, code, name: CONTINENT_NAMES[code] })
+      ),
+      ...countries
+        .filter((c) => !places.countries.includes(c.code) && (c.code.toLowerCase() === q || matches(c.name)))
+        .map((c) => ({ kind: "country" as const, ...c })),
+    ].slice(0, SUGGESTION_LIMIT);
+  }, [query, places, countries]);
+
+  const chips = [
+    ...places.continents.map((code) => ({ kind: "continent" as const, code, name: CONTINENT_NAMES[code] })),
+    ...places.countries.map((code) => ({ kind: "country" as const, code, name: getCountryName(code) })),
+  ];
+
+  const add = (kind: "continent" | "country", code: string) => {
+    setQuery("");
+    if (kind === "continent") onChange({ ...places, continents: [...places.continents, code as Continent] });
+    else onChange({ ...places, countries: [...places.countries, code] });
+  };
+
+  const remove = (kind: "continent" | "country", code: string) => {
+    if (kind === "continent") onChange({ ...places, continents: places.continents.filter((c) => c !== code) });
+    else onChange({ ...places, countries: places.countries.filter((c) => c !== code) });
+  };
+
+  return (
+    <div className="mb-2">
+      <div className="flex items-center gap-1 flex-wrap mb-1">
+        <span className="text-xs text-zinc-400 w-8">{label}</span>
+        {chips.length === 0 && <span className="text-xs text-zinc-500">Anywhere</span>}
+        {chips.map(({ kind, code, name }) => (
+          <span key={`${kind}:${code}`} className="flex items-center gap-1 px-2 py-0.5 rounded text-xs bg-blue-500 text-white">
+            {name}
+            <button onClick={() => remove(kind, code)} className="hover:text-zinc-200">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <input
+        type="text"
+        placeholder="Add a country or continent..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && suggestions[0]) add(suggestions[0].kind, suggestions[0].code);
+          if (e.key === "Escape") setQuery("");
+        }}
+        className="w-full bg-zinc-700 text-white px-3 py-1.5 rounded text-xs placeholder:text-zinc-500 focus:outline-none"
+      />
+      {suggestions.length > 0 && (
+        <div className="mt-1 bg-zinc-700/50 rounded">
+          {suggestions.map(({ kind, code, name }) => (
+            <button
+              key={`${kind}:${code}`}
+              onClick={() => add(kind, code)}
+              className="w-full flex items-center justify-between px-2 py-1 text-left text-xs text-white hover:bg-zinc-700 rounded"
+            >
+              {name}
+              <span className="text-zinc-500">{kind === "continent" ? "Continent" : code}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Origin and destination countries or continents, and the domestic /
+// international / intercontinental split
+export default function GeographyFilter({ airports, filters, onFiltersChange }: GeographyFilterProps) {
+  const [expanded, setExpanded] = useState(false);
+  const countries = useMemo(() => getCountryOptions(airports), [airports]);
+
+  const activeCount =
+    filters.originCountries.length +
+    filters.originContinents.length +
+    filters.destinationCountries.length +
+    filters.destinationContinents.length +
+    (filters.scope ? 1 : 0);
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between px-3 py-2 bg-zinc-800 rounded-lg text-sm hover:bg-zinc-700 transition-colors"
+      >
+        <span className="text-white">
+          Geography
+          {hasGeographyFilters(filters) && <span className="ml-2 text-blue-400">({activeCount})</span>}
+        </span>
+        {expanded ? <ChevronUp className="w-4 h-4 text-zinc-400" /> : <ChevronDown className="w-4 h-4 text-zinc-400" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 bg-zinc-800 rounded-lg p-2">
+          <PlacePicker
+            label="From"
+            places={getOriginPlaces(filters)}
+            countries={countries}
+            onChange={({ countries, continents }) =>
+              onFiltersChange({ ...filters, originCountries: countries, originContinents: continents })
+            }
+          />
+          <PlacePicker
+            label="To"
+            places={getDestinationPlaces(filters)}
+            countries={countries}
+            onChange={({ countries, continents }) =>
+              onFiltersChange({ ...filters, destinationCountries: countries, destinationContinents: continents })
+            }
+          />
+          <div className="flex gap-1">
+            {(Object.keys(ROUTE_SCOPE_LABELS) as RouteScope[]).map((scope) => (
+              <button
+                key={scope}
+                onClick={() => onFiltersChange({ ...filters, scope: filters.scope === scope ? null : scope })}
+                className={cn(
+                  "flex-1 py-0.5 rounded text-xs transition-colors",
+                  filters.scope === scope ? "bg-blue-500 text-white" : "bg-zinc-700 text-zinc-400 hover:text-white"
+                )}
+              >
+                {ROUTE_SCOPE_LABELS[scope]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
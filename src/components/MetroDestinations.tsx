@@ -0,0 +1,111 @@
+"use client";
+
+import { useState } from "react";
+import { Airport, DistanceUnit, MetroArea } from "@/types";
+import { MetroDestination, getMetroAirportColor } from "@/lib/metro";
+import { cn, formatDistance } from "@/lib/utils";
+
+interface MetroDestinationsProps {
+  metro: MetroArea;
+  destinations: MetroDestination[];
+  airportMap: { [key: string]: Airport };
+  distanceUnit: DistanceUnit;
+  loading: boolean;
+  onAirportSelect: (airport: Airport) => void;
+}
+
+type DestinationFilter = "all" | "shared" | "unique";
+
+const DESTINATION_FILTERS: [DestinationFilter, string, string][] = [
+  ["all", "All", "Every destination"],
+  ["shared", "Shared", "Served from more than one airport"],
+  ["unique", "Unique", "Served from one airport only"],
+];
+
+const DESTINATION_LIMIT = 100;
+
+// Destinations of a metro area with the member airports serving each,
+// marking those only one of its airports flies to
+export default function MetroDestinations({
+  metro,
+  destinations,
+  airportMap,
+  distanceUnit,
+  loading,
+  onAirportSelect,
+}: MetroDestinationsProps) {
+  const [filter, setFilter] = useState<DestinationFilter>("all");
+  const [showAll, setShowAll] = useState(false);
+
+  const filtered = destinations.filter(
+    (d) => filter === "all" || (filter === "shared" ? d.airports.length > 1 : d.airports.length === 1)
+  );
+  const shown = showAll ? filtered : filtered.slice(0, DESTINATION_LIMIT);
+
+  return (
+    <div className="p-2">
+      <div className="flex items-center justify-between px-2 py-1 mb-1">
+        <span className="text-xs text-zinc-400">Destinations from {metro.code}</span>
+        <div className="flex gap-1">
+          {DESTINATION_FILTERS.map(([value, label, title]) => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              title={title}
+              className={cn(
+                "px-2 py-0.5 rounded text-xs transition-colors",
+                filter === value ? "bg-zinc-600 text-white" : "text-zinc-400 hover:text-white"
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {filtered.length === 0 ? (
+        !loading && (
+          <div className="text-zinc-500 text-sm text-center py-8">
+            {destinations.length === 0 ? "No routes match your filters" : "No destinations of this kind"}
+          </div>
+        )
+      ) : (
+        shown.map(({ destination, airports, routes }) => {
+          const dest = airportMap[destination];
+          if (!dest) return null;
+          return (
+            <button
+              key={destination}
+              onClick={() => onAirportSelect(dest)}
+              className="w-full px-3 py-2 text-left hover:bg-zinc-800 rounded-lg transition-colors"
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="text-white font-medium text-sm">{destination}</span>
+                  <span className="text-zinc-400 text-sm ml-2">{dest.city || dest.name}</span>
+                </div>
+                <div className="text-zinc-500 text-xs">{dest.country}</div>
+              </div>
+              <div className="flex items-center justify-between text-xs mt-0.5">
+                <span className="flex items-center gap-1.5">
+                  {airports.length === 1 && <span className="text-zinc-500">only</span>}
+                  {airports.map((code) => (
+                    <span key={code} className="font-medium" style={{ color: getMetroAirportColor(metro, code) }}>
+                      {code}
+                    </span>
+                  ))}
+                </span>
+                <span className="shrink-0 ml-2 text-zinc-500">{formatDistance(routes[0].distance, distanceUnit)}</span>
+              </div>
+            </button>
+          );
+        })
+      )}
+      {filtered.length > DESTINATION_LIMIT && (
+        <button onClick={() => setShowAll(!showAll)} className="px-2 mt-1 text-xs text-blue-400 hover:text-blue-300">
+          {showAll ? "Show less" : `Show all ${filtered.length.toLocaleString()}`}
+        </button>
+      )}
+    </div>
+  );
+}
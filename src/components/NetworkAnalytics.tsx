@@ -0,0 +1,181 @@
+"use client";
+
+import { useState, useMemo } from "react";
+import { Airport, Airline, Route, Filters } from "@/types";
+import { getAirportRankings, getAirlineNetworks, getGatewayAirports, NETWORK_SHAPE_LABELS, HUB_COUNT } from "@/lib/analytics";
+import { getFilterAirlines } from "@/lib/routes";
+import { cn } from "@/lib/utils";
+
+interface NetworkAnalyticsProps {
+  routes: Route[]; // Routes matching the active filters
+  filters: Filters;
+  airlineMap: { [key: string]: Airline };
+  airportMap: { [key: string]: Airport };
+  selectedAirport: Airport | null;
+  onAirportSelect: (airport: Airport | null) => void;
+}
+
+type AirportRanking = "destinations" | "operators";
+
+const TOP_COUNT = 10;
+
+const formatShare = (share: number) => `${Math.round(share * 100)}%`;
+
+export default function NetworkAnalytics({
+  routes,
+  filters,
+  airlineMap,
+  airportMap,
+  selectedAirport,
+  onAirportSelect,
+}: NetworkAnalyticsProps) {
+  const [ranking, setRanking] = useState<AirportRanking>("destinations");
+
+  const filterAirlines = useMemo(() => getFilterAirlines(filters), [filters]);
+  const rankings = useMemo(
+    () => getAirportRankings(routes, filterAirlines, filters.includeCodeshares),
+    [routes, filterAirlines, filters.includeCodeshares]
+  );
+  const networks = useMemo(
+    () => getAirlineNetworks(routes, filterAirlines, filters.includeCodeshares),
+    [routes, filterAirlines, filters.includeCodeshares]
+  );
+  const gateways = useMemo(() => getGatewayAirports(routes).slice(0, TOP_COUNT), [routes]);
+
+  const gatewayCodes = useMemo(() => new Set(gateways.map(([code]) => code)), [gateways]);
+
+  if (routes.length === 0) {
+    return <div className="text-zinc-500 text-sm text-center py-8">No routes match your filters</div>;
+  }
+
+  const airportRows = rankings[ranking].slice(0, TOP_COUNT);
+  const maxAirportCount = airportRows[0]?.[1] || 1;
+  const maxGatewayScore = gateways[0]?.[1] || 1;
+
+  const selectAirport = (code: string) => {
+    const airport = airportMap[code];
+    if (airport) onAirportSelect(airport);
+  };
+
+  const airportLabel = (code: string) => (
+    <span className="text-white truncate">
+      <span className={cn(selectedAirport?.iata === code && "text-amber-400")}>{code}</span>
+      <span className="text-zinc-400 ml-2">{airportMap[code]?.city || airportMap[code]?.name}</span>
+    </span>
+  );
+
+  return (
+    <div className="p-4">
+      <div className="text-zinc-400 text-sm text-center mb-4">
+        {routes.length.toLocaleString()} routes · {rankings.destinations.length.toLocaleString()} airports ·{" "}
+        {networks.length.toLocaleString()} airlines
+      </div>
+
+      {/* Airport rankings */}
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-1">
+          <div className="text-xs text-zinc-400">Top airports</div>
+          <div className="flex bg-zinc-800 rounded p-0.5">
+            {([
+              ["destinations", "Destinations"],
+              ["operators", "Airlines"],
+            ] as [AirportRanking, string][]).map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setRanking(value)}
+                className={cn(
+                  "px-2 py-0.5 rounded text-xs transition-colors",
+                  ranking === value ? "bg-zinc-700 text-white" : "text-zinc-400 hover:text-white"
+                )}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {airportRows.map(([code, count]) => (
+          <button
+            key={code}
+            onClick={() => selectAirport(code)}
+            className="w-full px-2 py-1 text-left hover:bg-zinc-800 rounded transition-colors"
+          >
+            <div className="flex items-center justify-between text-xs">
+              {airportLabel(code)}
+              <span className="text-zinc-500 ml-2 shrink-0">
+                {gatewayCodes.has(code) && <span className="text-emerald-400 mr-2">gateway</span>}
+                {count}
+              </span>
+            </div>
+            <div className="h-0.5 mt-1 bg-zinc-800 rounded">
+              <div className="h-full bg-amber-500 rounded" style={{ width: `${(count / maxAirportCount) * 100}%` }} />
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Gateways */}
+      {gateways.length > 0 && (
+        <div className="mb-4">
+          <div className="text-xs text-zinc-400 mb-1">Gateways</div>
+          <p className="text-zinc-500 text-xs px-2 mb-1">
+            Share of the shortest connections between other airports that pass through each airport
+          </p>
+          {gateways.map(([code, score]) => (
+            <button
+              key={code}
+              onClick={() => selectAirport(code)}
+              className="w-full px-2 py-1 text-left hover:bg-zinc-800 rounded transition-colors"
+            >
+              <div className="flex items-center justify-between text-xs">
+                {airportLabel(code)}
+                <span className="text-zinc-500 ml-2 shrink-0">{(score * 100).toFixed(1)}%</span>
+              </div>
+              <div className="h-0.5 mt-1 bg-zinc-800 rounded">
+                <div className="h-full bg-emerald-500 rounded" style={{ width: `${(score / maxGatewayScore) * 100}%` }} />
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Airline networks */}
+      <div className="mb-4">
+        <div className="text-xs text-zinc-400 mb-1">Airline hubs</div>
+        {networks.slice(0, TOP_COUNT).map((network) => (
+          <div key={network.airline} className="px-2 py-1.5 border-b border-zinc-800 last:border-0">
+            <div className="flex items-center justify-between text-xs">
+              <span className="text-white truncate">
+                {network.airline} - {airlineMap[network.airline]?.name || network.airline}
+              </span>
+              <span className="text-zinc-500 ml-2 shrink-0">{network.routes} routes</span>
+            </div>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {network.hubs.slice(0, HUB_COUNT).map((hub) => (
+                <button
+                  key={hub.airport}
+                  onClick={() => selectAirport(hub.airport)}
+                  className={cn(
+                    "px-1.5 py-0.5 rounded text-xs bg-zinc-800 hover:bg-zinc-700 transition-colors",
+                    selectedAirport?.iata === hub.airport ? "text-amber-400" : "text-zinc-300"
+                  )}
+                  title={`${hub.routes} of ${network.routes} routes`}
+                >
+                  {hub.airport} {formatShare(hub.share)}
+                </button>
+              ))}
+            </div>
+            <div className="text-zinc-500 text-xs mt-1">
+              {NETWORK_SHAPE_LABELS[network.shape]} · {formatShare(network.hubScore)} of routes touch the top{" "}
+              {Math.min(HUB_COUNT, network.hubs.length)} airports
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-zinc-500 text-xs text-center">
+        Counting {filters.includeCodeshares ? "operated + codeshare" : "operated"} routes. Click an airport to show it on
+        the map.
+      </p>
+    </div>
+  );
+}
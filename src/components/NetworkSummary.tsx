@@ -0,0 +1,116 @@
+"use client";
+
+import { useMemo } from "react";
+import { Airport, Airline, Route, Filters, AircraftCatalog } from "@/types";
+import { getNetworkStats } from "@/lib/network";
+import { getFilterAirlines } from "@/lib/routes";
+import { getAirlineGroup } from "@/lib/alliances";
+import { formatAircraftList } from "@/lib/aircraft";
+import { describeGeography } from "@/lib/geography";
+
+interface NetworkSummaryProps {
+  routes: Route[]; // Routes matching the active filters
+  filters: Filters;
+  aircraftCatalog: AircraftCatalog;
+  airlineMap: { [key: string]: Airline };
+  airportMap: { [key: string]: Airport };
+  onAirportSelect: (airport: Airport | null) => void;
+  onFiltersChange: (filters: Filters) => void;
+}
+
+const TOP_COUNT = 10;
+
+export default function NetworkSummary({
+  routes,
+  filters,
+  aircraftCatalog,
+  airlineMap,
+  airportMap,
+  onAirportSelect,
+  onFiltersChange,
+}: NetworkSummaryProps) {
+  const filterAirlines = useMemo(() => getFilterAirlines(filters), [filters]);
+  const stats = useMemo(() => getNetworkStats(routes, filterAirlines), [routes, filterAirlines]);
+
+  const geography = describeGeography(filters);
+  const title = [
+    ...filters.groups.map((id) => getAirlineGroup(id)?.name || id),
+    ...filters.airlines.map((code) => airlineMap[code]?.name || code),
+    ...(filters.aircraft.length > 0 ? [formatAircraftList(filters.aircraft, aircraftCatalog, 3)] : []),
+    ...(geography ? [geography] : []),
+  ].join(", ");
+
+  const maxOperatorCount = stats.operators[0]?.[1] || 1;
+  const maxAirportCount = stats.airports[0]?.[1] || 1;
+
+  return (
+    <div className="p-4">
+      <div className="text-center mb-4">
+        <div className="text-blue-400 font-medium">{title}</div>
+        <div className="text-zinc-400 text-sm mt-1">
+          {routes.length.toLocaleString()} routes
+          {filters.includeCodeshares && filterAirlines.length > 0 && (
+            <span className="text-zinc-500"> (incl. codeshares)</span>
+          )}
+        </div>
+      </div>
+
+      {/* Top operators - hidden when a single airline is already chosen */}
+      {filterAirlines.length !== 1 && stats.operators.length > 0 && (
+        <div className="mb-4">
+          <div className="text-xs text-zinc-400 mb-1">Top operators</div>
+          {stats.operators.slice(0, TOP_COUNT).map(([code, count]) => (
+            <button
+              key={code}
+              onClick={() => onFiltersChange({ ...filters, airlines: [code], groups: [] })}
+              className="w-full px-2 py-1 text-left hover:bg-zinc-800 rounded transition-colors"
+              title="Show only this airline"
+            >
+              <div className="flex items-center justify-between text-xs">
+                <span className="text-white truncate">
+                  {code} - {airlineMap[code]?.name || code}
+                </span>
+                <span className="text-zinc-500 ml-2">{count}</span>
+              </div>
+              <div className="h-0.5 mt-1 bg-zinc-800 rounded">
+                <div className="h-full bg-blue-500 rounded" style={{ width: `${(count / maxOperatorCount) * 100}%` }} />
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Top airports */}
+      {stats.airports.length > 0 && (
+        <div className="mb-4">
+          <div className="text-xs text-zinc-400 mb-1">Top airports</div>
+          {stats.airports.slice(0, TOP_COUNT).map(([code, count]) => {
+            const airport = airportMap[code];
+            return (
+              <button
+                key={code}
+                onClick={() => airport && onAirportSelect(airport)}
+                className="w-full px-2 py-1 text-left hover:bg-zinc-800 rounded transition-colors"
+              >
+                <div className="flex items-center justify-between text-xs">
+                  <span className="text-white truncate">
+                    {code}
+                    <span className="text-zinc-400 ml-2">{airport?.city || airport?.name}</span>
+                  </span>
+                  <span className="text-zinc-500 ml-2">{count}</span>
+                </div>
+                <div className="h-0.5 mt-1 bg-zinc-800 rounded">
+                  <div className="h-full bg-amber-500 rounded" style={{ width: `${(count / maxAirportCount) * 100}%` }} />
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="text-zinc-500 text-xs text-center">
+        Showing {filters.includeCodeshares ? "operated + codeshare" : "operated"} routes. Click an airport to focus.
+      </p>
+    </div>
+  );
+}
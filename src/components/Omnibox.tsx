@@ -0,0 +1,198 @@
+"use client";
+
+import { useState, useMemo, useRef, useEffect } from "react";
+import { Search, Building2, Landmark, Plane, PlaneTakeoff, Globe, Waypoints, X } from "lucide-react";
+import { SearchContext, SearchResult, search, getResultKey } from "@/lib/search";
+import { cn, getCountryName } from "@/lib/utils";
+
+interface OmniboxProps {
+  context: SearchContext;
+  onSelect: (result: SearchResult) => void;
+}
+
+const KIND_ICONS = {
+  airport: Building2,
+  metro: Landmark,
+  airline: Plane,
+  aircraft: PlaneTakeoff,
+  country: Globe,
+  route: Waypoints,
+  "airline-route": Waypoints,
+};
+
+const KIND_LABELS = {
+  airport: "Airport",
+  metro: "City",
+  airline: "Airline",
+  aircraft: "Aircraft",
+  country: "Country",
+  route: "Route",
+  "airline-route": "Routes",
+};
+
+// Title and subtitle of a result row
+function describeResult(result: SearchResult): [string, string] {
+  switch (result.kind) {
+    case "airport":
+      return [
+        `${result.airport.iata} - ${result.airport.city || result.airport.name}`,
+        `${result.airport.name} · ${getCountryName(result.airport.country)}`,
+      ];
+    case "metro":
+      return [
+        `${result.metro.code} - ${result.metro.name} (all airports)`,
+        `${result.metro.airports.join(", ")} · ${getCountryName(result.metro.country)}`,
+      ];
+    case "airline":
+      return [`${result.airline.iata} - ${result.airline.name}`, result.airline.country];
+    case "aircraft":
+      return [result.name, result.code];
+    case "country":
+      return [result.name, "Show on the map"];
+    case "route":
+      return [`${result.origin.iata} → ${result.destination.iata}`, `Compare both directions between ${result.origin.city || result.origin.name} and ${result.destination.city || result.destination.name}`];
+    case "airline-route":
+      return [`${result.airline.name} at ${result.airport.iata}`, `${result.airline.iata} routes from ${result.airport.city || result.airport.name}`];
+  }
+}
+
+// One ranked search box for airports, metro areas, airlines, aircraft,
+// countries and route queries ("JFK-LHR", "BA to SIN"). Arrow keys move
+// through the results, Enter picks one, Escape clears; "/" focuses the box
+// from anywhere.
+export default function Omnibox({ context, onSelect }: OmniboxProps) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const listRef = useRef<HTMLDivElement>(null);
+
+  const results = useMemo(() => search(query, context), [query, context]);
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      const target = e.target as HTMLElement;
+      if (e.key !== "/" || target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) return;
+      e.preventDefault();
+      inputRef.current?.focus();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // Keep the highlighted result in view
+  useEffect(() => {
+    listRef.current?.children[active]?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const select = (result: SearchResult) => {
+    onSelect(result);
+    setQuery("");
+    setActive(0);
+    inputRef.current?.blur();
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (results.length > 0) setActive((active + 1) % results.length);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (results.length > 0) setActive((active - 1 + results.length) % results.length);
+        break;
+      case "Home":
+      case "End":
+        if (results.length === 0) break;
+        e.preventDefault();
+        setActive(e.key === "Home" ? 0 : results.length - 1);
+        break;
+      case "Enter":
+        if (results[active]) {
+          e.preventDefault();
+          select(results[active]);
+        }
+        break;
+      case "Escape":
+        if (query) {
+          setQuery("");
+          setActive(0);
+        } else {
+          inputRef.current?.blur();
+        }
+        break;
+    }
+  };
+
+  const optionId = (index: number) => `omnibox-option-${index}`;
+
+  return (
+    <div className="relative">
+      <Search className="absolute left-3 top-2.5 w-4 h-4 text-zinc-400" />
+      <input
+        ref={inputRef}
+        type="text"
+        role="combobox"
+        aria-expanded={results.length > 0}
+        aria-controls="omnibox-results"
+        aria-autocomplete="list"
+        aria-activedescendant={results.length > 0 ? optionId(active) : undefined}
+        placeholder="Airports, airlines, aircraft, JFK-LHR..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={handleKeyDown}
+        className="w-full bg-zinc-800 text-white pl-10 pr-8 py-2 rounded-lg text-sm placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {query ? (
+        <button
+          onClick={() => setQuery("")}
+          className="absolute right-2.5 top-2.5 text-zinc-400 hover:text-white"
+          title="Clear search"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      ) : (
+        <kbd className="absolute right-2.5 top-2 px-1.5 rounded bg-zinc-700 text-zinc-400 text-xs font-mono">/</kbd>
+      )}
+
+      {results.length > 0 && (
+        <div
+          ref={listRef}
+          id="omnibox-results"
+          role="listbox"
+          className="mt-2 bg-zinc-800 rounded-lg overflow-y-auto max-h-96"
+        >
+          {results.map((result, index) => {
+            const Icon = KIND_ICONS[result.kind];
+            const [title, subtitle] = describeResult(result);
+            return (
+              <div
+                key={getResultKey(result)}
+                id={optionId(index)}
+                role="option"
+                aria-selected={index === active}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(result)}
+                onMouseMove={() => index !== active && setActive(index)}
+                className={cn(
+                  "flex items-center gap-2.5 px-3 py-2 cursor-pointer transition-colors",
+                  index === active ? "bg-zinc-700" : "hover:bg-zinc-700/50"
+                )}
+              >
+                <Icon className="w-4 h-4 shrink-0 text-zinc-500" />
+                <div className="flex-1 min-w-0">
+                  <div className="text-white font-medium text-sm truncate">{title}</div>
+                  <div className="text-zinc-400 text-xs truncate">{subtitle}</div>
+                </div>
+                <span className="shrink-0 text-zinc-500 text-xs">{KIND_LABELS[result.kind]}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+"use client";
+
+import { useMemo } from "react";
+import { X, AlertTriangle, Check, ArrowRight } from "lucide-react";
+import { Airport, Airline, AircraftCatalog, AirportPair, DistanceUnit, RoutesByAirport } from "@/types";
+import { comparePair, PairAsymmetry, PairItem } from "@/lib/pairs";
+import { getAircraftName } from "@/lib/aircraft";
+import { getOperatorService, describeService, SERVICE_TYPE_LABELS } from "@/lib/services";
+import { cn, formatDistance, getDistance, estimateBlockTime, formatDuration } from "@/lib/utils";
+
+interface PairPanelProps {
+  pair: AirportPair;
+  routesByAirport: RoutesByAirport;
+  airportMap: { [key: string]: Airport };
+  airlineMap: { [key: string]: Airline };
+  aircraftCatalog: AircraftCatalog;
+  distanceUnit: DistanceUnit;
+  loading: boolean;      // Either airport's routes are still loading
+  onClose: () => void;
+  onAirportSelect: (airport: Airport) => void;
+  onFindConnections: (pair: AirportPair) => void;
+}
+
+interface Section {
+  label: string;
+  items: PairItem[];
+  chipLabel: (code: string) => string;
+  chipTitle: (code: string, direction: "outbound" | "inbound") => string;
+}
+
+// Both directions of one airport pair side by side, with what differs between them
+export default function PairPanel({
+  pair,
+  routesByAirport,
+  airportMap,
+  airlineMap,
+  aircraftCatalog,
+  distanceUnit,
+  loading,
+  onClose,
+  onAirportSelect,
+  onFindConnections,
+}: PairPanelProps) {
+  const comparison = useMemo(() => comparePair(pair, routesByAirport), [pair, routesByAirport]);
+
+  const origin = airportMap[pair.origin];
+  const destination = airportMap[pair.destination];
+  if (!origin || !destination) return null;
+
+  const distance =
+    comparison.outbound?.distance ??
+    comparison.inbound?.distance ??
+    Math.round(getDistance([origin.lat, origin.lon], [destination.lat, destination.lon]));
+
+  const directions = [
+    { key: "outbound", label: `${pair.origin} → ${pair.destination}`, route: comparison.outbound },
+    { key: "inbound", label: `${pair.destination} → ${pair.origin}`, route: comparison.inbound },
+  ] as const;
+  const directionLabel = (direction: "outbound" | "inbound") => directions[direction === "outbound" ? 0 : 1].label;
+
+  const airlineName = (code: string) => (airlineMap[code] ? `${airlineMap[code].name} (${code})` : code);
+
+  const describeAsymmetry = (asymmetry: PairAsymmetry) => {
+    switch (asymmetry.kind) {
+      case "one-way":
+        return `Only ${directionLabel(asymmetry.direction)} is in the data`;
+      case "operator":
+        return `${airlineName(asymmetry.airline)} operates ${directionLabel(asymmetry.direction)} only`;
+      case "codeshare":
+        return `${airlineName(asymmetry.airline)} codeshares ${directionLabel(asymmetry.direction)} only`;
+      case "aircraft": {
+        const parts = (["outbound", "inbound"] as const)
+          .filter((direction) => asymmetry[direction].length > 0)
+          .map(
+            (direction) =>
+              `${asymmetry[direction].map((code) => getAircraftName(code, aircraftCatalog)).join(", ")} only ${directionLabel(direction)}`
+          );
+        return `Aircraft differ by direction: ${parts.join("; ")}`;
+      }
+      case "service":
+        return (
+          `${airlineName(asymmetry.airline)} flies ${SERVICE_TYPE_LABELS[asymmetry.outbound].toLowerCase()} ` +
+          `${directionLabel("outbound")} but ${SERVICE_TYPE_LABELS[asymmetry.inbound].toLowerCase()} ${directionLabel("inbound")}`
+        );
+    }
+  };
+
+  // Chips for one direction; those missing from the other direction are highlighted
+  const renderItems = (section: Section, direction: "outbound" | "inbound") => {
+    const { items, chipLabel, chipTitle } = section;
+    const shown = items.filter((item) => item.direction === "both" || item.direction === direction);
+    if (shown.length === 0) return <span className="text-zinc-600 text-xs">None</span>;
+    return (
+      <div className="flex flex-wrap gap-1">
+        {shown.map((item) => (
+          <span
+            key={item.code}
+            title={chipTitle(item.code, direction)}
+            className={cn(
+              "px-1.5 py-0.5 rounded text-xs",
+              item.direction === "both" ? "bg-zinc-800 text-zinc-300" : "bg-amber-500/20 text-amber-300"
+            )}
+          >
+            {chipLabel(item.code)}
+          </span>
+        ))}
+      </div>
+    );
+  };
+
+  const sections: Section[] = [
+    {
+      label: "Operators",
+      items: comparison.operators,
+      chipLabel: (code) => code,
+      // Airline name, with the service in this direction if it isn't plain year-round
+      chipTitle: (code, direction) => {
+        const route = comparison[direction];
+        const note = route ? describeService(getOperatorService(route, code)) : "";
+        return (airlineMap[code]?.name || code) + (note ? ` · ${note}` : "");
+      },
+    },
+    {
+      label: "Codeshares",
+      items: comparison.codeshares,
+      chipLabel: (code) => code,
+      chipTitle: (code) => airlineMap[code]?.name || code,
+    },
+    {
+      label: "Aircraft",
+      items: comparison.aircraft,
+      chipLabel: (code) => getAircraftName(code, aircraftCatalog),
+      chipTitle: (code) => code,
+    },
+  ];
+
+  return (
+    <div className="w-96 max-h-[calc(100vh-8rem)] overflow-y-auto bg-zinc-900/95 backdrop-blur-sm rounded-lg shadow-lg text-sm">
+      {/* Header */}
+      <div className="flex items-start justify-between p-3 border-b border-zinc-800">
+        <div>
+          <div className="text-white font-medium">
+            <button onClick={() => onAirportSelect(origin)} className="text-amber-400 hover:text-amber-300">
+              {origin.iata}
+            </button>
+            <span className="text-zinc-500"> ⇄ </span>
+            <button onClick={() => onAirportSelect(destination)} className="text-amber-400 hover:text-amber-300">
+              {destination.iata}
+            </button>
+          </div>
+          <div className="text-zinc-400 text-xs">
+            {origin.city || origin.name} · {destination.city || destination.name}
+          </div>
+          <div className="text-zinc-500 text-xs mt-0.5">
+            {formatDistance(distance, distanceUnit)} · {formatDuration(estimateBlockTime(distance))}
+          </div>
+        </div>
+        <button onClick={onClose} className="text-zinc-400 hover:text-white p-1" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-zinc-500 text-xs text-center py-6">Loading routes...</div>
+      ) : (
+        <>
+          {/* Both directions side by side */}
+          <div className="p-3 space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              {directions.map(({ key, label, route }) => (
+                <div key={key} className="text-xs">
+                  <div className="text-zinc-300 font-medium">{label}</div>
+                  {!route && <div className="text-amber-300">Not in the data</div>}
+                </div>
+              ))}
+            </div>
+            {sections.map((section) => (
+              <div key={section.label}>
+                <div className="text-zinc-500 text-xs mb-1">{section.label}</div>
+                <div className="grid grid-cols-2 gap-3">
+                  {directions.map(({ key }) => (
+                    <div key={key}>
+                      {renderItems(section, key)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Asymmetries */}
+          <div className="px-3 pb-3">
+            {comparison.asymmetries.length === 0 ? (
+              comparison.outbound && (
+                <div className="flex items-center gap-2 text-xs text-zinc-400">
+                  <Check className="w-3.5 h-3.5 text-green-500" />
+                  Both directions match
+                </div>
+              )
+            ) : (
+              <div className="bg-amber-500/10 rounded-lg px-3 py-2 space-y-1">
+                {comparison.asymmetries.map((asymmetry, i) => (
+                  <div key={i} className="flex items-start gap-2 text-xs text-zinc-300">
+                    <AlertTriangle className="w-3.5 h-3.5 shrink-0 mt-px text-amber-400" />
+                    {describeAsymmetry(asymmetry)}
+                  </div>
+                ))}
+                <div className="text-zinc-500 text-xs pt-1">
+                  Differences between directions can be triangle routings or errors in the data.
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="px-3 pb-3">
+            <button
+              onClick={() => onFindConnections(pair)}
+              className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+            >
+              Find connections
+              <ArrowRight className="w-3 h-3" />
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+"use client";
+
+import { useState, useMemo } from "react";
+import { Airport, RoutesByAirport } from "@/types";
+import {
+  Reachability,
+  getReachCounts,
+  getReachableCountries,
+  REACH_COLORS,
+  REACH_LABELS,
+  UNREACHABLE_COLOR,
+  MAX_REACH_STOPS,
+} from "@/lib/reachability";
+import { cn, getCountryName } from "@/lib/utils";
+
+interface ReachabilitySummaryProps {
+  origin: Airport;
+  reachability: Reachability;
+  routesByAirport: RoutesByAirport;
+  airportMap: { [key: string]: Airport };
+}
+
+const COUNTRY_LIMIT = 30;
+
+export default function ReachabilitySummary({
+  origin,
+  reachability,
+  routesByAirport,
+  airportMap,
+}: ReachabilitySummaryProps) {
+  const [maxStops, setMaxStops] = useState(MAX_REACH_STOPS);
+  const [showAllCountries, setShowAllCountries] = useState(false);
+
+  const { counts, unreachable } = useMemo(
+    () => getReachCounts(reachability, routesByAirport, origin.iata),
+    [reachability, routesByAirport, origin]
+  );
+  const countries = useMemo(
+    () => getReachableCountries(reachability, airportMap, maxStops),
+    [reachability, airportMap, maxStops]
+  );
+
+  const shownCountries = showAllCountries ? countries : countries.slice(0, COUNTRY_LIMIT);
+
+  return (
+    <div className="px-2 pb-3 mb-2 border-b border-zinc-800">
+      <div className="text-xs text-zinc-400 px-2 py-1">Reachability from {origin.iata}</div>
+      <div className="px-2 space-y-0.5">
+        {counts.map((count, stops) => (
+          <div key={stops} className="flex items-center justify-between text-xs">
+            <span className="flex items-center gap-2 text-zinc-300">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: REACH_COLORS[stops] }} />
+              {REACH_LABELS[stops]}
+            </span>
+            <span className="text-zinc-500">{count.toLocaleString()} airports</span>
+          </div>
+        ))}
+        <div className="flex items-center justify-between text-xs">
+          <span className="flex items-center gap-2 text-zinc-500">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: UNREACHABLE_COLOR }} />
+            Not within {MAX_REACH_STOPS} stops
+          </span>
+          <span className="text-zinc-500">{unreachable.toLocaleString()} airports</span>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between px-2 mt-3 mb-1">
+        <div className="text-xs text-zinc-400">
+          {countries.length} {countries.length === 1 ? "country" : "countries"}
+        </div>
+        <div className="flex bg-zinc-800 rounded p-0.5">
+          {REACH_LABELS.map((label, stops) => (
+            <button
+              key={stops}
+              onClick={() => setMaxStops(stops)}
+              className={cn(
+                "px-2 py-0.5 rounded text-xs transition-colors",
+                maxStops === stops ? "bg-zinc-700 text-white" : "text-zinc-400 hover:text-white"
+              )}
+            >
+              {stops === 0 ? label : `≤ ${label}`}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="px-2 flex flex-wrap gap-1">
+        {shownCountries.map(([country, count]) => (
+          <span
+            key={country}
+            className="px-1.5 py-0.5 rounded bg-zinc-800 text-zinc-300 text-xs"
+            title={`${count} ${count === 1 ? "airport" : "airports"}`}
+          >
+            {getCountryName(country)}
+          </span>
+        ))}
+        {countries.length > COUNTRY_LIMIT && (
+          <button
+            onClick={() => setShowAllCountries(!showAllCountries)}
+            className="px-1.5 py-0.5 text-xs text-blue-400 hover:text-blue-300"
+          >
+            {showAllCountries ? "Show fewer" : `+${countries.length - COUNTRY_LIMIT} more`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
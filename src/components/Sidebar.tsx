@@ -1,40 +1,138 @@
 "use client";
 
 import { useState, useMemo } from "react";
-import { Search, Plane, Building2, Filter, X, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, RotateCcw } from "lucide-react";
-import { Airport, Route, Airline, Filters } from "@/types";
-import { cn } from "@/lib/utils";
+import { Search, Plane, Building2, Landmark, Filter, X, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, RotateCcw } from "lucide-react";
+import { Airport, AirportInfo, Route, Airline, Filters, ViewMode, ConnectionQuery, Itinerary, AircraftCatalog, DistanceUnit, ServiceFilter, ArcColoring, FlightLogLeg, MapView, AirportPair, DataUpdate, MetroArea } from "@/types";
+import { cn, fromKm, toKm, formatDistance, estimateBlockTime, formatDuration, getCountryName } from "@/lib/utils";
+import { routeMatchesFilters, hasActiveFilters, isNetworkFilterActive, DEFAULT_FILTERS } from "@/lib/routes";
+import { routeMatchesGeography } from "@/lib/geography";
+import { groupAircraft, AircraftGrouping, AircraftGroup } from "@/lib/aircraft";
+import { SERVICE_FILTER_LABELS, describeService, formatServiceDate } from "@/lib/services";
+import { ChangedRoute, CONFIRMED_AFTER_SNAPSHOT, describeProvenance } from "@/lib/provenance";
+import { ALLIANCES, AIRLINE_GROUPS, UNALIGNED_COLOR, AirlineGroup } from "@/lib/alliances";
+import { Reachability } from "@/lib/reachability";
+import { LoggedRoute } from "@/lib/flight-log";
+import { SearchResult, getCountryView } from "@/lib/search";
+import { getMetroAreaMap, getMetroRoutes, getMetroDestinations, getMetroAirportColor } from "@/lib/metro";
+import { getComparedAirlines, getComparedRoutes, compareAirlines, MAX_COMPARED_AIRLINES } from "@/lib/compare";
+import ConnectionFinder from "@/components/ConnectionFinder";
+import NetworkSummary from "@/components/NetworkSummary";
+import NetworkAnalytics from "@/components/NetworkAnalytics";
+import ReachabilitySummary from "@/components/ReachabilitySummary";
+import ChangesSummary from "@/components/ChangesSummary";
+import AirportDetails from "@/components/AirportDetails";
+import MetroDestinations from "@/components/MetroDestinations";
+import GeographyFilter from "@/components/GeographyFilter";
+import CountryBreakdown from "@/components/CountryBreakdown";
+import AirlineComparison from "@/components/AirlineComparison";
+import FlightLog from "@/components/FlightLog";
+import Omnibox from "@/components/Omnibox";
 
 interface SidebarProps {
   airports: Airport[];
   airlines: Airline[];
   aircraftTypes: string[];
+  aircraftCatalog: AircraftCatalog;
   selectedAirport: Airport | null;
+  selectedAirportInfo: AirportInfo | null; // Null until airport-info.json has loaded
   onAirportSelect: (airport: Airport | null) => void;
-  routes: Route[];
+  metroAreas: MetroArea[];
+  selectedMetro: MetroArea | null;
+  onMetroSelect: (metro: MetroArea | null) => void;
+  routes: Route[];       // Loaded routes for whole-network views
+  routeCounts: { [key: string]: number };
+  totalRoutes: number;
+  routesLoading: boolean;
   filters: Filters;
   onFiltersChange: (filters: Filters) => void;
   routesByAirport: { [key: string]: Route[] };
   onReset: () => void;
+  mode: ViewMode;
+  onModeChange: (mode: ViewMode) => void;
+  connectionQuery: ConnectionQuery;
+  onConnectionQueryChange: (query: ConnectionQuery) => void;
+  itineraries: Itinerary[];
+  selectedItinerary: number | null;
+  onItinerarySelect: (index: number | null) => void;
+  distanceUnit: DistanceUnit;
+  onDistanceUnitChange: (unit: DistanceUnit) => void;
+  arcColoring: ArcColoring;
+  onArcColoringChange: (coloring: ArcColoring) => void;
+  showReachability: boolean;
+  onShowReachabilityChange: (show: boolean) => void;
+  reachability: Reachability | null;
+  lastUpdate: string | null;       // Date of the last route update, if any
+  showChanges: boolean;
+  onShowChangesChange: (show: boolean) => void;
+  latestUpdate: DataUpdate | null;
+  changesLoading: boolean;
+  changedRoutes: ChangedRoute[];
+  flightLog: FlightLogLeg[];
+  onFlightLogChange: (legs: FlightLogLeg[]) => void;
+  loggedRoutes: LoggedRoute[];
+  onViewChange: (view: MapView) => void;
+  onPairSelect: (pair: AirportPair) => void;
 }
 
+// Common haul categories, in km
+const DISTANCE_PRESETS: { label: string; min: number | null; max: number | null }[] = [
+  { label: "Short", min: null, max: 1500 },
+  { label: "Medium", min: 1500, max: 4000 },
+  { label: "Long", min: 4000, max: 8000 },
+  { label: "Ultra-long", min: 8000, max: null },
+];
+
 export default function Sidebar({
   airports,
   airlines,
   aircraftTypes,
+  aircraftCatalog,
   selectedAirport,
+  selectedAirportInfo,
   onAirportSelect,
+  metroAreas,
+  selectedMetro,
+  onMetroSelect,
   routes,
+  routeCounts,
+  totalRoutes,
+  routesLoading,
   filters,
   onFiltersChange,
   routesByAirport,
   onReset,
+  mode,
+  onModeChange,
+  connectionQuery,
+  onConnectionQueryChange,
+  itineraries,
+  selectedItinerary,
+  onItinerarySelect,
+  distanceUnit,
+  onDistanceUnitChange,
+  arcColoring,
+  onArcColoringChange,
+  showReachability,
+  onShowReachabilityChange,
+  reachability,
+  lastUpdate,
+  showChanges,
+  onShowChangesChange,
+  latestUpdate,
+  changesLoading,
+  changedRoutes,
+  flightLog,
+  onFlightLogChange,
+  loggedRoutes,
+  onViewChange,
+  onPairSelect,
 }: SidebarProps) {
-  const [searchQuery, setSearchQuery] = useState("");
   const [showAirlineFilter, setShowAirlineFilter] = useState(false);
   const [showAircraftFilter, setShowAircraftFilter] = useState(false);
+  const [showDistanceFilter, setShowDistanceFilter] = useState(false);
   const [airlineSearch, setAirlineSearch] = useState("");
   const [aircraftSearch, setAircraftSearch] = useState("");
+  const [aircraftGrouping, setAircraftGrouping] = useState<AircraftGrouping>("family");
   const [isCollapsed, setIsCollapsed] = useState(false);
 
   // Create lookups
@@ -50,52 +148,114 @@ export default function Sidebar({
     return map;
   }, [airports]);
 
+  // The metro area of each member airport
+  const airportMetroMap = useMemo(() => getMetroAreaMap(metroAreas), [metroAreas]);
+
   // Filter airports for search
-  const filteredAirports = useMemo(() => {
-    if (!searchQuery) return [];
-    const q = searchQuery.toLowerCase();
-    return airports
-      .filter(
-        (a) =>
-          a.iata.toLowerCase().includes(q) ||
-          a.name.toLowerCase().includes(q) ||
-          a.city.toLowerCase().includes(q)
-      )
-      .slice(0, 10);
-  }, [airports, searchQuery]);
-
-  // Helper to check if route matches airline filter
-  const routeMatchesAirline = (route: Route, airlineCodes: string[], includeCodeshares: boolean) => {
-    const operators = route.operators || [];
-    const codeshares = route.codeshares || [];
-    const matchesOperator = operators.some((a) => airlineCodes.includes(a));
-    if (matchesOperator) return true;
-    if (includeCodeshares) {
-      return codeshares.some((a) => airlineCodes.includes(a));
+  const searchContext = useMemo(
+    () => ({ airports, metroAreas, airlines, aircraftTypes, aircraftCatalog, routeCounts }),
+    [airports, metroAreas, airlines, aircraftTypes, aircraftCatalog, routeCounts]
+  );
+
+  // Jump to the view for a search result: airports and metro areas are selected, airlines
+  // and aircraft show their network (or join the comparison), countries are framed on the map,
+  // route queries compare both directions of a pair or show an airline's routes at an airport
+  const handleSearchSelect = (result: SearchResult) => {
+    switch (result.kind) {
+      case "airport":
+        onAirportSelect(result.airport);
+        break;
+      case "metro":
+        onMetroSelect(result.metro);
+        break;
+      case "airline":
+        if (mode === "compare") {
+          const compared = getComparedAirlines(filters).filter((code) => code !== result.airline.iata);
+          onFiltersChange({
+            ...filters,
+            airlines: [...compared, result.airline.iata].slice(-MAX_COMPARED_AIRLINES),
+            groups: [],
+          });
+          break;
+        }
+        onAirportSelect(null);
+        onFiltersChange({ ...filters, airlines: [result.airline.iata], groups: [] });
+        break;
+      case "aircraft":
+        onAirportSelect(null);
+        onFiltersChange({ ...filters, aircraft: [result.code] });
+        break;
+      case "country": {
+        const view = getCountryView(result.code, airports, routeCounts);
+        if (view) onViewChange(view);
+        break;
+      }
+      case "route":
+        onPairSelect({ origin: result.origin.iata, destination: result.destination.iata });
+        if (mode !== "explore" && mode !== "analytics" && mode !== "compare") onModeChange("explore");
+        break;
+      case "airline-route":
+        onAirportSelect(result.airport);
+        onFiltersChange({ ...filters, airlines: [result.airline.iata], groups: [] });
+        break;
     }
-    return false;
   };
 
+  // Every filter, including the origin/destination places and scope
+  const matchesAllFilters = useMemo(
+    () => (route: Route) => routeMatchesFilters(route, filters) && routeMatchesGeography(route, filters, airportMap),
+    [filters, airportMap]
+  );
+
   // Get current routes for selected airport
   const currentRoutes = useMemo(() => {
     if (!selectedAirport) return [];
     const airportRoutes = routesByAirport[selectedAirport.iata] || [];
 
-    return airportRoutes.filter((route) => {
-      if (filters.airlines.length > 0) {
-        if (!routeMatchesAirline(route, filters.airlines, filters.includeCodeshares)) return false;
-      }
-      if (filters.aircraft.length > 0) {
-        if (!route.aircraft.some((a) => filters.aircraft.includes(a))) return false;
-      }
-      return true;
-    });
-  }, [selectedAirport, routesByAirport, filters]);
+    return airportRoutes.filter(matchesAllFilters);
+  }, [selectedAirport, routesByAirport, matchesAllFilters]);
+
+  // Routes from every airport of the selected metro area, by destination
+  const metroRoutes = useMemo(
+    () => (selectedMetro ? getMetroRoutes(selectedMetro, routesByAirport, filters, airportMap) : []),
+    [selectedMetro, routesByAirport, filters, airportMap]
+  );
+  const metroDestinations = useMemo(
+    () => (selectedMetro ? getMetroDestinations(selectedMetro, metroRoutes) : []),
+    [selectedMetro, metroRoutes]
+  );
+
+  // Whole network for the active filters when no airport is selected
+  const networkRoutes = useMemo(() => {
+    if (selectedAirport || selectedMetro) return [];
+    if (!isNetworkFilterActive(filters)) return [];
+    return routes.filter(matchesAllFilters);
+  }, [selectedAirport, selectedMetro, routes, filters, matchesAllFilters]);
+
+  // Whole network for the active filters, for the analytics view
+  const analyticsRoutes = useMemo(() => {
+    if (mode !== "analytics") return [];
+    return routes.filter(matchesAllFilters);
+  }, [mode, routes, matchesAllFilters]);
+
+  // The compared airlines' routes at the selected airport or across their networks
+  const comparison = useMemo(() => {
+    if (mode !== "compare") return null;
+    const comparedRoutes = getComparedRoutes(selectedAirport?.iata || null, routesByAirport, routes, filters, airportMap);
+    return compareAirlines(comparedRoutes, getComparedAirlines(filters), filters.includeCodeshares);
+  }, [mode, selectedAirport, routesByAirport, routes, filters, airportMap]);
+
+  // Airports whose routes narrow the filter lists: the selected airport or metro area's
+  const selectedCodes = useMemo(
+    () => (selectedMetro ? selectedMetro.airports : selectedAirport ? [selectedAirport.iata] : []),
+    [selectedMetro, selectedAirport]
+  );
 
   // Get airlines operating from selected airport
   const availableAirlines = useMemo(() => {
-    if (!selectedAirport) return airlines;
-    const airportRoutes = routesByAirport[selectedAirport.iata] || [];
+    if (selectedCodes.length === 0) return airlines;
+    if (selectedCodes.every((code) => !routesByAirport[code])) return airlines;
+    const airportRoutes = selectedCodes.flatMap((code) => routesByAirport[code] || []);
     const airlineCodes = new Set<string>();
     airportRoutes.forEach((r) => {
       (r.operators || []).forEach((a) => airlineCodes.add(a));
@@ -104,16 +264,16 @@ export default function Sidebar({
       }
     });
     return airlines.filter((a) => airlineCodes.has(a.iata));
-  }, [selectedAirport, routesByAirport, airlines, filters.includeCodeshares]);
+  }, [selectedCodes, routesByAirport, airlines, filters.includeCodeshares]);
 
   // Get aircraft types at selected airport
   const availableAircraft = useMemo(() => {
-    if (!selectedAirport) return aircraftTypes;
-    const airportRoutes = routesByAirport[selectedAirport.iata] || [];
+    if (selectedCodes.length === 0) return aircraftTypes;
+    if (selectedCodes.every((code) => !routesByAirport[code])) return aircraftTypes;
     const types = new Set<string>();
-    airportRoutes.forEach((r) => r.aircraft.forEach((a) => types.add(a)));
+    selectedCodes.forEach((code) => (routesByAirport[code] || []).forEach((r) => r.aircraft.forEach((a) => types.add(a))));
     return aircraftTypes.filter((a) => types.has(a));
-  }, [selectedAirport, routesByAirport, aircraftTypes]);
+  }, [selectedCodes, routesByAirport, aircraftTypes]);
 
   const filteredAirlines = useMemo(() => {
     let result = availableAirlines;
@@ -130,11 +290,16 @@ export default function Sidebar({
     return [...result].sort((a, b) => a.name.localeCompare(b.name));
   }, [availableAirlines, airlineSearch]);
 
-  const filteredAircraftTypes = useMemo(() => {
-    if (!aircraftSearch) return availableAircraft;
+  const filteredAircraftGroups = useMemo(() => {
+    const groups = groupAircraft(availableAircraft, aircraftCatalog, aircraftGrouping);
+    if (!aircraftSearch) return groups;
     const q = aircraftSearch.toLowerCase();
-    return availableAircraft.filter((a) => a.toLowerCase().includes(q));
-  }, [availableAircraft, aircraftSearch]);
+    return groups.filter(
+      (g) =>
+        g.label.toLowerCase().includes(q) ||
+        g.codes.some((code) => code.toLowerCase().includes(q) || aircraftCatalog[code]?.name.toLowerCase().includes(q))
+    );
+  }, [availableAircraft, aircraftCatalog, aircraftGrouping, aircraftSearch]);
 
   const toggleAirline = (code: string) => {
     const newAirlines = filters.airlines.includes(code)
@@ -143,22 +308,41 @@ export default function Sidebar({
     onFiltersChange({ ...filters, airlines: newAirlines });
   };
 
-  const toggleAircraft = (type: string) => {
-    const newAircraft = filters.aircraft.includes(type)
-      ? filters.aircraft.filter((a) => a !== type)
-      : [...filters.aircraft, type];
+  const toggleGroup = (group: AirlineGroup) => {
+    const newGroups = filters.groups.includes(group.id)
+      ? filters.groups.filter((g) => g !== group.id)
+      : [...filters.groups, group.id];
+    onFiltersChange({ ...filters, groups: newGroups });
+  };
+
+  // A family or class is selected when all of its codes are
+  const isAircraftGroupSelected = (group: AircraftGroup) =>
+    group.codes.every((code) => filters.aircraft.includes(code));
+
+  const toggleAircraftGroup = (group: AircraftGroup) => {
+    const newAircraft = isAircraftGroupSelected(group)
+      ? filters.aircraft.filter((a) => !group.codes.includes(a))
+      : [...filters.aircraft, ...group.codes.filter((code) => !filters.aircraft.includes(code))];
     onFiltersChange({ ...filters, aircraft: newAircraft });
   };
 
+  const setDistanceBound = (bound: "minDistance" | "maxDistance", value: string) => {
+    const km = value === "" ? null : toKm(Number(value), distanceUnit);
+    onFiltersChange({ ...filters, [bound]: km !== null && Number.isFinite(km) ? km : null });
+  };
+
+  const distanceInputValue = (km: number | null) =>
+    km === null ? "" : Math.round(fromKm(km, distanceUnit));
+
   const clearFilters = () => {
-    onFiltersChange({ airlines: [], aircraft: [], includeCodeshares: false });
+    onFiltersChange(DEFAULT_FILTERS);
   };
 
   const toggleCodeshares = () => {
     onFiltersChange({ ...filters, includeCodeshares: !filters.includeCodeshares });
   };
 
-  const hasActiveFilters = filters.airlines.length > 0 || filters.aircraft.length > 0;
+  const filtersActive = hasActiveFilters(filters);
 
   return (
     <div 
@@ -194,8 +378,8 @@ export default function Sidebar({
           >
             <Filter className="w-5 h-5" />
           </button>
-          {selectedAirport && (
-            <div className="text-amber-400 font-bold text-xs">{selectedAirport.iata}</div>
+          {(selectedMetro || selectedAirport) && (
+            <div className="text-amber-400 font-bold text-xs">{selectedMetro?.code || selectedAirport?.iata}</div>
           )}
         </div>
       ) : (
@@ -207,7 +391,7 @@ export default function Sidebar({
                 <Plane className="w-5 h-5 text-blue-400" />
                 FlightSeeker
               </h1>
-              {(selectedAirport || hasActiveFilters) && (
+              {(selectedAirport || selectedMetro || filtersActive) && (
                 <button
                   onClick={onReset}
                   className="flex items-center gap-1 px-2 py-1 text-xs text-zinc-400 hover:text-white hover:bg-zinc-800 rounded transition-colors"
@@ -219,45 +403,37 @@ export default function Sidebar({
               )}
             </div>
             <p className="text-zinc-400 text-sm mt-1">Explore flight routes worldwide</p>
+            <div className="mt-3 flex bg-zinc-800 rounded-lg p-0.5">
+              {([
+                ["explore", "Explore"],
+                ["connections", "Connections"],
+                ["analytics", "Analytics"],
+                ["compare", "Compare"],
+                ["log", "My flights"],
+              ] as [ViewMode, string][]).map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => onModeChange(value)}
+                  className={cn(
+                    "flex-1 py-1 rounded-md text-xs transition-colors",
+                    mode === value ? "bg-zinc-700 text-white" : "text-zinc-400 hover:text-white"
+                  )}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
 
       {/* Search */}
+      {mode !== "connections" && mode !== "log" && (
       <div className="p-4 border-b border-zinc-800">
-        <div className="relative">
-          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-zinc-400" />
-          <input
-            type="text"
-            placeholder="Search airports..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="w-full bg-zinc-800 text-white pl-10 pr-4 py-2 rounded-lg text-sm placeholder:text-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
-
-        {/* Search Results */}
-        {filteredAirports.length > 0 && (
-          <div className="mt-2 bg-zinc-800 rounded-lg overflow-hidden">
-            {filteredAirports.map((airport) => (
-              <button
-                key={airport.iata}
-                onClick={() => {
-                  onAirportSelect(airport);
-                  setSearchQuery("");
-                }}
-                className="w-full px-3 py-2 text-left hover:bg-zinc-700 transition-colors"
-              >
-                <div className="text-white font-medium text-sm">
-                  {airport.iata} - {airport.city || airport.name}
-                </div>
-                <div className="text-zinc-400 text-xs">{airport.country}</div>
-              </button>
-            ))}
-          </div>
-        )}
+        <Omnibox context={searchContext} onSelect={handleSearchSelect} />
       </div>
+      )}
 
       {/* Selected Airport */}
-      {selectedAirport && (
+      {mode !== "connections" && mode !== "log" && selectedAirport && (
         <div className="p-4 border-b border-zinc-800 bg-zinc-800/50">
           <div className="flex items-start justify-between">
             <div>
@@ -266,6 +442,17 @@ export default function Sidebar({
               <div className="text-zinc-400 text-xs">
                 {selectedAirport.city}, {selectedAirport.country}
               </div>
+              <AirportDetails airport={selectedAirport} info={selectedAirportInfo} />
+              {airportMetroMap[selectedAirport.iata] && (
+                <button
+                  onClick={() => onMetroSelect(airportMetroMap[selectedAirport.iata])}
+                  className="mt-2 flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300"
+                  title={airportMetroMap[selectedAirport.iata].airports.join(", ")}
+                >
+                  <Landmark className="w-3 h-3" />
+                  All {airportMetroMap[selectedAirport.iata].name} airports
+                </button>
+              )}
             </div>
             <button
               onClick={() => onAirportSelect(null)}
@@ -277,24 +464,94 @@ export default function Sidebar({
           <div className="mt-2 text-sm">
             <span className="text-blue-400 font-medium">{currentRoutes.length}</span>
             <span className="text-zinc-400"> destinations</span>
-            {hasActiveFilters && (
+            {filtersActive && (
               <span className="text-zinc-500">
                 {" "}
-                (filtered from {routesByAirport[selectedAirport.iata]?.length || 0})
+                (filtered from {routeCounts[selectedAirport.iata] || 0})
               </span>
             )}
           </div>
+          {mode === "explore" && (
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-zinc-300 text-xs">Show reachability</span>
+              <button
+                onClick={() => onShowReachabilityChange(!showReachability)}
+                className={cn(
+                  "relative w-9 h-5 rounded-full transition-colors",
+                  showReachability ? "bg-blue-500" : "bg-zinc-600"
+                )}
+                title="Color airports by the number of stops needed to reach them"
+              >
+                <span
+                  className={cn(
+                    "absolute top-0.5 left-0.5 w-4 h-4 bg-white rounded-full transition-transform shadow-sm",
+                    showReachability ? "translate-x-4" : "translate-x-0"
+                  )}
+                />
+              </button>
+            </div>
+          )}
         </div>
       )}
 
-      {/* Filters */}
+      {/* Selected metro area: its airports, colored as on the map */}
+      {(mode === "explore" || mode === "analytics") && selectedMetro && (
+        <div className="p-4 border-b border-zinc-800 bg-zinc-800/50">
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="text-amber-400 font-bold text-lg">{selectedMetro.code}</div>
+              <div className="text-white text-sm">{selectedMetro.name}, all airports</div>
+              <div className="text-zinc-400 text-xs">{getCountryName(selectedMetro.country)}</div>
+            </div>
+            <button
+              onClick={() => onMetroSelect(null)}
+              className="text-zinc-400 hover:text-white p-1"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="mt-2 space-y-0.5">
+            {selectedMetro.airports.map((code) => {
+              const airport = airportMap[code];
+              const served = metroDestinations.filter((d) => d.airports.includes(code));
+              const unique = served.filter((d) => d.airports.length === 1).length;
+              return (
+                <button
+                  key={code}
+                  onClick={() => airport && onAirportSelect(airport)}
+                  className="w-full flex items-center justify-between gap-2 text-xs hover:bg-zinc-700/50 rounded px-1 py-0.5"
+                  title={airport?.name}
+                >
+                  <span className="flex items-center gap-2 text-zinc-300 truncate">
+                    <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: getMetroAirportColor(selectedMetro, code) }} />
+                    <span className="font-medium">{code}</span>
+                    <span className="text-zinc-400 truncate">{airport?.name}</span>
+                  </span>
+                  <span className="shrink-0 text-zinc-500">
+                    {served.length}
+                    {unique > 0 && ` · ${unique} unique`}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+          <div className="mt-2 text-sm">
+            <span className="text-blue-400 font-medium">{metroDestinations.length}</span>
+            <span className="text-zinc-400"> destinations</span>
+            {filtersActive && <span className="text-zinc-500"> (filtered)</span>}
+          </div>
+        </div>
+      )}
+
+      {/* Filters (not used by the flight log) */}
+      {mode !== "log" && (
       <div className="p-4 border-b border-zinc-800">
         <div className="flex items-center justify-between mb-3">
           <div className="flex items-center gap-2 text-zinc-300 text-sm font-medium">
             <Filter className="w-4 h-4" />
             Filters
           </div>
-          {hasActiveFilters && (
+          {filtersActive && (
             <button
               onClick={clearFilters}
               className="text-xs text-zinc-400 hover:text-white"
@@ -312,8 +569,8 @@ export default function Sidebar({
           >
             <span className="text-white">
               Airlines
-              {filters.airlines.length > 0 && (
-                <span className="ml-2 text-blue-400">({filters.airlines.length})</span>
+              {filters.airlines.length + filters.groups.length > 0 && (
+                <span className="ml-2 text-blue-400">({filters.airlines.length + filters.groups.length})</span>
               )}
             </span>
             {showAirlineFilter ? (
@@ -343,7 +600,33 @@ export default function Sidebar({
                   />
                 </button>
               </div>
-              
+
+              {/* Alliances and groups, selected as one unit; only single airlines are compared */}
+              {mode !== "compare" && (
+              <div className="flex flex-wrap gap-1 mb-2">
+                {AIRLINE_GROUPS.map((group) => {
+                  const isActive = filters.groups.includes(group.id);
+                  return (
+                    <button
+                      key={group.id}
+                      onClick={() => toggleGroup(group)}
+                      title={`${group.members.length} airlines`}
+                      className={cn(
+                        "flex items-center gap-1 px-2 py-0.5 rounded text-xs transition-colors",
+                        isActive ? "bg-zinc-600 text-white" : "bg-zinc-700/50 text-zinc-400 hover:text-white"
+                      )}
+                    >
+                      <span
+                        className={cn("w-2 h-2", group.kind === "alliance" ? "rounded-full" : "rounded-sm")}
+                        style={{ backgroundColor: group.color }}
+                      />
+                      {group.name}
+                    </button>
+                  );
+                })}
+              </div>
+              )}
+
               <input
                 type="text"
                 placeholder="Search airlines..."
@@ -401,36 +684,343 @@ export default function Sidebar({
                 onChange={(e) => setAircraftSearch(e.target.value)}
                 className="w-full bg-zinc-700 text-white px-3 py-1.5 rounded text-xs placeholder:text-zinc-500 focus:outline-none mb-2"
               />
-              {filteredAircraftTypes.slice(0, 20).map((type) => (
+              <div className="flex gap-1 mb-2">
+                {(["type", "family", "class"] as AircraftGrouping[]).map((grouping) => (
+                  <button
+                    key={grouping}
+                    onClick={() => setAircraftGrouping(grouping)}
+                    className={cn(
+                      "flex-1 py-0.5 rounded text-xs capitalize transition-colors",
+                      aircraftGrouping === grouping ? "bg-zinc-600 text-white" : "text-zinc-400 hover:text-white"
+                    )}
+                  >
+                    {grouping}
+                  </button>
+                ))}
+              </div>
+              {filteredAircraftGroups.slice(0, 30).map((group) => (
                 <label
-                  key={type}
+                  key={group.key}
                   className="flex items-center gap-2 px-2 py-1 hover:bg-zinc-700 rounded cursor-pointer"
                 >
                   <input
                     type="checkbox"
-                    checked={filters.aircraft.includes(type)}
-                    onChange={() => toggleAircraft(type)}
+                    checked={isAircraftGroupSelected(group)}
+                    onChange={() => toggleAircraftGroup(group)}
                     className="rounded bg-zinc-600 border-zinc-500 text-blue-500 focus:ring-blue-500"
                   />
-                  <span className="text-white text-xs">{type}</span>
+                  <span className="text-white text-xs">{group.label}</span>
+                  {aircraftGrouping !== "type" && (
+                    <span className="ml-auto text-zinc-500 text-xs">{group.codes.length}</span>
+                  )}
                 </label>
               ))}
             </div>
           )}
         </div>
+
+        {/* Distance Filter */}
+        <div className="mt-3">
+          <button
+            onClick={() => setShowDistanceFilter(!showDistanceFilter)}
+            className="w-full flex items-center justify-between px-3 py-2 bg-zinc-800 rounded-lg text-sm hover:bg-zinc-700 transition-colors"
+          >
+            <span className="text-white">
+              Distance
+              {(filters.minDistance !== null || filters.maxDistance !== null) && (
+                <span className="ml-2 text-blue-400">
+                  ({filters.minDistance !== null ? formatDistance(filters.minDistance, distanceUnit) : "0"}
+                  {" – "}
+                  {filters.maxDistance !== null ? formatDistance(filters.maxDistance, distanceUnit) : "any"})
+                </span>
+              )}
+            </span>
+            {showDistanceFilter ? (
+              <ChevronUp className="w-4 h-4 text-zinc-400" />
+            ) : (
+              <ChevronDown className="w-4 h-4 text-zinc-400" />
+            )}
+          </button>
+
+          {showDistanceFilter && (
+            <div className="mt-2 bg-zinc-800 rounded-lg p-2">
+              <div className="flex gap-1 mb-2">
+                {DISTANCE_PRESETS.map((preset) => {
+                  const isActive = filters.minDistance === preset.min && filters.maxDistance === preset.max;
+                  return (
+                    <button
+                      key={preset.label}
+                      onClick={() =>
+                        onFiltersChange({
+                          ...filters,
+                          minDistance: isActive ? null : preset.min,
+                          maxDistance: isActive ? null : preset.max,
+                        })
+                      }
+                      className={cn(
+                        "flex-1 py-0.5 rounded text-xs transition-colors",
+                        isActive ? "bg-blue-500 text-white" : "bg-zinc-700 text-zinc-400 hover:text-white"
+                      )}
+                    >
+                      {preset.label}
+                    </button>
+                  );
+                })}
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min={0}
+                  placeholder="Min"
+                  value={distanceInputValue(filters.minDistance)}
+                  onChange={(e) => setDistanceBound("minDistance", e.target.value)}
+                  className="w-full bg-zinc-700 text-white px-2 py-1.5 rounded text-xs placeholder:text-zinc-500 focus:outline-none"
+                />
+                <span className="text-zinc-500 text-xs">–</span>
+                <input
+                  type="number"
+                  min={0}
+                  placeholder="Max"
+                  value={distanceInputValue(filters.maxDistance)}
+                  onChange={(e) => setDistanceBound("maxDistance", e.target.value)}
+                  className="w-full bg-zinc-700 text-white px-2 py-1.5 rounded text-xs placeholder:text-zinc-500 focus:outline-none"
+                />
+                <select
+                  value={distanceUnit}
+                  onChange={(e) => onDistanceUnitChange(e.target.value as DistanceUnit)}
+                  className="bg-zinc-700 text-white px-1 py-1.5 rounded text-xs focus:outline-none"
+                >
+                  <option value="km">km</option>
+                  <option value="mi">mi</option>
+                  <option value="nm">nm</option>
+                </select>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <GeographyFilter airports={airports} filters={filters} onFiltersChange={onFiltersChange} />
+
+        {/* Service Filter */}
+        <div className="mt-3">
+          <div className="text-xs text-zinc-400 mb-1">Service</div>
+          <div className="flex flex-wrap gap-1">
+            {(Object.keys(SERVICE_FILTER_LABELS) as ServiceFilter[]).map((service) => (
+              <button
+                key={service}
+                onClick={() =>
+                  onFiltersChange({ ...filters, service: filters.service === service ? null : service })
+                }
+                className={cn(
+                  "px-2 py-0.5 rounded text-xs transition-colors",
+                  filters.service === service ? "bg-blue-500 text-white" : "bg-zinc-800 text-zinc-400 hover:text-white"
+                )}
+              >
+                {SERVICE_FILTER_LABELS[service]}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Freshness Filter */}
+        <div className="mt-3">
+          <div className="text-xs text-zinc-400 mb-1">Freshness</div>
+          <div className="flex flex-wrap gap-1">
+            <button
+              onClick={() =>
+                onFiltersChange({
+                  ...filters,
+                  confirmedSince: filters.confirmedSince === CONFIRMED_AFTER_SNAPSHOT ? null : CONFIRMED_AFTER_SNAPSHOT,
+                })
+              }
+              className={cn(
+                "px-2 py-0.5 rounded text-xs transition-colors",
+                filters.confirmedSince === CONFIRMED_AFTER_SNAPSHOT
+                  ? "bg-blue-500 text-white"
+                  : "bg-zinc-800 text-zinc-400 hover:text-white"
+              )}
+              title="Hide routes only the 2014 OpenFlights data lists"
+            >
+              Confirmed since 2014
+            </button>
+            {lastUpdate && (
+              <button
+                onClick={() =>
+                  onFiltersChange({ ...filters, addedSince: filters.addedSince === lastUpdate ? null : lastUpdate })
+                }
+                className={cn(
+                  "px-2 py-0.5 rounded text-xs transition-colors",
+                  filters.addedSince === lastUpdate ? "bg-blue-500 text-white" : "bg-zinc-800 text-zinc-400 hover:text-white"
+                )}
+                title="Only routes the last route update added"
+              >
+                New on {formatServiceDate(lastUpdate)}
+              </button>
+            )}
+          </div>
+          {mode === "explore" && lastUpdate && (
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-zinc-300 text-xs">Show changes from last update</span>
+              <button
+                onClick={() => onShowChangesChange(!showChanges)}
+                className={cn(
+                  "relative w-9 h-5 rounded-full transition-colors",
+                  showChanges ? "bg-blue-500" : "bg-zinc-600"
+                )}
+                title="Draw the routes the last update added, removed or changed operators on"
+              >
+                <span
+                  className={cn(
+                    "absolute top-0.5 left-0.5 w-4 h-4 bg-white rounded-full transition-transform shadow-sm",
+                    showChanges ? "translate-x-4" : "translate-x-0"
+                  )}
+                />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Arc coloring */}
+        <div className="mt-3">
+          <div className="flex items-center gap-1">
+            <span className="text-xs text-zinc-400 mr-1">Color arcs by</span>
+            {(["airline", "alliance"] as ArcColoring[]).map((coloring) => (
+              <button
+                key={coloring}
+                onClick={() => onArcColoringChange(coloring)}
+                className={cn(
+                  "px-2 py-0.5 rounded text-xs capitalize transition-colors",
+                  arcColoring === coloring ? "bg-zinc-600 text-white" : "text-zinc-400 hover:text-white"
+                )}
+              >
+                {coloring}
+              </button>
+            ))}
+          </div>
+          {arcColoring === "alliance" && (
+            <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1.5 text-xs text-zinc-400">
+              {[...ALLIANCES, { id: "none", name: "Unaligned", color: UNALIGNED_COLOR }].map((alliance) => (
+                <span key={alliance.id} className="flex items-center gap-1">
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: alliance.color }} />
+                  {alliance.name}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
       </div>
+      )}
 
       {/* Routes List */}
       <div className="flex-1 overflow-y-auto">
-        {selectedAirport ? (
+        {routesLoading && mode !== "connections" && mode !== "log" && (
+          <div className="text-zinc-500 text-xs text-center pt-3">Loading routes...</div>
+        )}
+        {mode === "explore" && showChanges && (
+          <div className="pt-2 px-2">
+            <ChangesSummary
+              update={latestUpdate}
+              loading={changesLoading}
+              changedRoutes={changedRoutes}
+              selectedAirport={selectedAirport}
+              airportMap={airportMap}
+              airlineMap={airlineMap}
+              onAirportSelect={onAirportSelect}
+            />
+          </div>
+        )}
+        {mode === "connections" ? (
+          <ConnectionFinder
+            airports={airports}
+            distanceUnit={distanceUnit}
+            airportMap={airportMap}
+            airlineMap={airlineMap}
+            query={connectionQuery}
+            onQueryChange={onConnectionQueryChange}
+            itineraries={itineraries}
+            selectedItinerary={selectedItinerary}
+            onItinerarySelect={onItinerarySelect}
+            loading={routesLoading}
+          />
+        ) : mode === "log" ? (
+          <FlightLog
+            flightLog={flightLog}
+            onFlightLogChange={onFlightLogChange}
+            loggedRoutes={loggedRoutes}
+            airportMap={airportMap}
+            airlineMap={airlineMap}
+            distanceUnit={distanceUnit}
+            loading={routesLoading}
+          />
+        ) : mode === "analytics" ? (
+          !routesLoading && <NetworkAnalytics
+            routes={analyticsRoutes}
+            filters={filters}
+            airlineMap={airlineMap}
+            airportMap={airportMap}
+            selectedAirport={selectedAirport}
+            onAirportSelect={onAirportSelect}
+          />
+        ) : mode === "compare" ? (
+          comparison && (
+            <AirlineComparison
+              comparison={comparison}
+              airlines={availableAirlines}
+              airlineMap={airlineMap}
+              airportMap={airportMap}
+              filters={filters}
+              onFiltersChange={onFiltersChange}
+              selectedAirport={selectedAirport}
+              distanceUnit={distanceUnit}
+              loading={routesLoading}
+              onAirportSelect={onAirportSelect}
+              onPairSelect={onPairSelect}
+            />
+          )
+        ) : selectedMetro ? (
+          <>
+            <div className="pt-2 px-2">
+              <CountryBreakdown
+                routes={metroRoutes}
+                airportMap={airportMap}
+                filters={filters}
+                onFiltersChange={onFiltersChange}
+              />
+            </div>
+            <MetroDestinations
+              metro={selectedMetro}
+              destinations={metroDestinations}
+              airportMap={airportMap}
+              distanceUnit={distanceUnit}
+              loading={routesLoading}
+              onAirportSelect={onAirportSelect}
+            />
+          </>
+        ) : selectedAirport ? (
           <div className="p-2">
+            {reachability && (
+              <ReachabilitySummary
+                origin={selectedAirport}
+                reachability={reachability}
+                routesByAirport={routesByAirport}
+                airportMap={airportMap}
+              />
+            )}
+            <CountryBreakdown
+              routes={currentRoutes}
+              airportMap={airportMap}
+              filters={filters}
+              onFiltersChange={onFiltersChange}
+            />
             <div className="text-xs text-zinc-400 px-2 py-1 mb-1">
               Destinations from {selectedAirport.iata}
             </div>
             {currentRoutes.length === 0 ? (
-              <div className="text-zinc-500 text-sm text-center py-8">
-                No routes match your filters
-              </div>
+              !routesLoading && (
+                <div className="text-zinc-500 text-sm text-center py-8">
+                  No routes match your filters
+                </div>
+              )
             ) : (
               currentRoutes.map((route) => {
                 const dest = airportMap[route.destination];
@@ -446,11 +1036,21 @@ export default function Sidebar({
                   .slice(0, 2)
                   .map((code) => airlineMap[code]?.name || code);
 
+                // Seasonal, charter or dated service of the listed operators
+                const serviceNotes = (route.services || [])
+                  .filter((service) => allAirlines.includes(service.airline))
+                  .map((service) => {
+                    const note = describeService(service);
+                    return note && route.operators.length > 1 ? `${service.airline}: ${note}` : note;
+                  })
+                  .filter(Boolean);
+
                 return (
                   <button
                     key={route.destination}
                     onClick={() => onAirportSelect(dest)}
                     className="w-full px-3 py-2 text-left hover:bg-zinc-800 rounded-lg transition-colors"
+                    title={describeProvenance(route)}
                   >
                     <div className="flex items-center justify-between">
                       <div>
@@ -463,30 +1063,47 @@ export default function Sidebar({
                       </div>
                       <div className="text-zinc-500 text-xs">{dest.country}</div>
                     </div>
-                    <div className="text-zinc-500 text-xs mt-0.5">
-                      {airlineNames.join(", ")}
-                      {allAirlines.length > 2 && ` +${allAirlines.length - 2}`}
+                    <div className="flex items-center justify-between text-zinc-500 text-xs mt-0.5">
+                      <span>
+                        {airlineNames.join(", ")}
+                        {allAirlines.length > 2 && ` +${allAirlines.length - 2}`}
+                      </span>
+                      <span className="shrink-0 ml-2">
+                        {formatDistance(route.distance, distanceUnit)} · {formatDuration(estimateBlockTime(route.distance))}
+                      </span>
                     </div>
+                    {serviceNotes.length > 0 && (
+                      <div className="text-amber-400/80 text-xs mt-0.5 truncate">
+                        {serviceNotes.join(" · ")}
+                      </div>
+                    )}
                   </button>
                 );
               })
             )}
           </div>
-        ) : filters.airlines.length > 0 ? (
-          <div className="p-4">
-            <div className="text-center mb-4">
-              <div className="text-blue-400 font-medium">
-                {filters.airlines.map(code => airlineMap[code]?.name || code).join(", ")}
-              </div>
-              <div className="text-zinc-400 text-sm mt-1">
-                {routes.filter(r => routeMatchesAirline(r, filters.airlines, filters.includeCodeshares)).length.toLocaleString()} routes
-                {filters.includeCodeshares && <span className="text-zinc-500"> (incl. codeshares)</span>}
+        ) : isNetworkFilterActive(filters) ? (
+          !routesLoading && (
+            <>
+              <NetworkSummary
+                routes={networkRoutes}
+                aircraftCatalog={aircraftCatalog}
+                filters={filters}
+                airlineMap={airlineMap}
+                airportMap={airportMap}
+                onAirportSelect={onAirportSelect}
+                onFiltersChange={onFiltersChange}
+              />
+              <div className="px-2">
+                <CountryBreakdown
+                  routes={networkRoutes}
+                  airportMap={airportMap}
+                  filters={filters}
+                  onFiltersChange={onFiltersChange}
+                />
               </div>
-            </div>
-            <p className="text-zinc-500 text-xs text-center">
-              Showing {filters.includeCodeshares ? "operated + codeshare" : "operated"} routes. Click an airport to focus.
-            </p>
-          </div>
+            </>
+          )
         ) : (
           <div className="p-4 text-center">
             <Building2 className="w-12 h-12 text-zinc-700 mx-auto mb-3" />
@@ -494,11 +1111,11 @@ export default function Sidebar({
               Click on an airport on the map or search above to see its routes
             </p>
             <p className="text-zinc-500 text-xs mt-2">
-              Or select an airline to see all its routes
+              Or select an airline, aircraft type or origin and destination countries to see the whole network
             </p>
             <div className="mt-4 text-zinc-500 text-xs">
               <div>{airports.length.toLocaleString()} airports</div>
-              <div>{routes.length.toLocaleString()} routes</div>
+              <div>{totalRoutes.toLocaleString()} routes</div>
               <div>{airlines.length.toLocaleString()} airlines</div>
             </div>
           </div>
@@ -0,0 +1,65 @@
+import { AircraftCatalog, AircraftClass } from "@/types";
+
+export type AircraftGrouping = "type" | "family" | "class";
+
+export interface AircraftGroup {
+  key: string;
+  label: string;
+  codes: string[];
+}
+
+export const AIRCRAFT_CLASS_LABELS: Record<AircraftClass, string> = {
+  widebody: "Widebody",
+  narrowbody: "Narrowbody",
+  regional: "Regional",
+  utility: "Utility & light aircraft",
+};
+
+const CLASS_ORDER: string[] = ["widebody", "narrowbody", "regional", "utility"];
+
+// Human-readable name for an equipment code, falling back to the code itself
+export function getAircraftName(code: string, catalog: AircraftCatalog) {
+  return catalog[code]?.name || code;
+}
+
+// Comma-separated aircraft names, truncated after `max` entries
+export function formatAircraftList(codes: string[], catalog: AircraftCatalog, max: number = 5) {
+  const names = codes.slice(0, max).map((code) => getAircraftName(code, catalog));
+  return names.join(", ") + (codes.length > max ? ` +${codes.length - max} more` : "");
+}
+
+// Group equipment codes by individual type, family or size class.
+// Codes missing from the catalog are collected under "Other".
+export function groupAircraft(
+  codes: string[],
+  catalog: AircraftCatalog,
+  grouping: AircraftGrouping
+): AircraftGroup[] {
+  if (grouping === "type") {
+    return codes.map((code) => ({
+      key: code,
+      label: catalog[code] ? `${code} - ${catalog[code].name}` : code,
+      codes: [code],
+    }));
+  }
+
+  const groups = new Map<string, AircraftGroup>();
+  codes.forEach((code) => {
+    const entry = catalog[code];
+    const key = entry ? (grouping === "family" ? entry.family : entry.class) : "other";
+    const label = !entry
+      ? "Other"
+      : grouping === "family"
+        ? entry.family
+        : AIRCRAFT_CLASS_LABELS[entry.class];
+    if (!groups.has(key)) groups.set(key, { key, label, codes: [] });
+    groups.get(key)!.codes.push(code);
+  });
+
+  const result = Array.from(groups.values());
+  if (grouping === "class") {
+    const rank = (key: string) => (CLASS_ORDER.includes(key) ? CLASS_ORDER.indexOf(key) : CLASS_ORDER.length);
+    return result.sort((a, b) => rank(a.key) - rank(b.key));
+  }
+  return result.sort((a, b) => (a.key === "other" ? 1 : b.key === "other" ? -1 : a.label.localeCompare(b.label)));
+}
@@ -0,0 +1,112 @@
+// Alliances and the airline holding groups that can be selected as one unit
+export type AirlineGroupKind = "alliance" | "holding";
+
+export interface AirlineGroup {
+  id: string;
+  name: string;
+  kind: AirlineGroupKind;
+  color: string;     // Arc and chip color
+  members: string[]; // IATA codes of member airlines
+}
+
+export type Alliance = AirlineGroup;
+
+export const ALLIANCES: Alliance[] = [
+  {
+    id: "star",
+    name: "Star Alliance",
+    kind: "alliance",
+    color: "#facc15",
+    members: [
+      "A3", "AC", "AI", "AV", "BR", "CA", "CM", "ET", "LH", "LO", "LX", "MS", "NH",
+      "NZ", "OS", "OU", "OZ", "SA", "SN", "SQ", "TG", "TK", "TP", "UA", "ZH",
+    ],
+  },
+  {
+    id: "oneworld",
+    name: "oneworld",
+    kind: "alliance",
+    color: "#f43f5e",
+    members: [
+      "AA", "AS", "AT", "AY", "BA", "CX", "FJ", "IB", "JL", "MH", "QF", "QR", "RJ",
+      "UL", "WY",
+    ],
+  },
+  {
+    id: "skyteam",
+    name: "SkyTeam",
+    kind: "alliance",
+    color: "#38bdf8",
+    members: [
+      "AF", "AM", "AR", "CI", "DL", "GA", "KE", "KL", "KQ", "ME", "MF", "MU", "RO",
+      "SK", "SV", "UX", "VN", "VS",
+    ],
+  },
+];
+
+// Airlines owned by a common parent. Subsidiaries whose code belongs to a
+// different airline in the OpenFlights data are left out (Vueling's VY is
+// Formosa Airlines there).
+export const HOLDING_GROUPS: AirlineGroup[] = [
+  {
+    id: "iag",
+    name: "IAG",
+    kind: "holding",
+    color: "#a78bfa",
+    members: ["BA", "EI", "I2", "IB"],
+  },
+  {
+    id: "lufthansa",
+    name: "Lufthansa Group",
+    kind: "holding",
+    color: "#fb923c",
+    members: ["4Y", "CL", "EN", "EW", "LH", "LX", "OS", "SN", "WK"],
+  },
+  {
+    id: "afkl",
+    name: "Air France-KLM",
+    kind: "holding",
+    color: "#34d399",
+    members: ["AF", "HV", "KL", "TO", "WA"],
+  },
+];
+
+export const AIRLINE_GROUPS: AirlineGroup[] = [...ALLIANCES, ...HOLDING_GROUPS];
+
+// Arc color for airlines outside every alliance
+export const UNALIGNED_COLOR = "#71717a";
+
+// Maps, so codes and ids from the URL like "constructor" don't find Object.prototype
+const allianceByAirline = new Map<string, string[]>();
+ALLIANCES.forEach((alliance) => {
+  alliance.members.forEach((code) => {
+    allianceByAirline.set(code, [...(allianceByAirline.get(code) || []), alliance.id]);
+  });
+});
+
+const groupById = new Map(AIRLINE_GROUPS.map((group) => [group.id, group]));
+
+// Alliance ids an airline belongs to (empty if unaligned)
+export function getAirlineAlliances(airlineCode: string): string[] {
+  return allianceByAirline.get(airlineCode) || [];
+}
+
+export function getAirlineGroup(id: string): AirlineGroup | undefined {
+  return groupById.get(id);
+}
+
+// Member airlines of the given alliances and groups, without duplicates
+export function getGroupMembers(groupIds: string[]) {
+  const members = new Set<string>();
+  groupIds.forEach((id) => groupById.get(id)?.members.forEach((code) => members.add(code)));
+  return Array.from(members);
+}
+
+// Color of the first alliance any of the airlines belongs to
+export function getAllianceColor(airlineCodes: string[]) {
+  for (const code of airlineCodes) {
+    const [allianceId] = getAirlineAlliances(code);
+    if (allianceId) return groupById.get(allianceId)!.color;
+  }
+  return UNALIGNED_COLOR;
+}
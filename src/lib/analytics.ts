@@ -0,0 +1,201 @@
+import { Route } from "@/types";
+import { getRouteCarriers } from "@/lib/routes";
+
+export type NetworkShape = "hub-and-spoke" | "mixed" | "point-to-point";
+
+export interface HubShare {
+  airport: string;
+  routes: number; // Airline routes touching the airport
+  share: number;  // Fraction of the airline's routes touching the airport
+}
+
+export interface AirlineNetwork {
+  airline: string;
+  routes: number;   // Airport pairs served, counting both directions once
+  hubs: HubShare[]; // Busiest airports, most routes first
+  hubScore: number; // Fraction of routes touching one of the top hubs
+  shape: NetworkShape;
+}
+
+export interface AirportRankings {
+  destinations: [string, number][]; // Airport code and distinct airports served, most first
+  operators: [string, number][];    // Airport code and distinct airlines, most first
+}
+
+// Number of top airports used for the hub score
+export const HUB_COUNT = 3;
+
+// Hub score thresholds for the network shape labels
+const HUB_AND_SPOKE_SCORE = 0.5;
+const POINT_TO_POINT_SCORE = 0.35;
+
+// BFS sources used to estimate betweenness; smaller networks are computed exactly
+const BETWEENNESS_SAMPLES = 200;
+
+export const NETWORK_SHAPE_LABELS: { [key in NetworkShape]: string } = {
+  "hub-and-spoke": "Hub-and-spoke",
+  mixed: "Mixed",
+  "point-to-point": "Point-to-point",
+};
+
+const rank = (counts: Map<string, number>): [string, number][] =>
+  Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+const pairKey = (route: Route) =>
+  route.origin < route.destination
+    ? `${route.origin}-${route.destination}`
+    : `${route.destination}-${route.origin}`;
+
+// Carriers counted for a route: the filtered airlines if any, otherwise every carrier
+function getCountedCarriers(route: Route, airlineCodes: string[], includeCodeshares: boolean) {
+  const carriers = getRouteCarriers(route, includeCodeshares);
+  return airlineCodes.length > 0 ? carriers.filter((a) => airlineCodes.includes(a)) : carriers;
+}
+
+// Neighbouring airports of every airport, treating routes as undirected
+function getNeighbours(routes: Route[]) {
+  const neighbours = new Map<string, Set<string>>();
+  const link = (a: string, b: string) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    neighbours.get(a)!.add(b);
+  };
+  routes.forEach((route) => {
+    link(route.origin, route.destination);
+    link(route.destination, route.origin);
+  });
+  return neighbours;
+}
+
+// Rank airports by how many airports and how many airlines they connect to.
+// When airlineCodes is non-empty only those airlines are counted as operators.
+export function getAirportRankings(
+  routes: Route[],
+  airlineCodes: string[] = [],
+  includeCodeshares = false
+): AirportRankings {
+  const destinations = new Map<string, number>();
+  getNeighbours(routes).forEach((set, code) => destinations.set(code, set.size));
+
+  const carriers = new Map<string, Set<string>>();
+  routes.forEach((route) => {
+    const counted = getCountedCarriers(route, airlineCodes, includeCodeshares);
+    [route.origin, route.destination].forEach((code) => {
+      if (!carriers.has(code)) carriers.set(code, new Set());
+      counted.forEach((a) => carriers.get(code)!.add(a));
+    });
+  });
+  const operators = new Map<string, number>();
+  carriers.forEach((set, code) => operators.set(code, set.size));
+
+  return { destinations: rank(destinations), operators: rank(operators) };
+}
+
+// Per-airline hubs and how concentrated each network is on them.
+// An airline whose routes nearly all touch its top few airports is
+// hub-and-spoke; one spread over many bases is point-to-point.
+export function getAirlineNetworks(
+  routes: Route[],
+  airlineCodes: string[] = [],
+  includeCodeshares = false
+): AirlineNetwork[] {
+  // Airline -> pair key -> [airport, airport]
+  const pairs = new Map<string, Map<string, [string, string]>>();
+  routes.forEach((route) => {
+    const key = pairKey(route);
+    getCountedCarriers(route, airlineCodes, includeCodeshares).forEach((airline) => {
+      if (!pairs.has(airline)) pairs.set(airline, new Map());
+      pairs.get(airline)!.set(key, [route.origin, route.destination]);
+    });
+  });
+
+  const networks: AirlineNetwork[] = [];
+  pairs.forEach((airlinePairs, airline) => {
+    const counts = new Map<string, number>();
+    airlinePairs.forEach((ends) => ends.forEach((code) => counts.set(code, (counts.get(code) || 0) + 1)));
+
+    const total = airlinePairs.size;
+    const hubs = rank(counts).map(([airport, count]) => ({ airport, routes: count, share: count / total }));
+
+    const topHubs = new Set(hubs.slice(0, HUB_COUNT).map((hub) => hub.airport));
+    let touchingHubs = 0;
+    airlinePairs.forEach(([a, b]) => {
+      if (topHubs.has(a) || topHubs.has(b)) touchingHubs++;
+    });
+    const hubScore = touchingHubs / total;
+
+    networks.push({
+      airline,
+      routes: total,
+      hubs,
+      hubScore,
+      shape:
+        hubScore >= HUB_AND_SPOKE_SCORE
+          ? "hub-and-spoke"
+          : hubScore < POINT_TO_POINT_SCORE
+            ? "point-to-point"
+            : "mixed",
+    });
+  });
+
+  return networks.sort((a, b) => b.routes - a.routes || a.airline.localeCompare(b.airline));
+}
+
+// Gateway airports: the ones the most shortest connections (by number of
+// flights) pass through, as a fraction of all connections between other
+// airports. This is betweenness centrality, estimated from an evenly spread
+// sample of starting airports on large networks.
+export function getGatewayAirports(routes: Route[]): [string, number][] {
+  const neighbours = getNeighbours(routes);
+  const codes = Array.from(neighbours.keys()).sort();
+  const n = codes.length;
+  if (n < 3) return [];
+
+  const index = new Map<string, number>();
+  codes.forEach((code, i) => index.set(code, i));
+  const adjacency = codes.map((code) => Array.from(neighbours.get(code)!, (c) => index.get(c)!));
+
+  const step = Math.max(1, Math.ceil(n / BETWEENNESS_SAMPLES));
+  const betweenness = new Float64Array(n);
+  const dist = new Int32Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  let sources = 0;
+
+  // Brandes' algorithm on the unweighted graph
+  for (let s = 0; s < n; s += step) {
+    sources++;
+    dist.fill(-1);
+    sigma.fill(0);
+    delta.fill(0);
+    dist[s] = 0;
+    sigma[s] = 1;
+
+    const order: number[] = [s];
+    for (let head = 0; head < order.length; head++) {
+      const v = order[head];
+      for (const w of adjacency[v]) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          order.push(w);
+        }
+        if (dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+      }
+    }
+
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of adjacency[w]) {
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      betweenness[w] += delta[w];
+    }
+  }
+
+  // Ordered pairs of other airports each airport could sit between
+  const scale = 1 / (sources * (n - 2));
+  const scores = new Map<string, number>();
+  codes.forEach((code, i) => {
+    if (betweenness[i] > 0) scores.set(code, betweenness[i] * scale);
+  });
+  return rank(scores);
+}
@@ -0,0 +1,177 @@
+import { NextResponse } from "next/server";
+import { Airport, Airline, Filters, ApiErrorResponse, ServiceFilter, Continent, RouteScope } from "@/types";
+import { DEFAULT_FILTERS } from "@/lib/routes";
+import { SERVICE_FILTER_LABELS, isPartialDate } from "@/lib/services";
+import { getAirlineGroup } from "@/lib/alliances";
+import { ROUTE_SCOPE_LABELS } from "@/lib/geography";
+import { CONTINENT_NAMES } from "@/lib/timezones";
+import { Dataset } from "@/lib/dataset";
+
+// Shared request parsing and responses for the API routes in src/app/api
+
+// The data only changes on deploy: let browsers keep responses for a few
+// minutes and shared caches for a day, serving stale copies while refreshing
+const CACHE_CONTROL = "public, max-age=300, s-maxage=86400, stale-while-revalidate=86400";
+
+// A client error, reported with its status instead of a 500
+export class ApiRequestError extends Error {
+  constructor(public status: 400 | 404, message: string) {
+    super(message);
+    this.name = "ApiRequestError";
+  }
+}
+
+export function apiResponse<T>(data: T) {
+  return NextResponse.json(data, { headers: { "Cache-Control": CACHE_CONTROL } });
+}
+
+function apiError(status: number, error: string) {
+  // Errors aren't cached: a day-old 404 would outlive the data update that fixes it
+  return NextResponse.json<ApiErrorResponse>({ error }, { status, headers: { "Cache-Control": "no-store" } });
+}
+
+// Run a handler, turning ApiRequestErrors into 400/404 responses and anything else into a 500
+export async function handleApiRequest(handler: () => Promise<Response>) {
+  try {
+    return await handler();
+  } catch (error) {
+    if (error instanceof ApiRequestError) return apiError(error.status, error.message);
+    console.error("API request failed:", error);
+    return apiError(500, "Internal server error");
+  }
+}
+
+const AIRPORT_CODE = /^[A-Z]{3}$/;
+const AIRLINE_CODE = /^[A-Z0-9]{2}$/;
+
+// Airport from a path segment: 400 if it isn't an IATA code, 404 if it isn't in the data
+export function getAirportParam(code: string, data: Dataset): Airport {
+  const iata = code.trim().toUpperCase();
+  if (!AIRPORT_CODE.test(iata)) throw new ApiRequestError(400, `Invalid airport code "${code}"`);
+  const airport = data.airportMap[iata];
+  if (!airport) throw new ApiRequestError(404, `Unknown airport "${iata}"`);
+  return airport;
+}
+
+// Airline from a path segment: 400 if it isn't an IATA code, 404 if it isn't in the data
+export function getAirlineParam(code: string, data: Dataset): Airline {
+  const iata = code.trim().toUpperCase();
+  if (!AIRLINE_CODE.test(iata)) throw new ApiRequestError(400, `Invalid airline code "${code}"`);
+  const airline = data.airlineMap[iata];
+  if (!airline) throw new ApiRequestError(404, `Unknown airline "${iata}"`);
+  return airline;
+}
+
+// ISO date query parameter, possibly partial ("2015", "2026-10"), or null when absent
+function getDateParam(params: URLSearchParams, name: string) {
+  const value = params.get(name);
+  if (value === null || value === "") return null;
+  if (!isPartialDate(value)) throw new ApiRequestError(400, `Invalid ${name} "${value}", expected a date like 2015 or 2026-10-18`);
+  return value;
+}
+
+const splitList = (value: string | null) =>
+  (value || "")
+    .split(",")
+    .map((v) => v.trim().toUpperCase())
+    .filter(Boolean);
+
+// Query parameters the route filters read, with the same names as the explorer's
+// shared links apart from airline and group. Geography is kept apart because
+// connection searches don't apply it, as in the Connections tab.
+export const FILTER_PARAMS = ["airline", "group", "aircraft", "codeshares", "dmin", "dmax", "service", "confirmed", "added"];
+export const GEOGRAPHY_PARAMS = ["ocountry", "ocontinent", "dcountry", "dcontinent", "scope"];
+
+// 400 for query parameters the endpoint doesn't read, so a misspelled or
+// unsupported filter isn't silently ignored
+export function checkParamNames(params: URLSearchParams, allowed: string[]) {
+  const unknown = Array.from(params.keys()).find((name) => !allowed.includes(name));
+  if (unknown) throw new ApiRequestError(400, `Unsupported parameter "${unknown}", expected one of ${allowed.join(", ")}`);
+}
+
+// Boolean query flag: "1"/"true" or "0"/"false", false when absent
+export function getFlagParam(params: URLSearchParams, name: string) {
+  const value = params.get(name);
+  if (value === null || value === "" || value === "0" || value === "false") return false;
+  if (value === "1" || value === "true") return true;
+  throw new ApiRequestError(400, `Invalid ${name} "${value}", expected 1 or 0`);
+}
+
+// Distance bound in km, or null when absent
+function getDistanceParam(params: URLSearchParams, name: string) {
+  const value = params.get(name);
+  if (value === null || value === "") return null;
+  const km = Number(value);
+  if (!Number.isFinite(km) || km < 0) throw new ApiRequestError(400, `Invalid ${name} "${value}", expected a distance in km`);
+  return km;
+}
+
+// One of a set of labelled values, or null when absent
+function getChoiceParam<T extends string>(params: URLSearchParams, name: string, labels: { [key in T]: string }) {
+  const value = params.get(name);
+  if (value === null || value === "") return null;
+  if (!Object.hasOwn(labels, value)) {
+    throw new ApiRequestError(400, `Invalid ${name} "${value}", expected one of ${Object.keys(labels).join(", ")}`);
+  }
+  return value as T;
+}
+
+// Route filters from ?airline=BA,AA&group=oneworld&aircraft=777&codeshares=1&dmin=5000&service=seasonal
+// &confirmed=2015&added=2026-10&ocountry=IE&dcontinent=NA&scope=international, with the same
+// meaning as the explorer's filters. Unknown codes and malformed values are a 400.
+export function getFilterParams(params: URLSearchParams, data: Dataset): Filters {
+  const airlines = splitList(params.get("airline"));
+  const unknownAirline = airlines.find((code) => !data.airlineMap[code]);
+  if (unknownAirline) throw new ApiRequestError(400, `Unknown airline "${unknownAirline}"`);
+
+  const groups = splitList(params.get("group")).map((id) => id.toLowerCase());
+  const unknownGroup = groups.find((id) => !getAirlineGroup(id));
+  if (unknownGroup) throw new ApiRequestError(400, `Unknown alliance or airline group "${unknownGroup}"`);
+
+  const aircraft = splitList(params.get("aircraft"));
+  const unknownAircraft = aircraft.find((code) => !data.aircraftTypes.includes(code));
+  if (unknownAircraft) throw new ApiRequestError(400, `Unknown aircraft type "${unknownAircraft}"`);
+
+  const countries = new Set(data.airports.map((a) => a.country));
+  const getCountries = (name: string) => {
+    const codes = splitList(params.get(name));
+    const unknown = codes.find((code) => !countries.has(code));
+    if (unknown) throw new ApiRequestError(400, `Unknown country "${unknown}" in ${name}`);
+    return codes;
+  };
+  const getContinents = (name: string) => {
+    const codes = splitList(params.get(name));
+    const unknown = codes.find((code) => !Object.hasOwn(CONTINENT_NAMES, code));
+    if (unknown) throw new ApiRequestError(400, `Unknown continent "${unknown}" in ${name}`);
+    return codes as Continent[];
+  };
+
+  return {
+    ...DEFAULT_FILTERS,
+    airlines,
+    groups,
+    aircraft,
+    includeCodeshares: getFlagParam(params, "codeshares"),
+    minDistance: getDistanceParam(params, "dmin"),
+    maxDistance: getDistanceParam(params, "dmax"),
+    service: getChoiceParam<ServiceFilter>(params, "service", SERVICE_FILTER_LABELS),
+    confirmedSince: getDateParam(params, "confirmed"),
+    addedSince: getDateParam(params, "added"),
+    originCountries: getCountries("ocountry"),
+    originContinents: getContinents("ocontinent"),
+    destinationCountries: getCountries("dcountry"),
+    destinationContinents: getContinents("dcontinent"),
+    scope: getChoiceParam<RouteScope>(params, "scope", ROUTE_SCOPE_LABELS),
+  };
+}
+
+// Whole number query parameter within [min, max], or the default when absent
+export function getIntParam(params: URLSearchParams, name: string, min: number, max: number, fallback: number) {
+  const value = params.get(name);
+  if (value === null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new ApiRequestError(400, `Invalid ${name} "${value}", expected a whole number from ${min} to ${max}`);
+  }
+  return n;
+}
@@ -0,0 +1,34 @@
+import { ArcColoring, Itinerary } from "@/types";
+import { getAllianceColor } from "@/lib/alliances";
+
+const SELECTED_COLOR = "#f59e0b";
+const NO_AIRLINE_COLOR = "#60a5fa";
+
+// "#rrggbb" for a color given as hue (degrees), saturation and lightness (percent)
+function hslToHex(h: number, s: number, l: number) {
+  const a = (s / 100) * Math.min(l / 100, 1 - l / 100);
+  const channel = (n: number) => {
+    const k = (n + h / 30) % 12;
+    const value = l / 100 - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Consistent color for each airline
+export function getAirlineColor(airlineCode: string) {
+  const hue = (airlineCode.charCodeAt(0) * 137 + (airlineCode.charCodeAt(1) || 0) * 59) % 360;
+  return hslToHex(hue, 70, 60);
+}
+
+// Arc color for the airlines a route is shown for
+export function getRouteColor(shownOperators: string[], arcColoring: ArcColoring) {
+  return arcColoring === "alliance"
+    ? getAllianceColor(shownOperators)
+    : getAirlineColor(shownOperators[0] || "XX");
+}
+
+export function getItineraryColor(itinerary: Itinerary, isSelected: boolean) {
+  if (isSelected) return SELECTED_COLOR;
+  return itinerary.airlines.length > 0 ? getAirlineColor(itinerary.airlines[0]) : NO_AIRLINE_COLOR;
+}
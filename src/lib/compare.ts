@@ -0,0 +1,156 @@
+import { Airport, Filters, Route, RoutesByAirport } from "@/types";
+import { getMapRoutes, getRouteCarriers } from "@/lib/routes";
+
+// Two or more airlines side by side: the routes each flies alone and where
+// they overlap. The compared airlines are the ones picked in the airline
+// filter, in the order they were picked; alliances and groups are left out.
+
+// One per compared airline, in pick order, none close to the overlap color
+const COMPARE_COLORS = ["#38bdf8", "#f472b6", "#4ade80", "#a78bfa", "#fb923c", "#2dd4bf"];
+export const OVERLAP_COLOR = "#facc15";
+
+export const MAX_COMPARED_AIRLINES = COMPARE_COLORS.length;
+
+export interface ComparedAirline {
+  airline: string;
+  routes: number;       // Airport pairs flown, counting both directions once
+  unique: number;       // Pairs no other compared airline flies
+  exclusive: string[];  // Destinations no other compared airline serves, busiest first
+}
+
+export interface SharedPair {
+  airports: [string, string]; // Alphabetical
+  airlines: string[];         // Compared airlines flying it, in pick order
+  distance: number;           // km
+}
+
+export interface SharedHub {
+  airport: string;
+  routes: number[];     // Pairs touching the airport per compared airline, in pick order
+}
+
+export interface AirlineComparison {
+  airlines: ComparedAirline[];
+  pairs: number;        // Pairs flown by any compared airline
+  shared: SharedPair[]; // Pairs flown by two or more, most airlines first
+  hubs: SharedHub[];    // Airports two or more serve, most contested first
+}
+
+export function getComparedAirlines(filters: Filters) {
+  return filters.airlines.slice(0, MAX_COMPARED_AIRLINES);
+}
+
+export function getCompareColor(compared: string[], airline: string) {
+  const index = Math.max(0, compared.indexOf(airline));
+  return COMPARE_COLORS[index % COMPARE_COLORS.length];
+}
+
+// Compared airlines selling a seat on a route, in pick order
+export function getComparedCarriers(route: Route, compared: string[], includeCodeshares: boolean) {
+  const carriers = getRouteCarriers(route, includeCodeshares);
+  return compared.filter((code) => carriers.includes(code));
+}
+
+// An airline's own color for a route only it flies, the overlap color otherwise
+export function getComparisonColor(carriers: string[], compared: string[]) {
+  return carriers.length === 1 ? getCompareColor(compared, carriers[0]) : OVERLAP_COLOR;
+}
+
+// Routes of the compared airlines passing the other filters: the selected
+// airport's, or every loaded route when no airport is selected
+export function getComparedRoutes(
+  selectedAirport: string | null,
+  routesByAirport: RoutesByAirport,
+  allRoutes: Route[],
+  filters: Filters,
+  airportMap: { [key: string]: Airport }
+) {
+  const airlines = getComparedAirlines(filters);
+  if (airlines.length === 0) return [];
+  return getMapRoutes(selectedAirport, routesByAirport, allRoutes, { ...filters, airlines, groups: [] }, airportMap);
+}
+
+const rank = (counts: Map<string, number>) =>
+  Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([code]) => code);
+
+// Overlap between the compared airlines on the given routes. Hubs are
+// airports served by two or more of them, ranked by the second-busiest
+// airline there so one carrier's fortress doesn't outrank a contested hub.
+export function compareAirlines(routes: Route[], compared: string[], includeCodeshares: boolean): AirlineComparison {
+  // Pair key -> the pair and the compared airlines flying either direction
+  const pairs = new Map<string, { airports: [string, string]; airlines: Set<string>; distance: number }>();
+  // Airline -> destination -> routes flown there
+  const destinations = new Map<string, Map<string, number>>(compared.map((code) => [code, new Map()]));
+
+  routes.forEach((route) => {
+    const carriers = getComparedCarriers(route, compared, includeCodeshares);
+    if (carriers.length === 0) return;
+
+    const airports: [string, string] =
+      route.origin < route.destination ? [route.origin, route.destination] : [route.destination, route.origin];
+    const key = airports.join("-");
+    const pair = pairs.get(key) || { airports, airlines: new Set<string>(), distance: route.distance };
+    pairs.set(key, pair);
+    carriers.forEach((code) => {
+      pair.airlines.add(code);
+      const served = destinations.get(code)!;
+      served.set(route.destination, (served.get(route.destination) || 0) + 1);
+    });
+  });
+
+  const routeCounts = new Map<string, number>();
+  const uniqueCounts = new Map<string, number>();
+  const hubCounts = new Map<string, number[]>();
+  const shared: SharedPair[] = [];
+
+  pairs.forEach(({ airports, airlines, distance }) => {
+    airlines.forEach((code) => routeCounts.set(code, (routeCounts.get(code) || 0) + 1));
+    if (airlines.size === 1) {
+      const code = Array.from(airlines)[0];
+      uniqueCounts.set(code, (uniqueCounts.get(code) || 0) + 1);
+    } else {
+      shared.push({ airports, airlines: compared.filter((code) => airlines.has(code)), distance });
+    }
+    airports.forEach((airport) => {
+      const counts = hubCounts.get(airport) || compared.map(() => 0);
+      compared.forEach((code, i) => {
+        if (airlines.has(code)) counts[i]++;
+      });
+      hubCounts.set(airport, counts);
+    });
+  });
+
+  const comparedAirlines = compared.map((airline) => {
+    const served = destinations.get(airline)!;
+    const exclusive = new Map<string, number>();
+    served.forEach((count, airport) => {
+      if (compared.every((other) => other === airline || !destinations.get(other)!.has(airport))) {
+        exclusive.set(airport, count);
+      }
+    });
+    return {
+      airline,
+      routes: routeCounts.get(airline) || 0,
+      unique: uniqueCounts.get(airline) || 0,
+      exclusive: rank(exclusive),
+    };
+  });
+
+  const secondBusiest = (counts: number[]) => [...counts].sort((a, b) => b - a)[1] || 0;
+  const hubs = Array.from(hubCounts, ([airport, counts]) => ({ airport, routes: counts }))
+    .filter((hub) => secondBusiest(hub.routes) > 0)
+    .sort(
+      (a, b) =>
+        secondBusiest(b.routes) - secondBusiest(a.routes) ||
+        b.routes.reduce((sum, n) => sum + n, 0) - a.routes.reduce((sum, n) => sum + n, 0) ||
+        a.airport.localeCompare(b.airport)
+    );
+
+  shared.sort(
+    (a, b) => b.airlines.length - a.airlines.length || a.airports.join("-").localeCompare(b.airports.join("-"))
+  );
+
+  return { airlines: comparedAirlines, pairs: pairs.size, shared, hubs };
+}
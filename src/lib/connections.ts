@@ -0,0 +1,125 @@
+import { Airport, Route, RoutesByAirport, Filters, ConnectionQuery, Itinerary } from "@/types";
+import { getDistance } from "@/lib/utils";
+import { routeMatchesFilters, getRouteCarriers, getFilterAirlines } from "@/lib/routes";
+import { getAirlineAlliances } from "@/lib/alliances";
+
+// Itineraries longer than this multiple of the direct distance are not considered
+const MAX_DETOUR = 2.5;
+const MAX_RESULTS = 50;
+// Ranking cost of each connection, in units of detour ratio
+const CONNECTION_PENALTY = 0.1;
+
+export const DEFAULT_CONNECTION_QUERY: ConnectionQuery = {
+  origin: null,
+  destination: null,
+  maxStops: 1,
+  sameAirline: false,
+  sameAlliance: false,
+};
+
+interface SearchState {
+  airport: string;
+  legs: Route[];
+  distance: number;
+  airlines: string[];
+  alliances: string[];
+}
+
+const intersect = (a: string[], b: string[]) => a.filter((x) => b.includes(x));
+
+// Find itineraries from origin to destination with up to query.maxStops connections.
+// Every leg must pass the active filters; results are ranked by detour ratio,
+// with a small penalty per connection so extra stops must earn their place.
+export function findConnections(
+  query: ConnectionQuery,
+  routesByAirport: RoutesByAirport,
+  airportMap: { [key: string]: Airport },
+  filters: Filters
+): Itinerary[] {
+  const { origin, destination, maxStops, sameAirline, sameAlliance } = query;
+  if (!origin || !destination || origin === destination) return [];
+
+  const originAirport = airportMap[origin];
+  const destAirport = airportMap[destination];
+  if (!originAirport || !destAirport) return [];
+
+  const coords = (code: string): [number, number] => [airportMap[code].lat, airportMap[code].lon];
+  const directDistance = getDistance(coords(origin), coords(destination));
+  const maxDistance = directDistance * MAX_DETOUR;
+
+  // Filtered outgoing routes per airport, built lazily
+  const edgeCache = new Map<string, Route[]>();
+  const getEdges = (code: string) => {
+    let edges = edgeCache.get(code);
+    if (!edges) {
+      edges = (routesByAirport[code] || []).filter(
+        (r) => airportMap[r.destination] && routeMatchesFilters(r, filters)
+      );
+      edgeCache.set(code, edges);
+    }
+    return edges;
+  };
+
+  // Carriers of a leg, restricted to the airline filter when it is active
+  const filterAirlines = getFilterAirlines(filters);
+  const getLegAirlines = (route: Route) => {
+    const carriers = getRouteCarriers(route, filters.includeCodeshares);
+    return filterAirlines.length > 0 ? intersect(carriers, filterAirlines) : carriers;
+  };
+
+  const getLegAlliances = (airlines: string[]) =>
+    Array.from(new Set(airlines.flatMap(getAirlineAlliances)));
+
+  const results: Itinerary[] = [];
+
+  const visit = (state: SearchState, visited: Set<string>) => {
+    for (const route of getEdges(state.airport)) {
+      const next = route.destination;
+      if (visited.has(next)) continue;
+      // Out of connections: only the final leg into the destination is useful
+      if (state.legs.length === maxStops && next !== destination) continue;
+
+      const distance = state.distance + getDistance(coords(state.airport), coords(next));
+      // Even a direct hop from here would exceed the detour limit
+      if (distance + getDistance(coords(next), coords(destination)) > maxDistance) continue;
+
+      const legAirlines = getLegAirlines(route);
+      const airlines = state.legs.length === 0 ? legAirlines : intersect(state.airlines, legAirlines);
+      const legAlliances = getLegAlliances(legAirlines);
+      const alliances = state.legs.length === 0 ? legAlliances : intersect(state.alliances, legAlliances);
+      if (sameAirline && airlines.length === 0) continue;
+      if (sameAlliance && alliances.length === 0) continue;
+
+      const legs = [...state.legs, route];
+
+      if (next === destination) {
+        results.push({
+          legs,
+          stops: legs.slice(0, -1).map((leg) => leg.destination),
+          distance,
+          detour: directDistance > 0 ? distance / directDistance : 1,
+          airlines,
+          alliances,
+        });
+        continue;
+      }
+
+      visited.add(next);
+      visit({ airport: next, legs, distance, airlines, alliances }, visited);
+      visited.delete(next);
+    }
+  };
+
+  visit({ airport: origin, legs: [], distance: 0, airlines: [], alliances: [] }, new Set([origin]));
+
+  const score = (itinerary: Itinerary) => itinerary.detour + itinerary.stops.length * CONNECTION_PENALTY;
+
+  return results
+    .sort((a, b) => score(a) - score(b) || a.distance - b.distance)
+    .slice(0, MAX_RESULTS);
+}
+
+// Airports along an itinerary, from origin to destination
+export function getItineraryAirports(itinerary: Itinerary): string[] {
+  return [itinerary.legs[0].origin, ...itinerary.legs.map((leg) => leg.destination)];
+}
@@ -0,0 +1,174 @@
+import { Airport, AirportInfo, Airline, AircraftType, MetroArea, Route, RoutesByAirport, DataUpdate } from "@/types";
+
+// Reader for the compact data written by scripts/lib/shards.js: an index
+// loaded up front and route shards fetched when a view needs them
+
+const DATA_URL = "/data";
+
+// Records stored as one array of values per record; trailing optional values may be missing
+interface Table {
+  columns: string[];
+  rows: unknown[][];
+}
+
+export interface DataIndex {
+  airports: Airport[];
+  airlines: Airline[];
+  aircraftTypes: string[];
+  aircraftCatalog: AircraftType[];
+  metroAreas: MetroArea[];
+  routeCounts: { [key: string]: number }; // Routes departing each airport
+  totalRoutes: number;
+  lastUpdate: string | null; // Date of the last route update; null for routes straight from the sources
+}
+
+// Routes fetched so far. Each airport and airline list is complete once present.
+export interface LoadedRoutes {
+  byAirport: RoutesByAirport;
+  byAirline: RoutesByAirport;
+  all: Route[] | null;
+}
+
+export interface ShardRequest {
+  all: boolean;
+  airports: string[];
+  airlines: string[];
+}
+
+export const NO_ROUTES_LOADED: LoadedRoutes = { byAirport: {}, byAirline: {}, all: null };
+
+function decodeTable<T>(table: Table): T[] {
+  return table.rows.map((row) => {
+    const record: { [key: string]: unknown } = {};
+    row.forEach((value, i) => (record[table.columns[i]] = value));
+    return record as T;
+  });
+}
+
+async function fetchJSON<T>(path: string): Promise<T> {
+  const res = await fetch(`${DATA_URL}/${path}`);
+  if (!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
+  return res.json();
+}
+
+export async function loadIndex(): Promise<DataIndex> {
+  const index = await fetchJSON<{
+    routeCounts: { [key: string]: number };
+    totalRoutes: number;
+    lastUpdate?: string | null;
+    airports: Table;
+    airlines: Table;
+    aircraftTypes: string[];
+    aircraftCatalog: Table;
+    metroAreas?: Table;
+  }>("index.json");
+
+  return {
+    airports: decodeTable<Airport>(index.airports),
+    airlines: decodeTable<Airline>(index.airlines),
+    aircraftTypes: index.aircraftTypes,
+    aircraftCatalog: decodeTable<AircraftType>(index.aircraftCatalog),
+    metroAreas: index.metroAreas ? decodeTable<MetroArea>(index.metroAreas) : [],
+    routeCounts: index.routeCounts,
+    totalRoutes: index.totalRoutes,
+    lastUpdate: index.lastUpdate ?? null,
+  };
+}
+
+// Details for the selected airport's card, by airport code. Only fetched on the first selection.
+let airportInfo: Promise<{ [key: string]: AirportInfo }> | null = null;
+
+export function loadAirportInfo() {
+  if (!airportInfo) {
+    airportInfo = fetchJSON<Table>("airport-info.json").then((table) => {
+      const byCode: { [key: string]: AirportInfo } = {};
+      decodeTable<AirportInfo & { iata: string }>(table).forEach(({ iata, ...info }) => (byCode[iata] = info));
+      return byCode;
+    });
+    airportInfo.catch(() => (airportInfo = null));
+  }
+  return airportInfo;
+}
+
+// What each route update changed, newest first. Only fetched for the changes layer.
+let changelog: Promise<DataUpdate[]> | null = null;
+
+export function loadChangelog() {
+  if (!changelog) {
+    changelog = fetchJSON<DataUpdate[]>("changelog.json");
+    changelog.catch(() => (changelog = null));
+  }
+  return changelog;
+}
+
+// Shards stay cached for the session, so going back to an airport or
+// airline doesn't fetch again. Failed fetches are forgotten so they can be retried.
+const shardCache = new Map<string, Promise<Route[]>>();
+
+function loadShard(path: string) {
+  let shard = shardCache.get(path);
+  if (!shard) {
+    shard = fetchJSON<Table>(path).then((table) => decodeTable<Route>(table));
+    shard.catch(() => shardCache.delete(path));
+    shardCache.set(path, shard);
+  }
+  return shard;
+}
+
+export const loadAirportRoutes = (code: string) => loadShard(`routes/airport-${code}.json`);
+export const loadAirlineRoutes = (code: string) => loadShard(`routes/airline-${code}.json`);
+export const loadAllRoutes = () => loadShard("routes/all.json");
+
+// The requested shards that aren't loaded yet; nothing once the whole network is
+export function getMissingShards(loaded: LoadedRoutes, request: ShardRequest): ShardRequest {
+  if (loaded.all) return { all: false, airports: [], airlines: [] };
+  return {
+    all: request.all,
+    airports: request.all ? [] : request.airports.filter((code) => !loaded.byAirport[code]),
+    airlines: request.all ? [] : request.airlines.filter((code) => !loaded.byAirline[code]),
+  };
+}
+
+export function isShardRequestEmpty(request: ShardRequest) {
+  return !request.all && request.airports.length === 0 && request.airlines.length === 0;
+}
+
+// Fetch the requested shards and add them to what is loaded
+export async function loadShards(request: ShardRequest): Promise<(loaded: LoadedRoutes) => LoadedRoutes> {
+  if (request.all) {
+    const all = await loadAllRoutes();
+    return (loaded) => ({ ...loaded, all });
+  }
+
+  const [airportRoutes, airlineRoutes] = await Promise.all([
+    Promise.all(request.airports.map(loadAirportRoutes)),
+    Promise.all(request.airlines.map(loadAirlineRoutes)),
+  ]);
+
+  return (loaded) => {
+    const byAirport = { ...loaded.byAirport };
+    const byAirline = { ...loaded.byAirline };
+    request.airports.forEach((code, i) => (byAirport[code] = airportRoutes[i]));
+    request.airlines.forEach((code, i) => (byAirline[code] = airlineRoutes[i]));
+    return { ...loaded, byAirport, byAirline };
+  };
+}
+
+// Routes by origin airport: the whole network once loaded, otherwise the airports fetched so far
+export function getRoutesByAirport(loaded: LoadedRoutes): RoutesByAirport {
+  if (!loaded.all) return loaded.byAirport;
+  const byAirport: RoutesByAirport = {};
+  loaded.all.forEach((route) => (byAirport[route.origin] ||= []).push(route));
+  return byAirport;
+}
+
+// Every route loaded for whole-network views: the whole network once loaded,
+// otherwise the fetched airline networks (a route shared by several airlines once)
+export function getNetworkRoutes(loaded: LoadedRoutes): Route[] {
+  if (loaded.all) return loaded.all;
+  const routes = new Map<string, Route>();
+  Object.values(loaded.byAirline).forEach((airlineRoutes) =>
+    airlineRoutes.forEach((route) => routes.set(`${route.origin}-${route.destination}`, route))
+  );
+  return Array.from(routes.values());
+}
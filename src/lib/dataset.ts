@@ -0,0 +1,57 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { Airport, Airline, Route, RoutesByAirport } from "@/types";
+
+// The canonical data files in public/data, and the full route list in
+// data/routes.json (the app only loads shards, so it isn't public), read on
+// the server for the API routes. Loaded once per server process; the data only
+// changes on deploy. Neither directory is part of standalone or serverless
+// output: the files ship with the API routes because next.config.ts lists them
+// in outputFileTracingIncludes, so keep that list in step with the files read
+// here. The paths are spelled out so the build traces these four files and not
+// every route shard next to them.
+
+export interface Dataset {
+  airports: Airport[];
+  airportMap: { [key: string]: Airport };
+  airlineMap: { [key: string]: Airline };
+  aircraftTypes: string[];
+  routes: Route[];
+  routesByAirport: RoutesByAirport;
+  routeCounts: { [key: string]: number }; // Routes departing each airport
+}
+
+let dataset: Promise<Dataset> | null = null;
+
+async function readJSON<T>(file: string): Promise<T> {
+  return JSON.parse(await fs.readFile(file, "utf-8"));
+}
+
+async function loadDataset(): Promise<Dataset> {
+  const [airports, airlines, aircraftTypes, routes] = await Promise.all([
+    readJSON<Airport[]>(path.join(process.cwd(), "public", "data", "airports.json")),
+    readJSON<Airline[]>(path.join(process.cwd(), "public", "data", "airlines.json")),
+    readJSON<string[]>(path.join(process.cwd(), "public", "data", "aircraft-types.json")),
+    readJSON<Route[]>(path.join(process.cwd(), "data", "routes.json")),
+  ]);
+
+  const airportMap: { [key: string]: Airport } = {};
+  airports.forEach((a) => (airportMap[a.iata] = a));
+  const airlineMap: { [key: string]: Airline } = {};
+  airlines.forEach((a) => (airlineMap[a.iata] = a));
+  const routesByAirport: RoutesByAirport = {};
+  routes.forEach((route) => (routesByAirport[route.origin] ||= []).push(route));
+  const routeCounts: { [key: string]: number } = {};
+  Object.entries(routesByAirport).forEach(([code, airportRoutes]) => (routeCounts[code] = airportRoutes.length));
+
+  return { airports, airportMap, airlineMap, aircraftTypes, routes, routesByAirport, routeCounts };
+}
+
+export function getDataset() {
+  if (!dataset) {
+    dataset = loadDataset();
+    // Let a failed read be retried by the next request
+    dataset.catch(() => (dataset = null));
+  }
+  return dataset;
+}
@@ -0,0 +1,216 @@
+import { Airport, Route, ServiceType } from "@/types";
+import { getArcPoints } from "@/lib/utils";
+
+export type ExportFormat = "csv" | "geojson" | "kml";
+
+// A route as the map draws it
+export interface ExportRoute {
+  route: Route;
+  color: string; // "#rrggbb"
+  service: ServiceType;
+}
+
+export const EXPORT_FORMATS: { [key in ExportFormat]: { label: string; extension: string; mimeType: string } } = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  geojson: { label: "GeoJSON", extension: "geojson", mimeType: "application/geo+json" },
+  kml: { label: "KML", extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+};
+
+// Points per arc; the map uses up to 30
+const ARC_POINTS = 30;
+
+// Line opacity on the map
+const ARC_OPACITY = 0.6;
+
+const round = (value: number) => Math.round(value * 1e5) / 1e5;
+
+// Longitude in [-180, 180)
+const normalizeLon = (lon: number) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+// Great circle arc as [lon, lat] lines, split where it crosses the antimeridian.
+// The map draws arcs with continuous longitudes past ±180; files need real ones.
+export function getArcLines(origin: Airport, destination: Airport): [number, number][][] {
+  const points = getArcPoints([origin.lat, origin.lon], [destination.lat, destination.lon], ARC_POINTS);
+  const lines: [number, number][][] = [];
+  let line: [number, number][] = [];
+
+  points.forEach(([lat, lon], i) => {
+    if (i > 0) {
+      const [prevLat, prevLon] = points[i - 1];
+      // Antimeridian (180 + 360k) between the previous point and this one
+      const boundary = 180 + 360 * Math.floor((Math.max(prevLon, lon) - 180) / 360);
+      if (boundary > Math.min(prevLon, lon) && boundary <= Math.max(prevLon, lon)) {
+        const t = (boundary - prevLon) / (lon - prevLon);
+        const crossingLat = round(prevLat + t * (lat - prevLat));
+        const eastward = lon > prevLon;
+        line.push([eastward ? 180 : -180, crossingLat]);
+        lines.push(line);
+        line = [[eastward ? -180 : 180, crossingLat]];
+      }
+    }
+    line.push([round(normalizeLon(lon)), round(lat)]);
+  });
+  lines.push(line);
+
+  return lines;
+}
+
+// Airports at either end of the routes, in first-seen order
+function getRouteAirports(routes: ExportRoute[], airportMap: { [key: string]: Airport }) {
+  const airports = new Map<string, Airport>();
+  routes.forEach(({ route }) => {
+    [route.origin, route.destination].forEach((code) => {
+      if (airportMap[code] && !airports.has(code)) airports.set(code, airportMap[code]);
+    });
+  });
+  return Array.from(airports.values());
+}
+
+const hasAirports = (route: Route, airportMap: { [key: string]: Airport }) =>
+  !!airportMap[route.origin] && !!airportMap[route.destination];
+
+function escapeCSV(value: string | number) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per route; airline and aircraft lists are space-separated
+export function toCSV(routes: ExportRoute[]) {
+  const rows = [
+    ["origin", "destination", "operators", "codeshares", "aircraft", "distance_km", "source", "first_seen", "last_confirmed"],
+  ];
+  routes.forEach(({ route }) => {
+    rows.push([
+      route.origin,
+      route.destination,
+      route.operators.join(" "),
+      route.codeshares.join(" "),
+      route.aircraft.join(" "),
+      String(route.distance),
+      route.source,
+      route.firstSeen,
+      route.lastConfirmed,
+    ]);
+  });
+  return rows.map((row) => row.map(escapeCSV).join(",")).join("\n") + "\n";
+}
+
+// Routes as (Multi)LineStrings and their airports as Points. Line colors
+// use the simplestyle properties most GeoJSON viewers understand.
+export function toGeoJSON(routes: ExportRoute[], airportMap: { [key: string]: Airport }) {
+  const routeFeatures = routes
+    .filter(({ route }) => hasAirports(route, airportMap))
+    .map(({ route, color, service }) => {
+      const lines = getArcLines(airportMap[route.origin], airportMap[route.destination]);
+      return {
+        type: "Feature",
+        geometry:
+          lines.length === 1
+            ? { type: "LineString", coordinates: lines[0] }
+            : { type: "MultiLineString", coordinates: lines },
+        properties: {
+          origin: route.origin,
+          destination: route.destination,
+          operators: route.operators,
+          codeshares: route.codeshares,
+          aircraft: route.aircraft,
+          distance_km: route.distance,
+          service,
+          source: route.source,
+          first_seen: route.firstSeen,
+          last_confirmed: route.lastConfirmed,
+          stroke: color,
+          "stroke-width": 2,
+          "stroke-opacity": ARC_OPACITY,
+        },
+      };
+    });
+
+  const airportFeatures = getRouteAirports(routes, airportMap).map((airport) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [round(airport.lon), round(airport.lat)] },
+    properties: { iata: airport.iata, name: airport.name, city: airport.city, country: airport.country },
+  }));
+
+  return JSON.stringify({ type: "FeatureCollection", features: [...routeFeatures, ...airportFeatures] }) + "\n";
+}
+
+function escapeXML(text: string) {
+  return text.replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// KML colors are aabbggrr
+function toKMLColor(color: string, opacity: number) {
+  const alpha = Math.round(opacity * 255).toString(16).padStart(2, "0");
+  return `${alpha}${color.slice(5, 7)}${color.slice(3, 5)}${color.slice(1, 3)}`;
+}
+
+// KML document with a folder of routes, styled like the map, and a folder of airports
+export function toKML(routes: ExportRoute[], airportMap: { [key: string]: Airport }, title: string) {
+  const drawn = routes.filter(({ route }) => hasAirports(route, airportMap));
+  const colors = Array.from(new Set(drawn.map(({ color }) => color)));
+  const styleId = (color: string) => `route-${color.slice(1)}`;
+
+  const styles = colors.map(
+    (color) =>
+      `<Style id="${styleId(color)}"><LineStyle><color>${toKMLColor(color, ARC_OPACITY)}</color><width>2</width></LineStyle></Style>`
+  );
+
+  const routePlacemarks = drawn.map(({ route, color, service }) => {
+    const lines = getArcLines(airportMap[route.origin], airportMap[route.destination])
+      .map((line) => `<LineString><tessellate>1</tessellate><coordinates>${line.map(([lon, lat]) => `${lon},${lat}`).join(" ")}</coordinates></LineString>`)
+      .join("");
+    const description = [
+      `Operated by: ${route.operators.join(", ")}`,
+      route.codeshares.length > 0 ? `Codeshares: ${route.codeshares.join(", ")}` : null,
+      route.aircraft.length > 0 ? `Aircraft: ${route.aircraft.join(", ")}` : null,
+      `Distance: ${route.distance} km`,
+      service !== "year-round" ? `Service: ${service}` : null,
+      `Source: ${route.source}, last confirmed ${route.lastConfirmed}`,
+    ].filter(Boolean).join("\n");
+    return (
+      `<Placemark><name>${route.origin} - ${route.destination}</name>` +
+      `<description>${escapeXML(description)}</description>` +
+      `<styleUrl>#${styleId(color)}</styleUrl><MultiGeometry>${lines}</MultiGeometry></Placemark>`
+    );
+  });
+
+  const airportPlacemarks = getRouteAirports(drawn, airportMap).map(
+    (airport) =>
+      `<Placemark><name>${airport.iata}</name>` +
+      `<description>${escapeXML(`${airport.name}, ${airport.city}, ${airport.country}`)}</description>` +
+      `<Point><coordinates>${round(airport.lon)},${round(airport.lat)}</coordinates></Point></Placemark>`
+  );
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `<Document>`,
+    `<name>${escapeXML(title)}</name>`,
+    ...styles,
+    `<Folder><name>Routes</name>`,
+    ...routePlacemarks,
+    `</Folder>`,
+    `<Folder><name>Airports</name>`,
+    ...airportPlacemarks,
+    `</Folder>`,
+    `</Document>`,
+    `</kml>`,
+  ].join("\n") + "\n";
+}
+
+export function exportRoutes(
+  format: ExportFormat,
+  routes: ExportRoute[],
+  airportMap: { [key: string]: Airport },
+  title: string
+) {
+  switch (format) {
+    case "csv":
+      return toCSV(routes);
+    case "geojson":
+      return toGeoJSON(routes, airportMap);
+    case "kml":
+      return toKML(routes, airportMap, title);
+  }
+}
@@ -0,0 +1,294 @@
+import { Airport, Airline, FlightLogLeg, RoutesByAirport } from "@/types";
+import { getDistance } from "@/lib/utils";
+
+// Map colors for logged flights, and for those not on any route in the data
+export const FLIGHT_LOG_COLOR = "#38bdf8";
+export const UNKNOWN_ROUTE_COLOR = "#f87171";
+
+const STORAGE_KEY = "flightseeker:flight-log";
+const STORAGE_VERSION = 1;
+
+// Column order when a pasted line or file has no header
+const COLUMNS = ["date", "origin", "destination", "airline", "aircraft"] as const;
+type Column = (typeof COLUMNS)[number];
+
+// Header names accepted for each column
+const HEADER_NAMES: { [key: string]: Column } = {
+  date: "date",
+  origin: "origin",
+  from: "origin",
+  destination: "destination",
+  dest: "destination",
+  to: "destination",
+  airline: "airline",
+  carrier: "airline",
+  aircraft: "aircraft",
+  equipment: "aircraft",
+  type: "aircraft",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface FlightLogError {
+  line: number;
+  text: string;
+  message: string;
+}
+
+export interface ParsedFlightLog {
+  legs: FlightLogLeg[];
+  errors: FlightLogError[];
+}
+
+// Flights flown between one pair of airports, in the direction flown
+export interface LoggedRoute {
+  origin: string;
+  destination: string;
+  flights: number;
+  known: boolean | null; // In the route data; null until the origin's routes are loaded
+}
+
+export interface FlightLogStats {
+  flights: number;
+  distance: number;       // km, great circle
+  airports: string[];
+  countries: string[];
+  airlines: string[];
+  aircraft: string[];
+  longest: { leg: FlightLogLeg; distance: number } | null;
+}
+
+export const getLegKey = (leg: { origin: string; destination: string }) => `${leg.origin}-${leg.destination}`;
+
+// Fields of one line: comma, semicolon or tab separated (with CSV quoting),
+// or separated by spaces when there are none of those
+function splitFields(line: string) {
+  if (!/[,;\t]/.test(line)) return line.split(/\s+/);
+
+  const fields: string[] = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === "," || c === ";" || c === "\t") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+// Column positions from a header line, or null when the line isn't a header
+function readHeader(fields: string[]): { [key in Column]?: number } | null {
+  const columns: { [key in Column]?: number } = {};
+  fields.forEach((field, i) => {
+    const column = HEADER_NAMES[field.toLowerCase()];
+    if (column && columns[column] === undefined) columns[column] = i;
+  });
+  return columns.origin !== undefined && columns.destination !== undefined ? columns : null;
+}
+
+// Parse flights from CSV or pasted text, one per line: date, origin,
+// destination, airline, aircraft. A header row may name and reorder the
+// columns; without one the date may be left off. Airports and airlines
+// are checked against the data and accepted as IATA or ICAO codes.
+export function parseFlightLog(
+  text: string,
+  airportMap: { [key: string]: Airport },
+  airlineMap: { [key: string]: Airline }
+): ParsedFlightLog {
+  const airportsByIcao: { [key: string]: Airport } = {};
+  Object.values(airportMap).forEach((a) => a.icao && (airportsByIcao[a.icao] = a));
+  // Legs store the airline's key in airlineMap, whichever way the line named it
+  const airlineCodesByIcao: { [key: string]: string } = {};
+  const airlineCodesByName: { [key: string]: string } = {};
+  Object.entries(airlineMap).forEach(([code, a]) => {
+    if (a.icao) airlineCodesByIcao[a.icao] ||= code;
+    airlineCodesByName[a.name.toUpperCase()] ||= code;
+  });
+
+  const findAirport = (code: string) => {
+    const upper = code.toUpperCase();
+    return airportMap[upper] || airportsByIcao[upper] || null;
+  };
+
+  const findAirline = (value: string) => {
+    const upper = value.toUpperCase();
+    if (airlineMap[upper]) return upper;
+    return airlineCodesByIcao[upper] || airlineCodesByName[upper] || null;
+  };
+
+  const legs: FlightLogLeg[] = [];
+  const errors: FlightLogError[] = [];
+  let header: { [key in Column]?: number } | null = null;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const fields = splitFields(line);
+    if (legs.length === 0 && errors.length === 0 && !header) {
+      header = readHeader(fields);
+      if (header) return;
+    }
+
+    const fail = (message: string) => errors.push({ line: index + 1, text: line, message });
+
+    // Without a header, columns are positional and the date is optional
+    const columns = header || Object.fromEntries(
+      (DATE_PATTERN.test(fields[0]) ? COLUMNS : COLUMNS.slice(1)).map((column, i) => [column, i])
+    );
+    const get = (column: Column) => {
+      const i = columns[column];
+      return i !== undefined ? fields[i]?.trim() || "" : "";
+    };
+
+    const date = get("date");
+    if (date && (!DATE_PATTERN.test(date) || isNaN(Date.parse(date)))) {
+      return fail(`Invalid date "${date}", expected YYYY-MM-DD`);
+    }
+
+    const originCode = get("origin");
+    const destinationCode = get("destination");
+    if (!originCode || !destinationCode) return fail("Missing origin or destination");
+
+    const origin = findAirport(originCode);
+    if (!origin) return fail(`Unknown airport "${originCode}"`);
+    const destination = findAirport(destinationCode);
+    if (!destination) return fail(`Unknown airport "${destinationCode}"`);
+    if (origin.iata === destination.iata) return fail("Origin and destination are the same");
+
+    const airlineName = get("airline");
+    const airline = airlineName ? findAirline(airlineName) : null;
+    if (airlineName && !airline) return fail(`Unknown airline "${airlineName}"`);
+
+    legs.push({
+      date: date || null,
+      origin: origin.iata,
+      destination: destination.iata,
+      airline,
+      aircraft: get("aircraft") || null,
+    });
+  });
+
+  return { legs, errors };
+}
+
+// Every field of a leg, so equal keys mean the same flight
+const getLegIdentity = (leg: FlightLogLeg) =>
+  JSON.stringify([leg.date, leg.origin, leg.destination, leg.airline, leg.aircraft]);
+
+// Add flights to the log, skipping those already in it (e.g. a file imported twice)
+export function mergeFlightLog(log: FlightLogLeg[], added: FlightLogLeg[]) {
+  const logged = new Set(log.map(getLegIdentity));
+  const fresh = added.filter((leg) => !logged.has(getLegIdentity(leg)));
+  return { legs: [...log, ...fresh], duplicates: added.length - fresh.length };
+}
+
+// Flights saved in the browser; an empty log when there are none or they can't be read
+export function loadFlightLog(): FlightLogLeg[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (stored?.version !== STORAGE_VERSION || !Array.isArray(stored.legs)) return [];
+    return stored.legs.filter(
+      (leg: FlightLogLeg) => typeof leg?.origin === "string" && typeof leg?.destination === "string"
+    );
+  } catch {
+    return [];
+  }
+}
+
+export function saveFlightLog(legs: FlightLogLeg[]) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, legs }));
+  } catch (error) {
+    // Storage disabled or full: the log still works for this session
+    console.error("Failed to save flight log:", error);
+  }
+}
+
+// Airports whose routes are needed to check the log against the data
+export function getFlightLogOrigins(legs: FlightLogLeg[], routeCounts: { [key: string]: number }) {
+  return Array.from(new Set(legs.map((leg) => leg.origin))).filter((code) => routeCounts[code]);
+}
+
+// Logged flights grouped by airport pair, each checked against the loaded routes
+export function getLoggedRoutes(
+  legs: FlightLogLeg[],
+  routesByAirport: RoutesByAirport,
+  routeCounts: { [key: string]: number }
+): LoggedRoute[] {
+  const routes = new Map<string, LoggedRoute>();
+  legs.forEach((leg) => {
+    const key = getLegKey(leg);
+    const route = routes.get(key);
+    if (route) {
+      route.flights++;
+      return;
+    }
+
+    let known: boolean | null = false;
+    if (routeCounts[leg.origin]) {
+      const originRoutes = routesByAirport[leg.origin];
+      known = originRoutes ? originRoutes.some((r) => r.destination === leg.destination) : null;
+    }
+    routes.set(key, { origin: leg.origin, destination: leg.destination, flights: 1, known });
+  });
+  return Array.from(routes.values());
+}
+
+// Great circle distance of a flight in km, or null if an airport is missing from the data
+export function getLegDistance(leg: FlightLogLeg, airportMap: { [key: string]: Airport }) {
+  const origin = airportMap[leg.origin];
+  const destination = airportMap[leg.destination];
+  if (!origin || !destination) return null;
+  return getDistance([origin.lat, origin.lon], [destination.lat, destination.lon]);
+}
+
+export function getFlightLogStats(legs: FlightLogLeg[], airportMap: { [key: string]: Airport }): FlightLogStats {
+  const airports = new Set<string>();
+  const countries = new Set<string>();
+  const airlines = new Set<string>();
+  const aircraft = new Set<string>();
+  let distance = 0;
+  let longest: FlightLogStats["longest"] = null;
+
+  legs.forEach((leg) => {
+    const origin = airportMap[leg.origin];
+    const destination = airportMap[leg.destination];
+    const legDistance = getLegDistance(leg, airportMap);
+    if (!origin || !destination || legDistance === null) return;
+
+    distance += legDistance;
+    if (!longest || legDistance > longest.distance) longest = { leg, distance: legDistance };
+
+    airports.add(origin.iata).add(destination.iata);
+    countries.add(origin.country).add(destination.country);
+    if (leg.airline) airlines.add(leg.airline);
+    if (leg.aircraft) aircraft.add(leg.aircraft.toUpperCase());
+  });
+
+  return {
+    flights: legs.length,
+    distance,
+    airports: Array.from(airports),
+    countries: Array.from(countries),
+    airlines: Array.from(airlines),
+    aircraft: Array.from(aircraft),
+    longest,
+  };
+}
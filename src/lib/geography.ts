@@ -0,0 +1,120 @@
+import { Airport, Continent, Filters, Route, RouteScope } from "@/types";
+import { CONTINENT_NAMES } from "@/lib/timezones";
+import { getCountryName } from "@/lib/utils";
+
+// Origin and destination country/continent filters and the domestic,
+// international and intercontinental split. Routes only carry airport codes,
+// so these need the airports and are checked apart from routeMatchesFilters.
+
+export const ROUTE_SCOPE_LABELS: { [key in RouteScope]: string } = {
+  domestic: "Domestic",
+  international: "International",
+  intercontinental: "Intercontinental",
+};
+
+// Countries and continents one end of a route is limited to
+export interface PlaceFilter {
+  countries: string[];
+  continents: Continent[];
+}
+
+export const getOriginPlaces = (filters: Filters): PlaceFilter => ({
+  countries: filters.originCountries,
+  continents: filters.originContinents,
+});
+
+export const getDestinationPlaces = (filters: Filters): PlaceFilter => ({
+  countries: filters.destinationCountries,
+  continents: filters.destinationContinents,
+});
+
+const isEmptyPlaceFilter = (places: PlaceFilter) => places.countries.length === 0 && places.continents.length === 0;
+
+// In one of the countries or continents; any airport when none are chosen
+function isInPlaces(airport: Airport, places: PlaceFilter) {
+  if (isEmptyPlaceFilter(places)) return true;
+  return (
+    places.countries.includes(airport.country) ||
+    (airport.continent !== null && places.continents.includes(airport.continent))
+  );
+}
+
+// Domestic within one country, intercontinental between airports on known,
+// different continents, otherwise international
+export function getRouteScope(origin: Airport, destination: Airport): RouteScope {
+  if (origin.country === destination.country) return "domestic";
+  if (origin.continent && destination.continent && origin.continent !== destination.continent) {
+    return "intercontinental";
+  }
+  return "international";
+}
+
+function scopeMatches(scope: RouteScope, filter: RouteScope) {
+  return filter === "international" ? scope !== "domestic" : scope === filter;
+}
+
+// Origin/destination place filters narrow a whole-network view on their own
+export function hasPlaceFilters(filters: Filters) {
+  return !isEmptyPlaceFilter(getOriginPlaces(filters)) || !isEmptyPlaceFilter(getDestinationPlaces(filters));
+}
+
+export function hasGeographyFilters(filters: Filters) {
+  return hasPlaceFilters(filters) || filters.scope !== null;
+}
+
+// Check if a route passes the place and scope filters. Routes to airports
+// missing from the lookup only pass when no geography filter is set.
+export function routeMatchesGeography(route: Route, filters: Filters, airportMap: { [key: string]: Airport }) {
+  if (!hasGeographyFilters(filters)) return true;
+  const origin = airportMap[route.origin];
+  const destination = airportMap[route.destination];
+  if (!origin || !destination) return false;
+  if (!isInPlaces(origin, getOriginPlaces(filters))) return false;
+  if (!isInPlaces(destination, getDestinationPlaces(filters))) return false;
+  return filters.scope === null || scopeMatches(getRouteScope(origin, destination), filters.scope);
+}
+
+// e.g. "Europe, Ireland → Japan · International"; "" with no geography filters
+export function describeGeography(filters: Filters) {
+  const describe = (places: PlaceFilter) =>
+    [...places.continents.map((code) => CONTINENT_NAMES[code]), ...places.countries.map(getCountryName)].join(", ");
+  const origin = describe(getOriginPlaces(filters));
+  const destination = describe(getDestinationPlaces(filters));
+  let places = "";
+  if (origin && destination) places = `${origin} → ${destination}`;
+  else if (origin) places = `From ${origin}`;
+  else if (destination) places = `To ${destination}`;
+  const scope = filters.scope ? ROUTE_SCOPE_LABELS[filters.scope] : "";
+  return [places, scope].filter(Boolean).join(" · ");
+}
+
+// Routes and destination airports per destination country, most routes first
+export function getDestinationCountries(routes: Route[], airportMap: { [key: string]: Airport }) {
+  const countries = new Map<string, { routes: number; airports: Set<string> }>();
+  routes.forEach((route) => {
+    const destination = airportMap[route.destination];
+    if (!destination) return;
+    let country = countries.get(destination.country);
+    if (!country) {
+      country = { routes: 0, airports: new Set() };
+      countries.set(destination.country, country);
+    }
+    country.routes++;
+    country.airports.add(destination.iata);
+  });
+
+  return Array.from(countries, ([code, { routes, airports }]) => ({
+    code,
+    name: getCountryName(code),
+    routes,
+    airports: airports.size,
+  })).sort((a, b) => b.routes - a.routes || a.name.localeCompare(b.name));
+}
+
+// Countries with airports in the data, by English name
+export function getCountryOptions(airports: Airport[]) {
+  const codes = new Set(airports.map((a) => a.country).filter(Boolean));
+  return Array.from(codes, (code) => ({ code, name: getCountryName(code) })).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+}
@@ -0,0 +1,70 @@
+import { Airport, Filters, MetroArea, Route, RoutesByAirport } from "@/types";
+import { routeMatchesFilters } from "@/lib/routes";
+import { routeMatchesGeography } from "@/lib/geography";
+
+// Cities served by several airports (IATA city codes like LON or NYC),
+// selected and drawn as one network with arcs colored by departure airport
+
+// One per member airport, in member order; no metro has more than six
+const METRO_AIRPORT_COLORS = ["#f59e0b", "#38bdf8", "#f472b6", "#4ade80", "#a78bfa", "#fb923c"];
+
+// A destination of the metro area and the member airports that fly there
+export interface MetroDestination {
+  destination: string;
+  airports: string[]; // In member order
+  routes: Route[];    // One per serving airport, in the same order
+}
+
+export function getMetroAirportColor(metro: MetroArea, code: string) {
+  const index = Math.max(0, metro.airports.indexOf(code));
+  return METRO_AIRPORT_COLORS[index % METRO_AIRPORT_COLORS.length];
+}
+
+// The metro area each member airport belongs to
+export function getMetroAreaMap(metroAreas: MetroArea[]) {
+  const map: { [key: string]: MetroArea } = {};
+  metroAreas.forEach((metro) => metro.airports.forEach((code) => (map[code] = metro)));
+  return map;
+}
+
+// Routes departing any member airport that pass the filters
+export function getMetroRoutes(
+  metro: MetroArea,
+  routesByAirport: RoutesByAirport,
+  filters: Filters,
+  airportMap: { [key: string]: Airport }
+) {
+  return metro.airports.flatMap((code) =>
+    (routesByAirport[code] || []).filter(
+      (route) => routeMatchesFilters(route, filters) && routeMatchesGeography(route, filters, airportMap)
+    )
+  );
+}
+
+// Where the metro's routes go and from which of its airports, destinations
+// served from the most airports first. Flights between member airports are left out.
+export function getMetroDestinations(metro: MetroArea, routes: Route[]): MetroDestination[] {
+  const byDestination = new Map<string, Route[]>();
+  routes.forEach((route) => {
+    if (metro.airports.includes(route.destination)) return;
+    const list = byDestination.get(route.destination) || [];
+    list.push(route);
+    byDestination.set(route.destination, list);
+  });
+
+  return Array.from(byDestination, ([destination, destinationRoutes]) => {
+    const sorted = destinationRoutes.sort(
+      (a, b) => metro.airports.indexOf(a.origin) - metro.airports.indexOf(b.origin)
+    );
+    return { destination, airports: sorted.map((route) => route.origin), routes: sorted };
+  }).sort((a, b) => b.airports.length - a.airports.length || a.destination.localeCompare(b.destination));
+}
+
+// Middle of the member airports, for framing the metro on the map
+export function getMetroCenter(metro: MetroArea, airportMap: { [key: string]: Airport }): [number, number] | null {
+  const members = metro.airports.map((code) => airportMap[code]).filter(Boolean);
+  if (members.length === 0) return null;
+  const lat = members.reduce((sum, a) => sum + a.lat, 0) / members.length;
+  const lon = members.reduce((sum, a) => sum + a.lon, 0) / members.length;
+  return [lat, lon];
+}
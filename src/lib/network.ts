@@ -0,0 +1,26 @@
+import { Route } from "@/types";
+
+export interface NetworkStats {
+  operators: [string, number][]; // Airline code and routes flown, most first
+  airports: [string, number][];  // Airport code and routes departing, most first
+}
+
+const rank = (counts: Map<string, number>): [string, number][] =>
+  Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+// Count routes per operator and per origin airport across a network.
+// When airlineCodes is non-empty only those operators are counted.
+export function getNetworkStats(routes: Route[], airlineCodes: string[] = []): NetworkStats {
+  const operators = new Map<string, number>();
+  const airports = new Map<string, number>();
+
+  routes.forEach((route) => {
+    (route.operators || []).forEach((code) => {
+      if (airlineCodes.length > 0 && !airlineCodes.includes(code)) return;
+      operators.set(code, (operators.get(code) || 0) + 1);
+    });
+    airports.set(route.origin, (airports.get(route.origin) || 0) + 1);
+  });
+
+  return { operators: rank(operators), airports: rank(airports) };
+}
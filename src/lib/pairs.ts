@@ -0,0 +1,83 @@
+import { Route, RoutesByAirport, AirportPair, ServiceType } from "@/types";
+import { getOperatorService } from "@/lib/services";
+
+// Which way of a pair something is seen on: origin → destination, the reverse, or both
+export type PairDirection = "outbound" | "inbound" | "both";
+
+export interface PairItem {
+  code: string;
+  direction: PairDirection;
+}
+
+// Differences between the two directions. Most routes are flown both ways
+// by the same airlines and aircraft, so these often point to data errors
+// or triangle routings (A → B → C → A).
+export type PairAsymmetry =
+  | { kind: "one-way"; direction: "outbound" | "inbound" }
+  | { kind: "operator" | "codeshare"; airline: string; direction: "outbound" | "inbound" }
+  | { kind: "aircraft"; outbound: string[]; inbound: string[] } // Types seen in one direction only
+  | { kind: "service"; airline: string; outbound: ServiceType; inbound: ServiceType };
+
+export interface PairComparison {
+  outbound: Route | null; // origin → destination
+  inbound: Route | null;  // destination → origin
+  operators: PairItem[];
+  codeshares: PairItem[];
+  aircraft: PairItem[];
+  asymmetries: PairAsymmetry[];
+}
+
+export const findRoute = (routesByAirport: RoutesByAirport, origin: string, destination: string) =>
+  (routesByAirport[origin] || []).find((route) => route.destination === destination) || null;
+
+// Codes of both directions, outbound order first, tagged with where they appear
+function compareLists(outbound: string[], inbound: string[]): PairItem[] {
+  const codes = Array.from(new Set([...outbound, ...inbound]));
+  return codes.map((code) => ({
+    code,
+    direction: !inbound.includes(code) ? "outbound" : !outbound.includes(code) ? "inbound" : "both",
+  }));
+}
+
+const oneWay = (items: PairItem[]) =>
+  items.filter((item): item is PairItem & { direction: "outbound" | "inbound" } => item.direction !== "both");
+
+export function comparePair(pair: AirportPair, routesByAirport: RoutesByAirport): PairComparison {
+  const outbound = findRoute(routesByAirport, pair.origin, pair.destination);
+  const inbound = findRoute(routesByAirport, pair.destination, pair.origin);
+
+  const operators = compareLists(outbound?.operators || [], inbound?.operators || []);
+  const codeshares = compareLists(outbound?.codeshares || [], inbound?.codeshares || []);
+  const aircraft = compareLists(outbound?.aircraft || [], inbound?.aircraft || []);
+
+  const asymmetries: PairAsymmetry[] = [];
+  if (!outbound || !inbound) {
+    if (outbound || inbound) asymmetries.push({ kind: "one-way", direction: outbound ? "outbound" : "inbound" });
+    return { outbound, inbound, operators, codeshares, aircraft, asymmetries };
+  }
+
+  oneWay(operators).forEach(({ code, direction }) => asymmetries.push({ kind: "operator", airline: code, direction }));
+  oneWay(codeshares).forEach(({ code, direction }) => asymmetries.push({ kind: "codeshare", airline: code, direction }));
+
+  const oneWayAircraft = oneWay(aircraft);
+  if (oneWayAircraft.length > 0) {
+    asymmetries.push({
+      kind: "aircraft",
+      outbound: oneWayAircraft.filter((item) => item.direction === "outbound").map((item) => item.code),
+      inbound: oneWayAircraft.filter((item) => item.direction === "inbound").map((item) => item.code),
+    });
+  }
+
+  // Airlines flying both ways but year-round in one and seasonal or charter in the other
+  operators
+    .filter((item) => item.direction === "both")
+    .forEach(({ code }) => {
+      const outboundType = getOperatorService(outbound, code).type;
+      const inboundType = getOperatorService(inbound, code).type;
+      if (outboundType !== inboundType) {
+        asymmetries.push({ kind: "service", airline: code, outbound: outboundType, inbound: inboundType });
+      }
+    });
+
+  return { outbound, inbound, operators, codeshares, aircraft, asymmetries };
+}
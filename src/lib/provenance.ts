@@ -0,0 +1,77 @@
+import { Route, RouteSource, DataUpdate } from "@/types";
+import { formatServiceDate } from "@/lib/services";
+
+// Where routes come from and what each route update changed. The data side
+// is scripts/lib/provenance.js.
+
+export const ROUTE_SOURCE_LABELS: { [key in RouteSource]: string } = {
+  openflights: "OpenFlights",
+  wikipedia: "Wikipedia",
+};
+
+// The staleness preset: hides routes nothing has listed since the OpenFlights
+// snapshot of June 2014
+export const CONFIRMED_AFTER_SNAPSHOT = "2015";
+
+export type ChangeKind = "added" | "removed" | "operators";
+
+export const CHANGE_COLORS: { [key in ChangeKind]: string } = {
+  added: "#4ade80",
+  removed: "#f87171",
+  operators: "#fbbf24",
+};
+
+export const CHANGE_LABELS: { [key in ChangeKind]: string } = {
+  added: "New route",
+  removed: "Removed route",
+  operators: "Operators changed",
+};
+
+// One route an update touched, with the operators it gained and lost
+export interface ChangedRoute {
+  origin: string;
+  destination: string;
+  kind: ChangeKind;
+  operatorsAdded: string[];
+  operatorsRemoved: string[];
+}
+
+const KIND_ORDER: ChangeKind[] = ["added", "removed", "operators"];
+
+// e.g. "OpenFlights · last confirmed Jun 2014" or "Wikipedia · first seen 18 Oct 2026"
+export function describeProvenance(route: Route) {
+  const source = ROUTE_SOURCE_LABELS[route.source] || route.source;
+  if (route.firstSeen === route.lastConfirmed && route.source !== "openflights") {
+    return `${source} · first seen ${formatServiceDate(route.firstSeen)}`;
+  }
+  return `${source} · last confirmed ${formatServiceDate(route.lastConfirmed)}`;
+}
+
+// Routes an update added, removed or changed operators on, one entry per
+// route; only those touching `airport` when given
+export function getChangedRoutes(update: DataUpdate, airport: string | null = null): ChangedRoute[] {
+  const changed = new Map<string, ChangedRoute>();
+  const get = (origin: string, destination: string, kind: ChangeKind) => {
+    const key = `${origin}-${destination}`;
+    let route = changed.get(key);
+    if (!route) {
+      route = { origin, destination, kind, operatorsAdded: [], operatorsRemoved: [] };
+      changed.set(key, route);
+    }
+    return route;
+  };
+
+  update.routesAdded.forEach((r) => get(r.origin, r.destination, "added").operatorsAdded.push(...r.operators));
+  update.routesRemoved.forEach((r) => get(r.origin, r.destination, "removed").operatorsRemoved.push(...r.operators));
+  update.operatorsAdded.forEach((c) => get(c.origin, c.destination, "operators").operatorsAdded.push(c.airline));
+  update.operatorsRemoved.forEach((c) => get(c.origin, c.destination, "operators").operatorsRemoved.push(c.airline));
+
+  return Array.from(changed.values())
+    .filter((route) => !airport || route.origin === airport || route.destination === airport)
+    .sort(
+      (a, b) =>
+        KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+        a.origin.localeCompare(b.origin) ||
+        a.destination.localeCompare(b.destination)
+    );
+}
@@ -0,0 +1,68 @@
+import { Airport, RoutesByAirport, Filters } from "@/types";
+import { routeMatchesFilters } from "@/lib/routes";
+
+// Airports needing more stops than this count as unreachable
+export const MAX_REACH_STOPS = 2;
+
+// Marker colors by stops needed: direct, 1 stop, 2 stops
+export const REACH_COLORS = ["#22c55e", "#eab308", "#f97316"];
+export const UNREACHABLE_COLOR = "#3f3f46";
+
+export const REACH_LABELS = ["Direct", "1 stop", "2 stops"];
+
+// Stops needed per airport code (0 = direct)
+export type Reachability = { [key: string]: number };
+
+// Breadth-first pass from origin over routes passing the active filters.
+// Airports missing from the result need more than maxStops stops or
+// can't be reached at all.
+export function getReachability(
+  origin: string,
+  routesByAirport: RoutesByAirport,
+  filters: Filters,
+  maxStops = MAX_REACH_STOPS
+): Reachability {
+  const reachability: Reachability = {};
+  const visited = new Set([origin]);
+  let frontier = [origin];
+
+  for (let stops = 0; stops <= maxStops && frontier.length > 0; stops++) {
+    const next: string[] = [];
+    frontier.forEach((code) => {
+      (routesByAirport[code] || []).forEach((route) => {
+        if (visited.has(route.destination) || !routeMatchesFilters(route, filters)) return;
+        visited.add(route.destination);
+        reachability[route.destination] = stops;
+        next.push(route.destination);
+      });
+    });
+    frontier = next;
+  }
+
+  return reachability;
+}
+
+// Number of airports per stop count, plus the airports with routes that weren't reached
+export function getReachCounts(reachability: Reachability, routesByAirport: RoutesByAirport, origin: string) {
+  const counts = REACH_LABELS.map(() => 0);
+  Object.values(reachability).forEach((stops) => counts[stops]++);
+  const reached = Object.keys(reachability).length;
+  const unreachable = Object.keys(routesByAirport).filter((code) => code !== origin).length - reached;
+  return { counts, unreachable: Math.max(0, unreachable) };
+}
+
+// Countries with an airport reachable in at most maxStops stops, with the
+// number of such airports, most first
+export function getReachableCountries(
+  reachability: Reachability,
+  airportMap: { [key: string]: Airport },
+  maxStops: number
+): [string, number][] {
+  const counts = new Map<string, number>();
+  Object.entries(reachability).forEach(([code, stops]) => {
+    const country = airportMap[code]?.country;
+    if (!country || stops > maxStops) return;
+    counts.set(country, (counts.get(country) || 0) + 1);
+  });
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
@@ -0,0 +1,128 @@
+import { Airport, Route, RoutesByAirport, Filters } from "@/types";
+import { getOperatorService, serviceMatchesFilter } from "@/lib/services";
+import { getGroupMembers } from "@/lib/alliances";
+import { hasGeographyFilters, hasPlaceFilters, routeMatchesGeography } from "@/lib/geography";
+
+export const DEFAULT_FILTERS: Filters = {
+  airlines: [],
+  groups: [],
+  aircraft: [],
+  includeCodeshares: false,
+  minDistance: null,
+  maxDistance: null,
+  service: null,
+  confirmedSince: null,
+  addedSince: null,
+  originCountries: [],
+  originContinents: [],
+  destinationCountries: [],
+  destinationContinents: [],
+  scope: null,
+};
+
+// Check if a route is operated (or codeshared, if enabled) by any of the given airlines
+export function routeMatchesAirline(route: Route, airlineCodes: string[], includeCodeshares: boolean) {
+  const operators = route.operators || [];
+  const codeshares = route.codeshares || [];
+  const matchesOperator = operators.some((a) => airlineCodes.includes(a));
+  if (matchesOperator) return true;
+  if (includeCodeshares) {
+    return codeshares.some((a) => airlineCodes.includes(a));
+  }
+  return false;
+}
+
+// Airlines selected directly or through an alliance or airline group
+export function getFilterAirlines(filters: Filters) {
+  if (filters.groups.length === 0) return filters.airlines;
+  return Array.from(new Set([...filters.airlines, ...getGroupMembers(filters.groups)]));
+}
+
+// Check if a route passes the active airline, aircraft, distance, service and date filters
+export function routeMatchesFilters(route: Route, filters: Filters) {
+  const airlineCodes = getFilterAirlines(filters);
+  if (airlineCodes.length > 0) {
+    if (!routeMatchesAirline(route, airlineCodes, filters.includeCodeshares)) return false;
+  }
+  if (filters.aircraft.length > 0) {
+    if (!route.aircraft.some((a) => filters.aircraft.includes(a))) return false;
+  }
+  if (filters.minDistance !== null && route.distance < filters.minDistance) return false;
+  if (filters.maxDistance !== null && route.distance > filters.maxDistance) return false;
+  if (filters.service !== null) {
+    // Only the filtered airlines' service counts; codeshares fly on the operator's service
+    const operators = airlineCodes.length > 0
+      ? route.operators.filter((a) => airlineCodes.includes(a))
+      : route.operators;
+    const candidates = operators.length > 0 ? operators : route.operators;
+    const service = filters.service;
+    if (!candidates.some((a) => serviceMatchesFilter(getOperatorService(route, a), service))) return false;
+  }
+  // Dates may be partial ("2014-06"), which compare correctly as strings
+  if (filters.confirmedSince !== null && route.lastConfirmed < filters.confirmedSince) return false;
+  if (filters.addedSince !== null && route.firstSeen < filters.addedSince) return false;
+  return true;
+}
+
+// Any filter narrowing the route set (the codeshare toggle alone doesn't)
+export function hasActiveFilters(filters: Filters) {
+  return (
+    filters.airlines.length > 0 ||
+    filters.groups.length > 0 ||
+    filters.aircraft.length > 0 ||
+    filters.minDistance !== null ||
+    filters.maxDistance !== null ||
+    filters.service !== null ||
+    filters.confirmedSince !== null ||
+    filters.addedSince !== null ||
+    hasGeographyFilters(filters)
+  );
+}
+
+// Filters that select a network worth drawing with no airport selected
+export function isNetworkFilterActive(filters: Filters) {
+  return (
+    filters.airlines.length > 0 ||
+    filters.groups.length > 0 ||
+    filters.aircraft.length > 0 ||
+    hasPlaceFilters(filters)
+  );
+}
+
+// Airlines a route is drawn and colored for: those matching the airline
+// filter, falling back to all operators
+export function getShownOperators(route: Route, filterAirlines: string[]) {
+  const operators = route.operators || [];
+  const matchingOperators = filterAirlines.length > 0
+    ? operators.filter((a) => filterAirlines.includes(a))
+    : operators;
+  return matchingOperators.length > 0 ? matchingOperators : operators;
+}
+
+// Routes the map draws outside connection search: the selected airport's,
+// or with no airport selected the whole network for an airline, aircraft or
+// place filter. Both are narrowed by the geography filters.
+export function getMapRoutes(
+  selectedAirport: string | null,
+  routesByAirport: RoutesByAirport,
+  allRoutes: Route[],
+  filters: Filters,
+  airportMap: { [key: string]: Airport }
+) {
+  const matches = (route: Route) => routeMatchesFilters(route, filters) && routeMatchesGeography(route, filters, airportMap);
+  if (selectedAirport) {
+    return (routesByAirport[selectedAirport] || []).filter(matches);
+  }
+  if (isNetworkFilterActive(filters)) {
+    return allRoutes.filter(matches);
+  }
+  return [];
+}
+
+// Airlines that sell a seat on a route: operators, plus codeshares if enabled
+export function getRouteCarriers(route: Route, includeCodeshares: boolean) {
+  const operators = route.operators || [];
+  if (!includeCodeshares) return operators;
+  const codeshares = (route.codeshares || []).filter((a) => !operators.includes(a));
+  return [...operators, ...codeshares];
+}
@@ -0,0 +1,311 @@
+import { Airport, Airline, AircraftCatalog, MapView, MetroArea } from "@/types";
+import { getCountryName } from "@/lib/utils";
+
+// Ranked search across airports, metro areas, airlines, aircraft types and
+// countries, plus route queries like "JFK-LHR" or "BA to SIN"
+
+export type SearchResult =
+  | { kind: "airport"; airport: Airport }
+  | { kind: "metro"; metro: MetroArea }
+  | { kind: "airline"; airline: Airline }
+  | { kind: "aircraft"; code: string; name: string }
+  | { kind: "country"; code: string; name: string }
+  | { kind: "route"; origin: Airport; destination: Airport }
+  | { kind: "airline-route"; airline: Airline; airport: Airport };
+
+export interface SearchContext {
+  airports: Airport[];
+  metroAreas: MetroArea[];
+  airlines: Airline[];
+  aircraftTypes: string[];
+  aircraftCatalog: AircraftCatalog;
+  routeCounts: { [key: string]: number };
+}
+
+// Lowercase search fields, computed once per airport list
+interface IndexedAirport {
+  airport: Airport;
+  iata: string;
+  icao: string;
+  city: string;
+  cityBase: string; // Without qualifiers, e.g. "paris" for "Paris (Orly, Val-de-Marne)"
+  name: string;
+  country: string;  // English country name
+}
+
+interface Country {
+  code: string;
+  name: string;
+  airports: number;
+}
+
+interface Scored {
+  result: SearchResult;
+  score: number;
+  weight: number; // Tie-break among equal scores, e.g. routes at an airport
+}
+
+const DEFAULT_LIMIT = 12;
+
+// Scores, highest first: exact codes, then names by how they match
+const EXACT_CODE = 100;
+const EXACT_ICAO = 95;
+const EXACT_COUNTRY_CODE = 90;
+const EXACT_NAME = 80;
+const FIRST_WORD = 65;
+const NAME_PREFIX = 60;
+const WORD_PREFIX = 50;
+const CODE_PREFIX = 40;
+const NAME_CONTAINS = 30;
+// Airports matched only through their country rank below any other match
+const COUNTRY_PENALTY = 40;
+// Airport names ("Aeropuerto ...") say less than city or airline names
+const AIRPORT_NAME_PENALTY = 5;
+// Airlines without routes in the data
+const INACTIVE_PENALTY = 20;
+// A route query beats everything else
+const ROUTE_QUERY = 110;
+
+// Kinds listed first when scores tie; a metro area ahead of its own airports
+const KIND_ORDER: SearchResult["kind"][] = ["route", "airline-route", "metro", "airport", "airline", "aircraft", "country"];
+
+const AIRPORT_TYPE_WEIGHT: { [key: string]: number } = { large_airport: 3, medium_airport: 2, small_airport: 1 };
+
+// "JFK – LHR", "Dublin - Paris", "JFK → LHR", "JFK > LHR", "BA to SIN". A dash
+// without spaces is part of names like "Dallas-Fort Worth" or "Winston-Salem",
+// so it only separates codes: "JFK-LHR", "BA-SIN", "EIDW-EGLL".
+const ROUTE_QUERY_PATTERN = /^(.+?)(?:\s*(?:→|>)\s*|\s+(?:-|–|to)\s+)(.+)$/i;
+const CODE_ROUTE_QUERY_PATTERN = /^([a-z0-9]{2,4})\s*(?:-|–)\s*([a-z0-9]{2,4})$/i;
+
+const WORD_SEPARATORS = " -(/";
+
+// How well a lowercase name matches a lowercase query
+function nameScore(name: string, q: string) {
+  if (!name) return 0;
+  if (name === q) return EXACT_NAME;
+  if (name.startsWith(q)) return WORD_SEPARATORS.includes(name[q.length]) ? FIRST_WORD : NAME_PREFIX;
+  let i = name.indexOf(q, 1);
+  if (i < 0) return 0;
+  for (; i > 0; i = name.indexOf(q, i + 1)) {
+    if (WORD_SEPARATORS.includes(name[i - 1])) return WORD_PREFIX;
+  }
+  return NAME_CONTAINS;
+}
+
+function scoreAirport(airport: IndexedAirport, q: string) {
+  if (airport.iata === q) return EXACT_CODE;
+  if (airport.icao === q) return EXACT_ICAO;
+  const country = nameScore(airport.country, q);
+  return Math.max(
+    q.length >= 2 && airport.iata.startsWith(q) ? CODE_PREFIX : 0,
+    airport.cityBase === q ? EXACT_NAME : nameScore(airport.city, q),
+    Math.max(0, nameScore(airport.name, q) - AIRPORT_NAME_PENALTY),
+    country > 0 ? country - COUNTRY_PENALTY : 0
+  );
+}
+
+function scoreAirline(airline: Airline, q: string) {
+  let score = 0;
+  if (airline.iata.toLowerCase() === q) score = EXACT_CODE;
+  else if (airline.icao.toLowerCase() === q) score = EXACT_ICAO;
+  else score = nameScore(airline.name.toLowerCase(), q);
+  return score > 0 && !airline.active ? score - INACTIVE_PENALTY : score;
+}
+
+const airportWeight = (airport: Airport, routeCounts: { [key: string]: number }) =>
+  (routeCounts[airport.iata] || 0) * 10 + (AIRPORT_TYPE_WEIGHT[airport.type] || 0);
+
+const compareScored = (a: Scored, b: Scored) =>
+  b.score - a.score || KIND_ORDER.indexOf(a.result.kind) - KIND_ORDER.indexOf(b.result.kind) || b.weight - a.weight;
+
+const airportIndexes = new WeakMap<Airport[], IndexedAirport[]>();
+const countryLists = new WeakMap<Airport[], Country[]>();
+
+function getAirportIndex(airports: Airport[]) {
+  let index = airportIndexes.get(airports);
+  if (!index) {
+    const countryNames: { [key: string]: string } = {};
+    index = airports.map((airport) => {
+      const city = airport.city.toLowerCase();
+      return {
+        airport,
+        iata: airport.iata.toLowerCase(),
+        icao: airport.icao.toLowerCase(),
+        city,
+        cityBase: city.split(/\s*[(,]/)[0],
+        name: airport.name.toLowerCase(),
+        country: (countryNames[airport.country] ||= getCountryName(airport.country).toLowerCase()),
+      };
+    });
+    airportIndexes.set(airports, index);
+  }
+  return index;
+}
+
+// Countries with airports in the data, as codes and English names
+function getCountries(airports: Airport[]) {
+  let countries = countryLists.get(airports);
+  if (!countries) {
+    const counts: { [key: string]: number } = {};
+    airports.forEach((a) => (counts[a.country] = (counts[a.country] || 0) + 1));
+    countries = Object.entries(counts).map(([code, count]) => ({ code, name: getCountryName(code), airports: count }));
+    countryLists.set(airports, countries);
+  }
+  return countries;
+}
+
+function scoreAirports(airports: Airport[], q: string, routeCounts: { [key: string]: number }) {
+  const scored: { airport: Airport; score: number; weight: number }[] = [];
+  getAirportIndex(airports).forEach((indexed) => {
+    const score = scoreAirport(indexed, q);
+    if (score > 0) scored.push({ airport: indexed.airport, score, weight: airportWeight(indexed.airport, routeCounts) });
+  });
+  return scored;
+}
+
+// Airports ranked by how well they match: exact IATA/ICAO codes first, then
+// city and airport names, then country; busier airports first among equals
+export function searchAirports(
+  airports: Airport[],
+  query: string,
+  limit = 10,
+  routeCounts: { [key: string]: number } = {}
+) {
+  const q = query.trim().toLowerCase();
+  if (!q) return [];
+  return scoreAirports(airports, q, routeCounts)
+    .sort((a, b) => b.score - a.score || b.weight - a.weight)
+    .slice(0, limit)
+    .map(({ airport }) => airport);
+}
+
+// One side of a route query: an airline by exact code or name, or the best airport.
+// Only confident matches: a code, or unless codesOnly a city or airport name starting with the text.
+function resolveRouteEnd(text: string, context: SearchContext, allowAirline: boolean, codesOnly: boolean) {
+  const q = text.trim().toLowerCase();
+  if (!q) return null;
+  const minScore = codesOnly ? EXACT_ICAO : NAME_PREFIX;
+  if (allowAirline) {
+    const airline = context.airlines.find((a) => a.active && scoreAirline(a, q) >= Math.max(minScore, EXACT_NAME));
+    if (airline) return { airline };
+  }
+  const [best] = scoreAirports(context.airports, q, context.routeCounts)
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score || b.weight - a.weight);
+  return best ? { airport: best.airport } : null;
+}
+
+function parseRouteQuery(query: string, context: SearchContext): SearchResult | null {
+  const named = query.trim().match(ROUTE_QUERY_PATTERN);
+  const match = named || query.trim().match(CODE_ROUTE_QUERY_PATTERN);
+  if (!match) return null;
+
+  const from = resolveRouteEnd(match[1], context, true, !named);
+  const to = resolveRouteEnd(match[2], context, false, !named);
+  if (!from || !to?.airport) return null;
+
+  if ("airline" in from && from.airline) return { kind: "airline-route", airline: from.airline, airport: to.airport };
+  if (from.airport && from.airport.iata !== to.airport.iata) {
+    return { kind: "route", origin: from.airport, destination: to.airport };
+  }
+  return null;
+}
+
+// Every kind of result for a query, best first
+export function search(query: string, context: SearchContext, limit = DEFAULT_LIMIT): SearchResult[] {
+  const q = query.trim().toLowerCase();
+  if (!q) return [];
+
+  const scored: Scored[] = [];
+
+  // A route reading goes above the plain matches for the whole query, not instead of them
+  const route = parseRouteQuery(query, context);
+  if (route) scored.push({ result: route, score: ROUTE_QUERY, weight: 0 });
+
+  scoreAirports(context.airports, q, context.routeCounts).forEach(({ airport, score, weight }) =>
+    scored.push({ result: { kind: "airport", airport }, score, weight })
+  );
+
+  context.metroAreas.forEach((metro) => {
+    const score = metro.code.toLowerCase() === q ? EXACT_CODE : nameScore(metro.name.toLowerCase(), q);
+    const weight = metro.airports.reduce((sum, code) => sum + (context.routeCounts[code] || 0) * 10, 0);
+    if (score > 0) scored.push({ result: { kind: "metro", metro }, score, weight });
+  });
+
+  context.airlines.forEach((airline) => {
+    const score = scoreAirline(airline, q);
+    if (score > 0) scored.push({ result: { kind: "airline", airline }, score, weight: 0 });
+  });
+
+  context.aircraftTypes.forEach((code) => {
+    const type = context.aircraftCatalog[code];
+    const score =
+      code.toLowerCase() === q
+        ? EXACT_CODE
+        : Math.max(
+            nameScore(type?.name.toLowerCase() || "", q),
+            nameScore(type?.family.toLowerCase() || "", q),
+            nameScore(type ? `${type.manufacturer} ${type.family}`.toLowerCase() : "", q)
+          );
+    // The type named exactly by the query (e.g. "a320" → "Airbus A320") leads its family
+    const name = type?.name || code;
+    if (score > 0) {
+      scored.push({ result: { kind: "aircraft", code, name }, score, weight: name.toLowerCase().endsWith(` ${q}`) ? 1 : 0 });
+    }
+  });
+
+  getCountries(context.airports).forEach(({ code, name, airports }) => {
+    const score = code.toLowerCase() === q ? EXACT_COUNTRY_CODE : nameScore(name.toLowerCase(), q);
+    if (score > 0) scored.push({ result: { kind: "country", code, name }, score, weight: airports });
+  });
+
+  return scored.sort(compareScored).slice(0, limit).map(({ result }) => result);
+}
+
+export function getResultKey(result: SearchResult) {
+  switch (result.kind) {
+    case "airport":
+      return `airport:${result.airport.iata}`;
+    case "metro":
+      return `metro:${result.metro.code}`;
+    case "airline":
+      return `airline:${result.airline.iata}`;
+    case "aircraft":
+      return `aircraft:${result.code}`;
+    case "country":
+      return `country:${result.code}`;
+    case "route":
+      return `route:${result.origin.iata}-${result.destination.iata}`;
+    case "airline-route":
+      return `airline-route:${result.airline.iata}-${result.airport.iata}`;
+  }
+}
+
+const MAX_COUNTRY_ZOOM = 8;
+// Share of airports at each edge left out when framing a country
+const OUTLIER_SHARE = 0.05;
+
+// Map view framing a country's airports with routes
+export function getCountryView(
+  code: string,
+  airports: Airport[],
+  routeCounts: { [key: string]: number }
+): MapView | null {
+  const inCountry = airports.filter((a) => a.country === code && routeCounts[a.iata]);
+  if (inCountry.length === 0) return null;
+
+  // Leave out the outermost airports (e.g. overseas territories) of larger countries
+  const trim = Math.floor(inCountry.length * OUTLIER_SHARE);
+  const range = (values: number[]) => {
+    const sorted = values.sort((a, b) => a - b);
+    return [sorted[trim], sorted[sorted.length - 1 - trim]];
+  };
+  const [minLat, maxLat] = range(inCountry.map((a) => a.lat));
+  const [minLon, maxLon] = range(inCountry.map((a) => a.lon));
+
+  // Each zoom level halves the span shown; a world-wide country stays at the minimum zoom
+  const span = Math.max(maxLon - minLon, (maxLat - minLat) * 2, 1);
+  const zoom = Math.min(MAX_COUNTRY_ZOOM, Math.max(2, Math.floor(Math.log2(360 / span))));
+
+  return { center: [(minLat + maxLat) / 2, (minLon + maxLon) / 2], zoom };
+}
@@ -0,0 +1,100 @@
+import { Route, RouteService, ServiceFilter, ServiceType } from "@/types";
+
+export const SERVICE_TYPE_LABELS: { [key in ServiceType]: string } = {
+  "year-round": "Year-round",
+  seasonal: "Seasonal",
+  charter: "Charter",
+};
+
+export const SERVICE_FILTER_LABELS: { [key in ServiceFilter]: string } = {
+  "year-round": "Year-round only",
+  seasonal: "Seasonal",
+  charter: "Charter",
+  launching: "Launching soon",
+  ending: "Ending soon",
+};
+
+// Leaflet dash patterns per service type; year-round is a solid line
+export const SERVICE_DASH_ARRAYS: { [key in ServiceType]: string | undefined } = {
+  "year-round": undefined,
+  seasonal: "8 6",
+  charter: "2 6",
+};
+
+// Today as an ISO date, for comparing against service dates
+export function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// "2025", "2025-05" or "2025-05-14"
+export function isPartialDate(value: string) {
+  return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value);
+}
+
+// Whether a possibly partial ISO date ("2025", "2025-05", "2025-05-14") is today or later
+function isOnOrAfter(date: string, today: string) {
+  return date >= today.slice(0, date.length);
+}
+
+// Service for one operator; operators without an entry fly year-round
+export function getOperatorService(route: Route, airline: string): RouteService {
+  return (
+    route.services?.find((s) => s.airline === airline) || {
+      airline,
+      type: "year-round",
+      begins: null,
+      ends: null,
+    }
+  );
+}
+
+// Service has a start date that hasn't passed yet. Partial dates count for
+// their whole month or year.
+export function isLaunching(service: RouteService, today = getToday()) {
+  return service.begins !== null && isOnOrAfter(service.begins, today);
+}
+
+// Service has an end date that hasn't passed yet
+export function isEnding(service: RouteService, today = getToday()) {
+  return service.ends !== null && isOnOrAfter(service.ends, today);
+}
+
+export function serviceMatchesFilter(service: RouteService, filter: ServiceFilter, today = getToday()) {
+  switch (filter) {
+    case "year-round":
+      return service.type === "year-round" && !isLaunching(service, today);
+    case "seasonal":
+    case "charter":
+      return service.type === filter;
+    case "launching":
+      return isLaunching(service, today);
+    case "ending":
+      return isEnding(service, today);
+  }
+}
+
+// The most regular service among the given operators: year-round beats seasonal beats charter
+export function getRouteServiceType(route: Route, operators: string[]): ServiceType {
+  const types = operators.map((code) => getOperatorService(route, code).type);
+  if (types.length === 0 || types.includes("year-round")) return "year-round";
+  return types.includes("seasonal") ? "seasonal" : "charter";
+}
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// "2025-05-14" -> "14 May 2025", "2025-05" -> "May 2025", "2025" -> "2025"
+export function formatServiceDate(date: string) {
+  const [year, month, day] = date.split("-");
+  if (!month) return year;
+  const monthName = MONTHS[parseInt(month, 10) - 1] || month;
+  return day ? `${parseInt(day, 10)} ${monthName} ${year}` : `${monthName} ${year}`;
+}
+
+// Short description of a non-default service, e.g. "Seasonal · ends 26 Oct 2025"
+export function describeService(service: RouteService, today = getToday()) {
+  const parts: string[] = [];
+  if (service.type !== "year-round") parts.push(SERVICE_TYPE_LABELS[service.type]);
+  if (service.begins && isLaunching(service, today)) parts.push(`begins ${formatServiceDate(service.begins)}`);
+  if (service.ends && isEnding(service, today)) parts.push(`ends ${formatServiceDate(service.ends)}`);
+  return parts.join(" · ");
+}
@@ -0,0 +1,74 @@
+import { Continent } from "@/types";
+
+// Airport time zones are looked up offline by the data build; see
+// scripts/lib/timezones.js.
+
+export const CONTINENT_NAMES: { [key in Continent]: string } = {
+  AF: "Africa",
+  AN: "Antarctica",
+  AS: "Asia",
+  EU: "Europe",
+  NA: "North America",
+  OC: "Oceania",
+  SA: "South America",
+};
+
+// One formatter per zone; null for zones this browser doesn't know
+const offsetFormats = new Map<string, Intl.DateTimeFormat | null>();
+
+function getOffsetFormat(timeZone: string) {
+  let format = offsetFormats.get(timeZone);
+  if (format === undefined) {
+    try {
+      format = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" });
+    } catch {
+      format = null;
+    }
+    offsetFormats.set(timeZone, format);
+  }
+  return format;
+}
+
+// Minutes ahead of UTC at `date`, e.g. 60 for Europe/Dublin in summer
+export function getUtcOffset(timeZone: string | null, date = new Date()): number | null {
+  const format = timeZone ? getOffsetFormat(timeZone) : null;
+  if (!format) return null;
+  const name = format.formatToParts(date).find((part) => part.type === "timeZoneName")?.value || "";
+  // "GMT+05:30", or plain "GMT" for UTC itself
+  const match = /^GMT(?:([+-])(\d{2}):(\d{2}))?$/.exec(name);
+  if (!match) return null;
+  if (!match[1]) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+// "2h", "5h 30m"
+function formatHours(minutes: number) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+// e.g. "UTC+1", "UTC−3:30", "UTC"
+export function formatUtcOffset(minutes: number) {
+  if (minutes === 0) return "UTC";
+  const abs = Math.abs(minutes);
+  const rest = abs % 60;
+  return `UTC${minutes < 0 ? "−" : "+"}${Math.floor(abs / 60)}${rest ? `:${String(rest).padStart(2, "0")}` : ""}`;
+}
+
+// Wall clock time in a zone, e.g. "14:05"
+export function formatLocalTime(timeZone: string, date = new Date()) {
+  return new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit" }).format(date);
+}
+
+// How far clocks in zone `to` are ahead of those in `from` at `date`, e.g.
+// "+5h", "−2h 30m" or "Same time"; null when either time zone is unknown
+export function describeTimeDifference(from: string | null, to: string | null, date = new Date()) {
+  const fromOffset = getUtcOffset(from, date);
+  const toOffset = getUtcOffset(to, date);
+  if (fromOffset === null || toOffset === null) return null;
+  const difference = toOffset - fromOffset;
+  if (difference === 0) return "Same time";
+  return `${difference < 0 ? "−" : "+"}${formatHours(Math.abs(difference))}`;
+}
@@ -0,0 +1,245 @@
+import { Airport, Airline, Filters, ViewMode, ConnectionQuery, MapView, ServiceFilter, MetroArea, Continent, RouteScope } from "@/types";
+import { DEFAULT_FILTERS } from "@/lib/routes";
+import { SERVICE_FILTER_LABELS, isPartialDate } from "@/lib/services";
+import { getAirlineGroup } from "@/lib/alliances";
+import { DEFAULT_CONNECTION_QUERY } from "@/lib/connections";
+import { ROUTE_SCOPE_LABELS } from "@/lib/geography";
+import { CONTINENT_NAMES } from "@/lib/timezones";
+
+// Explorer state that round-trips through the query string, e.g.
+// ?airport=LHR&airlines=BA,AA&groups=star&aircraft=777&codeshares=1&dmin=8000&service=seasonal&confirmed=2015&z=4&c=51.4,-0.4
+// or ?ocontinent=EU&dcountry=JP&scope=international, or ?mode=compare&airlines=BA,VS&ocountry=GB
+export interface UrlState {
+  airport: string | null;
+  metro: string | null;   // Metro area code, e.g. "LON"; never set together with airport
+  filters: Filters;
+  mode: ViewMode;
+  connectionQuery: ConnectionQuery;
+  view: MapView | null;
+}
+
+// Known codes to validate against
+export interface UrlStateContext {
+  airports: { [key: string]: Airport };
+  airlines: { [key: string]: Airline };
+  metroAreas: { [key: string]: MetroArea };
+  aircraftTypes: string[];
+}
+
+// Parameters that describe the map viewport rather than a selection.
+// Changing only these replaces the history entry instead of adding one.
+const VIEW_PARAMS = ["z", "c"];
+
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 12;
+
+const splitList = (value: string | null) =>
+  (value || "")
+    .split(",")
+    .map((v) => v.trim().toUpperCase())
+    .filter(Boolean);
+
+const round = (n: number) => Number(n.toFixed(2));
+
+// Parse a query string into explorer state. Unknown codes and malformed
+// values are dropped and reported in `invalid` rather than thrown.
+export function parseUrlState(search: string, context: UrlStateContext) {
+  const params = new URLSearchParams(search);
+  const invalid: string[] = [];
+
+  const checkAirport = (param: string) => {
+    const code = params.get(param)?.trim().toUpperCase();
+    if (!code) return null;
+    if (context.airports[code]) return code;
+    invalid.push(`airport ${code}`);
+    return null;
+  };
+
+  const airport = checkAirport("airport");
+
+  let metro: string | null = null;
+  const metroParam = params.get("metro")?.trim().toUpperCase();
+  if (metroParam && context.metroAreas[metroParam] && !airport) {
+    metro = metroParam;
+  } else if (metroParam) {
+    invalid.push(`metro area ${metroParam}`);
+  }
+
+  const airlines = splitList(params.get("airlines")).filter((code) => {
+    if (context.airlines[code]) return true;
+    invalid.push(`airline ${code}`);
+    return false;
+  });
+
+  const groups = splitList(params.get("groups"))
+    .map((id) => id.toLowerCase())
+    .filter((id) => {
+      if (getAirlineGroup(id)) return true;
+      invalid.push(`group ${id}`);
+      return false;
+    });
+
+  const aircraft = splitList(params.get("aircraft")).filter((code) => {
+    if (context.aircraftTypes.includes(code)) return true;
+    invalid.push(`aircraft ${code}`);
+    return false;
+  });
+
+  // Distance bounds in km
+  const checkDistance = (param: string) => {
+    const value = params.get(param);
+    if (value === null) return null;
+    const km = Number(value);
+    if (value !== "" && Number.isFinite(km) && km >= 0) return km;
+    invalid.push(`${param} ${value}`);
+    return null;
+  };
+
+  const serviceParam = params.get("service");
+  let service: ServiceFilter | null = null;
+  if (serviceParam && Object.hasOwn(SERVICE_FILTER_LABELS, serviceParam)) {
+    service = serviceParam as ServiceFilter;
+  } else if (serviceParam) {
+    invalid.push(`service ${serviceParam}`);
+  }
+
+  // Route dates, e.g. confirmed=2015 or added=2026-10-18
+  const checkDate = (param: string) => {
+    const value = params.get(param);
+    if (value === null) return null;
+    if (isPartialDate(value)) return value;
+    invalid.push(`${param} ${value}`);
+    return null;
+  };
+
+  // Origin and destination places, e.g. ocountry=US,CA or dcontinent=EU
+  const countries = new Set(Object.values(context.airports).map((a) => a.country));
+  const checkCountries = (param: string) =>
+    splitList(params.get(param)).filter((code) => {
+      if (countries.has(code)) return true;
+      invalid.push(`country ${code}`);
+      return false;
+    });
+  const checkContinents = (param: string) =>
+    splitList(params.get(param)).filter((code): code is Continent => {
+      if (Object.hasOwn(CONTINENT_NAMES, code)) return true;
+      invalid.push(`continent ${code}`);
+      return false;
+    });
+
+  const scopeParam = params.get("scope");
+  let scope: RouteScope | null = null;
+  if (scopeParam && Object.hasOwn(ROUTE_SCOPE_LABELS, scopeParam)) {
+    scope = scopeParam as RouteScope;
+  } else if (scopeParam) {
+    invalid.push(`scope ${scopeParam}`);
+  }
+
+  const filters: Filters = {
+    ...DEFAULT_FILTERS,
+    airlines,
+    groups,
+    aircraft,
+    includeCodeshares: params.get("codeshares") === "1",
+    minDistance: checkDistance("dmin"),
+    maxDistance: checkDistance("dmax"),
+    service,
+    confirmedSince: checkDate("confirmed"),
+    addedSince: checkDate("added"),
+    originCountries: checkCountries("ocountry"),
+    originContinents: checkContinents("ocontinent"),
+    destinationCountries: checkCountries("dcountry"),
+    destinationContinents: checkContinents("dcontinent"),
+    scope,
+  };
+
+  const modeParam = params.get("mode");
+  let mode: ViewMode = "explore";
+  if (modeParam === "connections" || modeParam === "analytics" || modeParam === "compare" || modeParam === "log") {
+    mode = modeParam;
+  } else if (modeParam) {
+    invalid.push(`mode ${modeParam}`);
+  }
+
+  const stops = Number(params.get("stops") ?? DEFAULT_CONNECTION_QUERY.maxStops);
+  const connectionQuery: ConnectionQuery = {
+    origin: checkAirport("from"),
+    destination: checkAirport("to"),
+    maxStops: [0, 1, 2].includes(stops) ? stops : DEFAULT_CONNECTION_QUERY.maxStops,
+    sameAirline: params.get("oneAirline") === "1",
+    sameAlliance: params.get("oneAlliance") === "1",
+  };
+  if (connectionQuery.maxStops !== stops) invalid.push(`stops ${params.get("stops")}`);
+
+  let view: MapView | null = null;
+  const zoom = Number(params.get("z"));
+  const center = (params.get("c") || "").split(",").map(Number);
+  if (params.has("z") || params.has("c")) {
+    const validZoom = Number.isFinite(zoom) && zoom >= MIN_ZOOM && zoom <= MAX_ZOOM;
+    const validCenter =
+      center.length === 2 &&
+      center.every(Number.isFinite) &&
+      Math.abs(center[0]) <= 90 &&
+      Math.abs(center[1]) <= 540;
+    if (validZoom && validCenter) {
+      view = { center: [center[0], center[1]], zoom };
+    } else {
+      invalid.push("map view");
+    }
+  }
+
+  const state: UrlState = { airport, metro, filters, mode, connectionQuery, view };
+  return { state, invalid };
+}
+
+// Serialize explorer state to a query string, omitting defaults.
+// Returns "" for the default state so the URL stays clean.
+export function serializeUrlState(state: UrlState) {
+  const parts: [string, string][] = [];
+  const { filters, connectionQuery } = state;
+
+  if (state.mode !== "explore") parts.push(["mode", state.mode]);
+  if (state.airport) parts.push(["airport", state.airport]);
+  if (state.metro) parts.push(["metro", state.metro]);
+  if (filters.airlines.length > 0) parts.push(["airlines", filters.airlines.join(",")]);
+  if (filters.groups.length > 0) parts.push(["groups", filters.groups.join(",")]);
+  if (filters.aircraft.length > 0) parts.push(["aircraft", filters.aircraft.join(",")]);
+  if (filters.includeCodeshares) parts.push(["codeshares", "1"]);
+  if (filters.minDistance !== null) parts.push(["dmin", String(Math.round(filters.minDistance))]);
+  if (filters.maxDistance !== null) parts.push(["dmax", String(Math.round(filters.maxDistance))]);
+  if (filters.service) parts.push(["service", filters.service]);
+  if (filters.confirmedSince) parts.push(["confirmed", filters.confirmedSince]);
+  if (filters.addedSince) parts.push(["added", filters.addedSince]);
+  if (filters.originCountries.length > 0) parts.push(["ocountry", filters.originCountries.join(",")]);
+  if (filters.originContinents.length > 0) parts.push(["ocontinent", filters.originContinents.join(",")]);
+  if (filters.destinationCountries.length > 0) parts.push(["dcountry", filters.destinationCountries.join(",")]);
+  if (filters.destinationContinents.length > 0) parts.push(["dcontinent", filters.destinationContinents.join(",")]);
+  if (filters.scope) parts.push(["scope", filters.scope]);
+
+  if (state.mode === "connections") {
+    if (connectionQuery.origin) parts.push(["from", connectionQuery.origin]);
+    if (connectionQuery.destination) parts.push(["to", connectionQuery.destination]);
+    if (connectionQuery.maxStops !== DEFAULT_CONNECTION_QUERY.maxStops) {
+      parts.push(["stops", String(connectionQuery.maxStops)]);
+    }
+    if (connectionQuery.sameAirline) parts.push(["oneAirline", "1"]);
+    if (connectionQuery.sameAlliance) parts.push(["oneAlliance", "1"]);
+  }
+
+  if (state.view) {
+    parts.push(["z", String(round(state.view.zoom))]);
+    parts.push(["c", `${round(state.view.center[0])},${round(state.view.center[1])}`]);
+  }
+
+  if (parts.length === 0) return "";
+  // Codes are alphanumeric, so keep commas readable instead of %2C
+  return "?" + parts.map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ",")}`).join("&");
+}
+
+// Key identifying the selection in a query string, ignoring the map view
+export function getSelectionKey(search: string) {
+  const params = new URLSearchParams(search);
+  VIEW_PARAMS.forEach((p) => params.delete(p));
+  params.sort();
+  return params.toString();
+}
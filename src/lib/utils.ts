@@ -1,5 +1,6 @@
 import { clsx, type ClassValue } from "clsx";
 import { twMerge } from "tailwind-merge";
+import { DistanceUnit } from "@/types";
 
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs));
@@ -47,7 +48,12 @@ export function getArcPoints(
     points.push([(lat * 180) / Math.PI, (lon * 180) / Math.PI]);
   }
 
-  // Unwrap longitudes to be continuous (avoid jumps at antimeridian)
+  return unwrapLongitudes(points);
+}
+
+// Unwrap longitudes to be continuous (avoid jumps at antimeridian)
+// Mutates and returns the given points
+export function unwrapLongitudes(points: [number, number][]): [number, number][] {
   for (let i = 1; i < points.length; i++) {
     const prevLon = points[i - 1][1];
     let currLon = points[i][1];
@@ -61,7 +67,64 @@ export function getArcPoints(
   return points;
 }
 
+const EARTH_RADIUS_KM = 6371;
+
+// Great circle distance between two coordinates in km (haversine)
+export function getDistance(start: [number, number], end: [number, number]) {
+  const [lat1, lon1] = start.map((d) => (d * Math.PI) / 180);
+  const [lat2, lon2] = end.map((d) => (d * Math.PI) / 180);
+
+  const a =
+    Math.sin((lat2 - lat1) / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin((lon2 - lon1) / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
 // Format airport display
 export function formatAirport(airport: { iata: string; name: string; city: string }) {
   return `${airport.iata} - ${airport.city || airport.name}`;
 }
+
+const KM_PER_UNIT: Record<DistanceUnit, number> = { km: 1, mi: 1.609344, nm: 1.852 };
+
+// Convert between km and the given display unit
+export function fromKm(km: number, unit: DistanceUnit) {
+  return km / KM_PER_UNIT[unit];
+}
+
+export function toKm(value: number, unit: DistanceUnit) {
+  return value * KM_PER_UNIT[unit];
+}
+
+// Format a distance in km for display, e.g. "5,540 km"
+export function formatDistance(km: number, unit: DistanceUnit = "km") {
+  return `${Math.round(fromKm(km, unit)).toLocaleString()} ${unit}`;
+}
+
+// Rough gate-to-gate time: a fixed allowance for taxi, climb and descent
+// plus cruise at an average jet ground speed
+const BLOCK_OVERHEAD_MINUTES = 30;
+const CRUISE_SPEED_KMH = 800;
+
+export function estimateBlockTime(km: number) {
+  return Math.round(BLOCK_OVERHEAD_MINUTES + (km / CRUISE_SPEED_KMH) * 60);
+}
+
+// Format minutes as e.g. "7h 25m"
+export function formatDuration(minutes: number) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m`;
+}
+
+const countryNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// English name for an ISO 3166 country code, e.g. "IE" -> "Ireland"
+export function getCountryName(code: string) {
+  try {
+    return countryNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
@@ -1,3 +1,5 @@
+export type Continent = "AF" | "AN" | "AS" | "EU" | "NA" | "OC" | "SA";
+
 export interface Airport {
   iata: string;
   icao: string;
@@ -7,6 +9,28 @@ export interface Airport {
   lat: number;
   lon: number;
   type: string;
+  continent: Continent | null;
+}
+
+// The rest of an airport's record in airports.json, which the first render
+// doesn't need. The app loads it after the index (airport-info.json).
+export interface AirportInfo {
+  timezone: string | null;      // IANA time zone, e.g. "Europe/Dublin"
+  // From OurAirports' CSVs; absent until the data is rebuilt from them
+  elevation?: number | null;     // Feet above sea level
+  region?: string | null;        // ISO 3166-2 code, e.g. "IE-D"
+  regionName?: string | null;
+  longestRunway?: number | null; // Longest open runway in feet
+  website?: string | null;
+  wikipedia?: string | null;
+}
+
+// A city served by several airports, under its IATA city code
+export interface MetroArea {
+  code: string;          // IATA city code, e.g. "LON"
+  name: string;
+  country: string;
+  airports: string[];    // Member airport codes, busiest first
 }
 
 export interface Airline {
@@ -14,14 +38,46 @@ export interface Airline {
   icao: string;
   name: string;
   country: string;
+  active: boolean;       // Has at least one route in the current data
+}
+
+export type AircraftClass = "widebody" | "narrowbody" | "regional" | "utility";
+
+export interface AircraftType {
+  code: string;          // OpenFlights/IATA equipment code, e.g. "73H"
+  manufacturer: string;
+  name: string;          // e.g. "Boeing 737-800 (winglets)"
+  family: string;        // e.g. "737 NG"
+  class: AircraftClass;
+  range: number;         // Typical range in km
+}
+
+export interface AircraftCatalog {
+  [code: string]: AircraftType;
+}
+
+export type ServiceType = "year-round" | "seasonal" | "charter";
+
+export interface RouteService {
+  airline: string;       // One of the route's operators
+  type: ServiceType;
+  begins: string | null; // ISO date, possibly partial ("2025-05-14", "2025-05", "2025")
+  ends: string | null;
 }
 
+export type RouteSource = "openflights" | "wikipedia";
+
 export interface Route {
   origin: string;
   destination: string;
   operators: string[];   // Airlines that actually operate this route
   codeshares: string[];  // Airlines that codeshare on this route
   aircraft: string[];
+  distance: number;      // Great-circle distance in km
+  source: RouteSource;   // The first source to list the route
+  firstSeen: string;     // ISO date, possibly partial like service dates
+  lastConfirmed: string; // Last time a source listed the route
+  services?: RouteService[]; // Only operators that aren't plain year-round service
 }
 
 export interface RoutesByAirport {
@@ -30,6 +86,118 @@ export interface RoutesByAirport {
 
 export interface Filters {
   airlines: string[];
+  groups: string[];      // Alliance and airline group ids, expanded to their members
   aircraft: string[];
   includeCodeshares: boolean;
+  minDistance: number | null;  // km
+  maxDistance: number | null;  // km
+  service: ServiceFilter | null;
+  confirmedSince: string | null; // Hide routes last confirmed before this ISO date
+  addedSince: string | null;     // Only routes first seen on or after this ISO date
+  originCountries: string[];     // ISO country codes; with the continents, any airport when both are empty
+  originContinents: Continent[];
+  destinationCountries: string[];
+  destinationContinents: Continent[];
+  scope: RouteScope | null;
+}
+
+export type ServiceFilter = "year-round" | "seasonal" | "charter" | "launching" | "ending";
+
+// International includes intercontinental routes
+export type RouteScope = "domestic" | "international" | "intercontinental";
+
+export type DistanceUnit = "km" | "mi" | "nm";
+
+export type ArcColoring = "airline" | "alliance";
+
+export type ViewMode = "explore" | "connections" | "analytics" | "compare" | "log";
+
+export interface ConnectionQuery {
+  origin: string | null;
+  destination: string | null;
+  maxStops: number;
+  sameAirline: boolean;
+  sameAlliance: boolean;
+}
+
+// What one run of the route update changed (public/data/changelog.json)
+export interface RouteChange {
+  origin: string;
+  destination: string;
+  operators: string[];
+}
+
+export interface OperatorChange {
+  origin: string;
+  destination: string;
+  airline: string;
+}
+
+export interface DataUpdate {
+  date: string;          // ISO date of the update
+  routesAdded: RouteChange[];
+  routesRemoved: RouteChange[];
+  operatorsAdded: OperatorChange[];   // On routes present before and after
+  operatorsRemoved: OperatorChange[];
+  airlinesActivated: string[];        // Airlines whose active flag flipped
+  airlinesDeactivated: string[];
+}
+
+// Two airports compared in both directions
+export interface AirportPair {
+  origin: string;
+  destination: string;
+}
+
+export interface Itinerary {
+  legs: Route[];
+  stops: string[];       // Connecting airports, in order
+  distance: number;      // Total great-circle distance in km
+  detour: number;        // Total distance divided by the direct distance
+  airlines: string[];    // Airlines that can carry every leg
+  alliances: string[];   // Alliances that can carry every leg
+}
+
+export interface MapView {
+  center: [number, number];
+  zoom: number;
+}
+
+// A flight from the user's own travel log
+export interface FlightLogLeg {
+  date: string | null;     // ISO date, e.g. "2024-05-14"
+  origin: string;          // Airport IATA codes
+  destination: string;
+  airline: string | null;  // Airline IATA code
+  aircraft: string | null; // As entered, e.g. "A320" or "73H"
+}
+
+// Responses of the read-only JSON API under /api
+export interface ApiErrorResponse {
+  error: string;
+}
+
+export interface AirportSearchResponse {
+  query: string;
+  airports: Airport[];
+}
+
+export interface AirportRoutesResponse {
+  airport: Airport;
+  filters: Filters;      // As applied, after defaults
+  routes: Route[];
+}
+
+export interface AirlineNetworkResponse {
+  airline: Airline;
+  includeCodeshares: boolean;
+  airports: string[];    // Every airport the network touches
+  routes: Route[];
+}
+
+export interface AirportPairResponse {
+  origin: Airport;
+  destination: Airport;
+  direct: Route | null;  // Nonstop route matching the filters, if any
+  itineraries: Itinerary[];
 }